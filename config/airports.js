@@ -0,0 +1,43 @@
+/**
+ * Airports that attract the airport surcharge
+ *
+ * A trip is an airport trip when its pickup or destination lies within
+ * radiusKm of one of these.
+ */
+
+const { calculateDistance } = require('../utils/location');
+
+const AIRPORTS = [
+  { id: 'jnb', name: 'O. R. Tambo International', city: 'johannesburg', center: { latitude: -26.1367, longitude: 28.2411 }, radiusKm: 3 },
+  { id: 'hla', name: 'Lanseria International', city: 'johannesburg', center: { latitude: -25.9385, longitude: 27.9261 }, radiusKm: 2 },
+  { id: 'cpt', name: 'Cape Town International', city: 'cape-town', center: { latitude: -33.9715, longitude: 18.6021 }, radiusKm: 3 },
+  { id: 'dur', name: 'King Shaka International', city: 'durban', center: { latitude: -29.6144, longitude: 31.1197 }, radiusKm: 3 },
+  { id: 'plz', name: 'Chief Dawid Stuurman International', city: 'gqeberha', center: { latitude: -33.9849, longitude: 25.6173 }, radiusKm: 2 },
+  { id: 'bfn', name: 'Bram Fischer International', city: 'bloemfontein', center: { latitude: -29.0927, longitude: 26.3024 }, radiusKm: 2 }
+];
+
+/**
+ * Find the airport a location is at
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Object|null} Airport entry
+ */
+const findAirport = (location) => {
+  if (!location || location.latitude == null || location.longitude == null) {
+    return null;
+  }
+  return AIRPORTS.find(airport => calculateDistance(location, airport.center) <= airport.radiusKm) || null;
+};
+
+/**
+ * Check whether a trip starts or ends at an airport
+ * @param {Object} pickup - { latitude, longitude }
+ * @param {Object} destination - { latitude, longitude }
+ * @returns {Boolean}
+ */
+const isAirportTrip = (pickup, destination) => !!(findAirport(pickup) || findAirport(destination));
+
+module.exports = {
+  AIRPORTS,
+  findAirport,
+  isAirportTrip
+};
@@ -0,0 +1,32 @@
+/**
+ * Delivery batch configuration
+ *
+ * A batch delivery is one pickup with several drop-offs, each for its own
+ * recipient. The courier collects every parcel at once and drops them off
+ * in the order planned at booking; the whole batch is priced as one trip.
+ */
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Drop-offs one batch may have
+const MIN_BATCH_DROPOFFS = 2;
+const MAX_BATCH_DROPOFFS = readNumber('BATCH_MAX_DROPOFFS', 30);
+
+// Why a courier could not hand a parcel over
+const DROPOFF_FAILURE_REASONS = [
+  'recipient_unavailable',
+  'wrong_address',
+  'refused',
+  'no_access',
+  'damaged',
+  'other'
+];
+
+module.exports = {
+  MIN_BATCH_DROPOFFS,
+  MAX_BATCH_DROPOFFS,
+  DROPOFF_FAILURE_REASONS
+};
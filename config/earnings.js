@@ -0,0 +1,40 @@
+/**
+ * Driver and courier earnings configuration
+ *
+ * The platform keeps a commission on each trip fare and cancellation fee;
+ * the rest (plus tips) is payable to the driver/courier and paid out in
+ * weekly batches. On cash trips the commission is owed the other way and
+ * is netted off card earnings. Weeks run Monday to Monday, South African
+ * time.
+ */
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Commission kept by the platform, per trip kind
+const COMMISSION_PERCENT = {
+  ride: readNumber('EARNINGS_RIDE_COMMISSION_PERCENT', 20),
+  delivery: readNumber('EARNINGS_DELIVERY_COMMISSION_PERCENT', 15)
+};
+
+// Drivers/couriers owing more commission than this (from cash trips) can't go online
+const MAX_COMMISSION_DEBT = readNumber('EARNINGS_MAX_COMMISSION_DEBT', 200);
+
+// Balances below this roll over to the next week's payout
+const MIN_PAYOUT = readNumber('EARNINGS_MIN_PAYOUT', 50);
+
+// Hour (local time) on Monday when last week's payout batch is generated
+const PAYOUT_HOUR = readNumber('EARNINGS_PAYOUT_HOUR', 6);
+
+// South Africa Standard Time (UTC+2, no daylight saving)
+const WEEK_UTC_OFFSET_MINUTES = 120;
+
+module.exports = {
+  COMMISSION_PERCENT,
+  MAX_COMMISSION_DEBT,
+  MIN_PAYOUT,
+  PAYOUT_HOUR,
+  WEEK_UTC_OFFSET_MINUTES
+};
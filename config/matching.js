@@ -0,0 +1,98 @@
+/**
+ * Matching radius configuration
+ *
+ * How far (km) from a pickup we look for drivers/couriers, and how far a
+ * driver/courier is shown pending jobs. The base radius depends on the city
+ * the pickup is in and is scaled by the vehicle type.
+ */
+
+const { calculateDistance } = require('../utils/location');
+
+// Used when the pickup is outside every configured city
+const DEFAULT_RADIUS_KM = parseFloat(process.env.MATCHING_RADIUS_KM) || 10;
+
+// areaRadiusKm: how far from the centre the city extends
+// radiusKm: base matching radius inside the city
+const CITIES = [
+  { id: 'johannesburg', name: 'Johannesburg', center: { latitude: -26.2041, longitude: 28.0473 }, areaRadiusKm: 50, radiusKm: 10 },
+  { id: 'pretoria', name: 'Pretoria', center: { latitude: -25.7479, longitude: 28.2293 }, areaRadiusKm: 35, radiusKm: 12 },
+  { id: 'cape-town', name: 'Cape Town', center: { latitude: -33.9249, longitude: 18.4241 }, areaRadiusKm: 50, radiusKm: 8 },
+  { id: 'durban', name: 'Durban', center: { latitude: -29.8587, longitude: 31.0218 }, areaRadiusKm: 40, radiusKm: 10 },
+  { id: 'gqeberha', name: 'Gqeberha', center: { latitude: -33.9608, longitude: 25.6022 }, areaRadiusKm: 30, radiusKm: 12 },
+  { id: 'bloemfontein', name: 'Bloemfontein', center: { latitude: -29.0852, longitude: 26.1596 }, areaRadiusKm: 25, radiusKm: 15 }
+];
+
+// Multipliers on the base radius. Rides use the requested ride type,
+// deliveries use the courier's vehicle type.
+const VEHICLE_RADIUS_FACTORS = {
+  ride: {
+    economy: 1,
+    comfort: 1,
+    premium: 1.5,
+    xl: 1.25
+  },
+  delivery: {
+    walking: 0.2,
+    bicycle: 0.5,
+    motorcycle: 1,
+    car: 1,
+    van: 1.25
+  }
+};
+
+/**
+ * Find the configured city a location falls in (closest centre wins)
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Object|null} City entry or null
+ */
+const resolveCity = (location) => {
+  if (!location) return null;
+
+  let match = null;
+  let matchDistance = Infinity;
+  CITIES.forEach(city => {
+    const distance = calculateDistance(location, city.center);
+    if (distance <= city.areaRadiusKm && distance < matchDistance) {
+      match = city;
+      matchDistance = distance;
+    }
+  });
+  return match;
+};
+
+/**
+ * Matching radius for a pickup location and vehicle type
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} location - Pickup { latitude, longitude }
+ * @param {String} vehicleType - Ride type or courier vehicle type
+ * @returns {Number} Radius in km
+ */
+const getMatchRadius = (kind, location, vehicleType) => {
+  const city = resolveCity(location);
+  const baseRadius = city ? city.radiusKm : DEFAULT_RADIUS_KM;
+  const factor = VEHICLE_RADIUS_FACTORS[kind]?.[vehicleType] ?? 1;
+  return Math.round(baseRadius * factor * 10) / 10;
+};
+
+/**
+ * Largest matching radius of any vehicle type at a location
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Number} Radius in km
+ */
+const getSearchRadius = (kind, location) => {
+  const vehicleTypes = Object.keys(VEHICLE_RADIUS_FACTORS[kind] || {});
+  return Math.max(
+    getMatchRadius(kind, location),
+    ...vehicleTypes.map(vehicleType => getMatchRadius(kind, location, vehicleType))
+  );
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  CITIES,
+  VEHICLE_RADIUS_FACTORS,
+  resolveCity,
+  getMatchRadius,
+  getSearchRadius
+};
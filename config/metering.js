@@ -0,0 +1,35 @@
+/**
+ * Trip metering configuration
+ *
+ * While a trip is under way the driver/courier position is kept as a
+ * location trail. When the trip ends its final fare is worked out from the
+ * trail distance, the time spent on the trip and any waiting at pickup.
+ */
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Positions closer together than this are not stored
+const TRAIL_MIN_INTERVAL_MS = readNumber('METERING_TRAIL_MIN_INTERVAL_MS', 5000);
+
+// Oldest positions are dropped past this many points
+const TRAIL_MAX_POINTS = readNumber('METERING_TRAIL_MAX_POINTS', 2000);
+
+// Hops faster than this are GPS jumps and don't count towards distance
+const MAX_SPEED_KMH = readNumber('METERING_MAX_SPEED_KMH', 160);
+
+// Below this share of the route distance the trail has gaps and the route distance is charged
+const MIN_TRAIL_COVERAGE = readNumber('METERING_MIN_TRAIL_COVERAGE', 0.5);
+
+// A quoted trip keeps its quoted price unless distance or duration differ by more than this
+const QUOTE_TOLERANCE_PERCENT = readNumber('METERING_QUOTE_TOLERANCE_PERCENT', 20);
+
+module.exports = {
+  TRAIL_MIN_INTERVAL_MS,
+  TRAIL_MAX_POINTS,
+  MAX_SPEED_KMH,
+  MIN_TRAIL_COVERAGE,
+  QUOTE_TOLERANCE_PERCENT
+};
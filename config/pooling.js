@@ -0,0 +1,63 @@
+/**
+ * Ride pooling configuration
+ *
+ * A pooled ride request joins a driver already carrying pooled riders when
+ * its pickup and drop-off fit into the driver's remaining stops without
+ * taking anyone (the new rider included) too far out of their way, and
+ * there are seats for everyone on board at each point. Pooled riders pay
+ * less than the solo fare, and more so the longer their detour.
+ */
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Passenger seats shared in a pool, per ride type (types not listed can't be pooled)
+const POOL_SEAT_CAPACITY = {
+  economy: readNumber('POOL_ECONOMY_SEATS', 3),
+  comfort: readNumber('POOL_COMFORT_SEATS', 3),
+  xl: readNumber('POOL_XL_SEATS', 5)
+};
+
+// Seats one pooled booking may take
+const MAX_SEATS_PER_BOOKING = readNumber('POOL_MAX_SEATS_PER_BOOKING', 2);
+
+// Bookings sharing a car at once (keeps stop re-ordering small)
+const MAX_POOL_RIDES = readNumber('POOL_MAX_RIDES', 4);
+
+// Extra in-car time allowed over a rider's direct trip: the smaller of the two limits applies
+const MAX_DETOUR_PERCENT = readNumber('POOL_MAX_DETOUR_PERCENT', 40);
+const MAX_DETOUR_MINUTES = readNumber('POOL_MAX_DETOUR_MINUTES', 15);
+
+// Longest a new pooled rider may wait to be picked up by a pool's driver
+const MAX_PICKUP_MINUTES = readNumber('POOL_MAX_PICKUP_MINUTES', 15);
+
+// Only pools whose driver is this close to the new pickup are considered
+const MATCH_RADIUS_KM = readNumber('POOL_MATCH_RADIUS_KM', 5);
+
+// Discount off the solo fare, plus DETOUR_DISCOUNT_PERCENT of every 1% of detour, up to MAX_DISCOUNT_PERCENT
+const BASE_DISCOUNT_PERCENT = readNumber('POOL_BASE_DISCOUNT_PERCENT', 25);
+const DETOUR_DISCOUNT_PERCENT = readNumber('POOL_DETOUR_DISCOUNT_PERCENT', 50);
+const MAX_DISCOUNT_PERCENT = readNumber('POOL_MAX_DISCOUNT_PERCENT', 45);
+
+/**
+ * Whether a ride type can be pooled
+ * @param {String} rideType - Ride type
+ * @returns {Boolean}
+ */
+const isPoolable = (rideType) => POOL_SEAT_CAPACITY[rideType] > 0;
+
+module.exports = {
+  POOL_SEAT_CAPACITY,
+  MAX_SEATS_PER_BOOKING,
+  MAX_POOL_RIDES,
+  MAX_DETOUR_PERCENT,
+  MAX_DETOUR_MINUTES,
+  MAX_PICKUP_MINUTES,
+  MATCH_RADIUS_KM,
+  BASE_DISCOUNT_PERCENT,
+  DETOUR_DISCOUNT_PERCENT,
+  MAX_DISCOUNT_PERCENT,
+  isPoolable
+};
@@ -0,0 +1,36 @@
+/**
+ * Scheduled ride/delivery configuration
+ *
+ * A scheduled trip is held until DISPATCH_LEAD_MINUTES before its pickup
+ * time and then dispatched like any other. If nobody has accepted it
+ * EXPIRE_AFTER_MINUTES after the pickup time it is cancelled.
+ */
+
+const readMinutes = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// How long before pickup dispatch starts
+const DISPATCH_LEAD_MINUTES = readMinutes('SCHEDULED_DISPATCH_LEAD_MINUTES', 15);
+
+// Earliest and latest pickup time a trip can be scheduled for
+const MIN_NOTICE_MINUTES = readMinutes('SCHEDULED_MIN_NOTICE_MINUTES', 30);
+const MAX_DAYS_AHEAD = readMinutes('SCHEDULED_MAX_DAYS_AHEAD', 7);
+
+// Reminders sent to the rider/customer, in minutes before pickup
+const REMINDER_MINUTES = (process.env.SCHEDULED_REMINDER_MINUTES || '60,15')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => Number.isFinite(value) && value > 0);
+
+// How long after pickup time an unaccepted trip is given up on
+const EXPIRE_AFTER_MINUTES = readMinutes('SCHEDULED_EXPIRE_AFTER_MINUTES', 15);
+
+module.exports = {
+  DISPATCH_LEAD_MINUTES,
+  MIN_NOTICE_MINUTES,
+  MAX_DAYS_AHEAD,
+  REMINDER_MINUTES,
+  EXPIRE_AFTER_MINUTES
+};
@@ -0,0 +1,62 @@
+/**
+ * Socket.io adapter setup
+ *
+ * With REDIS_URL set, rooms and broadcasts are shared between all API
+ * instances through the Redis adapter. Without it the default in-memory
+ * adapter is used, which is fine for a single instance and for tests.
+ */
+
+const configureSocketAdapter = async (io) => {
+  const redisUrl = process.env.REDIS_URL;
+
+  if (!redisUrl) {
+    console.log('🔌 Socket.io using in-memory adapter (set REDIS_URL to run multiple instances)');
+    return 'memory';
+  }
+
+  try {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    // Give up after a few attempts at startup, but keep reconnecting once running
+    let ready = false;
+    const pubClient = createClient({
+      url: redisUrl,
+      socket: {
+        reconnectStrategy: (retries) => (!ready && retries >= 3)
+          ? new Error('Could not connect to Redis')
+          : Math.min(retries * 200, 5000)
+      }
+    });
+    const subClient = pubClient.duplicate();
+
+    [pubClient, subClient].forEach(client => {
+      client.on('error', (error) => console.error('❌ Redis adapter error:', error.message));
+    });
+
+    try {
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+    } catch (error) {
+      await Promise.allSettled([pubClient.disconnect(), subClient.disconnect()]);
+      throw error;
+    }
+    ready = true;
+    io.adapter(createAdapter(pubClient, subClient, {
+      key: process.env.SOCKET_ADAPTER_KEY || 'mzansi-socket.io'
+    }));
+
+    console.log('🔌 Socket.io using Redis adapter');
+    return 'redis';
+  } catch (error) {
+    console.error('❌ Redis adapter connection error:', error.message);
+
+    // A single instance can still run on the in-memory adapter in development
+    if (process.env.NODE_ENV === 'production') {
+      process.exit(1);
+    }
+    console.log('⚠️  Socket.io falling back to in-memory adapter');
+    return 'memory';
+  }
+};
+
+module.exports = configureSocketAdapter;
@@ -0,0 +1,35 @@
+/**
+ * Surge pricing configuration
+ *
+ * Surge is worked out per grid cell of CELL_SIZE_DEG degrees (about 2.2 km
+ * at 0.02) from recent pending rides and online drivers in the cell.
+ */
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const CELL_SIZE_DEG = readNumber('SURGE_CELL_SIZE_DEG', 0.02);
+
+// How often surge is recalculated and pushed to drivers
+const UPDATE_INTERVAL_MS = readNumber('SURGE_UPDATE_INTERVAL_MS', 60000);
+
+// Pending rides requested within this window count as demand
+const DEMAND_WINDOW_MINUTES = readNumber('SURGE_DEMAND_WINDOW_MINUTES', 15);
+
+// Highest multiplier demand can produce (admin overrides may go up to MAX_OVERRIDE_MULTIPLIER)
+const MAX_MULTIPLIER = readNumber('SURGE_MAX_MULTIPLIER', 2.5);
+const MAX_OVERRIDE_MULTIPLIER = 3;
+
+// Share of the new reading applied each update (1 = no smoothing)
+const SMOOTHING_FACTOR = Math.min(readNumber('SURGE_SMOOTHING_FACTOR', 0.5), 1);
+
+module.exports = {
+  CELL_SIZE_DEG,
+  UPDATE_INTERVAL_MS,
+  DEMAND_WINDOW_MINUTES,
+  MAX_MULTIPLIER,
+  MAX_OVERRIDE_MULTIPLIER,
+  SMOOTHING_FACTOR
+};
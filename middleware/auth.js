@@ -1,6 +1,51 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+const authError = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+/**
+ * Verify a JWT and its session token and load the user it belongs to.
+ * Shared by the REST `protect` middleware and Socket.io authentication.
+ * @param {String} token - JWT from the client
+ * @returns {Object} User (without password)
+ * @throws {Error} With `status` 401 when the token or session is not valid
+ */
+const authenticateToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw authError('Not authorized, token failed');
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user) {
+        throw authError('User not found');
+    }
+
+    // Check if session token matches - prevents multiple simultaneous logins
+    // If token doesn't have sessionToken (old tokens), allow it but update to new system
+    if (decoded.sessionToken) {
+        if (!user.currentSessionToken || user.currentSessionToken !== decoded.sessionToken) {
+            console.log(`🚫 Session mismatch for user ${user.email}. Token session: ${decoded.sessionToken}, User session: ${user.currentSessionToken}`);
+            throw authError('Session expired. Please login again. Another device may have logged in with this account.');
+        }
+    } else {
+        // Legacy token without sessionToken - generate new session for migration
+        const crypto = require('crypto');
+        user.currentSessionToken = crypto.randomBytes(32).toString('hex');
+        user.sessionCreatedAt = new Date();
+        await user.save();
+    }
+
+    return user;
+};
+
 const protect = async (req, res, next) => {
     try {
         let token;
@@ -16,36 +61,11 @@ const protect = async (req, res, next) => {
         }
 
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.id).select('-password');
-
-            if (!req.user) {
-                return res.status(401).json({
-                    message: 'User not found'
-                });
-            }
-
-            // Check if session token matches - prevents multiple simultaneous logins
-            // If token doesn't have sessionToken (old tokens), allow it but update to new system
-            if (decoded.sessionToken) {
-                if (!req.user.currentSessionToken || req.user.currentSessionToken !== decoded.sessionToken) {
-                    console.log(`🚫 Session mismatch for user ${req.user.email}. Token session: ${decoded.sessionToken}, User session: ${req.user.currentSessionToken}`);
-                    return res.status(401).json({
-                        message: 'Session expired. Please login again. Another device may have logged in with this account.'
-                    });
-                }
-            } else {
-                // Legacy token without sessionToken - generate new session for migration
-                const crypto = require('crypto');
-                req.user.currentSessionToken = crypto.randomBytes(32).toString('hex');
-                req.user.sessionCreatedAt = new Date();
-                await req.user.save();
-            }
-
+            req.user = await authenticateToken(token);
             next();
         } catch (error) {
             return res.status(401).json({
-                message: 'Not authorized, token failed'
+                message: error.status ? error.message : 'Not authorized, token failed'
             });
         }
     } catch (error) {
@@ -60,12 +80,14 @@ const authorize = (...roles) => {
         // Check if user has the required role
         const hasRole = roles.includes(req.user.role);
 
-        // For driver routes, also check isDriver flag
+        // For driver/courier routes, also check the isDriver/isCourier flags
         const isDriverRoute = roles.includes('driver');
         const isDriver = req.user.isDriver || req.user.role === 'driver';
+        const isCourierRoute = roles.includes('courier');
+        const isCourier = req.user.isCourier || req.user.role === 'courier';
 
-        // Allow access if user has the role OR if it's a driver route and user is a driver
-        if (!hasRole && !(isDriverRoute && isDriver)) {
+        // Allow access if user has the role OR if it's a driver/courier route and user is one
+        if (!hasRole && !(isDriverRoute && isDriver) && !(isCourierRoute && isCourier)) {
             return res.status(403).json({
                 message: `User role '${req.user.role}' is not authorized to access this route`
             });
@@ -75,6 +97,7 @@ const authorize = (...roles) => {
 };
 
 module.exports = {
+    authenticateToken,
     protect,
     authorize
 };
\ No newline at end of file
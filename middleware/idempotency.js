@@ -0,0 +1,155 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+// How long an attempt may run before a retry with the same key can take it over
+const PROCESSING_LEASE_MS = parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE_MS, 10) || 60 * 1000;
+
+/**
+ * Claim a 'processing' record whose lease has run out
+ * @param {Object} existing - IdempotencyKey document
+ * @returns {Object|null} Claimed record, or null while the lease still holds
+ */
+const takeOverExpired = async (existing) => {
+    const lockedUntil = existing.lockedUntil
+        || new Date(existing.createdAt.getTime() + PROCESSING_LEASE_MS);
+    if (lockedUntil > new Date()) {
+        return null;
+    }
+
+    return IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, state: 'processing', lockedUntil: existing.lockedUntil ?? null },
+        { $set: { lockedUntil: new Date(Date.now() + PROCESSING_LEASE_MS) } },
+        { new: true }
+    );
+};
+
+/**
+ * Complete the record with the response once it is sent, or delete it so
+ * the client can retry. Only the attempt holding the lease writes.
+ * @param {Object} res - Express response
+ * @param {Object} record - IdempotencyKey document owned by this request
+ */
+const storeResponse = (res, record) => {
+    const lease = { _id: record._id, lockedUntil: record.lockedUntil };
+    let body;
+    let responded = false;
+    let closedEarly = false;
+    let settled = false;
+
+    const settle = () => {
+        if (settled) return;
+        settled = true;
+
+        // Server errors and responses that can't be replayed (not sent with
+        // res.json) are not stored
+        const statusCode = res.statusCode;
+        const save = !responded || statusCode >= 500
+            ? IdempotencyKey.deleteOne(lease)
+            : IdempotencyKey.updateOne(lease, {
+                $set: {
+                    state: 'completed',
+                    statusCode,
+                    body: JSON.parse(JSON.stringify(body ?? null))
+                },
+                $unset: { lockedUntil: 1 }
+            });
+        save.catch(error => console.error('Idempotency key save error:', error));
+    };
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+        body = payload;
+        responded = true;
+        const result = json(payload);
+        // The client went away before the handler finished - 'finish' won't fire
+        if (closedEarly) settle();
+        return result;
+    };
+
+    res.on('finish', settle);
+    res.on('close', () => {
+        // Still running after the client disconnected - settle when it responds,
+        // or leave the record to the lease if it never does
+        if (res.writableFinished || responded) {
+            settle();
+        } else {
+            closedEarly = true;
+        }
+    });
+};
+
+/**
+ * Replay the stored response when a request is retried with the same
+ * Idempotency-Key header. Requests without the header run normally.
+ * Must come after `protect` - keys are scoped per user.
+ * @param {String} scope - Name of the operation, e.g. 'ride-accept'
+ */
+const idempotency = (scope) => {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) {
+            return next();
+        }
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+            });
+        }
+
+        const request = `${req.method} ${req.originalUrl}`;
+
+        try {
+            let record;
+            try {
+                record = await IdempotencyKey.create({
+                    key,
+                    user: req.user.id,
+                    scope,
+                    request,
+                    lockedUntil: new Date(Date.now() + PROCESSING_LEASE_MS),
+                    expiresAt: new Date(Date.now() + KEY_TTL_MS)
+                });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+
+                // Key seen before - replay, or report that the first attempt is still running
+                const existing = await IdempotencyKey.findOne({ key, user: req.user.id, scope });
+                if (!existing) {
+                    return res.status(409).json({
+                        message: 'A request with this Idempotency-Key is still being processed'
+                    });
+                }
+                if (existing.request !== request) {
+                    return res.status(422).json({
+                        message: 'This Idempotency-Key was already used for a different request'
+                    });
+                }
+                if (existing.state === 'completed') {
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(existing.statusCode).json(existing.body);
+                }
+
+                // An attempt whose lease has run out never finished (e.g. the
+                // process died), so this request takes it over
+                record = await takeOverExpired(existing);
+                if (!record) {
+                    return res.status(409).json({
+                        message: 'A request with this Idempotency-Key is still being processed'
+                    });
+                }
+            }
+
+            storeResponse(res, record);
+            next();
+        } catch (error) {
+            console.error('Idempotency error:', error);
+            res.status(500).json({
+                message: 'Server error'
+            });
+        }
+    };
+};
+
+module.exports = idempotency;
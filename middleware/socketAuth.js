@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const { authenticateToken } = require('./auth');
+
+/**
+ * Read the JWT from the handshake: `auth: { token }` or a Bearer Authorization header
+ */
+const getHandshakeToken = (socket) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+
+    if (auth.token) {
+        return String(auth.token).replace(/^Bearer\s+/i, '');
+    }
+    if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+        return headers.authorization.split(' ')[1];
+    }
+    return null;
+};
+
+const connectionError = (message, status) => {
+    const error = new Error(message);
+    error.data = { status };
+    return error;
+};
+
+/**
+ * Socket.io middleware - authenticates the connection with the same JWT and
+ * session checks as `protect` and attaches the user to the socket
+ */
+const socketAuth = async (socket, next) => {
+    const token = getHandshakeToken(socket);
+
+    if (!token) {
+        return next(connectionError('Not authorized, no token', 401));
+    }
+
+    try {
+        socket.user = await authenticateToken(token);
+        socket.userId = String(socket.user._id);
+        // Role held in each ride/delivery room joined, e.g. 'ride-<id>' => 'driver'
+        socket.data.tripRoles = new Map();
+        next();
+    } catch (error) {
+        if (!error.status) {
+            console.error('Socket auth error:', error);
+        }
+        next(connectionError(error.status ? error.message : 'Not authorized, token failed', error.status || 401));
+    }
+};
+
+const isDriverUser = (user) => user.isDriver || user.role === 'driver';
+
+const sameId = (a, b) => !!a && String(a._id || a) === String(b);
+
+/**
+ * Work out how a user takes part in a ride or delivery
+ * @param {Object} user - Authenticated user
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} id - Ride or Delivery ID
+ * @returns {String|null} 'driver', 'rider', 'courier', 'customer', 'admin' or null
+ */
+const getTripRole = async (user, kind, id) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const userId = String(user._id);
+
+    if (kind === 'ride') {
+        const ride = await Ride.findById(id).select('rider driver splitFare.participants.user splitFare.participants.status');
+        if (!ride) return null;
+
+        if (sameId(ride.driver, userId)) return 'driver';
+        if (sameId(ride.rider, userId) ||
+            (ride.splitFare?.participants || []).some(participant => sameId(participant.user, userId) && participant.status !== 'declined')) {
+            return 'rider';
+        }
+    } else if (kind === 'delivery') {
+        const delivery = await Delivery.findById(id).select('customer courier');
+        if (!delivery) return null;
+
+        if (sameId(delivery.courier, userId)) return 'courier';
+        if (sameId(delivery.customer, userId)) return 'customer';
+    } else {
+        return null;
+    }
+
+    return user.role === 'admin' ? 'admin' : null;
+};
+
+/**
+ * Decide whether a socket may join a room
+ * @param {Object} socket - Authenticated socket
+ * @param {String} room - Room name
+ * @returns {String|null} Role the user holds in the room, or null if not allowed
+ */
+const authorizeRoom = async (socket, room) => {
+    const { user, userId } = socket;
+    if (!user || typeof room !== 'string') return null;
+
+    if (room === 'admin') {
+        return user.role === 'admin' ? 'admin' : null;
+    }
+    if (room.startsWith('driver-')) {
+        return room === `driver-${userId}` && isDriverUser(user) ? 'driver' : null;
+    }
+    if (room.startsWith('courier-')) {
+        return room === `courier-${userId}` && user.isCourier ? 'courier' : null;
+    }
+    if (room.startsWith('ride-')) {
+        return getTripRole(user, 'ride', room.replace('ride-', ''));
+    }
+    if (room.startsWith('delivery-')) {
+        return getTripRole(user, 'delivery', room.replace('delivery-', ''));
+    }
+    return null;
+};
+
+/**
+ * Join a room if the socket is allowed to, remembering its role in trip rooms
+ * @param {Object} socket - Authenticated socket
+ * @param {String} room - Room name
+ * @returns {String|null} Role held in the room, or null if the join was refused
+ */
+const joinAuthorizedRoom = async (socket, room) => {
+    const role = await authorizeRoom(socket, room);
+    if (!role) {
+        console.warn(`🚫 User ${socket.userId} is not allowed to join ${room} (socket: ${socket.id})`);
+        return null;
+    }
+
+    socket.join(room);
+    if (room.startsWith('ride-') || room.startsWith('delivery-')) {
+        socket.data.tripRoles.set(room, role);
+    }
+    return role;
+};
+
+/**
+ * Whether the socket still takes part in a trip with one of the given roles.
+ * The role is checked against the current ride/delivery, since the driver,
+ * courier or split riders can change after the room was joined; a socket
+ * that no longer takes part at all is removed from the room.
+ * @param {Object} socket - Authenticated socket
+ * @param {String} room - 'ride-<id>' or 'delivery-<id>'
+ * @param {Array} roles - Allowed roles
+ * @returns {Boolean}
+ */
+const verifyTripRole = async (socket, room, roles) => {
+    if (!roles.includes(socket.data.tripRoles?.get(room))) return false;
+
+    const role = await authorizeRoom(socket, room);
+    if (!role) {
+        console.warn(`🚫 User ${socket.userId} no longer takes part in ${room} - removing socket ${socket.id}`);
+        socket.data.tripRoles.delete(room);
+        socket.leave(room);
+        return false;
+    }
+
+    socket.data.tripRoles.set(room, role);
+    return roles.includes(role);
+};
+
+module.exports = {
+    socketAuth,
+    getTripRole,
+    authorizeRoom,
+    joinAuthorizedRoom,
+    verifyTripRole
+};
@@ -1,4 +1,138 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/location');
+
+// Fare split into its parts (see toFareBreakdown in utils/pricing.js)
+const fareBreakdownSchema = new mongoose.Schema({
+  baseFare: Number,
+  distanceFare: Number,
+  timeFare: Number,
+  weightSurcharge: Number,
+  fragileSurcharge: Number,
+  insuranceFee: Number,
+  subtotal: Number,
+  surgeMultiplier: Number,
+  surgeAmount: Number,
+  minimumFareAdjustment: Number,
+  bookingFee: Number,
+  airportSurcharge: Number,
+  waitCharge: Number,
+  discount: Number,
+  serviceFee: Number,
+  vat: Number,
+  total: Number,
+  currency: {
+    type: String,
+    default: 'ZAR'
+  }
+}, { _id: false });
+
+// Driver/courier share of the trip, set when it completes or a cancellation fee is charged (see services/earnings.js)
+const tripEarningsSchema = new mongoose.Schema({
+  fare: Number,
+  cancellationFee: Number,
+  commissionPercent: Number,
+  commission: Number,
+  tip: {
+    type: Number,
+    default: 0
+  },
+  // fare + cancellationFee - commission + tip
+  net: Number,
+  // Cash the courier took from the customer, already in their pocket
+  cashCollected: {
+    type: Number,
+    default: 0
+  },
+  // net - cashCollected, what this trip adds to the next payout (negative when commission is owed)
+  payable: Number,
+  postedAt: Date
+}, { _id: false });
+
+// Assignee position recorded while the trip is metered (see services/tripMetering.js)
+const trailPointSchema = new mongoose.Schema({
+  latitude: Number,
+  longitude: Number,
+  at: Date
+}, { _id: false });
+
+// How a parcel was handed over: the recipient's PIN, their signature, or an
+// override with a photo and reason (see services/handoff.js)
+const handoffSchema = new mongoose.Schema({
+  pinHash: {
+    type: String,
+    select: false
+  },
+  pinSentAt: Date,
+  pinSends: {
+    type: Number,
+    default: 0
+  },
+  pinAttempts: {
+    type: Number,
+    default: 0
+  },
+  method: {
+    type: String,
+    enum: ['pin', 'signature', 'override']
+  },
+  verifiedAt: Date,
+  signatureUrl: String,
+  overrideReason: String,
+  overridePhotoUrl: String,
+  overriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// One recipient's parcel in a batch delivery (see services/deliveryBatches.js)
+const dropoffSchema = new mongoose.Schema({
+  // Position in the courier's planned route, from 1
+  sequence: Number,
+  address: String,
+  latitude: Number,
+  longitude: Number,
+  recipientName: String,
+  recipientPhone: String,
+  instructions: String,
+  itemDescription: String,
+  itemWeight: {
+    type: Number,
+    default: 0
+  },
+  itemValue: {
+    type: Number,
+    default: 0
+  },
+  isFragile: {
+    type: Boolean,
+    default: false
+  },
+  requiresSignature: {
+    type: Boolean,
+    default: false
+  },
+  // Each drop-off finishes on its own, so a failed one doesn't hold up the rest
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  failureReason: String,
+  failureNote: String,
+  // Proof of delivery for this parcel
+  proof: {
+    photoUrl: String,
+    signatureUrl: String,
+    receivedBy: String
+  },
+  handoff: {
+    type: handoffSchema,
+    default: () => ({})
+  },
+  deliveredAt: Date,
+  failedAt: Date
+});
 
 const deliverySchema = new mongoose.Schema({
   customer: {
@@ -16,20 +150,46 @@ const deliverySchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number
   },
+  // GeoJSON copy of pickupLocation for 2dsphere queries (kept in sync on save)
+  pickupPoint: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  // For batches, the last drop-off
   deliveryLocation: {
     address: String,
     latitude: Number,
     longitude: Number
   },
+  // One pickup with several drop-offs, kept in the order the courier makes them
+  isBatch: {
+    type: Boolean,
+    default: false
+  },
+  dropoffs: [dropoffSchema],
+  // Distance and time of each leg as priced: pickup to the first drop-off, and between drop-offs
+  legs: [{
+    _id: false,
+    distanceKm: Number,
+    durationMinutes: Number
+  }],
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled'],
+    enum: ['scheduled', 'pending', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled'],
     default: 'pending'
   },
   fare: {
     type: Number,
     default: 0
   },
+  // Fare as priced at booking
+  fareBreakdown: fareBreakdownSchema,
   distance: {
     type: Number,
     default: 0
@@ -38,7 +198,23 @@ const deliverySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  // Delivery-specific fields
+  // Price table version the fare was calculated with (see services/pricing.js)
+  priceVersion: {
+    config: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PricingConfig',
+      default: null
+    },
+    version: Number,
+    city: String
+  },
+  // Quote the fare was locked from (see services/quotes.js)
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  // Delivery-specific fields (for batches, the totals over every drop-off)
   itemDescription: {
     type: String,
     required: true
@@ -51,6 +227,10 @@ const deliverySchema = new mongoose.Schema({
     type: Number,
     default: 0 // in Rands
   },
+  isFragile: {
+    type: Boolean,
+    default: false
+  },
   deliveryType: {
     type: String,
     enum: ['standard', 'express', 'scheduled'],
@@ -68,12 +248,22 @@ const deliverySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Checked before the delivery can be marked delivered (batches check each drop-off instead)
+  handoff: {
+    type: handoffSchema,
+    default: () => ({})
+  },
   photoProof: [{
     url: String,
     timestamp: Date,
     type: {
       type: String,
-      enum: ['pickup', 'delivery', 'damage']
+      enum: ['pickup', 'delivery', 'damage', 'signature']
+    },
+    // Batch drop-off the photo is for
+    dropoff: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: undefined
     }
   }],
   paymentMethod: {
@@ -81,24 +271,133 @@ const deliverySchema = new mongoose.Schema({
     enum: ['card', 'cash', 'ewallet'],
     default: 'card'
   },
+  // Mirrors the card payment (see services/payments.js)
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'authorized', 'paid', 'partially_refunded', 'refunded', 'voided', 'failed'],
     default: 'pending'
   },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Added by the customer after the trip, paid in full to the courier
+  tip: {
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed']
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    at: Date
+  },
+  earnings: tripEarningsSchema,
   courierLocation: {
     latitude: Number,
     longitude: Number,
     timestamp: Date
   },
+  locationTrail: {
+    type: [trailPointSchema],
+    select: false
+  },
   estimatedArrival: {
     type: Number,
     default: 0
   },
+  // Dispatch - who was offered this delivery and how they responded
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['idle', 'searching', 'assigned', 'exhausted', 'cancelled'],
+      default: 'idle'
+    },
+    round: {
+      type: Number,
+      default: 0
+    },
+    startedAt: Date,
+    finishedAt: Date
+  },
+  offers: [{
+    courier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    round: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+      default: 'pending'
+    },
+    offeredAt: Date,
+    expiresAt: Date,
+    respondedAt: Date,
+    declineReason: String,
+    distanceKm: Number,
+    etaMinutes: Number,
+    score: Number
+  }],
+  acceptedAt: Date,
   pickedUpAt: Date,
+  inTransitAt: Date,
   deliveredAt: Date,
   cancelledAt: Date,
   cancellationReason: String,
+  cancelledBy: {
+    type: String,
+    enum: ['customer', 'courier', 'admin', 'system']
+  },
+  // Fee for a late customer cancellation (see services/cancellation.js)
+  cancellationFee: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'ZAR'
+    },
+    policy: String,
+    explanation: String,
+    chargedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    creditedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'charged', 'waived'],
+      default: 'none'
+    }
+  },
+  // Every status change, appended by services/tripLifecycle
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorRole: {
+      type: String,
+      enum: ['customer', 'courier', 'admin', 'system']
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   rating: {
     customer: {
       stars: Number,
@@ -134,6 +433,24 @@ const deliverySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Fare recalculated at completion from the recorded trip
+  finalFareBreakdown: fareBreakdownSchema,
+  tripMetrics: {
+    distanceKm: Number,
+    // 'trail' when the recorded location trail was used, 'route' when it was too sparse
+    distanceSource: {
+      type: String,
+      enum: ['trail', 'route']
+    },
+    durationMinutes: Number,
+    waitMinutes: Number,
+    chargeableWaitMinutes: Number,
+    // 'quote' when the trip stayed close to its quote and the quoted fare was kept
+    pricedOn: {
+      type: String,
+      enum: ['quote', 'actual']
+    }
+  },
   receipt: {
     receiptNumber: String,
     generatedAt: Date,
@@ -143,5 +460,16 @@ const deliverySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Geospatial index for pending delivery searches near a courier
+deliverySchema.index({ pickupPoint: '2dsphere' });
+
+// Keep the GeoJSON pickup point in sync with pickupLocation
+deliverySchema.pre('save', function(next) {
+  if (this.isModified('pickupLocation')) {
+    this.pickupPoint = toGeoPoint(this.pickupLocation);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Delivery', deliverySchema);
 
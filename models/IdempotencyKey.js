@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Stored responses for requests sent with an Idempotency-Key header,
+// so a client retry gets the original result instead of running twice
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  // Method and URL the key was first used with
+  request: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // Lease of the attempt that is processing the request - once it passes,
+  // a retry may take the request over
+  lockedUntil: Date,
+  statusCode: Number,
+  body: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
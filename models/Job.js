@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Background work that has to survive restarts (see services/jobRunner.js)
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // What the job belongs to, e.g. 'ride:<id>', so related jobs can be cancelled together
+  reference: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Copy of reference for jobs scheduled with { unique: true }, which may
+  // only be stored once (e.g. the surge update for one interval)
+  uniqueReference: String,
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  lastError: String,
+  lockedAt: Date,
+  lockedBy: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueReference: 1 }, { unique: true, partialFilterExpression: { uniqueReference: { $exists: true } } });
+// Recurring jobs (e.g. surge updates every minute) would otherwise pile up
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One balanced posting to the double-entry ledger (see services/ledger.js).
+// Transactions are only ever added - a mistake is corrected with a new,
+// reversing transaction. Amounts are in cents.
+const postingSchema = new mongoose.Schema({
+  // e.g. 'wallet:<userId>', 'earnings:<userId>', 'provider:mock', 'platform:trips'
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['topup', 'trip_payment', 'cancellation_fee', 'refund', 'promo_credit', 'adjustment', 'earning', 'tip', 'payout', 'payout_reversal', 'debt_settlement'],
+    required: true
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: postings => postings.length >= 2 &&
+        postings.reduce((sum, posting) => sum + posting.debit - posting.credit, 0) === 0,
+      message: 'Ledger postings must balance'
+    }
+  },
+  // Natural key of what caused the transaction (e.g. 'topup:<paymentId>'), so it is only posted once
+  reference: {
+    type: String,
+    default: undefined
+  },
+  // '<account>#<n>' for each wallet touched - two postings can't both take the same turn
+  sequences: {
+    type: [String],
+    default: undefined
+  },
+  description: String,
+  // Trip, payment or promo the transaction relates to
+  kind: {
+    type: String,
+    enum: ['ride', 'delivery']
+  },
+  job: mongoose.Schema.Types.ObjectId,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerTransactionSchema.index({ 'postings.account': 1, createdAt: -1 });
+ledgerTransactionSchema.index({ reference: 1 }, { unique: true, sparse: true });
+ledgerTransactionSchema.index({ sequences: 1 }, { unique: true, sparse: true });
+ledgerTransactionSchema.index({ kind: 1, job: 1 });
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
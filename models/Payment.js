@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// One card payment: a ride or delivery fare authorised at booking and
+// captured (or voided) when the trip ends, a tip, a wallet top-up or a
+// commission debt payment.
+// Trip payments may be refunded later. Amounts are in Rands.
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['ride', 'delivery', 'wallet', 'earnings'],
+    required: true
+  },
+  // Ride or Delivery ID (not set for wallet top-ups or debt payments)
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  // 'trip' holds the fare from booking; 'adjustment' charges a final fare above the hold;
+  // 'debt_settlement' is a driver/courier paying commission owed on cash trips;
+  // 'split' is someone else's share of a ride's split fare
+  purpose: {
+    type: String,
+    enum: ['trip', 'adjustment', 'topup', 'tip', 'debt_settlement', 'split'],
+    default: 'trip'
+  },
+  // Trip payment an 'adjustment' charges the rest of the final fare for (one per trip payment)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Driver/courier a tip is paid to
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Provider module in services/paymentProviders
+  provider: {
+    type: String,
+    required: true
+  },
+  // Saved card (User.paymentMethods entry) the payment was made with
+  paymentMethod: mongoose.Schema.Types.ObjectId,
+  // Provider's ID for the authorisation, used for capture/void/refund
+  providerReference: String,
+  status: {
+    type: String,
+    enum: ['pending', 'authorized', 'capturing', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'],
+    default: 'pending'
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  capturedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'ZAR'
+  },
+  failureReason: String,
+  // Every provider result and webhook, oldest first
+  events: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['authorized', 'captured', 'voided', 'refunded', 'failed', 'pending']
+    },
+    amount: Number,
+    // Provider's ID for this operation - webhooks for operations already recorded are skipped
+    transactionId: String,
+    source: {
+      type: String,
+      enum: ['api', 'webhook']
+    },
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerReference: 1 });
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ parent: 1 }, { unique: true, partialFilterExpression: { parent: { $exists: true } } });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One week's payouts to drivers and couriers (see services/earnings.js).
+// Each item has already been taken out of the payee's ledger balance; a
+// failed item is put back. Amounts are in Rands.
+const payoutItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: String,
+  // Copy of the default banking details when the batch was generated
+  bankName: String,
+  accountHolderName: String,
+  accountNumber: String,
+  accountType: String,
+  branchCode: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  failureReason: String
+}, { _id: false });
+
+const payoutBatchSchema = new mongoose.Schema({
+  // Monday 00:00 (SAST) the week starts - one batch per week
+  weekStart: {
+    type: Date,
+    required: true,
+    unique: true
+  },
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+  // 'generating' until every payee has been added - a run that stopped
+  // partway is finished by the next one for the same week
+  status: {
+    type: String,
+    enum: ['generating', 'pending', 'exported', 'paid'],
+    default: 'pending'
+  },
+  items: [payoutItemSchema],
+  // Payees with a balance due but no banking details - paid once they add them
+  skipped: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number,
+    reason: String
+  }],
+  total: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'ZAR'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  exportedAt: Date,
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ 'items.user': 1, weekStart: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
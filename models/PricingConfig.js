@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Rates for one ride type / delivery type
+const classRatesSchema = new mongoose.Schema({
+  vehicleClass: {
+    type: String,
+    required: true
+  },
+  baseFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  perKm: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  perMinute: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Waiting at pickup, charged after the grace period
+  waitPerMinute: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minimumFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  bookingFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// One published version of a price table. Versions are never edited once
+// they take effect - changing prices means creating a new version.
+const pricingConfigSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['ride', 'delivery'],
+    required: true
+  },
+  // City ID from config/matching.js, or null for the national table
+  city: {
+    type: String,
+    default: null
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  classes: [classRatesSchema],
+  serviceFeePercent: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  vatPercent: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  airportSurcharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  waitGraceMinutes: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  // Fees when the rider/customer cancels; unset values use the built-in policy
+  cancellation: {
+    freeWindowMinutes: { type: Number, min: 0 },
+    enRouteAfterMinutes: { type: Number, min: 0 },
+    enRouteFee: { type: Number, min: 0 },
+    noShowWaitMinutes: { type: Number, min: 0 },
+    noShowFee: { type: Number, min: 0 }
+  },
+  // Delivery-only surcharges
+  weightFreeKg: Number,
+  weightRatePerKg: Number,
+  fragileSurcharge: Number,
+  insurancePercent: Number,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pricingConfigSchema.index({ kind: 1, city: 1, version: 1 }, { unique: true });
+pricingConfigSchema.index({ kind: 1, city: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('PricingConfig', pricingConfigSchema);
@@ -12,9 +12,10 @@ const promoCodeSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // 'wallet_credit' codes are redeemed into the wallet rather than taken off a fare
   discountType: {
     type: String,
-    enum: ['percentage', 'fixed'],
+    enum: ['percentage', 'fixed', 'wallet_credit'],
     required: true
   },
   discountValue: {
@@ -74,7 +75,7 @@ promoCodeSchema.methods.isValid = function() {
 
 // Method to calculate discount
 promoCodeSchema.methods.calculateDiscount = function(fare) {
-  if (!this.isValid() || fare < this.minFare) {
+  if (!this.isValid() || fare < this.minFare || this.discountType === 'wallet_credit') {
     return 0;
   }
 
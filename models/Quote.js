@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const locationSchema = {
+  address: String,
+  latitude: Number,
+  longitude: Number
+};
+
+// A priced trip the user was shown. Creating the ride/delivery with the
+// quote ID charges exactly this fare, as long as it hasn't expired.
+const quoteSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['ride', 'delivery'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pickupLocation: locationSchema,
+  // Dropoff for rides, delivery location for deliveries
+  destination: locationSchema,
+  // Stops before the destination, in order: a ride's waypoints or a delivery batch's earlier drop-offs
+  waypoints: [{
+    _id: false,
+    ...locationSchema,
+    order: Number
+  }],
+  // Distance and time of each leg: pickup to the first stop, ..., last stop to the destination
+  legs: [{
+    _id: false,
+    distanceKm: Number,
+    durationMinutes: Number
+  }],
+  // Set when re-quoting a ride's stops mid-trip (see services/waypoints.js)
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  // Options the fare depends on (rideType, or deliveryType/itemWeight/...)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  distanceKm: {
+    type: Number,
+    default: 0
+  },
+  durationMinutes: {
+    type: Number,
+    default: 0
+  },
+  routeProvider: String,
+  fare: {
+    type: Number,
+    required: true
+  },
+  fareDetails: mongoose.Schema.Types.Mixed,
+  // Surge applied when the fare was priced (see services/surge.js)
+  surge: {
+    multiplier: {
+      type: Number,
+      default: 1
+    },
+    cellId: String,
+    source: {
+      type: String,
+      enum: ['demand', 'override', 'none'],
+      default: 'none'
+    }
+  },
+  // Price table version the fare was calculated with (see services/pricing.js)
+  priceVersion: {
+    config: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PricingConfig',
+      default: null
+    },
+    version: Number,
+    city: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Keep expired quotes for a day for support queries, then drop them
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -1,4 +1,58 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/location');
+
+// Fare split into its parts (see toFareBreakdown in utils/pricing.js)
+const fareBreakdownSchema = new mongoose.Schema({
+  baseFare: Number,
+  distanceFare: Number,
+  timeFare: Number,
+  subtotal: Number,
+  surgeMultiplier: Number,
+  surgeAmount: Number,
+  minimumFareAdjustment: Number,
+  bookingFee: Number,
+  airportSurcharge: Number,
+  waitCharge: Number,
+  discount: Number,
+  // Off the solo fare for sharing the car (see services/pooling.js)
+  poolDiscount: Number,
+  serviceFee: Number,
+  vat: Number,
+  total: Number,
+  currency: {
+    type: String,
+    default: 'ZAR'
+  }
+}, { _id: false });
+
+// Driver/courier share of the trip, set when it completes or a cancellation fee is charged (see services/earnings.js)
+const tripEarningsSchema = new mongoose.Schema({
+  fare: Number,
+  cancellationFee: Number,
+  commissionPercent: Number,
+  commission: Number,
+  tip: {
+    type: Number,
+    default: 0
+  },
+  // fare + cancellationFee - commission + tip
+  net: Number,
+  // Cash the driver took from the rider, already in their pocket
+  cashCollected: {
+    type: Number,
+    default: 0
+  },
+  // net - cashCollected, what this trip adds to the next payout (negative when commission is owed)
+  payable: Number,
+  postedAt: Date
+}, { _id: false });
+
+// Assignee position recorded while the trip is metered (see services/tripMetering.js)
+const trailPointSchema = new mongoose.Schema({
+  latitude: Number,
+  longitude: Number,
+  at: Date
+}, { _id: false });
 
 const rideSchema = new mongoose.Schema({
   rider: {
@@ -16,6 +70,17 @@ const rideSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number
   },
+  // GeoJSON copy of pickupLocation for 2dsphere queries (kept in sync on save)
+  pickupPoint: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   dropoffLocation: {
     address: String,
     latitude: Number,
@@ -23,13 +88,15 @@ const rideSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'driver_arrived', 'in_progress', 'completed', 'cancelled'],
+    enum: ['scheduled', 'pending', 'accepted', 'driver_arrived', 'in_progress', 'completed', 'cancelled'],
     default: 'pending'
   },
   fare: {
     type: Number,
     default: 0
   },
+  // Fare as priced at booking
+  fareBreakdown: fareBreakdownSchema,
   distance: {
     type: Number,
     default: 0
@@ -38,6 +105,35 @@ const rideSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Surge applied when the fare was priced (see services/surge.js)
+  surge: {
+    multiplier: {
+      type: Number,
+      default: 1
+    },
+    cellId: String,
+    source: {
+      type: String,
+      enum: ['demand', 'override', 'none'],
+      default: 'none'
+    }
+  },
+  // Price table version the fare was calculated with (see services/pricing.js)
+  priceVersion: {
+    config: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PricingConfig',
+      default: null
+    },
+    version: Number,
+    city: String
+  },
+  // Quote the fare was locked from (see services/quotes.js)
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
   rideType: {
     type: String,
     enum: ['economy', 'comfort', 'premium', 'xl'],
@@ -48,24 +144,133 @@ const rideSchema = new mongoose.Schema({
     enum: ['card', 'cash', 'ewallet'],
     default: 'card'
   },
+  // Mirrors the card payment (see services/payments.js)
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'authorized', 'paid', 'partially_refunded', 'refunded', 'voided', 'failed'],
     default: 'pending'
   },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Added by the rider after the trip, paid in full to the driver
+  tip: {
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed']
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    at: Date
+  },
+  earnings: tripEarningsSchema,
   driverLocation: {
     latitude: Number,
     longitude: Number,
     timestamp: Date
   },
+  locationTrail: {
+    type: [trailPointSchema],
+    select: false
+  },
   estimatedArrival: {
     type: Number,
     default: 0
   },
+  // Dispatch - who was offered this ride and how they responded
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['idle', 'searching', 'assigned', 'exhausted', 'cancelled'],
+      default: 'idle'
+    },
+    round: {
+      type: Number,
+      default: 0
+    },
+    startedAt: Date,
+    finishedAt: Date
+  },
+  offers: [{
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    round: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+      default: 'pending'
+    },
+    offeredAt: Date,
+    expiresAt: Date,
+    respondedAt: Date,
+    declineReason: String,
+    distanceKm: Number,
+    etaMinutes: Number,
+    score: Number
+  }],
+  acceptedAt: Date,
+  arrivedAt: Date,
   startedAt: Date,
   completedAt: Date,
   cancelledAt: Date,
   cancellationReason: String,
+  cancelledBy: {
+    type: String,
+    enum: ['rider', 'driver', 'admin', 'system']
+  },
+  // Fee for a late rider cancellation (see services/cancellation.js)
+  cancellationFee: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'ZAR'
+    },
+    policy: String,
+    explanation: String,
+    chargedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    creditedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'charged', 'waived'],
+      default: 'none'
+    }
+  },
+  // Every status change, appended by services/tripLifecycle
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorRole: {
+      type: String,
+      enum: ['rider', 'driver', 'admin', 'system']
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   rating: {
     rider: {
       stars: Number,
@@ -99,11 +304,25 @@ const rideSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Stops between pickup and dropoff, visited in order (see services/waypoints.js)
   waypoints: [{
     address: String,
     latitude: Number,
     longitude: Number,
-    order: Number
+    order: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'arrived', 'completed'],
+      default: 'pending'
+    },
+    arrivedAt: Date,
+    completedAt: Date
+  }],
+  // Distance and time of each leg as priced: pickup to the first stop, ..., last stop to dropoff
+  legs: [{
+    _id: false,
+    distanceKm: Number,
+    durationMinutes: Number
   }],
   promoCode: {
     type: String,
@@ -117,6 +336,25 @@ const rideSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Fare recalculated at completion from the recorded trip
+  finalFareBreakdown: fareBreakdownSchema,
+  tripMetrics: {
+    distanceKm: Number,
+    // 'trail' when the recorded location trail was used, 'route' when it was too sparse
+    distanceSource: {
+      type: String,
+      enum: ['trail', 'route']
+    },
+    durationMinutes: Number,
+    waitMinutes: Number,
+    chargeableWaitMinutes: Number,
+    // 'quote' when the trip stayed close to its quote and the quoted fare was kept,
+    // 'pool' for pooled rides, which keep their booked (detour-discounted) fare
+    pricedOn: {
+      type: String,
+      enum: ['quote', 'actual', 'pool']
+    }
+  },
   receipt: {
     receiptNumber: String,
     generatedAt: Date,
@@ -175,52 +413,110 @@ const rideSchema = new mongoose.Schema({
     phone: String,
     notifiedAt: Date
   }],
-  // Ride Pooling
+  // Ride Pooling - shares a driver with other pooled bookings (see services/pooling.js)
   isPooled: {
     type: Boolean,
     default: false
   },
-  poolRiders: [{
-    rider: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    pickupLocation: {
-      address: String,
-      latitude: Number,
-      longitude: Number
-    },
-    dropoffLocation: {
-      address: String,
-      latitude: Number,
-      longitude: Number
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RidePool',
+    default: null
+  },
+  pooling: {
+    seats: {
+      type: Number,
+      default: 1
     },
-    fare: Number,
-    joinedAt: Date
-  }],
+    // What the ride would cost on its own
+    soloFare: Number,
+    // Estimated in-car minutes going straight there, and with the pool's current stops
+    directMinutes: Number,
+    plannedMinutes: Number,
+    discountPercent: Number,
+    // Stops held in an active pool while its driver is offered the booking
+    joining: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Riders added through the old POST /api/rides/:id/pool, moved here by
+  // scripts/migrate-pool-riders.js. Read only; new pooled riders book their own ride.
+  legacyPoolRiders: [mongoose.Schema.Types.Mixed],
   // Split Fare
+  // People invited to share the fare (see services/splitFare.js). Declined,
+  // unanswered and failed shares fall back to the rider.
   splitFare: {
     enabled: {
       type: Boolean,
       default: false
     },
+    // How participant shares are set: equal, a percent each or a fixed amount each
+    shareType: {
+      type: String,
+      enum: ['equal', 'percent', 'amount'],
+      default: 'equal'
+    },
     participants: [{
+      // Set once the invitee is (or becomes) a Mzansi user
       user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      name: String,
+      phone: String,
+      email: String,
+      // SHA-256 of the code sent to people who aren't users yet
+      inviteCodeHash: String,
+      status: {
+        type: String,
+        enum: ['invited', 'accepted', 'declined', 'expired', 'failed'],
+        default: 'invited'
+      },
+      percent: Number,
+      // Fixed share, or the share charged once the ride is over
       amount: Number,
+      paymentMethod: {
+        type: String,
+        enum: ['card', 'ewallet']
+      },
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      },
       paid: {
         type: Boolean,
         default: false
       },
-      paidAt: Date
+      paidAt: Date,
+      failureReason: String,
+      invitedAt: Date,
+      respondedAt: Date
     }],
-    totalAmount: Number
+    totalAmount: Number,
+    // What the rider paid after everyone else's share
+    riderAmount: Number,
+    settledAt: Date
   }
 }, {
   timestamps: true
 });
 
+// Geospatial index for pending ride searches near a driver
+rideSchema.index({ pickupPoint: '2dsphere' });
+
+// Open split-fare invitations for a user, or for a phone/email they sign up with
+rideSchema.index({ 'splitFare.participants.user': 1 });
+rideSchema.index({ 'splitFare.participants.phone': 1 });
+rideSchema.index({ 'splitFare.participants.email': 1 });
+
+// Keep the GeoJSON pickup point in sync with pickupLocation
+rideSchema.pre('save', function(next) {
+  if (this.isModified('pickupLocation')) {
+    this.pickupPoint = toGeoPoint(this.pickupLocation);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Ride', rideSchema);
 
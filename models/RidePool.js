@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A stop the pool's driver still has to make, or has made, for one booking
+const poolStopSchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['pickup', 'dropoff'],
+    required: true
+  },
+  location: {
+    address: String,
+    latitude: Number,
+    longitude: Number
+  },
+  seats: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'cancelled'],
+    default: 'pending'
+  },
+  // Planned arrival, updated whenever the stops are re-ordered
+  eta: Date,
+  doneAt: Date
+}, { _id: false });
+
+// Pooled rides sharing one driver (see services/pooling.js). Each booking
+// is its own Ride; the pool holds the order the driver visits their stops.
+const ridePoolSchema = new mongoose.Schema({
+  rideType: {
+    type: String,
+    enum: ['economy', 'comfort', 'premium', 'xl'],
+    required: true
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // forming: first booking still being dispatched; active: has a driver and takes new riders
+  status: {
+    type: String,
+    enum: ['forming', 'active', 'completed'],
+    default: 'forming'
+  },
+  seatCapacity: {
+    type: Number,
+    required: true
+  },
+  rides: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  }],
+  // Pending stops are kept in the order the driver should make them
+  stops: [poolStopSchema],
+  // Bumped on every change so concurrent joins can't both take the last seat
+  revision: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+ridePoolSchema.index({ status: 1, rideType: 1 });
+ridePoolSchema.index({ driver: 1, status: 1 });
+
+module.exports = mongoose.model('RidePool', ridePoolSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Current surge for one grid cell (see services/surge.js)
+const surgeCellSchema = new mongoose.Schema({
+  cellId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  center: {
+    latitude: Number,
+    longitude: Number
+  },
+  // Pending rides and online drivers at the last update
+  demand: {
+    type: Number,
+    default: 0
+  },
+  supply: {
+    type: Number,
+    default: 0
+  },
+  // Multiplier from the last reading before smoothing
+  rawMultiplier: {
+    type: Number,
+    default: 1
+  },
+  multiplier: {
+    type: Number,
+    default: 1
+  },
+  override: {
+    multiplier: Number,
+    reason: String,
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SurgeCell', surgeCellSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { toGeoPoint } = require('../utils/location');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -83,6 +84,39 @@ const userSchema = new mongoose.Schema({
             latitude: Number,
             longitude: Number
         },
+        // GeoJSON copy of currentLocation for 2dsphere queries (kept in sync on save)
+        currentPoint: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined
+            }
+        },
+        // Connection heartbeat, used to take silent drivers offline automatically
+        presence: {
+            status: {
+                type: String,
+                enum: ['online', 'disconnected', 'offline'],
+                default: 'offline'
+            },
+            lastHeartbeatAt: Date,
+            lastLocationAt: Date,
+            disconnectedAt: Date,
+            offlineAt: Date,
+            offlineReason: {
+                type: String,
+                enum: ['manual', 'timeout', 'commission_debt', null],
+                default: null
+            },
+            // Taken offline by the server (not by the driver) - restored on reconnect
+            autoOffline: {
+                type: Boolean,
+                default: false
+            }
+        },
         rating: {
             type: Number,
             default: 0
@@ -90,7 +124,66 @@ const userSchema = new mongoose.Schema({
         totalRides: {
             type: Number,
             default: 0
-        }
+        },
+        // Dispatch offer history, used to rank candidates
+        offerStats: {
+            offered: {
+                type: Number,
+                default: 0
+            },
+            accepted: {
+                type: Number,
+                default: 0
+            },
+            declined: {
+                type: Number,
+                default: 0
+            },
+            expired: {
+                type: Number,
+                default: 0
+            }
+        },
+        // Assigned trips that were cancelled, by who cancelled them
+        cancellationStats: {
+            own: {
+                type: Number,
+                default: 0
+            },
+            byCustomer: {
+                type: Number,
+                default: 0
+            },
+            noShows: {
+                type: Number,
+                default: 0
+            }
+        },
+        // Rolling rates over the most recent offers/trips
+        acceptanceRate: {
+            type: Number,
+            default: 1
+        },
+        cancellationRate: {
+            type: Number,
+            default: 0
+        },
+        recentOffers: [{
+            _id: false,
+            outcome: {
+                type: String,
+                enum: ['accepted', 'declined', 'expired']
+            },
+            at: Date
+        }],
+        recentTrips: [{
+            _id: false,
+            outcome: {
+                type: String,
+                enum: ['completed', 'cancelled']
+            },
+            at: Date
+        }]
     },
     courierInfo: {
         vehicleType: {
@@ -113,6 +206,39 @@ const userSchema = new mongoose.Schema({
             latitude: Number,
             longitude: Number
         },
+        // GeoJSON copy of currentLocation for 2dsphere queries (kept in sync on save)
+        currentPoint: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined
+            }
+        },
+        // Connection heartbeat, used to take silent drivers offline automatically
+        presence: {
+            status: {
+                type: String,
+                enum: ['online', 'disconnected', 'offline'],
+                default: 'offline'
+            },
+            lastHeartbeatAt: Date,
+            lastLocationAt: Date,
+            disconnectedAt: Date,
+            offlineAt: Date,
+            offlineReason: {
+                type: String,
+                enum: ['manual', 'timeout', 'commission_debt', null],
+                default: null
+            },
+            // Taken offline by the server (not by the driver) - restored on reconnect
+            autoOffline: {
+                type: Boolean,
+                default: false
+            }
+        },
         averageRating: {
             type: Number,
             default: 0
@@ -120,7 +246,66 @@ const userSchema = new mongoose.Schema({
         totalDeliveries: {
             type: Number,
             default: 0
-        }
+        },
+        // Dispatch offer history, used to rank candidates
+        offerStats: {
+            offered: {
+                type: Number,
+                default: 0
+            },
+            accepted: {
+                type: Number,
+                default: 0
+            },
+            declined: {
+                type: Number,
+                default: 0
+            },
+            expired: {
+                type: Number,
+                default: 0
+            }
+        },
+        // Assigned trips that were cancelled, by who cancelled them
+        cancellationStats: {
+            own: {
+                type: Number,
+                default: 0
+            },
+            byCustomer: {
+                type: Number,
+                default: 0
+            },
+            noShows: {
+                type: Number,
+                default: 0
+            }
+        },
+        // Rolling rates over the most recent offers/trips
+        acceptanceRate: {
+            type: Number,
+            default: 1
+        },
+        cancellationRate: {
+            type: Number,
+            default: 0
+        },
+        recentOffers: [{
+            _id: false,
+            outcome: {
+                type: String,
+                enum: ['accepted', 'declined', 'expired']
+            },
+            at: Date
+        }],
+        recentTrips: [{
+            _id: false,
+            outcome: {
+                type: String,
+                enum: ['completed', 'cancelled']
+            },
+            at: Date
+        }]
     },
     rating: {
         type: Number,
@@ -136,6 +321,9 @@ const userSchema = new mongoose.Schema({
             enum: ['card', 'cash', 'ewallet'],
             required: true
         },
+        // Cards are stored by the payment provider; only its token is kept here
+        provider: String,
+        token: String,
         last4: String,
         brand: String,
         cardHolderName: String,
@@ -336,6 +524,21 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Geospatial indexes for nearby driver/courier searches
+userSchema.index({ 'driverInfo.currentPoint': '2dsphere' });
+userSchema.index({ 'courierInfo.currentPoint': '2dsphere' });
+
+// Keep GeoJSON points and location timestamps in sync with currentLocation
+userSchema.pre('save', function(next) {
+    ['driverInfo', 'courierInfo'].forEach(info => {
+        if (this.isModified(`${info}.currentLocation`)) {
+            this.set(`${info}.currentPoint`, toGeoPoint(this.get(`${info}.currentLocation`)));
+            this.set(`${info}.presence.lastLocationAt`, new Date());
+        }
+    });
+    next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
@@ -9,17 +9,48 @@ const {
     protect,
     authorize
 } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const {
-    calculateDistance,
-    calculateDeliveryFare,
     formatDistance,
     formatEstimatedTime
 } = require('../utils');
+const {
+    DECLINE_REASONS,
+    startDispatch,
+    declineOffer
+} = require('../services/dispatch');
+const {
+    getActorRole,
+    getAllowedTransitions,
+    transitionTrip,
+    acceptTrip
+} = require('../services/tripLifecycle');
+const {
+    parseScheduledFor,
+    scheduleTrip,
+    discardScheduledTrip
+} = require('../services/scheduledTrips');
+const {
+    getQuoteOptions,
+    createQuote,
+    priceNewTrip
+} = require('../services/quotes');
+const {
+    getBatchTrip,
+    getBatchView,
+    assertDropoffsFinished,
+    updateDropoffStatus,
+    addDropoffPhoto
+} = require('../services/deliveryBatches');
+const { MAX_BATCH_DROPOFFS, DROPOFF_FAILURE_REASONS } = require('../config/batches');
+const { resendHandoffPin, verifyHandoff } = require('../services/handoff');
+const { recordTripLocation } = require('../services/tripMetering');
+const { authorizeTripPayment, voidTripAuthorization, tipTrip } = require('../services/payments');
 
 const router = express.Router();
 
 // @route   POST /api/deliveries/calculate-fare
-// @desc    Calculate fare for a delivery
+// @desc    Quote the fare for a delivery (pass the returned quoteId when booking)
 // @access  Private
 router.post('/calculate-fare', protect, [
     body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
@@ -35,39 +66,84 @@ router.post('/calculate-fare', protect, [
             });
         }
 
-        const {
-            pickupLocation,
-            deliveryLocation,
-            deliveryType = 'standard',
-            itemWeight = 0,
-            isFragile,
-            itemValue,
-            promoDiscount
-        } = req.body;
+        const { pickupLocation, deliveryLocation } = req.body;
+        const options = getQuoteOptions('delivery', req.body);
 
-        // Calculate distance
-        const distance = calculateDistance(pickupLocation, deliveryLocation);
+        // Price on the road route and hold the price for the booking
+        const quote = await createQuote('delivery', req.user.id, {
+            pickupLocation,
+            destination: deliveryLocation,
+            options
+        });
 
-        // Calculate fare with all factors
-        const fareDetails = calculateDeliveryFare(distance, deliveryType, itemWeight, {
-            isFragile,
-            itemValue,
-            promoDiscount
+        res.json({
+            quoteId: quote._id,
+            expiresAt: quote.expiresAt,
+            fare: quote.fare,
+            fareDetails: quote.fareDetails,
+            distance: formatDistance(quote.distanceKm),
+            estimatedTime: formatEstimatedTime(quote.durationMinutes),
+            distanceKm: quote.distanceKm,
+            durationMinutes: quote.durationMinutes,
+            routeProvider: quote.routeProvider,
+            deliveryType: options.deliveryType,
+            currency: 'ZAR'
         });
+    } catch (error) {
+        console.error('Calculate delivery fare error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
 
-        // Calculate estimated time
-        const estimatedTime = calculateEstimatedTime(distance, deliveryType === 'express' ? 60 : 50);
+// @route   POST /api/deliveries/batch/calculate-fare
+// @desc    Quote one pickup with many drop-offs as a single trip (pass the returned quoteId when booking)
+// @access  Private
+router.post('/batch/calculate-fare', protect, [
+    body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
+    body('dropoffs').isArray({
+        max: MAX_BATCH_DROPOFFS
+    }).withMessage(`A batch can have at most ${MAX_BATCH_DROPOFFS} drop-offs`),
+    body('deliveryType').optional().isIn(['standard', 'express', 'scheduled']).withMessage('Invalid delivery type'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
+
+        // Drop-offs in driving order, priced along that route with every parcel on board
+        const { dropoffs, ...trip } = getBatchTrip(req.body);
+        const quote = await createQuote('delivery', req.user.id, trip);
 
         res.json({
-            fare: fareDetails.totalFare,
-            fareDetails,
-            distance: formatDistance(distance),
-            estimatedTime: formatEstimatedTime(estimatedTime),
-            deliveryType,
+            quoteId: quote._id,
+            expiresAt: quote.expiresAt,
+            fare: quote.fare,
+            fareDetails: quote.fareDetails,
+            distance: formatDistance(quote.distanceKm),
+            estimatedTime: formatEstimatedTime(quote.durationMinutes),
+            distanceKm: quote.distanceKm,
+            durationMinutes: quote.durationMinutes,
+            routeProvider: quote.routeProvider,
+            deliveryType: trip.options.deliveryType,
+            itemWeight: trip.options.itemWeight,
+            // In the order the courier will make them; legs[i] is the drive to dropoffs[i]
+            dropoffs,
+            legs: quote.legs,
             currency: 'ZAR'
         });
     } catch (error) {
-        console.error('Calculate delivery fare error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Calculate batch fare error:', error);
         res.status(500).json({
             message: 'Server error'
         });
@@ -127,6 +203,9 @@ router.post('/', protect, [
     body('itemDescription').notEmpty().withMessage('Item description is required'),
     body('deliveryType').optional().isIn(['standard', 'express', 'scheduled']).withMessage('Invalid delivery type'),
     body('paymentMethod').optional().isIn(['card', 'cash', 'ewallet']).withMessage('Invalid payment method'),
+    body('paymentMethodId').optional().isMongoId().withMessage('Invalid payment method ID'),
+    body('scheduledFor').optional({ values: 'null' }).isISO8601().withMessage('scheduledFor must be a valid date'),
+    body('quoteId').optional().isMongoId().withMessage('Invalid quote ID'),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -140,21 +219,24 @@ router.post('/', protect, [
             pickupLocation,
             deliveryLocation,
             itemDescription,
-            itemWeight = 0,
-            itemValue = 0,
-            deliveryType = 'standard',
             priority = 'normal',
             paymentMethod = 'card',
             specialInstructions,
             recipientName,
             recipientPhone,
             requiresSignature = false,
-            scheduledFor,
-            distance
+            quoteId
         } = req.body;
+        const scheduledFor = req.body.scheduledFor ? parseScheduledFor(req.body.scheduledFor) : null;
 
-        // Calculate fare
-        const fare = calculateDeliveryFare(pickupLocation, deliveryLocation, deliveryType, itemWeight);
+        // Charge the quoted fare, or price the road route now if there is no quote
+        const priced = await priceNewTrip('delivery', req.user.id, {
+            pickupLocation,
+            destination: deliveryLocation,
+            options: getQuoteOptions('delivery', req.body),
+            quoteId
+        });
+        const { deliveryType, itemWeight, itemValue } = priced.options;
 
         // Create delivery
         const delivery = new Delivery({
@@ -164,6 +246,7 @@ router.post('/', protect, [
             itemDescription,
             itemWeight,
             itemValue,
+            isFragile: !!priced.options.isFragile,
             deliveryType,
             priority,
             paymentMethod,
@@ -171,85 +254,174 @@ router.post('/', protect, [
             recipientName,
             recipientPhone,
             requiresSignature,
-            fare,
-            distance: distance || 0,
-            status: 'pending',
-            scheduledFor: scheduledFor || null,
+            fare: priced.fare,
+            fareBreakdown: priced.fareBreakdown,
+            priceVersion: priced.priceVersion,
+            distance: priced.distanceKm,
+            duration: priced.durationMinutes,
+            quote: priced.quote?._id || null,
+            // Scheduled deliveries are held until the scheduler releases them for dispatch
+            status: scheduledFor ? 'scheduled' : 'pending',
+            scheduledFor,
             isScheduled: !!scheduledFor
         });
 
-        await delivery.save();
+        const io = req.app.get('io');
+
+        // Hold the fare on the card before the delivery is saved
+        const payment = await authorizeTripPayment('delivery', delivery, req.user.id, req.body.paymentMethodId);
+        try {
+            await delivery.save();
+            if (scheduledFor) {
+                await scheduleTrip(io, 'delivery', delivery);
+            }
+        } catch (error) {
+            // Release the hold unless the delivery was booked after all
+            if (!scheduledFor || await discardScheduledTrip('delivery', delivery)) {
+                await voidTripAuthorization(io, payment);
+            }
+            throw error;
+        }
 
         // Populate customer info
         await delivery.populate('customer', 'name email phone');
 
         // Emit to admin room for real-time updates
-        const io = req.app.get('io');
         if (io) {
             io.to('admin').emit('new-delivery', delivery.toObject());
+        }
 
-            // Find nearby available couriers and send delivery request to them
-            try {
-                const pickupLat = pickupLocation.latitude;
-                const pickupLng = pickupLocation.longitude;
-                const radius = 10; // 10km radius
-
-                // Find available couriers
-                const couriers = await User.find({
-                    isCourier: true,
-                    'courierInfo.isAvailable': true,
-                    'courierInfo.currentLocation': {
-                        $exists: true
-                    }
-                }).select('_id name courierInfo');
+        if (scheduledFor) {
+            return res.status(201).json(delivery);
+        }
 
-                console.log(`🔍 Found ${couriers.length} available couriers, checking proximity to pickup (${pickupLat}, ${pickupLng})...`);
+        // Offer the delivery to the best-ranked nearby couriers, one batch at a time
+        try {
+            await startDispatch(io, 'delivery', delivery._id);
+        } catch (error) {
+            console.error('Error starting delivery dispatch:', error);
+            // Don't fail the delivery creation if dispatch fails
+        }
 
-                // Filter by distance and emit to each courier
-                let couriersNotified = 0;
-                couriers.forEach(courier => {
-                    if (!courier.courierInfo ? .currentLocation) {
-                        return;
-                    }
+        res.status(201).json(delivery);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Create delivery error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
 
-                    const courierLat = courier.courierInfo.currentLocation.latitude;
-                    const courierLng = courier.courierInfo.currentLocation.longitude;
-
-                    // Haversine formula to calculate distance
-                    const R = 6371; // Earth's radius in km
-                    const dLat = (courierLat - pickupLat) * Math.PI / 180;
-                    const dLng = (courierLng - pickupLng) * Math.PI / 180;
-                    const a =
-                        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                        Math.cos(pickupLat * Math.PI / 180) * Math.cos(courierLat * Math.PI / 180) *
-                        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-                    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-                    const distance = R * c;
-
-                    // If courier is within radius, send them the delivery request
-                    if (distance <= radius) {
-                        const courierRoom = `courier-${courier._id}`;
-                        const roomMembers = io.sockets.adapter.rooms.get(courierRoom);
-                        const isCourierInRoom = roomMembers && roomMembers.size > 0;
-
-                        if (isCourierInRoom) {
-                            console.log(`📤 Sending delivery request to courier ${courier._id} (${courier.name}) in room ${courierRoom} (${distance.toFixed(2)}km away)`);
-                            io.to(courierRoom).emit('new-delivery-request', delivery.toObject());
-                            couriersNotified++;
-                        }
-                    }
-                });
+// @route   POST /api/deliveries/batch
+// @desc    Book one pickup with many drop-offs, each with its own recipient
+// @access  Private
+router.post('/batch', protect, [
+    body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
+    body('dropoffs').isArray({
+        max: MAX_BATCH_DROPOFFS
+    }).withMessage(`A batch can have at most ${MAX_BATCH_DROPOFFS} drop-offs`),
+    body('deliveryType').optional().isIn(['standard', 'express', 'scheduled']).withMessage('Invalid delivery type'),
+    body('paymentMethod').optional().isIn(['card', 'cash', 'ewallet']).withMessage('Invalid payment method'),
+    body('paymentMethodId').optional().isMongoId().withMessage('Invalid payment method ID'),
+    body('scheduledFor').optional({ values: 'null' }).isISO8601().withMessage('scheduledFor must be a valid date'),
+    body('quoteId').optional().isMongoId().withMessage('Invalid quote ID'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
 
-                console.log(`✅ Delivery request sent to ${couriersNotified} nearby courier(s)`);
-            } catch (error) {
-                console.error('Error finding and notifying couriers:', error);
-                // Don't fail the delivery creation if courier notification fails
+        const {
+            pickupLocation,
+            priority = 'normal',
+            paymentMethod = 'card',
+            specialInstructions,
+            quoteId
+        } = req.body;
+        const scheduledFor = req.body.scheduledFor ? parseScheduledFor(req.body.scheduledFor) : null;
+
+        const { dropoffs, ...trip } = getBatchTrip(req.body);
+        const priced = await priceNewTrip('delivery', req.user.id, { ...trip, quoteId });
+        const { deliveryType, itemWeight, itemValue } = priced.options;
+
+        const delivery = new Delivery({
+            customer: req.user.id,
+            pickupLocation,
+            deliveryLocation: trip.destination,
+            isBatch: true,
+            dropoffs,
+            legs: priced.legs,
+            itemDescription: req.body.itemDescription || `${dropoffs.length} parcels`,
+            itemWeight,
+            itemValue,
+            isFragile: !!priced.options.isFragile,
+            deliveryType,
+            priority,
+            paymentMethod,
+            specialInstructions,
+            requiresSignature: dropoffs.some(dropoff => dropoff.requiresSignature),
+            fare: priced.fare,
+            fareBreakdown: priced.fareBreakdown,
+            priceVersion: priced.priceVersion,
+            distance: priced.distanceKm,
+            duration: priced.durationMinutes,
+            quote: priced.quote?._id || null,
+            status: scheduledFor ? 'scheduled' : 'pending',
+            scheduledFor,
+            isScheduled: !!scheduledFor
+        });
+
+        const io = req.app.get('io');
+
+        // Hold the fare on the card before the delivery is saved
+        const payment = await authorizeTripPayment('delivery', delivery, req.user.id, req.body.paymentMethodId);
+        try {
+            await delivery.save();
+            if (scheduledFor) {
+                await scheduleTrip(io, 'delivery', delivery);
+            }
+        } catch (error) {
+            // Release the hold unless the delivery was booked after all
+            if (!scheduledFor || await discardScheduledTrip('delivery', delivery)) {
+                await voidTripAuthorization(io, payment);
             }
+            throw error;
+        }
+        await delivery.populate('customer', 'name email phone');
+
+        if (io) {
+            io.to('admin').emit('new-delivery', delivery.toObject());
+        }
+
+        if (scheduledFor) {
+            return res.status(201).json(delivery);
+        }
+
+        // Dispatched like any delivery, from the shared pickup
+        try {
+            await startDispatch(io, 'delivery', delivery._id);
+        } catch (error) {
+            console.error('Error starting batch delivery dispatch:', error);
         }
 
         res.status(201).json(delivery);
     } catch (error) {
-        console.error('Create delivery error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Create batch delivery error:', error);
         res.status(500).json({
             message: 'Server error'
         });
@@ -274,7 +446,7 @@ router.get('/:id', protect, async (req, res) => {
         // Check if user has access to this delivery
         if (req.user.role !== 'admin' &&
             delivery.customer._id.toString() !== req.user.id &&
-            delivery.courier ? ._id ? .toString() !== req.user.id) {
+            delivery.courier?._id?.toString() !== req.user.id) {
             return res.status(403).json({
                 message: 'Access denied'
             });
@@ -292,7 +464,7 @@ router.get('/:id', protect, async (req, res) => {
 // @route   PUT /api/deliveries/:id/accept
 // @desc    Courier accepts a delivery
 // @access  Private (Courier only)
-router.put('/:id/accept', protect, async (req, res) => {
+router.put('/:id/accept', protect, idempotency('delivery-accept'), async (req, res) => {
     try {
         // Check if user is a courier
         if (!req.user.isCourier) {
@@ -301,75 +473,105 @@ router.put('/:id/accept', protect, async (req, res) => {
             });
         }
 
-        const delivery = await Delivery.findById(req.params.id)
-            .populate('customer', 'name email phone')
-            .populate('courier', 'name email phone');
+        const io = req.app.get('io');
 
-        if (!delivery) {
-            return res.status(404).json({
-                message: 'Delivery not found'
+        // Atomic assignment - if several couriers accept at once only one wins,
+        // the others get a 409 with the winning assignment
+        const { job, changed } = await acceptTrip(io, 'delivery', req.params.id, req.user.id);
+
+        // Populate customer and courier info
+        const acceptedDelivery = await job.populate([
+            { path: 'customer', select: 'name email phone' },
+            { path: 'courier', select: 'name email phone' }
+        ]);
+
+        if (io && changed) {
+            // Emit to customer
+            io.to(`delivery-${acceptedDelivery._id}`).emit('delivery-accepted', acceptedDelivery.toObject());
+            io.to(`delivery-${acceptedDelivery._id}`).emit('delivery-status-update', {
+                deliveryId: acceptedDelivery._id,
+                status: acceptedDelivery.status,
+                delivery: acceptedDelivery.toObject()
             });
+
+            // Emit to admin
+            io.to('admin').emit('delivery-updated', acceptedDelivery.toObject());
         }
 
-        // Check if delivery already has a courier
-        if (delivery.courier && delivery.courier._id.toString() !== req.user.id.toString()) {
-            return res.status(400).json({
-                message: 'Delivery already has a courier',
-                currentStatus: delivery.status,
-                currentCourier: delivery.courier._id.toString()
+        res.json(acceptedDelivery);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
             });
         }
+        console.error('Accept delivery error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
 
-        // Check delivery status
-        if (delivery.status !== 'pending') {
+// @route   PUT /api/deliveries/:id/decline
+// @desc    Courier declines a delivery offer
+// @access  Private (Courier only)
+router.put('/:id/decline', protect, [
+    body('reason').optional().isIn(DECLINE_REASONS).withMessage('Invalid decline reason'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
-                message: 'Delivery is not available',
-                currentStatus: delivery.status
+                errors: errors.array()
             });
         }
 
-        // Assign courier
-        delivery.courier = req.user.id;
-        delivery.status = 'accepted';
-        await delivery.save();
+        if (!req.user.isCourier) {
+            return res.status(403).json({
+                message: 'Only couriers can decline deliveries'
+            });
+        }
 
-        // Populate courier info
-        await delivery.populate('courier', 'name email phone');
+        const delivery = await Delivery.findById(req.params.id).select('_id status');
 
-        const io = req.app.get('io');
-        if (io) {
-            // Emit to customer
-            io.to(`delivery-${delivery._id}`).emit('delivery-accepted', delivery.toObject());
-            io.to(`delivery-${delivery._id}`).emit('delivery-status-update', {
-                deliveryId: delivery._id,
-                status: delivery.status,
-                delivery: delivery.toObject()
+        if (!delivery) {
+            return res.status(404).json({
+                message: 'Delivery not found'
             });
+        }
 
-            // Emit to admin
-            io.to('admin').emit('delivery-updated', delivery.toObject());
+        const declined = await declineOffer(req.app.get('io'), 'delivery', delivery._id, req.user.id, req.body.reason || 'other');
 
-            // Notify other couriers that this delivery is no longer available
-            io.emit('delivery-unavailable', {
-                deliveryId: delivery._id
+        if (!declined) {
+            return res.status(400).json({
+                message: 'You have no open offer for this delivery',
+                currentStatus: delivery.status
             });
         }
 
-        res.json(delivery);
+        res.json({
+            message: 'Delivery declined',
+            deliveryId: delivery._id
+        });
     } catch (error) {
-        console.error('Accept delivery error:', error);
+        console.error('Decline delivery error:', error);
         res.status(500).json({
-            message: 'Server error',
-            error: error.message
+            message: 'Server error'
         });
     }
 });
 
 // @route   PUT /api/deliveries/:id/update-status
-// @desc    Update delivery status
+// @desc    Update delivery status (delivered needs the recipient's PIN, their signature, or an override)
 // @access  Private
 router.put('/:id/update-status', protect, [
     body('status').isIn(['accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled']).withMessage('Invalid status'),
+    body('reason').optional().isString(),
+    body('pin').optional().isString().withMessage('PIN must be a string'),
+    body('override').optional().isBoolean().withMessage('Override must be true or false'),
+    body('overrideReason').optional().isString(),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -393,53 +595,61 @@ router.put('/:id/update-status', protect, [
         }
 
         // Check permissions
-        const isCourier = delivery.courier && delivery.courier._id.toString() === req.user.id;
-        const isCustomer = delivery.customer._id.toString() === req.user.id;
-        const isAdmin = req.user.role === 'admin';
+        const role = getActorRole('delivery', delivery, req.user);
 
-        if (!isCourier && !isCustomer && !isAdmin) {
+        if (!role) {
             return res.status(403).json({
                 message: 'Access denied'
             });
         }
 
-        // Update status and timestamps
-        delivery.status = status;
-        if (status === 'picked_up' && !delivery.pickedUpAt) {
-            delivery.pickedUpAt = new Date();
-        }
-        if (status === 'delivered' && !delivery.deliveredAt) {
-            delivery.deliveredAt = new Date();
-            // Calculate loyalty points (10 points per R10 spent)
-            if (isCustomer && delivery.customer) {
-                const points = Math.floor((delivery.finalFare || delivery.fare) / 10) * 10;
-                const customer = await User.findById(delivery.customer._id);
-                if (customer && customer.loyalty) {
-                    customer.loyalty.points = (customer.loyalty.points || 0) + points;
-                    customer.loyalty.lastActivity = new Date();
-                    await customer.save();
-                }
-            }
-        }
-        if (status === 'cancelled' && !delivery.cancelledAt) {
-            delivery.cancelledAt = new Date();
+        const io = req.app.get('io');
+
+        // A batch is complete once each of its drop-offs is delivered or failed;
+        // anything else needs proof it reached the recipient. Only checked when
+        // the change is allowed, so a rejected request can't use up PIN attempts
+        // or record an override.
+        const canDeliver = status === 'delivered' &&
+            getAllowedTransitions('delivery', delivery.status, role).includes('delivered');
+        if (canDeliver && delivery.isBatch) {
+            assertDropoffsFinished(delivery);
+        } else if (canDeliver && (role === 'courier' || role === 'admin')) {
+            await verifyHandoff(io, delivery, req.user, {
+                pin: req.body.pin,
+                override: req.body.override === true || req.body.override === 'true',
+                overrideReason: req.body.overrideReason
+            });
         }
 
-        await delivery.save();
+        // Apply the transition (guards, timestamps, fare, loyalty and history)
+        const { job } = await transitionTrip(io, 'delivery', delivery, status, {
+            actor: req.user.id,
+            role,
+            reason: req.body.reason
+        });
+        const updatedDelivery = await job.populate([
+            { path: 'customer', select: 'name email phone' },
+            { path: 'courier', select: 'name email phone' }
+        ]);
 
-        const io = req.app.get('io');
         if (io) {
-            const deliveryRoom = `delivery-${delivery._id}`;
+            const deliveryRoom = `delivery-${updatedDelivery._id}`;
             io.to(deliveryRoom).emit('delivery-status-update', {
-                deliveryId: delivery._id,
-                status: delivery.status,
-                delivery: delivery.toObject()
+                deliveryId: updatedDelivery._id,
+                status: updatedDelivery.status,
+                delivery: updatedDelivery.toObject()
             });
-            io.to('admin').emit('delivery-updated', delivery.toObject());
+            io.to('admin').emit('delivery-updated', updatedDelivery.toObject());
         }
 
-        res.json(delivery);
+        res.json(updatedDelivery);
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
         console.error('Update delivery status error:', error);
         res.status(500).json({
             message: 'Server error'
@@ -448,7 +658,7 @@ router.put('/:id/update-status', protect, [
 });
 
 // @route   PUT /api/deliveries/:id/cancel
-// @desc    Cancel a delivery
+// @desc    Cancel a delivery; cancellationFee in the response explains any fee
 // @access  Private
 router.put('/:id/cancel', protect, [
     body('reason').optional().isString(),
@@ -465,39 +675,42 @@ router.put('/:id/cancel', protect, [
         }
 
         // Check permissions
-        const isCustomer = delivery.customer._id.toString() === req.user.id;
-        const isCourier = delivery.courier && delivery.courier._id.toString() === req.user.id;
-        const isAdmin = req.user.role === 'admin';
+        const role = getActorRole('delivery', delivery, req.user);
 
-        if (!isCustomer && !isCourier && !isAdmin) {
+        if (!role) {
             return res.status(403).json({
                 message: 'Access denied'
             });
         }
 
-        if (delivery.status === 'delivered') {
-            return res.status(400).json({
-                message: 'Cannot cancel a delivered delivery'
-            });
-        }
-
-        delivery.status = 'cancelled';
-        delivery.cancelledAt = new Date();
-        delivery.cancellationReason = req.body.reason || 'Cancelled by user';
-        await delivery.save();
-
         const io = req.app.get('io');
+        const { job } = await transitionTrip(io, 'delivery', delivery, 'cancelled', {
+            actor: req.user.id,
+            role,
+            reason: req.body.reason || 'Cancelled by user'
+        });
+        const cancelledDelivery = await job.populate([
+            { path: 'customer', select: 'name email phone' },
+            { path: 'courier', select: 'name email phone' }
+        ]);
+
         if (io) {
-            io.to(`delivery-${delivery._id}`).emit('delivery-status-update', {
-                deliveryId: delivery._id,
-                status: delivery.status,
-                delivery: delivery.toObject()
+            io.to(`delivery-${cancelledDelivery._id}`).emit('delivery-status-update', {
+                deliveryId: cancelledDelivery._id,
+                status: cancelledDelivery.status,
+                delivery: cancelledDelivery.toObject()
             });
-            io.to('admin').emit('delivery-updated', delivery.toObject());
+            io.to('admin').emit('delivery-updated', cancelledDelivery.toObject());
         }
 
-        res.json(delivery);
+        res.json(cancelledDelivery);
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
         console.error('Cancel delivery error:', error);
         res.status(500).json({
             message: 'Server error'
@@ -550,7 +763,7 @@ router.put('/:id/rate', protect, [
             });
         }
 
-        if (delivery.rating ? .customer ? .stars) {
+        if (delivery.rating?.customer?.stars) {
             return res.status(400).json({
                 message: 'Delivery already rated'
             });
@@ -582,7 +795,7 @@ router.put('/:id/rate', protect, [
                 });
 
                 if (ratedDeliveries.length > 0) {
-                    const totalStars = ratedDeliveries.reduce((sum, d) => sum + (d.rating ? .customer ? .stars || 0), 0);
+                    const totalStars = ratedDeliveries.reduce((sum, d) => sum + (d.rating?.customer?.stars || 0), 0);
                     courier.courierInfo = courier.courierInfo || {};
                     courier.courierInfo.averageRating = totalStars / ratedDeliveries.length;
                     await courier.save();
@@ -599,6 +812,53 @@ router.put('/:id/rate', protect, [
     }
 });
 
+// @route   POST /api/deliveries/:id/tip
+// @desc    Tip the courier for a completed delivery (paid like the delivery: wallet or card)
+// @access  Private
+router.post('/:id/tip', protect, idempotency('delivery-tip'), [
+    body('amount').isFloat({
+        gt: 0,
+        max: 1000
+    }).withMessage('Tip must be between 0 and 1000'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
+
+        const delivery = await Delivery.findById(req.params.id);
+
+        if (!delivery) {
+            return res.status(404).json({
+                message: 'Delivery not found'
+            });
+        }
+
+        if (delivery.customer.toString() !== req.user.id) {
+            return res.status(403).json({
+                message: 'Only the customer can tip this delivery'
+            });
+        }
+
+        const result = await tipTrip(req.app.get('io'), 'delivery', delivery, parseFloat(req.body.amount));
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Tip delivery error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
 // @route   PUT /api/deliveries/:id/courier-location
 // @desc    Update courier location during delivery
 // @access  Private (Courier only)
@@ -632,31 +892,174 @@ router.put('/:id/courier-location', protect, [
             });
         }
 
-        if (delivery.courier ? .toString() !== req.user.id) {
+        if (delivery.courier?.toString() !== req.user.id) {
             return res.status(403).json({
                 message: 'Access denied'
             });
         }
 
-        delivery.courierLocation = {
+        // Stored (and added to the metering trail) at most every few seconds
+        const recorded = await recordTripLocation('delivery', delivery._id, req.user.id, {
             latitude,
-            longitude,
-            timestamp: new Date()
-        };
+            longitude
+        });
 
-        await delivery.save();
+        if (recorded) {
+            delivery.courierLocation = {
+                latitude,
+                longitude,
+                timestamp: new Date()
+            };
+
+            const io = req.app.get('io');
+            if (io) {
+                io.to(`delivery-${delivery._id}`).emit('delivery-location-update', {
+                    deliveryId: delivery._id,
+                    location: delivery.courierLocation
+                });
+            }
+        }
+
+        res.json(delivery);
+    } catch (error) {
+        console.error('Update courier location error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/deliveries/:id/dropoffs
+// @desc    Batch delivery's drop-offs with their status and ETAs
+// @access  Private
+router.get('/:id/dropoffs', protect, async (req, res) => {
+    try {
+        const delivery = await Delivery.findById(req.params.id);
+
+        if (!delivery || !delivery.isBatch) {
+            return res.status(404).json({
+                message: 'Delivery not found'
+            });
+        }
+
+        if (!getActorRole('delivery', delivery, req.user)) {
+            return res.status(403).json({
+                message: 'Access denied'
+            });
+        }
+
+        res.json(getBatchView(delivery));
+    } catch (error) {
+        console.error('Get drop-offs error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/deliveries/:id/handoff/pin
+// @desc    Text the recipient a new handover PIN (pass dropoffId for one parcel of a batch)
+// @access  Private
+router.post('/:id/handoff/pin', protect, [
+    body('dropoffId').optional().isMongoId().withMessage('Invalid drop-off ID'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
+
+        const delivery = await Delivery.findById(req.params.id);
+
+        if (!delivery) {
+            return res.status(404).json({
+                message: 'Delivery not found'
+            });
+        }
+
+        if (!getActorRole('delivery', delivery, req.user)) {
+            return res.status(403).json({
+                message: 'Access denied'
+            });
+        }
+
+        if (delivery.isBatch && !req.body.dropoffId) {
+            return res.status(400).json({
+                message: 'Choose the drop-off to send a PIN for'
+            });
+        }
+
+        const sent = await resendHandoffPin(delivery, req.body.dropoffId);
+
+        res.json({
+            message: 'PIN sent',
+            ...sent
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Resend handover PIN error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/deliveries/:id/dropoffs/:dropoffId
+// @desc    Mark one drop-off of a batch as delivered or failed (with a reason)
+// @access  Private (Courier only)
+router.put('/:id/dropoffs/:dropoffId', protect, [
+    body('status').isIn(['delivered', 'failed']).withMessage('Status must be delivered or failed'),
+    body('reason').optional().isIn(DROPOFF_FAILURE_REASONS).withMessage('Invalid failure reason'),
+    body('note').optional().isString(),
+    body('receivedBy').optional().isString(),
+    body('pin').optional().isString().withMessage('PIN must be a string'),
+    body('override').optional().isBoolean().withMessage('Override must be true or false'),
+    body('overrideReason').optional().isString(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
 
         const io = req.app.get('io');
-        if (io) {
-            io.to(`delivery-${delivery._id}`).emit('delivery-location-update', {
+        const { delivery, completed } = await updateDropoffStatus(io, req.params.id, req.user, req.params.dropoffId, {
+            status: req.body.status,
+            reason: req.body.reason,
+            note: req.body.note,
+            receivedBy: req.body.receivedBy,
+            pin: req.body.pin,
+            override: req.body.override === true || req.body.override === 'true',
+            overrideReason: req.body.overrideReason
+        });
+
+        if (io && completed) {
+            io.to(`delivery-${delivery._id}`).emit('delivery-status-update', {
                 deliveryId: delivery._id,
-                location: delivery.courierLocation
+                status: delivery.status,
+                delivery: delivery.toObject()
             });
+            io.to('admin').emit('delivery-updated', delivery.toObject());
         }
 
-        res.json(delivery);
+        res.json(getBatchView(delivery));
     } catch (error) {
-        console.error('Update courier location error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Update drop-off error:', error);
         res.status(500).json({
             message: 'Server error'
         });
@@ -664,7 +1067,7 @@ router.put('/:id/courier-location', protect, [
 });
 
 // @route   POST /api/deliveries/:id/photo
-// @desc    Upload photo proof for delivery
+// @desc    Upload photo proof or, with type 'signature', the recipient's signature (dropoffId for a batch parcel)
 // @access  Private (Courier only)
 const multer = require('multer');
 const path = require('path');
@@ -727,7 +1130,7 @@ router.post('/:id/photo', protect, upload.single('photo'), async (req, res) => {
             });
         }
 
-        if (delivery.courier ? .toString() !== req.user.id) {
+        if (delivery.courier?.toString() !== req.user.id) {
             // Delete uploaded file if access denied
             if (req.file.path) {
                 fs.unlinkSync(req.file.path);
@@ -740,6 +1143,19 @@ router.post('/:id/photo', protect, upload.single('photo'), async (req, res) => {
         const photoUrl = `/uploads/deliveries/${req.file.filename}`;
         const photoType = req.body.type || 'delivery';
 
+        // Batch photos are the proof of delivery for one drop-off
+        const { dropoffId } = req.body;
+        if (dropoffId) {
+            try {
+                addDropoffPhoto(delivery, dropoffId, photoUrl, photoType);
+            } catch (error) {
+                fs.unlinkSync(req.file.path);
+                return res.status(error.status).json({
+                    message: error.message
+                });
+            }
+        }
+
         if (!delivery.photoProof) {
             delivery.photoProof = [];
         }
@@ -747,7 +1163,8 @@ router.post('/:id/photo', protect, upload.single('photo'), async (req, res) => {
         delivery.photoProof.push({
             url: photoUrl,
             timestamp: new Date(),
-            type: photoType
+            type: photoType,
+            dropoff: dropoffId || undefined
         });
 
         await delivery.save();
@@ -0,0 +1,265 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const PayoutBatch = require('../models/PayoutBatch');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getWeekStart,
+  getEarningsBalance,
+  recordDebtDeposit,
+  listCommissionDebts,
+  getTripStatement,
+  getWeeklyStatement,
+  generatePayoutBatch,
+  exportPayoutBatch,
+  settlePayoutBatch,
+  getNextPayoutRun
+} = require('../services/earnings');
+const { payCommissionDebt } = require('../services/payments');
+const { MIN_PAYOUT, MAX_COMMISSION_DEBT } = require('../config/earnings');
+
+const router = express.Router();
+
+// @route   GET /api/earnings/summary
+// @desc    Balance due, this week's totals and when the next payout runs ("how much did I make this week?")
+// @access  Private (Driver/Courier)
+router.get('/summary', protect, authorize('driver', 'courier'), async (req, res) => {
+  try {
+    const [balance, week] = await Promise.all([
+      getEarningsBalance(req.user.id),
+      getWeeklyStatement(req.user.id)
+    ]);
+
+    res.json({
+      balance,
+      currency: 'ZAR',
+      commissionDebt: balance < 0 ? -balance : 0,
+      debtLimit: MAX_COMMISSION_DEBT,
+      canGoOnline: balance >= -MAX_COMMISSION_DEBT,
+      minPayout: MIN_PAYOUT,
+      nextPayoutAt: getNextPayoutRun(),
+      thisWeek: {
+        weekStart: week.weekStart,
+        weekEnd: week.weekEnd,
+        trips: week.trips,
+        ...week.totals
+      }
+    });
+  } catch (error) {
+    console.error('Get earnings summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/earnings/trips
+// @desc    Per-trip earnings statement (?from=&to= dates, newest first)
+// @access  Private (Driver/Courier)
+router.get('/trips', protect, authorize('driver', 'courier'), [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const trips = await getTripStatement(req.user.id, {
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined
+    });
+    res.json(trips);
+  } catch (error) {
+    console.error('Get trip earnings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/earnings/weekly
+// @desc    Weekly earnings statement (?week=<any date in the week>, defaults to this week)
+// @access  Private (Driver/Courier)
+router.get('/weekly', protect, authorize('driver', 'courier'), [
+  query('week').optional().isISO8601().withMessage('Week must be a valid date'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const statement = await getWeeklyStatement(req.user.id, req.query.week ? new Date(req.query.week) : undefined);
+    res.json(statement);
+  } catch (error) {
+    console.error('Get weekly earnings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/earnings/settle-debt
+// @desc    Pay off commission owed on cash trips from the wallet or a saved card
+// @access  Private (Driver/Courier)
+router.post('/settle-debt', protect, authorize('driver', 'courier'), [
+  body('source').isIn(['wallet', 'card']).withMessage('Source must be wallet or card'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be more than zero'),
+  body('paymentMethodId').optional().isMongoId().withMessage('Invalid payment method'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await payCommissionDebt(req.app.get('io'), req.user.id, {
+      source: req.body.source,
+      amount: req.body.amount ? parseFloat(req.body.amount) : undefined,
+      paymentMethodId: req.body.paymentMethodId
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Settle commission debt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/earnings/debts
+// @desc    Drivers/couriers owing commission from cash trips, largest first (Admin only)
+// @access  Private (Admin)
+router.get('/debts', protect, authorize('admin'), async (req, res) => {
+  try {
+    res.json(await listCommissionDebts());
+  } catch (error) {
+    console.error('Get commission debts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/earnings/:userId/deposits
+// @desc    Record cash or an EFT a driver/courier paid in against commission debt (Admin only)
+// @access  Private (Admin)
+router.post('/:userId/deposits', protect, authorize('admin'), [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be more than zero'),
+  body('reference').trim().notEmpty().withMessage('Deposit reference is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await recordDebtDeposit(req.params.userId, parseFloat(req.body.amount), req.body.reference, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Record commission deposit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/earnings/payouts
+// @desc    Generate the payout batch for a finished week, defaults to last week (Admin only)
+// @access  Private (Admin)
+router.post('/payouts', protect, authorize('admin'), [
+  body('week').optional().isISO8601().withMessage('Week must be a valid date'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const week = req.body.week
+      ? new Date(req.body.week)
+      : new Date(getWeekStart().getTime() - 7 * 24 * 60 * 60 * 1000);
+    const batch = await generatePayoutBatch(week, req.user.id);
+    res.status(201).json(batch);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Generate payouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/earnings/payouts
+// @desc    List payout batches, newest first (Admin only)
+// @access  Private (Admin)
+router.get('/payouts', protect, authorize('admin'), async (req, res) => {
+  try {
+    const batches = await PayoutBatch.find()
+      .select('-items')
+      .sort({ weekStart: -1 })
+      .limit(52);
+    res.json(batches);
+  } catch (error) {
+    console.error('Get payout batches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/earnings/payouts/:id
+// @desc    Get one payout batch with its payees (Admin only)
+// @access  Private (Admin)
+router.get('/payouts/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout batch not found' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('Get payout batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/earnings/payouts/:id/export
+// @desc    Download a payout batch as a bank CSV file (Admin only)
+// @access  Private (Admin)
+router.get('/payouts/:id/export', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { filename, csv } = await exportPayoutBatch(req.params.id);
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Export payout batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/earnings/payouts/:id/settle
+// @desc    Record the bank's result: listed failures are put back on the payee's balance, the rest are paid (Admin only)
+// @access  Private (Admin)
+router.put('/payouts/:id/settle', protect, authorize('admin'), [
+  body('failures').optional().isArray(),
+  body('failures.*.user').isMongoId().withMessage('Invalid user ID'),
+  body('failures.*.reason').optional().isString(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await settlePayoutBatch(req.params.id, req.body.failures || []);
+    res.json(batch);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Settle payout batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
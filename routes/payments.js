@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const { protect, authorize } = require('../middleware/auth');
+const { getPaymentProvider } = require('../services/paymentProviders');
+const { refundPayment, applyWebhookEvent } = require('../services/payments');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Payment provider notifications (body arrives raw so the signature can be checked)
+// @access  Public (signed by the provider)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ message: 'Webhook body is missing' });
+    }
+
+    const event = await provider.parseWebhook(req);
+    const payment = await applyWebhookEvent(req.app.get('io'), req.params.provider, event);
+
+    // Acknowledge events we don't track so the provider stops retrying them
+    res.json({ received: true, matched: !!payment });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/payments
+// @desc    List payments (the user's own, or all for admins)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      filter.user = req.user.id;
+    } else if (req.query.user) {
+      filter.user = req.query.user;
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.kind) filter.kind = req.query.kind;
+
+    const payments = await Payment.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(payments);
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get one payment
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    if (req.user.role !== 'admin' && payment.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/payments/:id/refund
+// @desc    Refund some or all of a captured payment to the card, or to the wallet with toWallet (Admin only)
+// @access  Private (Admin)
+router.post('/:id/refund', protect, authorize('admin'), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be more than zero'),
+  body('reason').optional().isString(),
+  body('toWallet').optional().isBoolean().withMessage('toWallet must be true or false'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const amount = req.body.amount ? parseFloat(req.body.amount) : undefined;
+    const toWallet = req.body.toWallet === true || req.body.toWallet === 'true';
+    const payment = await refundPayment(req.app.get('io'), req.params.id, amount, { toWallet });
+
+    console.log(`💸 Admin ${req.user.id} refunded payment ${payment._id}${req.body.reason ? ` (${req.body.reason})` : ''}`);
+    res.json(payment);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const PricingConfig = require('../models/PricingConfig');
+const { protect, authorize } = require('../middleware/auth');
+const { CITIES } = require('../config/matching');
+const {
+  DEFAULT_PRICING,
+  getActivePricing,
+  clearPricingCache
+} = require('../services/pricing');
+
+const router = express.Router();
+
+const CITY_IDS = CITIES.map(city => city.id);
+const EDITABLE_FIELDS = [
+  'effectiveFrom',
+  'classes',
+  'serviceFeePercent',
+  'vatPercent',
+  'airportSurcharge',
+  'waitGraceMinutes',
+  'cancellation',
+  'weightFreeKg',
+  'weightRatePerKg',
+  'fragileSurcharge',
+  'insurancePercent',
+  'notes'
+];
+
+const pricingValidators = [
+  body('effectiveFrom').optional().isISO8601().withMessage('effectiveFrom must be a valid date'),
+  body('classes').isArray({ min: 1 }).withMessage('At least one vehicle class is required'),
+  body('classes.*.vehicleClass').notEmpty().withMessage('Each class needs a vehicleClass'),
+  body(['classes.*.baseFare', 'classes.*.perKm', 'classes.*.perMinute', 'classes.*.waitPerMinute', 'classes.*.minimumFare', 'classes.*.bookingFee'])
+    .optional().isFloat({ min: 0 }).withMessage('Rates must be zero or more'),
+  body(['serviceFeePercent', 'vatPercent']).isFloat({ min: 0, max: 100 }).withMessage('Percentages must be between 0 and 100'),
+  body(['airportSurcharge', 'weightFreeKg', 'weightRatePerKg', 'fragileSurcharge', 'insurancePercent'])
+    .optional().isFloat({ min: 0 }).withMessage('Surcharges must be zero or more'),
+  body('waitGraceMinutes').optional().isFloat({ min: 0 }).withMessage('waitGraceMinutes must be zero or more'),
+  body([
+    'cancellation.freeWindowMinutes',
+    'cancellation.enRouteAfterMinutes',
+    'cancellation.enRouteFee',
+    'cancellation.noShowWaitMinutes',
+    'cancellation.noShowFee'
+  ]).optional().isFloat({ min: 0 }).withMessage('Cancellation settings must be zero or more'),
+];
+
+/**
+ * Vehicle classes in the request that the job type doesn't have
+ */
+const findUnknownClasses = (kind, classes) => {
+  const known = Object.keys(DEFAULT_PRICING[kind].classes);
+  return classes.map(rates => rates.vehicleClass).filter(vehicleClass => !known.includes(vehicleClass));
+};
+
+// @route   GET /api/pricing
+// @desc    List price table versions (Admin only)
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.kind) filter.kind = req.query.kind;
+    if (req.query.city) filter.city = req.query.city === 'national' ? null : req.query.city;
+
+    const configs = await PricingConfig.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ kind: 1, city: 1, version: -1 });
+
+    res.json(configs);
+  } catch (error) {
+    console.error('Get pricing configs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/pricing/active
+// @desc    Price table that applies at a pickup location
+// @access  Private
+router.get('/active', protect, [
+  query('kind').isIn(['ride', 'delivery']).withMessage('Kind must be ride or delivery'),
+  query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  query('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind, latitude, longitude } = req.query;
+    const location = latitude && longitude
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : null;
+
+    res.json(await getActivePricing(kind, location));
+  } catch (error) {
+    console.error('Get active pricing error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/pricing/:id
+// @desc    Get one price table version (Admin only)
+// @access  Private (Admin)
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const config = await PricingConfig.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!config) {
+      return res.status(404).json({ message: 'Pricing version not found' });
+    }
+
+    res.json(config);
+  } catch (error) {
+    console.error('Get pricing config error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/pricing
+// @desc    Publish a new price table version (Admin only)
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('kind').isIn(['ride', 'delivery']).withMessage('Kind must be ride or delivery'),
+  body('city').optional({ values: 'null' }).isIn(CITY_IDS).withMessage('Unknown city'),
+  ...pricingValidators,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind } = req.body;
+    const city = req.body.city || null;
+
+    const unknownClasses = findUnknownClasses(kind, req.body.classes);
+    if (unknownClasses.length > 0) {
+      return res.status(400).json({ message: `Unknown ${kind} classes: ${unknownClasses.join(', ')}` });
+    }
+
+    const latest = await PricingConfig.findOne({ kind, city }).sort({ version: -1 }).select('version');
+
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const config = await PricingConfig.create({
+      ...fields,
+      kind,
+      city,
+      version: (latest?.version || 0) + 1,
+      effectiveFrom: req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date(),
+      createdBy: req.user.id
+    });
+    clearPricingCache();
+
+    console.log(`💰 Admin ${req.user.id} published ${kind} pricing v${config.version} for ${city || 'national'}`);
+    res.status(201).json(config);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Another version was published at the same time, please try again' });
+    }
+    console.error('Create pricing config error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/pricing/:id
+// @desc    Edit a price table version that has not taken effect yet (Admin only)
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), pricingValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const config = await PricingConfig.findById(req.params.id);
+
+    if (!config) {
+      return res.status(404).json({ message: 'Pricing version not found' });
+    }
+
+    // Rides may already have been priced with it - publish a new version instead
+    if (config.effectiveFrom <= new Date()) {
+      return res.status(409).json({
+        message: 'This pricing version is already in effect and cannot be changed. Publish a new version instead.'
+      });
+    }
+
+    const unknownClasses = findUnknownClasses(config.kind, req.body.classes);
+    if (unknownClasses.length > 0) {
+      return res.status(400).json({ message: `Unknown ${config.kind} classes: ${unknownClasses.join(', ')}` });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) config[field] = req.body[field];
+    });
+    await config.save();
+    clearPricingCache();
+
+    res.json(config);
+  } catch (error) {
+    console.error('Update pricing config error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/pricing/:id
+// @desc    Withdraw a price table version that has not taken effect yet (Admin only)
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const config = await PricingConfig.findById(req.params.id);
+
+    if (!config) {
+      return res.status(404).json({ message: 'Pricing version not found' });
+    }
+
+    if (config.effectiveFrom <= new Date()) {
+      return res.status(409).json({
+        message: 'This pricing version is already in effect and is kept for auditing. Publish a new version instead.'
+      });
+    }
+
+    await config.deleteOne();
+    clearPricingCache();
+
+    res.json({ message: 'Pricing version withdrawn' });
+  } catch (error) {
+    console.error('Delete pricing config error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
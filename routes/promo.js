@@ -11,7 +11,7 @@ const router = express.Router();
 router.post('/create', protect, authorize('admin'), [
   body('code').notEmpty().withMessage('Code is required'),
   body('description').notEmpty().withMessage('Description is required'),
-  body('discountType').isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+  body('discountType').isIn(['percentage', 'fixed', 'wallet_credit']).withMessage('Discount type must be percentage, fixed or wallet_credit'),
   body('discountValue').isNumeric().withMessage('Discount value must be a number'),
   body('validFrom').isISO8601().withMessage('Valid from must be a valid date'),
   body('validUntil').isISO8601().withMessage('Valid until must be a valid date'),
@@ -9,23 +9,68 @@ const {
     protect,
     authorize
 } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const axios = require('axios');
 const {
-    calculateDistance,
-    calculateRideFare,
     formatDistance,
     formatEstimatedTime
 } = require('../utils');
+const {
+    DECLINE_REASONS,
+    startDispatch,
+    declineOffer
+} = require('../services/dispatch');
+const {
+    getActorRole,
+    transitionTrip,
+    acceptTrip
+} = require('../services/tripLifecycle');
+const {
+    getPoolFare,
+    preparePooledRide,
+    leavePool,
+    getPoolView
+} = require('../services/pooling');
+const { MAX_SEATS_PER_BOOKING, isPoolable } = require('../config/pooling');
+const {
+    MAX_PARTICIPANTS: MAX_SPLIT_PARTICIPANTS,
+    createSplitFare,
+    respondToSplitFare,
+    listSplitInvitations
+} = require('../services/splitFare');
+const {
+    getWaypointView,
+    quoteWaypointChange,
+    confirmWaypointChange,
+    updateWaypointStatus
+} = require('../services/waypoints');
+const { authorizeTripPayment, voidTripAuthorization, tipTrip } = require('../services/payments');
+const {
+    parseScheduledFor,
+    scheduleTrip,
+    discardScheduledTrip,
+    rescheduleTrip
+} = require('../services/scheduledTrips');
+const {
+    MAX_WAYPOINTS,
+    getQuoteOptions,
+    parseWaypoints,
+    createQuote,
+    priceNewTrip
+} = require('../services/quotes');
 
 const router = express.Router();
 
 // @route   POST /api/rides/calculate-fare
-// @desc    Calculate fare for a ride
+// @desc    Quote the fare for a ride (pass the returned quoteId when booking)
 // @access  Private
 router.post('/calculate-fare', protect, [
     body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
     body('dropoffLocation').notEmpty().withMessage('Dropoff location is required'),
     body('rideType').optional().isIn(['economy', 'comfort', 'premium', 'xl']).withMessage('Invalid ride type'),
+    body('waypoints').optional().isArray({
+        max: MAX_WAYPOINTS
+    }).withMessage(`A ride can have at most ${MAX_WAYPOINTS} stops`),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -35,35 +80,45 @@ router.post('/calculate-fare', protect, [
             });
         }
 
-        const {
-            pickupLocation,
-            dropoffLocation,
-            rideType = 'economy',
-            surgeMultiplier,
-            promoDiscount
-        } = req.body;
-
-        // Calculate distance
-        const distance = calculateDistance(pickupLocation, dropoffLocation);
+        const { pickupLocation, dropoffLocation } = req.body;
+        const options = getQuoteOptions('ride', req.body);
+        const waypoints = parseWaypoints(req.body.waypoints);
 
-        // Calculate fare with all factors
-        const fareDetails = calculateRideFare(distance, rideType, {
-            surgeMultiplier,
-            promoDiscount
+        // Price on the road route through any stops and hold the price for the booking
+        const quote = await createQuote('ride', req.user.id, {
+            pickupLocation,
+            destination: dropoffLocation,
+            options,
+            waypoints
         });
 
-        // Calculate estimated time
-        const estimatedTime = calculateEstimatedTime(distance);
-
         res.json({
-            fare: fareDetails.totalFare,
-            fareDetails,
-            distance: formatDistance(distance),
-            estimatedTime: formatEstimatedTime(estimatedTime),
-            rideType,
+            quoteId: quote._id,
+            expiresAt: quote.expiresAt,
+            fare: quote.fare,
+            fareDetails: quote.fareDetails,
+            distance: formatDistance(quote.distanceKm),
+            estimatedTime: formatEstimatedTime(quote.durationMinutes),
+            distanceKm: quote.distanceKm,
+            durationMinutes: quote.durationMinutes,
+            routeProvider: quote.routeProvider,
+            surge: quote.surge,
+            rideType: options.rideType,
+            waypoints: quote.waypoints,
+            legs: quote.legs,
+            // Starting price for a pooled ride - lower again if the pool takes a detour
+            ...(isPoolable(options.rideType) && !waypoints.length && {
+                poolFare: getPoolFare(quote.fare, quote.durationMinutes).fare
+            }),
             currency: 'ZAR'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
         console.error('Calculate fare error:', error);
         res.status(500).json({
             message: 'Server error'
@@ -122,7 +177,17 @@ router.post('/', protect, [
     body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
     body('dropoffLocation').notEmpty().withMessage('Dropoff location is required'),
     body('rideType').optional().isIn(['economy', 'comfort', 'premium', 'xl']).withMessage('Invalid ride type'),
+    body('waypoints').optional().isArray({
+        max: MAX_WAYPOINTS
+    }).withMessage(`A ride can have at most ${MAX_WAYPOINTS} stops`),
     body('paymentMethod').optional().isIn(['card', 'cash', 'ewallet']).withMessage('Invalid payment method'),
+    body('paymentMethodId').optional().isMongoId().withMessage('Invalid payment method ID'),
+    body('quoteId').optional().isMongoId().withMessage('Invalid quote ID'),
+    body('pooled').optional().isBoolean().withMessage('Pooled must be true or false'),
+    body('seats').optional().isInt({
+        min: 1,
+        max: MAX_SEATS_PER_BOOKING
+    }).withMessage(`Seats must be between 1 and ${MAX_SEATS_PER_BOOKING}`),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -135,144 +200,287 @@ router.post('/', protect, [
         const {
             pickupLocation,
             dropoffLocation,
-            rideType = 'economy',
             paymentMethod = 'card',
-            distance
+            quoteId
         } = req.body;
+        const pooled = req.body.pooled === true || req.body.pooled === 'true';
+        const waypoints = parseWaypoints(req.body.waypoints);
+
+        // Other riders' stops can't be planned around extra stops of this ride's own
+        if (pooled && waypoints.length) {
+            return res.status(400).json({
+                message: 'Pooled rides cannot have stops'
+            });
+        }
 
-        // Calculate fare
-        const fare = calculateFare(pickupLocation, dropoffLocation, rideType);
+        // Charge the quoted fare, or price the road route now if there is no quote
+        const priced = await priceNewTrip('ride', req.user.id, {
+            pickupLocation,
+            destination: dropoffLocation,
+            options: getQuoteOptions('ride', req.body),
+            waypoints,
+            quoteId
+        });
 
         // Create ride
         const ride = new Ride({
             rider: req.user.id,
             pickupLocation,
             dropoffLocation,
-            rideType,
+            rideType: priced.options.rideType,
             paymentMethod,
-            fare,
-            distance: distance || 0,
+            fare: priced.fare,
+            fareBreakdown: priced.fareBreakdown,
+            priceVersion: priced.priceVersion,
+            surge: priced.surge,
+            waypoints,
+            legs: priced.legs,
+            distance: priced.distanceKm,
+            duration: priced.durationMinutes,
+            quote: priced.quote?._id || null,
             status: 'pending'
         });
+        const io = req.app.get('io');
 
-        await ride.save();
+        // Pooled rides are offered to a driver already on a route they fit, or start a new pool
+        const { offerTo } = pooled
+            ? await preparePooledRide(ride, parseInt(req.body.seats, 10) || 1)
+            : { offerTo: null };
+
+        // Hold the fare on the card before the ride is saved
+        let payment = null;
+        try {
+            payment = await authorizeTripPayment('ride', ride, req.user.id, req.body.paymentMethodId);
+            await ride.save();
+        } catch (error) {
+            // No ride was booked, so release its hold and pool stops
+            await voidTripAuthorization(io, payment);
+            if (ride.pool) {
+                await leavePool(io, ride);
+            }
+            throw error;
+        }
 
         // Populate rider info
         await ride.populate('rider', 'name email phone');
 
         // Emit to admin room for real-time updates
-        const io = req.app.get('io');
         if (io) {
             io.to('admin').emit('new-ride', ride.toObject());
+        }
 
-            // Find nearby available drivers and send ride request to them
-            try {
-                const radius = 10; // 10km radius
-
-                // Find available drivers (verified or in development mode)
-                // In development, auto-verification happens when driver goes online
-                const drivers = await User.find({
-                    isDriver: true,
-                    'driverInfo.isAvailable': true,
-                    'driverInfo.currentLocation': {
-                        $exists: true
-                    }
-                }).select('_id name driverInfo');
-
-                console.log(`🔍 Found ${drivers.length} available drivers, checking proximity to pickup...`);
-
-                // Log all active driver rooms for debugging
-                const allDriverRooms = Array.from(io.sockets.adapter.rooms.keys()).filter(r => r.startsWith('driver-'));
-                console.log(`📋 Active driver rooms: ${allDriverRooms.length}`);
-                if (allDriverRooms.length > 0) {
-                    allDriverRooms.forEach(room => {
-                        const members = io.sockets.adapter.rooms.get(room);
-                        console.log(`   - ${room}: ${members?.size || 0} socket(s)`);
-                    });
-                }
+        // Offer the ride to the best-ranked nearby drivers, one batch at a time
+        // (a pooled ride goes to its pool's driver first)
+        try {
+            await startDispatch(io, 'ride', ride._id, { candidates: offerTo ? [offerTo] : undefined });
+        } catch (error) {
+            console.error('Error starting ride dispatch:', error);
+            // Don't fail the ride creation if dispatch fails
+        }
 
-                // Filter by distance and emit to each driver
-                let driversNotified = 0;
-                let driversTooFar = 0;
-                let driversNotInRoom = 0;
-                drivers.forEach(driver => {
-                    if (!driver.driverInfo ? .currentLocation) {
-                        console.log(`⚠️ Driver ${driver._id} has no location set`);
-                        return;
-                    }
+        res.status(201).json(ride);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Create ride error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
 
-                    // Calculate distance using utility function
-                    const driverDistance = calculateDistance(
-                        pickupLocation,
-                        driver.driverInfo.currentLocation
-                    );
-
-                    // If driver is within radius, send them the ride request
-                    if (driverDistance <= radius) {
-                        // Ensure driver ID is consistently a string
-                        const driverId = String(driver._id);
-                        const driverRoom = `driver-${driverId}`;
-
-                        // Verify driver is actually in the socket room before sending
-                        const roomMembers = io.sockets.adapter.rooms.get(driverRoom);
-                        const isDriverInRoom = roomMembers && roomMembers.size > 0;
-
-                        if (isDriverInRoom) {
-                            console.log(`📤 Sending ride request to driver ${driverId} (${driver.name}) in room ${driverRoom} (${formatDistance(driverDistance)} away, ${roomMembers.size} socket(s) in room)`);
-                            io.to(driverRoom).emit('new-ride-request', ride.toObject());
-                            driversNotified++;
-                        } else {
-                            driversNotInRoom++;
-                            console.log(`⚠️ Driver ${driverId} (${driver.name}) is available but NOT in socket room ${driverRoom} - request NOT sent`);
-                            console.log(`   💡 Driver may have disconnected or not joined the room yet`);
-                            console.log(`   💡 Check if driver socket is connected and has joined room`);
-                            console.log(`   💡 Expected room: ${driverRoom}`);
-                            console.log(`   💡 Available rooms: ${allDriverRooms.join(', ') || 'none'}`);
-
-                            // Try alternative room formats (in case of ID format mismatch)
-                            const altRoom1 = `driver-${driver._id}`;
-                            const altRoom2 = `driver-${driver._id.toString()}`;
-                            const altRoomMembers1 = io.sockets.adapter.rooms.get(altRoom1);
-                            const altRoomMembers2 = io.sockets.adapter.rooms.get(altRoom2);
-
-                            if (altRoomMembers1 && altRoomMembers1.size > 0) {
-                                console.log(`   🔍 Found driver in alternative room format: ${altRoom1}`);
-                            }
-                            if (altRoomMembers2 && altRoomMembers2.size > 0) {
-                                console.log(`   🔍 Found driver in alternative room format: ${altRoom2}`);
-                            }
-                        }
-                    } else {
-                        driversTooFar++;
-                        console.log(`⏭️ Driver ${driver._id} (${driver.name}) is too far: ${formatDistance(driverDistance)} (radius: ${radius}km)`);
-                    }
-                });
+// @route   POST /api/rides/scheduled
+// @desc    Book a ride for later
+// @access  Private
+router.post('/scheduled', protect, [
+    body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
+    body('dropoffLocation').notEmpty().withMessage('Dropoff location is required'),
+    body('scheduledFor').isISO8601().withMessage('scheduledFor must be a valid date'),
+    body('rideType').optional().isIn(['economy', 'comfort', 'premium', 'xl']).withMessage('Invalid ride type'),
+    body('waypoints').optional().isArray({
+        max: MAX_WAYPOINTS
+    }).withMessage(`A ride can have at most ${MAX_WAYPOINTS} stops`),
+    body('paymentMethod').optional().isIn(['card', 'cash', 'ewallet']).withMessage('Invalid payment method'),
+    body('paymentMethodId').optional().isMongoId().withMessage('Invalid payment method ID'),
+    body('quoteId').optional().isMongoId().withMessage('Invalid quote ID'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
 
-                console.log(`✅ Ride request sent to ${driversNotified} nearby driver(s)`);
-                console.log(`📊 Summary: ${driversNotified} notified, ${driversTooFar} too far, ${driversNotInRoom} not in socket room`);
-
-                if (driversNotified === 0) {
-                    if (drivers.length === 0) {
-                        console.log(`⚠️ No available drivers found at all`);
-                        console.log(`   💡 Check: Driver must toggle "Go Online" and have location set`);
-                    } else if (driversNotInRoom > 0) {
-                        console.log(`⚠️ ${driversNotInRoom} driver(s) found but NOT connected to socket`);
-                        console.log(`   💡 Driver needs to: 1) Connect socket 2) Join driver room 3) Toggle "Go Online"`);
-                    } else if (driversTooFar > 0) {
-                        console.log(`⚠️ ${driversTooFar} driver(s) found but all are outside ${radius}km radius`);
-                    } else {
-                        console.log(`⚠️ No drivers found within ${radius}km of pickup location`);
-                    }
-                }
-            } catch (error) {
-                console.error('Error finding and notifying drivers:', error);
-                // Don't fail the ride creation if driver notification fails
+        const {
+            pickupLocation,
+            dropoffLocation,
+            paymentMethod = 'card',
+            quoteId
+        } = req.body;
+        const scheduledFor = parseScheduledFor(req.body.scheduledFor);
+        const waypoints = parseWaypoints(req.body.waypoints);
+
+        const priced = await priceNewTrip('ride', req.user.id, {
+            pickupLocation,
+            destination: dropoffLocation,
+            options: getQuoteOptions('ride', req.body),
+            waypoints,
+            quoteId
+        });
+
+        // Held as 'scheduled' until the scheduler releases it for dispatch
+        const ride = new Ride({
+            rider: req.user.id,
+            pickupLocation,
+            dropoffLocation,
+            rideType: priced.options.rideType,
+            paymentMethod,
+            fare: priced.fare,
+            fareBreakdown: priced.fareBreakdown,
+            priceVersion: priced.priceVersion,
+            surge: priced.surge,
+            waypoints,
+            legs: priced.legs,
+            distance: priced.distanceKm,
+            duration: priced.durationMinutes,
+            quote: priced.quote?._id || null,
+            status: 'scheduled',
+            scheduledFor,
+            isScheduled: true
+        });
+
+        const io = req.app.get('io');
+
+        // Hold the fare on the card before the ride is saved
+        const payment = await authorizeTripPayment('ride', ride, req.user.id, req.body.paymentMethodId);
+        try {
+            await ride.save();
+            await scheduleTrip(io, 'ride', ride);
+        } catch (error) {
+            // Release the hold unless the ride was booked after all
+            if (await discardScheduledTrip('ride', ride)) {
+                await voidTripAuthorization(io, payment);
             }
+            throw error;
+        }
+        await ride.populate('rider', 'name email phone');
+
+        if (io) {
+            io.to('admin').emit('ride-scheduled', ride.toObject());
         }
 
         res.status(201).json(ride);
     } catch (error) {
-        console.error('Create ride error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Schedule ride error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/rides/scheduled
+// @desc    List upcoming scheduled rides (the rider's own, or all for admins)
+// @access  Private
+router.get('/scheduled', protect, async (req, res) => {
+    try {
+        const filter = {
+            isScheduled: true,
+            status: { $in: ['scheduled', 'pending', 'accepted', 'driver_arrived'] }
+        };
+        if (req.user.role !== 'admin') {
+            filter.rider = req.user.id;
+        }
+
+        const rides = await Ride.find(filter)
+            .populate('rider', 'name email phone')
+            .populate('driver', 'name email phone')
+            .sort({
+                scheduledFor: 1
+            });
+
+        res.json(rides);
+    } catch (error) {
+        console.error('Get scheduled rides error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/rides/split-fare/invites
+// @desc    Open invitations to split a ride's fare, including ones sent to the user's phone or email before they signed up
+// @access  Private
+router.get('/split-fare/invites', protect, async (req, res) => {
+    try {
+        res.json(await listSplitInvitations(req.user));
+    } catch (error) {
+        console.error('Get split fare invites error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/rides/:id/reschedule
+// @desc    Move a scheduled ride to a new pickup time (before dispatch has started)
+// @access  Private
+router.put('/:id/reschedule', protect, [
+    body('scheduledFor').isISO8601().withMessage('scheduledFor must be a valid date'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
+
+        const ride = await Ride.findById(req.params.id);
+
+        if (!ride) {
+            return res.status(404).json({
+                message: 'Ride not found'
+            });
+        }
+
+        const role = getActorRole('ride', ride, req.user);
+        if (role !== 'rider' && role !== 'admin') {
+            return res.status(403).json({
+                message: 'Access denied'
+            });
+        }
+
+        const io = req.app.get('io');
+        const updated = await rescheduleTrip(io, 'ride', ride, req.body.scheduledFor);
+        const rescheduledRide = await updated.populate([
+            { path: 'rider', select: 'name email phone' },
+            { path: 'driver', select: 'name email phone' }
+        ]);
+
+        if (io) {
+            io.to('admin').emit('ride-updated', rescheduledRide.toObject());
+        }
+
+        res.json(rescheduledRide);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Reschedule ride error:', error);
         res.status(500).json({
             message: 'Server error'
         });
@@ -297,7 +505,7 @@ router.get('/:id', protect, async (req, res) => {
         // Check if user has access to this ride
         if (req.user.role !== 'admin' &&
             ride.rider._id.toString() !== req.user.id &&
-            ride.driver ? ._id ? .toString() !== req.user.id) {
+            ride.driver?._id?.toString() !== req.user.id) {
             return res.status(403).json({
                 message: 'Access denied'
             });
@@ -315,94 +523,96 @@ router.get('/:id', protect, async (req, res) => {
 // @route   PUT /api/rides/:id/accept
 // @desc    Driver accepts a ride
 // @access  Private (Driver only)
-router.put('/:id/accept', protect, authorize('driver'), async (req, res) => {
+router.put('/:id/accept', protect, authorize('driver'), idempotency('ride-accept'), async (req, res) => {
     try {
-        const ride = await Ride.findById(req.params.id)
-            .populate('rider', 'name email phone')
-            .populate('driver', 'name email phone');
+        const io = req.app.get('io');
 
-        if (!ride) {
-            console.log(`❌ Ride not found: ${req.params.id}`);
-            return res.status(404).json({
-                message: 'Ride not found'
-            });
-        }
+        // Atomic assignment - if several drivers accept at once only one wins,
+        // the others get a 409 with the winning assignment
+        const { job: accepted, changed } = await acceptTrip(io, 'ride', req.params.id, req.user.id);
 
-        // Check if this driver already accepted this ride (handle duplicate requests)
-        if (ride.driver && ride.driver._id.toString() === req.user.id.toString()) {
-            console.log(`✅ Driver ${req.user.id} already accepted ride ${ride._id}`);
-            return res.json(ride);
+        if (changed) {
+            console.log(`✅ Driver ${req.user.id} accepted ride ${accepted._id}`);
+        } else {
+            console.log(`✅ Driver ${req.user.id} already accepted ride ${accepted._id}`);
         }
 
-        // Check if ride already has a different driver
-        if (ride.driver && ride.driver._id.toString() !== req.user.id.toString()) {
-            console.log(`⚠️ Ride ${ride._id} already has driver ${ride.driver._id}, rejecting driver ${req.user.id}`);
-            return res.status(400).json({
-                message: 'Ride already has a driver',
-                currentStatus: ride.status,
-                currentDriver: ride.driver._id.toString()
+        // Populate rider and driver info
+        const acceptedRide = await accepted.populate([
+            { path: 'rider', select: 'name email phone' },
+            { path: 'driver', select: 'name email phone' }
+        ]);
+
+        if (io && changed) {
+            // Emit to rider
+            io.to(`ride-${acceptedRide._id}`).emit('trip-accepted', acceptedRide.toObject());
+            io.to(`ride-${acceptedRide._id}`).emit('ride-status-update', {
+                rideId: acceptedRide._id,
+                status: acceptedRide.status,
+                ride: acceptedRide.toObject()
             });
-        }
 
-        // Check ride status with more specific error messages
-        if (ride.status !== 'pending') {
-            console.log(`⚠️ Ride ${ride._id} is not available. Status: ${ride.status}, Driver: ${ride.driver?._id || 'none'}`);
+            // Emit to admin
+            io.to('admin').emit('ride-updated', acceptedRide.toObject());
 
-            let errorMessage = 'Ride is not available';
-            if (ride.status === 'accepted') {
-                errorMessage = 'Ride has already been accepted by another driver';
-            } else if (ride.status === 'cancelled') {
-                errorMessage = 'Ride has been cancelled';
-            } else if (ride.status === 'completed') {
-                errorMessage = 'Ride has already been completed';
-            } else if (ride.status === 'in_progress') {
-                errorMessage = 'Ride is already in progress';
-            }
+            console.log(`📤 Emitted trip-accepted for ride ${acceptedRide._id}`);
+        }
 
-            return res.status(400).json({
-                message: errorMessage,
-                currentStatus: ride.status,
-                rideId: ride._id.toString()
+        res.json(acceptedRide);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
             });
         }
+        console.error('Accept ride error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
 
-        // Assign driver
-        ride.driver = req.user.id;
-        ride.status = 'accepted';
-        await ride.save();
-
-        console.log(`✅ Driver ${req.user.id} accepted ride ${ride._id}`);
+// @route   PUT /api/rides/:id/decline
+// @desc    Driver declines a ride offer
+// @access  Private (Driver only)
+router.put('/:id/decline', protect, authorize('driver'), [
+    body('reason').optional().isIn(DECLINE_REASONS).withMessage('Invalid decline reason'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
 
-        // Populate driver info
-        await ride.populate('driver', 'name email phone');
+        const ride = await Ride.findById(req.params.id).select('_id status');
 
-        const io = req.app.get('io');
-        if (io) {
-            // Emit to rider
-            io.to(`ride-${ride._id}`).emit('trip-accepted', ride.toObject());
-            io.to(`ride-${ride._id}`).emit('ride-status-update', {
-                rideId: ride._id,
-                status: ride.status,
-                ride: ride.toObject()
+        if (!ride) {
+            return res.status(404).json({
+                message: 'Ride not found'
             });
+        }
 
-            // Emit to admin
-            io.to('admin').emit('ride-updated', ride.toObject());
+        const declined = await declineOffer(req.app.get('io'), 'ride', ride._id, req.user.id, req.body.reason || 'other');
 
-            // Notify other drivers that this ride is no longer available
-            io.emit('trip-unavailable', {
-                rideId: ride._id
+        if (!declined) {
+            return res.status(400).json({
+                message: 'You have no open offer for this ride',
+                currentStatus: ride.status
             });
-
-            console.log(`📤 Emitted trip-accepted and trip-unavailable for ride ${ride._id}`);
         }
 
-        res.json(ride);
+        res.json({
+            message: 'Ride declined',
+            rideId: ride._id
+        });
     } catch (error) {
-        console.error('Accept ride error:', error);
+        console.error('Decline ride error:', error);
         res.status(500).json({
-            message: 'Server error',
-            error: error.message
+            message: 'Server error'
         });
     }
 });
@@ -412,6 +622,7 @@ router.put('/:id/accept', protect, authorize('driver'), async (req, res) => {
 // @access  Private
 router.put('/:id/update-status', protect, [
     body('status').isIn(['accepted', 'driver_arrived', 'in_progress', 'completed', 'cancelled']).withMessage('Invalid status'),
+    body('reason').optional().isString(),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -435,59 +646,49 @@ router.put('/:id/update-status', protect, [
         }
 
         // Check permissions
-        const isDriver = ride.driver && ride.driver._id.toString() === req.user.id;
-        const isRider = ride.rider._id.toString() === req.user.id;
-        const isAdmin = req.user.role === 'admin';
+        const role = getActorRole('ride', ride, req.user);
 
-        if (!isDriver && !isRider && !isAdmin) {
+        if (!role) {
             return res.status(403).json({
                 message: 'Access denied'
             });
         }
 
-        // Update status and timestamps
-        ride.status = status;
-        if (status === 'in_progress' && !ride.startedAt) {
-            ride.startedAt = new Date();
-        }
-        if (status === 'completed' && !ride.completedAt) {
-            ride.completedAt = new Date();
-            // Calculate loyalty points (10 points per R10 spent)
-            if (isRider && ride.rider) {
-                const points = Math.floor((ride.finalFare || ride.fare) / 10) * 10;
-                const rider = await User.findById(ride.rider._id);
-                if (rider && rider.loyalty) {
-                    rider.loyalty.points = (rider.loyalty.points || 0) + points;
-                    rider.loyalty.lastActivity = new Date();
-                    await rider.save();
-                }
-            }
-        }
-        if (status === 'cancelled' && !ride.cancelledAt) {
-            ride.cancelledAt = new Date();
-        }
-
-        await ride.save();
-
+        // Apply the transition (guards, timestamps, fare, loyalty and history)
         const io = req.app.get('io');
+        const { job } = await transitionTrip(io, 'ride', ride, status, {
+            actor: req.user.id,
+            role,
+            reason: req.body.reason
+        });
+        const updatedRide = await job.populate([
+            { path: 'rider', select: 'name email phone' },
+            { path: 'driver', select: 'name email phone' }
+        ]);
+
         if (io) {
-            const rideRoom = `ride-${ride._id}`;
+            const rideRoom = `ride-${updatedRide._id}`;
             console.log(`📤 Emitting ride-status-update to ${rideRoom}:`, {
-                rideId: ride._id,
-                status: ride.status,
-                roomMembers: io.sockets.adapter.rooms.get(rideRoom) ? .size || 0
+                rideId: updatedRide._id,
+                status: updatedRide.status
             });
 
             io.to(rideRoom).emit('ride-status-update', {
-                rideId: ride._id,
-                status: ride.status,
-                ride: ride.toObject()
+                rideId: updatedRide._id,
+                status: updatedRide.status,
+                ride: updatedRide.toObject()
             });
-            io.to('admin').emit('ride-updated', ride.toObject());
+            io.to('admin').emit('ride-updated', updatedRide.toObject());
         }
 
-        res.json(ride);
+        res.json(updatedRide);
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
         console.error('Update status error:', error);
         res.status(500).json({
             message: 'Server error'
@@ -496,7 +697,7 @@ router.put('/:id/update-status', protect, [
 });
 
 // @route   PUT /api/rides/:id/cancel
-// @desc    Cancel a ride
+// @desc    Cancel a ride (including a scheduled one); cancellationFee in the response explains any fee
 // @access  Private
 router.put('/:id/cancel', protect, [
     body('reason').optional().isString(),
@@ -513,39 +714,42 @@ router.put('/:id/cancel', protect, [
         }
 
         // Check permissions
-        const isRider = ride.rider._id.toString() === req.user.id;
-        const isDriver = ride.driver && ride.driver._id.toString() === req.user.id;
-        const isAdmin = req.user.role === 'admin';
+        const role = getActorRole('ride', ride, req.user);
 
-        if (!isRider && !isDriver && !isAdmin) {
+        if (!role) {
             return res.status(403).json({
                 message: 'Access denied'
             });
         }
 
-        if (ride.status === 'completed') {
-            return res.status(400).json({
-                message: 'Cannot cancel a completed ride'
-            });
-        }
-
-        ride.status = 'cancelled';
-        ride.cancelledAt = new Date();
-        ride.cancellationReason = req.body.reason || 'Cancelled by user';
-        await ride.save();
-
         const io = req.app.get('io');
+        const { job } = await transitionTrip(io, 'ride', ride, 'cancelled', {
+            actor: req.user.id,
+            role,
+            reason: req.body.reason || 'Cancelled by user'
+        });
+        const cancelledRide = await job.populate([
+            { path: 'rider', select: 'name email phone' },
+            { path: 'driver', select: 'name email phone' }
+        ]);
+
         if (io) {
-            io.to(`ride-${ride._id}`).emit('ride-status-update', {
-                rideId: ride._id,
-                status: ride.status,
-                ride: ride.toObject()
+            io.to(`ride-${cancelledRide._id}`).emit('ride-status-update', {
+                rideId: cancelledRide._id,
+                status: cancelledRide.status,
+                ride: cancelledRide.toObject()
             });
-            io.to('admin').emit('ride-updated', ride.toObject());
+            io.to('admin').emit('ride-updated', cancelledRide.toObject());
         }
 
-        res.json(ride);
+        res.json(cancelledRide);
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
         console.error('Cancel ride error:', error);
         res.status(500).json({
             message: 'Server error'
@@ -600,7 +804,7 @@ router.put('/:id/rate', protect, [
             });
         }
 
-        if (ride.rating ? .rider ? .stars) {
+        if (ride.rating?.rider?.stars) {
             return res.status(400).json({
                 message: 'Ride already rated'
             });
@@ -642,9 +846,9 @@ router.put('/:id/rate', protect, [
                 });
 
                 if (ratedRides.length > 0) {
-                    const totalStars = ratedRides.reduce((sum, r) => sum + (r.rating ? .rider ? .stars || 0), 0);
+                    const totalStars = ratedRides.reduce((sum, r) => sum + (r.rating?.rider?.stars || 0), 0);
                     driver.driverInfo = driver.driverInfo || {};
-                    driver.driverInfo.averageRating = totalStars / ratedRides.length;
+                    driver.driverInfo.rating = totalStars / ratedRides.length;
                     await driver.save();
                 }
             }
@@ -659,6 +863,53 @@ router.put('/:id/rate', protect, [
     }
 });
 
+// @route   POST /api/rides/:id/tip
+// @desc    Tip the driver for a completed ride (paid like the ride: wallet or card)
+// @access  Private
+router.post('/:id/tip', protect, idempotency('ride-tip'), [
+    body('amount').isFloat({
+        gt: 0,
+        max: 1000
+    }).withMessage('Tip must be between 0 and 1000'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
+
+        const ride = await Ride.findById(req.params.id);
+
+        if (!ride) {
+            return res.status(404).json({
+                message: 'Ride not found'
+            });
+        }
+
+        if (ride.rider.toString() !== req.user.id) {
+            return res.status(403).json({
+                message: 'Only the rider can tip this ride'
+            });
+        }
+
+        const result = await tipTrip(req.app.get('io'), 'ride', ride, parseFloat(req.body.amount));
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Tip ride error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
 // @route   POST /api/rides/:id/generate-share-code
 // @desc    Generate a share code for a ride
 // @access  Private
@@ -769,12 +1020,24 @@ router.put('/:id/stop-recording', protect, async (req, res) => {
     }
 });
 
-// Add split fare endpoint
 // @route   POST /api/rides/:id/split-fare
-// @desc    Split fare with other users
+// @desc    Invite people by phone or email to split the fare (equally, by percent or by amount)
 // @access  Private
 router.post('/:id/split-fare', protect, [
-    body('participants').isArray().withMessage('Participants must be an array'),
+    body('shareType').optional().isIn(['equal', 'percent', 'amount']).withMessage('Share type must be equal, percent or amount'),
+    body('participants').isArray({
+        min: 1,
+        max: MAX_SPLIT_PARTICIPANTS
+    }).withMessage(`Invite between 1 and ${MAX_SPLIT_PARTICIPANTS} people`),
+    body('participants.*.userId').optional().isMongoId().withMessage('Invalid user ID'),
+    body('participants.*.email').optional().isEmail().withMessage('Invalid email'),
+    body('participants.*.percent').optional().isFloat({
+        gt: 0,
+        lt: 100
+    }).withMessage('Percent must be between 0 and 100'),
+    body('participants.*.amount').optional().isFloat({
+        gt: 0
+    }).withMessage('Amount must be more than zero'),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -784,9 +1047,6 @@ router.post('/:id/split-fare', protect, [
             });
         }
 
-        const {
-            participants
-        } = req.body;
         const ride = await Ride.findById(req.params.id);
 
         if (!ride) {
@@ -802,46 +1062,104 @@ router.post('/:id/split-fare', protect, [
             });
         }
 
-        if (ride.status !== 'completed') {
-            return res.status(400).json({
-                message: 'Ride must be completed to split fare'
+        const splitFare = await createSplitFare(req.app.get('io'), ride, req.user, {
+            participants: req.body.participants,
+            shareType: req.body.shareType
+        });
+
+        res.status(201).json({
+            message: 'Fare split created',
+            splitFare
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
             });
         }
+        console.error('Split fare error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
 
-        const totalAmount = ride.finalFare || ride.fare;
-        const amountPerPerson = totalAmount / (participants.length + 1); // +1 for the rider
-
-        ride.splitFare = {
-            enabled: true,
-            participants: participants.map(p => ({
-                user: p.userId,
-                amount: amountPerPerson,
-                paid: false
-            })),
-            totalAmount: totalAmount
-        };
+// @route   PUT /api/rides/:id/split-fare/respond
+// @desc    Accept (paying by card or wallet) or decline an invitation to split a ride's fare
+// @access  Private
+router.put('/:id/split-fare/respond', protect, [
+    body('accept').isBoolean().withMessage('Accept must be true or false'),
+    body('paymentMethod').optional().isIn(['card', 'ewallet']).withMessage('Payment method must be card or ewallet'),
+    body('code').optional().isString(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
 
-        await ride.save();
+        const splitFare = await respondToSplitFare(req.app.get('io'), req.params.id, req.user, {
+            accept: req.body.accept === true || req.body.accept === 'true',
+            paymentMethod: req.body.paymentMethod,
+            code: req.body.code
+        });
 
         res.json({
-            message: 'Fare split created',
-            splitFare: ride.splitFare
+            message: 'Response saved',
+            splitFare
         });
     } catch (error) {
-        console.error('Split fare error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Respond to split fare error:', error);
         res.status(500).json({
             message: 'Server error'
         });
     }
 });
 
-// Add ride pooling endpoint
-// @route   POST /api/rides/:id/pool
-// @desc    Add rider to pooled ride
+// @route   GET /api/rides/:id/waypoints
+// @desc    Ride's stops with their status and ETAs
 // @access  Private
-router.post('/:id/pool', protect, [
-    body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
-    body('dropoffLocation').notEmpty().withMessage('Dropoff location is required'),
+router.get('/:id/waypoints', protect, async (req, res) => {
+    try {
+        const ride = await Ride.findById(req.params.id);
+
+        if (!ride) {
+            return res.status(404).json({
+                message: 'Ride not found'
+            });
+        }
+
+        if (!getActorRole('ride', ride, req.user)) {
+            return res.status(403).json({
+                message: 'Access denied'
+            });
+        }
+
+        res.json(getWaypointView(ride));
+    } catch (error) {
+        console.error('Get ride stops error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/rides/:id/waypoints/quote
+// @desc    Price new stops for the part of the ride not yet travelled (confirm with PUT /:id/waypoints)
+// @access  Private
+router.post('/:id/waypoints/quote', protect, [
+    body('waypoints').isArray({
+        max: MAX_WAYPOINTS
+    }).withMessage(`A ride can have at most ${MAX_WAYPOINTS} stops`),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -851,10 +1169,6 @@ router.post('/:id/pool', protect, [
             });
         }
 
-        const {
-            pickupLocation,
-            dropoffLocation
-        } = req.body;
         const ride = await Ride.findById(req.params.id);
 
         if (!ride) {
@@ -863,33 +1177,140 @@ router.post('/:id/pool', protect, [
             });
         }
 
-        if (!ride.isPooled) {
-            ride.isPooled = true;
+        const quote = await quoteWaypointChange(ride, req.user, req.body.waypoints);
+
+        res.json({
+            ...quote,
+            distance: formatDistance(quote.distanceKm),
+            estimatedTime: formatEstimatedTime(quote.durationMinutes),
+            currency: 'ZAR'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Quote ride stops error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/rides/:id/waypoints
+// @desc    Confirm a stop change at its quoted fare
+// @access  Private
+router.put('/:id/waypoints', protect, [
+    body('quoteId').isMongoId().withMessage('Invalid quote ID'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
         }
 
-        // Calculate fare for this rider
-        const fare = calculateFare(pickupLocation, dropoffLocation, ride.rideType);
+        const ride = await confirmWaypointChange(req.app.get('io'), req.params.id, req.user, req.body.quoteId);
 
-        ride.poolRiders.push({
-            rider: req.user.id,
-            pickupLocation,
-            dropoffLocation,
-            fare: fare,
-            joinedAt: new Date()
+        res.json({
+            message: 'Stops updated',
+            ride
         });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Update ride stops error:', error);
+        res.status(500).json({
+            message: 'Server error'
+        });
+    }
+});
 
-        await ride.save();
+// @route   PUT /api/rides/:id/waypoints/:waypointId
+// @desc    Mark the next stop as arrived or completed
+// @access  Private (Driver only)
+router.put('/:id/waypoints/:waypointId', protect, authorize('driver'), [
+    body('status').isIn(['arrived', 'completed']).withMessage('Status must be arrived or completed'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                errors: errors.array()
+            });
+        }
 
-        res.json({
-            message: 'Joined pooled ride',
-            ride: ride.toObject()
+        const ride = await updateWaypointStatus(req.app.get('io'), req.params.id, req.user, req.params.waypointId, req.body.status);
+
+        res.json(getWaypointView(ride));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error('Update stop status error:', error);
+        res.status(500).json({
+            message: 'Server error'
         });
+    }
+});
+
+// @route   GET /api/rides/:id/pool
+// @desc    Pooled ride's stops: the full list for the driver, ETAs and stops before yours for riders
+// @access  Private
+router.get('/:id/pool', protect, async (req, res) => {
+    try {
+        const ride = await Ride.findById(req.params.id);
+
+        if (!ride) {
+            return res.status(404).json({
+                message: 'Ride not found'
+            });
+        }
+
+        if (!getActorRole('ride', ride, req.user)) {
+            return res.status(403).json({
+                message: 'Access denied'
+            });
+        }
+
+        const pool = await getPoolView(ride, req.user);
+        if (!pool) {
+            return res.status(404).json({
+                message: 'This ride is not pooled'
+            });
+        }
+
+        res.json(pool);
     } catch (error) {
-        console.error('Join pool error:', error);
+        console.error('Get ride pool error:', error);
         res.status(500).json({
             message: 'Server error'
         });
     }
 });
 
+// @route   POST /api/rides/:id/pool
+// @desc    Removed - riders now pool by booking their own ride with pooled: true
+// @access  Private
+router.post('/:id/pool', protect, (req, res) => {
+    res.status(410).json({
+        message: 'Joining a ride directly is no longer supported. Book your own ride with pooled: true and you will be matched to a pool on your route.',
+        replacement: {
+            method: 'POST',
+            path: '/api/rides',
+            body: { pooled: true }
+        }
+    });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Regression tests: POST /api/rides stores the fare, breakdown and price
+ * version the rider was quoted by POST /api/rides/calculate-fare.
+ */
+
+const mongoose = require('mongoose');
+
+jest.mock('../middleware/auth', () => ({
+    protect: (req, res, next) => {
+        req.user = { id: 'aaaaaaaaaaaaaaaaaaaaaaaa', _id: 'aaaaaaaaaaaaaaaaaaaaaaaa', role: 'user' };
+        next();
+    },
+    authorize: () => (req, res, next) => next()
+}));
+jest.mock('../models/Quote', () => ({
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/PricingConfig', () => ({
+    findOne: jest.fn(),
+    findById: jest.fn()
+}));
+jest.mock('../models/SurgeCell', () => ({
+    findOne: jest.fn()
+}));
+jest.mock('../services/dispatch', () => ({
+    ...jest.requireActual('../services/dispatch'),
+    startDispatch: jest.fn()
+}));
+
+const express = require('express');
+const Quote = require('../models/Quote');
+const PricingConfig = require('../models/PricingConfig');
+const SurgeCell = require('../models/SurgeCell');
+const Ride = require('../models/Ride');
+const { clearPricingCache } = require('../services/pricing');
+const { toFareBreakdown } = require('../utils');
+const ridesRouter = require('./rides');
+
+const PICKUP = { address: 'Sandton City', latitude: -26.1076, longitude: 28.0567 };
+const DROPOFF = { address: 'Rosebank Mall', latitude: -26.1457, longitude: 28.0436 };
+
+const pricingConfig = (version, perKm) => ({
+    _id: new mongoose.Types.ObjectId(),
+    kind: 'ride',
+    city: null,
+    version,
+    effectiveFrom: new Date('2026-01-01'),
+    classes: ['economy', 'comfort', 'premium', 'xl'].map(vehicleClass => ({
+        vehicleClass,
+        baseFare: 12,
+        perKm,
+        perMinute: 1.5,
+        minimumFare: 30,
+        bookingFee: 4
+    })),
+    serviceFeePercent: 10,
+    vatPercent: 15,
+    airportSurcharge: 0
+});
+
+let server;
+let baseUrl;
+let quotes;
+let saved;
+
+const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+// Prices and surge as they are when the next request is made
+const setPrices = (config, surgeMultiplier) => {
+    clearPricingCache();
+    PricingConfig.findOne.mockReturnValue({ sort: () => Promise.resolve(config) });
+    SurgeCell.findOne.mockResolvedValue({ multiplier: surgeMultiplier });
+};
+
+beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/rides', ridesRouter);
+    server = app.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/rides`;
+        done();
+    });
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    quotes = new Map();
+    saved = [];
+
+    Quote.create.mockImplementation(async (doc) => {
+        const quote = { _id: new mongoose.Types.ObjectId().toString(), ...doc };
+        quotes.set(quote._id, quote);
+        return quote;
+    });
+    Quote.findOne.mockImplementation(async ({ _id }) => quotes.get(String(_id)) || null);
+    Quote.findOneAndUpdate.mockImplementation(async ({ _id }) => ({ ...quotes.get(String(_id)), usedAt: new Date() }));
+
+    jest.spyOn(Ride.prototype, 'save').mockImplementation(async function() {
+        saved.push(this);
+        return this;
+    });
+    jest.spyOn(Ride.prototype, 'populate').mockImplementation(async function() {
+        return this;
+    });
+
+    setPrices(pricingConfig(7, 9), 1.3);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /api/rides', () => {
+    const trip = { pickupLocation: PICKUP, dropoffLocation: DROPOFF, rideType: 'comfort', paymentMethod: 'cash' };
+
+    test('stores the quoted fare, breakdown and price version', async () => {
+        const quoted = await post('/calculate-fare', trip);
+        expect(quoted.status).toBe(200);
+        const quote = quotes.get(String(quoted.body.quoteId));
+
+        // Prices and surge move between the quote and the booking - the quote still wins
+        setPrices(pricingConfig(8, 14), 2);
+
+        const booked = await post('/', { ...trip, quoteId: quoted.body.quoteId });
+
+        expect(booked.status).toBe(201);
+        expect(saved).toHaveLength(1);
+        const ride = saved[0].toObject();
+        expect(ride.fare).toBe(quoted.body.fare);
+        // Every stored breakdown field is the quoted one (rides have no parcel surcharges)
+        expect(toFareBreakdown(quote.fareDetails)).toMatchObject(ride.fareBreakdown);
+        expect(ride.fareBreakdown.total).toBe(quoted.body.fare);
+        expect(ride.fareBreakdown.surgeMultiplier).toBe(1.3);
+        expect(ride.priceVersion.version).toBe(7);
+        expect(String(ride.priceVersion.config)).toBe(String(quote.priceVersion.config));
+        expect(String(ride.quote)).toBe(String(quote._id));
+        expect(booked.body.fare).toBe(quoted.body.fare);
+    });
+
+    test('stores the current prices when booked without a quote', async () => {
+        const quoted = await post('/calculate-fare', trip);
+        const quote = quotes.get(String(quoted.body.quoteId));
+
+        const booked = await post('/', trip);
+
+        expect(booked.status).toBe(201);
+        const ride = saved[0].toObject();
+        expect(ride.fare).toBe(quoted.body.fare);
+        expect(toFareBreakdown(quote.fareDetails)).toMatchObject(ride.fareBreakdown);
+        expect(ride.priceVersion.version).toBe(7);
+        expect(ride.quote).toBeNull();
+    });
+
+    test('does not store a ride for a quote that was already used', async () => {
+        const quoted = await post('/calculate-fare', trip);
+        quotes.get(String(quoted.body.quoteId)).usedAt = new Date();
+
+        const booked = await post('/', { ...trip, quoteId: quoted.body.quoteId });
+
+        expect(booked.status).toBe(409);
+        expect(saved).toHaveLength(0);
+    });
+});
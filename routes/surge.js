@@ -0,0 +1,107 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { MAX_OVERRIDE_MULTIPLIER } = require('../config/surge');
+const {
+  getSurgeForLocation,
+  getSurgeHeatmap,
+  setSurgeOverride,
+  clearSurgeOverride
+} = require('../services/surge');
+
+const router = express.Router();
+
+// @route   GET /api/surge
+// @desc    Current surge multiplier at a location
+// @access  Private
+router.get('/', protect, [
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const surge = await getSurgeForLocation({
+      latitude: parseFloat(req.query.latitude),
+      longitude: parseFloat(req.query.longitude)
+    });
+
+    res.json(surge);
+  } catch (error) {
+    console.error('Get surge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/surge/heatmap
+// @desc    Cells currently surging (drivers also receive this as 'surge-heatmap' over Socket.io)
+// @access  Private (Driver/Admin)
+router.get('/heatmap', protect, authorize('driver', 'admin'), async (req, res) => {
+  try {
+    const cells = await getSurgeHeatmap();
+    res.json({ cells });
+  } catch (error) {
+    console.error('Get surge heatmap error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/surge/override
+// @desc    Pin the surge for the cell containing a location (Admin only)
+// @access  Private (Admin)
+router.put('/override', protect, authorize('admin'), [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('multiplier').isFloat({ min: 1, max: MAX_OVERRIDE_MULTIPLIER })
+    .withMessage(`Multiplier must be between 1 and ${MAX_OVERRIDE_MULTIPLIER}`),
+  body('expiresInMinutes').optional().isInt({ min: 1 }).withMessage('expiresInMinutes must be a positive number'),
+  body('reason').optional().isString(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { latitude, longitude, multiplier, expiresInMinutes, reason } = req.body;
+
+    const cell = await setSurgeOverride(
+      { latitude: parseFloat(latitude), longitude: parseFloat(longitude) },
+      {
+        multiplier: parseFloat(multiplier),
+        expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60 * 1000) : null,
+        reason,
+        setBy: req.user.id
+      }
+    );
+
+    console.log(`📈 Admin ${req.user.id} set surge ${cell.override.multiplier}x for cell ${cell.cellId}`);
+    res.json(cell);
+  } catch (error) {
+    console.error('Set surge override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/surge/override/:cellId
+// @desc    Remove a surge override (Admin only)
+// @access  Private (Admin)
+router.delete('/override/:cellId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const cell = await clearSurgeOverride(req.params.cellId);
+
+    if (!cell) {
+      return res.status(404).json({ message: 'Surge cell not found' });
+    }
+
+    res.json(cell);
+  } catch (error) {
+    console.error('Clear surge override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,11 @@ const express = require('express');
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const { protect, authorize } = require('../middleware/auth');
+const { buildNearQuery } = require('../utils');
+const { loadMatchableUser, listPendingJobs, notifyPendingJobs } = require('../services/matching');
+const { getRoomSize, listRooms, onlineFilter, applyManualAvailability } = require('../services/presence');
+const { DEFAULT_PROVIDER, getPaymentProvider } = require('../services/paymentProviders');
+const { assertCanGoOnline } = require('../services/earnings');
 
 const router = express.Router();
 
@@ -97,7 +102,7 @@ router.put('/driver-info', protect, authorize('driver'), async (req, res) => {
 });
 
 // @route   PUT /api/users/driver-availability
-// @desc    Update driver availability
+// @desc    Update driver availability (going online is refused while commission debt is over the limit)
 // @access  Private (Driver only)
 router.put('/driver-availability', protect, authorize('driver'), async (req, res) => {
   try {
@@ -110,7 +115,12 @@ router.put('/driver-availability', protect, authorize('driver'), async (req, res
     }
 
     if (typeof isAvailable === 'boolean') {
+      if (isAvailable) {
+        // Commission owed on cash trips must be settled first
+        await assertCanGoOnline(user._id);
+      }
       user.driverInfo.isAvailable = isAvailable;
+      applyManualAvailability(user.driverInfo, isAvailable);
       
       // Auto-verify drivers for development (remove in production)
       if (isAvailable && !user.driverInfo.isVerified) {
@@ -140,13 +150,18 @@ router.put('/driver-availability', protect, authorize('driver'), async (req, res
       if (io) {
         // Delay slightly to ensure socket room is joined
         setTimeout(() => {
-          checkAndNotifyPendingRides(user._id, user.driverInfo.currentLocation, io);
+          notifyPendingJobs(io, 'ride', user._id, 'went online').catch(error => {
+            console.error('Error checking pending rides:', error);
+          });
         }, 1000);
       }
     }
 
     res.json(user);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Update driver availability error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -182,7 +197,7 @@ router.put('/courier-location', protect, async (req, res) => {
 });
 
 // @route   PUT /api/users/courier-availability
-// @desc    Update courier availability
+// @desc    Update courier availability (going online is refused while commission debt is over the limit)
 // @access  Private (Courier only)
 router.put('/courier-availability', protect, async (req, res) => {
   try {
@@ -198,7 +213,12 @@ router.put('/courier-availability', protect, async (req, res) => {
     }
 
     if (typeof isAvailable === 'boolean') {
+      if (isAvailable) {
+        // Commission owed on cash trips must be settled first
+        await assertCanGoOnline(user._id);
+      }
       user.courierInfo.isAvailable = isAvailable;
+      applyManualAvailability(user.courierInfo, isAvailable);
       
       // Auto-verify couriers for development (remove in production)
       if (isAvailable && !user.courierInfo.isVerified) {
@@ -215,8 +235,25 @@ router.put('/courier-availability', protect, async (req, res) => {
     }
 
     await user.save();
+
+    // If courier just went online and has location, check for pending deliveries
+    if (isAvailable && user.courierInfo.currentLocation) {
+      const io = req.app.get('io');
+      if (io) {
+        // Delay slightly to ensure socket room is joined
+        setTimeout(() => {
+          notifyPendingJobs(io, 'delivery', user._id, 'went online').catch(error => {
+            console.error('Error checking pending deliveries:', error);
+          });
+        }, 1000);
+      }
+    }
+
     res.json(user);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Update courier availability error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -233,39 +270,28 @@ router.get('/nearby-drivers', protect, async (req, res) => {
       return res.status(400).json({ message: 'Latitude and longitude are required' });
     }
 
-    // Find available drivers
+    const near = buildNearQuery({ latitude, longitude }, parseFloat(radius));
+    if (!near) {
+      return res.status(400).json({ message: 'Invalid latitude or longitude' });
+    }
+
+    // Find available drivers with a live connection within the radius, nearest first
     const drivers = await User.find({
       isDriver: true,
       'driverInfo.isAvailable': true,
-      'driverInfo.currentLocation': { $exists: true }
+      ...onlineFilter('ride'),
+      'driverInfo.currentPoint': near
     }).select('name driverInfo');
 
-    // Filter by distance
-    const nearbyDrivers = drivers.filter(driver => {
-      if (!driver.driverInfo?.currentLocation) return false;
-      
-      const driverLat = driver.driverInfo.currentLocation.latitude;
-      const driverLng = driver.driverInfo.currentLocation.longitude;
-      
-      // Haversine formula to calculate distance
-      const R = 6371; // Earth's radius in km
-      const dLat = (driverLat - parseFloat(latitude)) * Math.PI / 180;
-      const dLng = (driverLng - parseFloat(longitude)) * Math.PI / 180;
-      const a = 
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(parseFloat(latitude) * Math.PI / 180) * Math.cos(driverLat * Math.PI / 180) *
-        Math.sin(dLng/2) * Math.sin(dLng/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      const distance = R * c;
-      
-      return distance <= parseFloat(radius);
-    }).map(driver => ({
+    const nearbyDrivers = drivers.map(driver => ({
       id: driver._id,
       name: driver.name,
       location: driver.driverInfo.currentLocation,
       rating: driver.driverInfo.rating || 0,
       vehicleModel: driver.driverInfo.vehicleModel,
-      vehicleColor: driver.driverInfo.vehicleColor
+      vehicleColor: driver.driverInfo.vehicleColor,
+      lastSeenAt: driver.driverInfo.presence?.lastHeartbeatAt,
+      locationUpdatedAt: driver.driverInfo.presence?.lastLocationAt
     }));
 
     res.json(nearbyDrivers);
@@ -399,20 +425,19 @@ router.post('/payment-methods', protect, async (req, res) => {
         return res.status(400).json({ message: 'Card details are required' });
       }
 
-      // Extract last 4 digits
-      const last4 = cardNumber.replace(/\s/g, '').slice(-4);
-      
-      // Determine card brand (simplified - in production use proper card validation)
-      let brand = 'Unknown';
-      const firstDigit = cardNumber.replace(/\s/g, '')[0];
-      if (firstDigit === '4') brand = 'Visa';
-      else if (firstDigit === '5') brand = 'Mastercard';
-      else if (firstDigit === '3') brand = 'Amex';
-
-      // In production, never store full card numbers or CVV
-      // Use a payment processor like Stripe to tokenize cards
-      paymentMethod.last4 = last4;
-      paymentMethod.brand = brand;
+      // The payment provider stores the card - only its token and display details are kept
+      const card = await getPaymentProvider().tokenizeCard({
+        cardNumber: String(cardNumber),
+        cardHolderName,
+        expiryMonth,
+        expiryYear,
+        cvv
+      });
+
+      paymentMethod.provider = DEFAULT_PROVIDER;
+      paymentMethod.token = card.token;
+      paymentMethod.last4 = card.last4;
+      paymentMethod.brand = card.brand;
       paymentMethod.cardHolderName = cardHolderName;
       paymentMethod.expiryMonth = expiryMonth;
       paymentMethod.expiryYear = expiryYear;
@@ -429,6 +454,9 @@ router.post('/payment-methods', protect, async (req, res) => {
       paymentMethods: user.paymentMethods
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Add payment method error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -500,12 +528,12 @@ router.delete('/payment-methods/:id', protect, async (req, res) => {
   }
 });
 
-// ========== BANKING DETAILS ROUTES (FOR DRIVERS) ==========
+// ========== BANKING DETAILS ROUTES (FOR DRIVERS AND COURIERS) ==========
 
 // @route   GET /api/users/banking-details
 // @desc    Get user's banking details
-// @access  Private (Driver only)
-router.get('/banking-details', protect, authorize('driver'), async (req, res) => {
+// @access  Private (Driver/Courier)
+router.get('/banking-details', protect, authorize('driver', 'courier'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('bankingDetails');
     res.json(user.bankingDetails || []);
@@ -517,8 +545,8 @@ router.get('/banking-details', protect, authorize('driver'), async (req, res) =>
 
 // @route   POST /api/users/banking-details
 // @desc    Add banking details
-// @access  Private (Driver only)
-router.post('/banking-details', protect, authorize('driver'), async (req, res) => {
+// @access  Private (Driver/Courier)
+router.post('/banking-details', protect, authorize('driver', 'courier'), async (req, res) => {
   try {
     const { bankName, accountHolderName, accountNumber, accountType, branchCode, swiftCode, isDefault } = req.body;
 
@@ -560,8 +588,8 @@ router.post('/banking-details', protect, authorize('driver'), async (req, res) =
 
 // @route   PUT /api/users/banking-details/:id
 // @desc    Update banking details
-// @access  Private (Driver only)
-router.put('/banking-details/:id', protect, authorize('driver'), async (req, res) => {
+// @access  Private (Driver/Courier)
+router.put('/banking-details/:id', protect, authorize('driver', 'courier'), async (req, res) => {
   try {
     const { bankName, accountHolderName, accountNumber, accountType, branchCode, swiftCode, isDefault } = req.body;
 
@@ -603,8 +631,8 @@ router.put('/banking-details/:id', protect, authorize('driver'), async (req, res
 
 // @route   DELETE /api/users/banking-details/:id
 // @desc    Delete banking details
-// @access  Private (Driver only)
-router.delete('/banking-details/:id', protect, authorize('driver'), async (req, res) => {
+// @access  Private (Driver/Courier)
+router.delete('/banking-details/:id', protect, authorize('driver', 'courier'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     user.bankingDetails = user.bankingDetails.filter(
@@ -622,72 +650,6 @@ router.delete('/banking-details/:id', protect, authorize('driver'), async (req,
   }
 });
 
-// Helper function to check for pending rides and notify driver
-async function checkAndNotifyPendingRides(driverId, driverLocation, io) {
-  try {
-    const radius = 10; // 10km radius
-    const driverLat = driverLocation.latitude;
-    const driverLng = driverLocation.longitude;
-
-    // Find pending rides
-    const pendingRides = await Ride.find({
-      status: 'pending',
-      driver: { $exists: false } // No driver assigned yet
-    }).populate('rider', 'name email phone').sort({ createdAt: -1 });
-
-    console.log(`🔍 Checking for pending rides for driver ${driverId}...`);
-    console.log(`   Found ${pendingRides.length} pending ride(s)`);
-
-    if (pendingRides.length === 0) {
-      return;
-    }
-
-    const driverRoom = `driver-${String(driverId)}`;
-    const roomMembers = io.sockets.adapter.rooms.get(driverRoom);
-    const isDriverInRoom = roomMembers && roomMembers.size > 0;
-
-    if (!isDriverInRoom) {
-      console.log(`⚠️ Driver ${driverId} not in socket room ${driverRoom} - cannot send pending rides`);
-      return;
-    }
-
-    let ridesNotified = 0;
-    let ridesTooFar = 0;
-
-    pendingRides.forEach(ride => {
-      if (!ride.pickupLocation) {
-        return;
-      }
-
-      const pickupLat = ride.pickupLocation.latitude;
-      const pickupLng = ride.pickupLocation.longitude;
-
-      // Calculate distance
-      const R = 6371; // Earth's radius in km
-      const dLat = (pickupLat - driverLat) * Math.PI / 180;
-      const dLng = (pickupLng - driverLng) * Math.PI / 180;
-      const a = 
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(driverLat * Math.PI / 180) * Math.cos(pickupLat * Math.PI / 180) *
-        Math.sin(dLng/2) * Math.sin(dLng/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      const distance = R * c;
-
-      if (distance <= radius) {
-        console.log(`📤 Sending pending ride ${ride._id} to driver ${driverId} (${distance.toFixed(2)}km away)`);
-        io.to(driverRoom).emit('new-ride-request', ride.toObject());
-        ridesNotified++;
-      } else {
-        ridesTooFar++;
-      }
-    });
-
-    console.log(`✅ Sent ${ridesNotified} pending ride(s) to driver ${driverId} (${ridesTooFar} too far)`);
-  } catch (error) {
-    console.error('Error checking pending rides:', error);
-  }
-}
-
 // @route   GET /api/users/driver-status
 // @desc    Get driver status and socket room information (diagnostic endpoint)
 // @access  Private (Driver only)
@@ -702,11 +664,11 @@ router.get('/driver-status', protect, authorize('driver'), async (req, res) => {
 
     const driverId = user._id.toString();
     const driverRoom = `driver-${driverId}`;
-    const roomMembers = io.sockets.adapter.rooms.get(driverRoom);
-    const isInRoom = roomMembers && roomMembers.size > 0;
+    const roomMembers = await getRoomSize(io, driverRoom);
+    const isInRoom = roomMembers > 0;
     
-    // Get all driver rooms for comparison
-    const allDriverRooms = Array.from(io.sockets.adapter.rooms.keys()).filter(r => r.startsWith('driver-'));
+    // Get all driver rooms (on every instance) for comparison
+    const allDriverRooms = await listRooms(io, 'driver-');
     
     const status = {
       driverId,
@@ -716,7 +678,7 @@ router.get('/driver-status', protect, authorize('driver'), async (req, res) => {
       hasLocation: !!user.driverInfo?.currentLocation,
       location: user.driverInfo?.currentLocation || null,
       isInSocketRoom: isInRoom,
-      socketRoomMembers: isInRoom ? roomMembers.size : 0,
+      socketRoomMembers: roomMembers,
       allDriverRooms: allDriverRooms,
       socketRoomsCount: allDriverRooms.length,
       issues: []
@@ -749,10 +711,10 @@ router.get('/driver-status', protect, authorize('driver'), async (req, res) => {
 // @access  Private (Driver only)
 router.get('/pending-rides', protect, authorize('driver'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
     const io = req.app.get('io');
-    
-    if (!user.driverInfo?.isAvailable || !user.driverInfo?.currentLocation) {
+    const user = await loadMatchableUser('ride', req.user.id);
+
+    if (!user) {
       return res.json({
         message: 'Driver not available or location not set',
         pendingRides: [],
@@ -760,73 +722,44 @@ router.get('/pending-rides', protect, authorize('driver'), async (req, res) => {
       });
     }
 
-    const radius = 10; // 10km radius
-    const driverLat = user.driverInfo.currentLocation.latitude;
-    const driverLng = user.driverInfo.currentLocation.longitude;
-
-    // Find pending rides
-    const pendingRides = await Ride.find({
-      status: 'pending',
-      driver: { $exists: false }
-    }).populate('rider', 'name email phone').sort({ createdAt: -1 });
-
-    const nearbyRides = [];
-    const tooFarRides = [];
-
-    pendingRides.forEach(ride => {
-      if (!ride.pickupLocation) return;
-
-      const pickupLat = ride.pickupLocation.latitude;
-      const pickupLng = ride.pickupLocation.longitude;
-
-      // Calculate distance
-      const R = 6371;
-      const dLat = (pickupLat - driverLat) * Math.PI / 180;
-      const dLng = (pickupLng - driverLng) * Math.PI / 180;
-      const a = 
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(driverLat * Math.PI / 180) * Math.cos(pickupLat * Math.PI / 180) *
-        Math.sin(dLng/2) * Math.sin(dLng/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      const distance = R * c;
-
-      const rideInfo = {
-        rideId: ride._id,
-        pickup: ride.pickupLocation.address,
-        dropoff: ride.dropoffLocation?.address,
-        fare: ride.fare,
-        distance: distance.toFixed(2),
-        createdAt: ride.createdAt
-      };
+    const driverLocation = user.driverInfo.currentLocation;
+    const { nearby, offeredElsewhere, tooFar } = await listPendingJobs('ride', user);
 
-      if (distance <= radius) {
-        nearbyRides.push(rideInfo);
-      } else {
-        tooFarRides.push(rideInfo);
-      }
+    const toRideInfo = ({ job, distanceKm, radiusKm }) => ({
+      rideId: job._id,
+      pickup: job.pickupLocation?.address,
+      dropoff: job.dropoffLocation?.address,
+      fare: job.fare,
+      rideType: job.rideType,
+      distance: distanceKm.toFixed(2),
+      radius: `${radiusKm}km`,
+      createdAt: job.createdAt
     });
+    const nearbyRides = nearby.map(toRideInfo);
+    const offeredElsewhereRides = offeredElsewhere.map(toRideInfo);
+    const tooFarRides = tooFar.map(toRideInfo);
 
     // Check socket room
-    const driverId = String(user._id);
-    const driverRoom = `driver-${driverId}`;
-    const roomMembers = io?.sockets?.adapter?.rooms?.get(driverRoom);
-    const isInRoom = roomMembers && roomMembers.size > 0;
+    const driverRoom = `driver-${String(user._id)}`;
+    const roomMembers = await getRoomSize(io, driverRoom);
+    const isInRoom = roomMembers > 0;
 
     res.json({
       message: 'Pending rides check',
       driverLocation: {
-        latitude: driverLat,
-        longitude: driverLng
+        latitude: driverLocation.latitude,
+        longitude: driverLocation.longitude
       },
-      radius: `${radius}km`,
       nearbyRides: nearbyRides,
+      offeredElsewhereRides: offeredElsewhereRides,
       tooFarRides: tooFarRides,
-      totalPending: pendingRides.length,
+      totalPending: nearbyRides.length + offeredElsewhereRides.length + tooFarRides.length,
       nearbyCount: nearbyRides.length,
+      offeredElsewhereCount: offeredElsewhereRides.length,
       tooFarCount: tooFarRides.length,
       isInSocketRoom: isInRoom,
       socketRoom: driverRoom,
-      socketRoomMembers: isInRoom ? roomMembers.size : 0,
+      socketRoomMembers: roomMembers,
       willReceiveRequests: isInRoom && nearbyRides.length > 0
     });
   } catch (error) {
@@ -0,0 +1,207 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const { protect, authorize } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const {
+  getWalletBalance,
+  getWalletHistory,
+  topUpWallet,
+  redeemPromoCredit,
+  refundToWallet,
+  creditWallet
+} = require('../services/wallet');
+const { getAccountTotals, getTrialBalance, fromCents } = require('../services/ledger');
+
+const router = express.Router();
+
+const TRIP_MODELS = { ride: Ride, delivery: Delivery };
+
+// @route   GET /api/wallet
+// @desc    Get the user's wallet balance
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    res.json(await getWalletBalance(req.user.id));
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/wallet/transactions
+// @desc    Get the user's wallet history, newest first (?before=<date> for older pages)
+// @access  Private
+router.get('/transactions', protect, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('before').optional().isISO8601().withMessage('Before must be a valid date'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transactions = await getWalletHistory(req.user.id, {
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+      before: req.query.before ? new Date(req.query.before) : undefined
+    });
+    res.json(transactions);
+  } catch (error) {
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/wallet/topup
+// @desc    Top up the wallet from a saved card (send an Idempotency-Key to retry safely)
+// @access  Private
+router.post('/topup', protect, idempotency('wallet-topup'), [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be more than zero'),
+  body('paymentMethodId').optional().isMongoId().withMessage('Invalid payment method'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await topUpWallet(
+      req.app.get('io'),
+      req.user.id,
+      parseFloat(req.body.amount),
+      req.body.paymentMethodId
+    );
+    res.status(result.payment.status === 'pending' ? 202 : 201).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Wallet top-up error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/wallet/promo
+// @desc    Redeem a wallet credit promo code
+// @access  Private
+router.post('/promo', protect, [
+  body('code').notEmpty().withMessage('Code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.status(201).json(await redeemPromoCredit(req.user.id, req.body.code));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Redeem promo credit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/wallet/refunds
+// @desc    Refund some or all of a trip to the customer's wallet (Admin only)
+// @access  Private (Admin)
+router.post('/refunds', protect, authorize('admin'), [
+  body('kind').isIn(['ride', 'delivery']).withMessage('Kind must be ride or delivery'),
+  body('jobId').isMongoId().withMessage('Invalid trip ID'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be more than zero'),
+  body('reason').optional().isString(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind, jobId } = req.body;
+    const job = await TRIP_MODELS[kind].findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: `${kind === 'ride' ? 'Ride' : 'Delivery'} not found` });
+    }
+
+    const amount = req.body.amount ? parseFloat(req.body.amount) : undefined;
+    const result = await refundToWallet(req.app.get('io'), kind, job, amount, req.user.id);
+
+    console.log(`💸 Admin ${req.user.id} refunded ${kind} ${job._id} to wallet${req.body.reason ? ` (${req.body.reason})` : ''}`);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Wallet refund error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/wallet/:userId/credit
+// @desc    Credit a user's wallet (Admin only)
+// @access  Private (Admin)
+router.post('/:userId/credit', protect, authorize('admin'), [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('amount').isFloat({ gt: 0, max: 5000 }).withMessage('Amount must be between 0 and 5000'),
+  body('reason').notEmpty().withMessage('Reason is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await creditWallet(req.params.userId, parseFloat(req.body.amount), req.body.reason, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Wallet credit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/wallet/ledger/trial-balance
+// @desc    Debit and credit totals for every ledger account (Admin only)
+// @access  Private (Admin)
+router.get('/ledger/trial-balance', protect, authorize('admin'), async (req, res) => {
+  try {
+    res.json(await getTrialBalance());
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/wallet/ledger/accounts/:account
+// @desc    Totals and latest transactions for one ledger account (Admin only)
+// @access  Private (Admin)
+router.get('/ledger/accounts/:account', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { account } = req.params;
+    const [totals, transactions] = await Promise.all([
+      getAccountTotals(account),
+      LedgerTransaction.find({ 'postings.account': account })
+        .sort({ createdAt: -1 })
+        .limit(100)
+    ]);
+
+    res.json({
+      account,
+      debit: fromCents(totals.debit),
+      credit: fromCents(totals.credit),
+      balance: fromCents(totals.credit - totals.debit),
+      transactions
+    });
+  } catch (error) {
+    console.error('Get ledger account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
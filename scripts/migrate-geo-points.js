@@ -0,0 +1,107 @@
+/**
+ * Script to backfill GeoJSON points and build the 2dsphere indexes
+ * used for nearby driver/courier and pending ride/delivery searches.
+ * Safe to run more than once.
+ * Usage: node scripts/migrate-geo-points.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const { toGeoPoint } = require('../utils/location');
+
+const BATCH_SIZE = 500;
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mzansi');
+    console.log(`📦 MongoDB Connected: ${conn.connection.host}`);
+    return true;
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    return false;
+  }
+};
+
+// Copy each { latitude, longitude } source field into its GeoJSON point field
+const backfill = async (Model, fields) => {
+  const filter = { $or: fields.map(({ source }) => ({ [`${source}.latitude`]: { $exists: true } })) };
+  const projection = fields.reduce((acc, { source }) => ({ ...acc, [source]: 1 }), {});
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Model.collection.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  const cursor = Model.collection.find(filter, { projection });
+  for await (const doc of cursor) {
+    const $set = {};
+    const $unset = {};
+
+    fields.forEach(({ source, target }) => {
+      const location = source.split('.').reduce((value, key) => value?.[key], doc);
+      const point = toGeoPoint(location);
+      if (point) {
+        $set[target] = point;
+      } else {
+        $unset[target] = '';
+      }
+    });
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+    operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return updated;
+};
+
+const migrate = async () => {
+  const connected = await connectDB();
+  if (!connected) {
+    console.error('❌ Failed to connect to MongoDB');
+    process.exit(1);
+  }
+
+  try {
+    const users = await backfill(User, [
+      { source: 'driverInfo.currentLocation', target: 'driverInfo.currentPoint' },
+      { source: 'courierInfo.currentLocation', target: 'courierInfo.currentPoint' }
+    ]);
+    console.log(`✅ Updated ${users} user location(s)`);
+
+    const rides = await backfill(Ride, [
+      { source: 'pickupLocation', target: 'pickupPoint' }
+    ]);
+    console.log(`✅ Updated ${rides} ride pickup point(s)`);
+
+    const deliveries = await backfill(Delivery, [
+      { source: 'pickupLocation', target: 'pickupPoint' }
+    ]);
+    console.log(`✅ Updated ${deliveries} delivery pickup point(s)`);
+
+    // Build indexes after the backfill so every document has a valid point
+    await Promise.all([User.createIndexes(), Ride.createIndexes(), Delivery.createIndexes()]);
+    console.log('✅ 2dsphere indexes are in place');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating geo points:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
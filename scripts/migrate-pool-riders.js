@@ -0,0 +1,61 @@
+/**
+ * Script to move riders added through the removed POST /api/rides/:id/pool
+ * from rides' poolRiders into legacyPoolRiders, so they are kept once the
+ * field is gone from the schema. Lists any still-active ride that had them,
+ * since those riders were never given rides of their own.
+ * Safe to run more than once.
+ * Usage: node scripts/migrate-pool-riders.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+
+const ACTIVE_STATUSES = ['pending', 'accepted', 'driver_arrived', 'in_progress'];
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mzansi');
+    console.log(`📦 MongoDB Connected: ${conn.connection.host}`);
+    return true;
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    return false;
+  }
+};
+
+const migrate = async () => {
+  const connected = await connectDB();
+  if (!connected) {
+    console.error('❌ Failed to connect to MongoDB');
+    process.exit(1);
+  }
+
+  try {
+    // Straight on the collection - poolRiders is no longer in the schema
+    const active = await Ride.collection.find(
+      { 'poolRiders.0': { $exists: true }, status: { $in: ACTIVE_STATUSES } },
+      { projection: { status: 1, poolRiders: 1 } }
+    ).toArray();
+
+    const result = await Ride.collection.updateMany(
+      { poolRiders: { $exists: true } },
+      { $rename: { poolRiders: 'legacyPoolRiders' } }
+    );
+    console.log(`✅ Moved pool riders on ${result.modifiedCount} ride(s)`);
+
+    if (active.length) {
+      console.log(`⚠️ ${active.length} active ride(s) still carry riders from the old pool endpoint:`);
+      active.forEach(ride => {
+        console.log(`   ${ride._id} (${ride.status}): ${ride.poolRiders.length} rider(s)`);
+      });
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating pool riders:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -5,6 +5,7 @@ const socketIo = require('socket.io');
 require('dotenv').config();
 
 const connectDB = require('./config/db');
+const configureSocketAdapter = require('./config/socketAdapter');
 const authRoutes = require('./routes/auth');
 const rideRoutes = require('./routes/rides');
 const deliveryRoutes = require('./routes/deliveries');
@@ -16,6 +17,21 @@ const securityRoutes = require('./routes/security');
 const chatRoutes = require('./routes/chat');
 const loyaltyRoutes = require('./routes/loyalty');
 const verificationRoutes = require('./routes/verification');
+const surgeRoutes = require('./routes/surge');
+const pricingRoutes = require('./routes/pricing');
+const paymentRoutes = require('./routes/payments');
+const walletRoutes = require('./routes/wallet');
+const earningsRoutes = require('./routes/earnings');
+const { DECLINE_REASONS, declineOffer, registerDispatchJobs } = require('./services/dispatch');
+const { notifyPendingJobs } = require('./services/matching');
+const { socketAuth, joinAuthorizedRoom, verifyTripRole } = require('./middleware/socketAuth');
+const { recordSocketHeartbeat, recordSocketDisconnect, startPresenceSweeper } = require('./services/presence');
+const { startJobRunner } = require('./services/jobRunner');
+const { registerScheduledTripJobs } = require('./services/scheduledTrips');
+const { registerSurgeJobs, scheduleSurgeUpdates } = require('./services/surge');
+const { recordTripLocation } = require('./services/tripMetering');
+const { registerEarningsJobs, scheduleWeeklyPayouts } = require('./services/earnings');
+const { registerPaymentJobs } = require('./services/payments');
 
 const app = express();
 const server = http.createServer(app);
@@ -39,10 +55,28 @@ connectDB().then(connected => {
     console.log('⚠️  Server starting without database connection (development mode)');
     console.log('   Start MongoDB or update MONGODB_URI to connect');
   }
+
+  // Take drivers/couriers whose apps went silent offline
+  if (connected) {
+    startPresenceSweeper(io);
+    // Dispatch offer expiry, scheduled trip dispatch, reminders and expiry, payment retries, weekly payouts
+    startJobRunner(io);
+    scheduleWeeklyPayouts().catch(error => console.error('Schedule weekly payouts error:', error));
+    // Recalculate surge per zone and push the heatmap to drivers
+    scheduleSurgeUpdates().catch(error => console.error('Schedule surge updates error:', error));
+  }
 });
 
+registerDispatchJobs();
+registerScheduledTripJobs();
+registerEarningsJobs();
+registerPaymentJobs();
+registerSurgeJobs();
+
 // Middleware
 app.use(cors());
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use('/api/payments/webhooks', express.raw({ type: '*/*' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -67,21 +101,73 @@ app.use('/api/security', securityRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/loyalty', loyaltyRoutes.router);
 app.use('/api/verification', verificationRoutes);
+app.use('/api/surge', surgeRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/earnings', earningsRoutes);
 
 // Socket.io for real-time updates
+// Every connection must present the same JWT as the REST API (handshake `auth.token`)
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
   console.log('   Transport:', socket.conn.transport.name);
-  console.log('   Socket auth:', socket.handshake.auth || 'none');
+  console.log('   User:', socket.userId, `(${socket.user.role})`);
+
+  // Personal room for notifications that aren't tied to a trip room (e.g. scheduled trip reminders)
+  socket.join(`user-${socket.userId}`);
+
+  // Presence: connecting counts as a heartbeat (and restores drivers taken offline while silent),
+  // as does every transport ping/pong after that
+  const onHeartbeatError = (error) => console.error('Presence heartbeat error:', error);
+  recordSocketHeartbeat(socket, null, true).catch(onHeartbeatError);
+  socket.conn.on('heartbeat', () => {
+    recordSocketHeartbeat(socket).catch(onHeartbeatError);
+  });
+
+  // Explicit heartbeat from the app, optionally with the current location
+  // Payload: { location: { latitude, longitude } }, with an optional ack callback
+  socket.on('heartbeat', async (data = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      await recordSocketHeartbeat(socket, data?.location);
+      respond({ ok: true });
+    } catch (error) {
+      onHeartbeatError(error);
+      respond({ ok: false, message: 'Server error' });
+    }
+  });
 
   // Handle driver joining their driver room
   // IMPORTANT: Only drivers should join driver rooms - ride requests are ONLY sent here
-  socket.on('join', (room) => {
+  // Payload: room name, with an optional ack callback
+  socket.on('join', async (room, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     if (typeof room === 'string') {
+      if (!room.startsWith('driver-') && !room.startsWith('courier-') && room !== 'admin') {
+        console.warn(`⚠️ Invalid room join attempt: ${room} (socket: ${socket.id})`);
+        return respond({ ok: false, message: 'Invalid room' });
+      }
+
+      let role = null;
+      try {
+        role = await joinAuthorizedRoom(socket, room);
+      } catch (error) {
+        console.error('Error authorizing room join:', error);
+      }
+      if (!role) {
+        return respond({ ok: false, message: 'Not authorized to join this room' });
+      }
+      respond({ ok: true });
+
       if (room.startsWith('driver-')) {
-        socket.join(room);
         const driverId = room.replace('driver-', '');
         console.log(`✅ Driver joined room: ${room} (socket: ${socket.id}, driverId: ${driverId}) - Ride requests will be sent here ONLY`);
+
+        // All drivers share the surge heatmap broadcasts
+        socket.join('drivers');
         
         // Verify room membership after a short delay to ensure join is complete
         setTimeout(async () => {
@@ -96,58 +182,7 @@ io.on('connection', (socket) => {
               
               // Check for pending rides when driver joins room
               try {
-                const User = require('./models/User');
-                const Ride = require('./models/Ride');
-                const user = await User.findById(driverId);
-                
-                if (user && user.driverInfo?.isAvailable && user.driverInfo?.currentLocation) {
-                  console.log(`🔍 Driver ${driverId} is available with location - checking for pending rides...`);
-                  
-                  const radius = 10; // 10km radius
-                  const driverLat = user.driverInfo.currentLocation.latitude;
-                  const driverLng = user.driverInfo.currentLocation.longitude;
-
-                  // Find pending rides
-                  const pendingRides = await Ride.find({
-                    status: 'pending',
-                    driver: { $exists: false }
-                  }).populate('rider', 'name email phone').sort({ createdAt: -1 });
-
-                  console.log(`   Found ${pendingRides.length} pending ride(s)`);
-
-                  if (pendingRides.length > 0) {
-                    let ridesNotified = 0;
-                    let ridesTooFar = 0;
-
-                    pendingRides.forEach(ride => {
-                      if (!ride.pickupLocation) return;
-
-                      const pickupLat = ride.pickupLocation.latitude;
-                      const pickupLng = ride.pickupLocation.longitude;
-
-                      // Calculate distance
-                      const R = 6371;
-                      const dLat = (pickupLat - driverLat) * Math.PI / 180;
-                      const dLng = (pickupLng - driverLng) * Math.PI / 180;
-                      const a = 
-                        Math.sin(dLat/2) * Math.sin(dLat/2) +
-                        Math.cos(driverLat * Math.PI / 180) * Math.cos(pickupLat * Math.PI / 180) *
-                        Math.sin(dLng/2) * Math.sin(dLng/2);
-                      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                      const distance = R * c;
-
-                      if (distance <= radius) {
-                        console.log(`📤 Sending pending ride ${ride._id} to driver ${driverId} (${distance.toFixed(2)}km away)`);
-                        io.to(room).emit('new-ride-request', ride.toObject());
-                        ridesNotified++;
-                      } else {
-                        ridesTooFar++;
-                      }
-                    });
-
-                    console.log(`✅ Sent ${ridesNotified} pending ride(s) to driver ${driverId} (${ridesTooFar} too far)`);
-                  }
-                }
+                await notifyPendingJobs(io, 'ride', driverId, 'joined room');
               } catch (error) {
                 console.error('Error checking pending rides on room join:', error);
               }
@@ -163,7 +198,6 @@ io.on('connection', (socket) => {
         const allRooms = Array.from(io.sockets.adapter.rooms.keys()).filter(r => r.startsWith('driver-'));
         console.log(`📋 Total driver rooms active: ${allRooms.length}`);
       } else if (room.startsWith('courier-')) {
-        socket.join(room);
         const courierId = room.replace('courier-', '');
         console.log(`✅ Courier joined room: ${room} (socket: ${socket.id}, courierId: ${courierId}) - Delivery requests will be sent here`);
         
@@ -180,276 +214,148 @@ io.on('connection', (socket) => {
               
               // Check for pending deliveries when courier joins room
               try {
-                const User = require('./models/User');
-                const Delivery = require('./models/Delivery');
-                const user = await User.findById(courierId);
-                
-                if (user && user.courierInfo?.isAvailable && user.courierInfo?.currentLocation) {
-                  console.log(`🔍 Courier ${courierId} is available with location - checking for pending deliveries...`);
-                  
-                  const radius = 10; // 10km radius
-                  const courierLat = user.courierInfo.currentLocation.latitude;
-                  const courierLng = user.courierInfo.currentLocation.longitude;
-
-                  // Find pending deliveries
-                  const pendingDeliveries = await Delivery.find({
-                    status: 'pending',
-                    courier: { $exists: false }
-                  }).populate('customer', 'name email phone').sort({ createdAt: -1 });
-
-                  console.log(`   Found ${pendingDeliveries.length} pending delivery/deliveries`);
-
-                  if (pendingDeliveries.length > 0) {
-                    let deliveriesNotified = 0;
-                    let deliveriesTooFar = 0;
-
-                    pendingDeliveries.forEach(delivery => {
-                      if (!delivery.pickupLocation) {
-                        return;
-                      }
-
-                      const pickupLat = delivery.pickupLocation.latitude;
-                      const pickupLng = delivery.pickupLocation.longitude;
-
-                      // Haversine formula to calculate distance
-                      const R = 6371; // Earth's radius in km
-                      const dLat = (pickupLat - courierLat) * Math.PI / 180;
-                      const dLng = (pickupLng - courierLng) * Math.PI / 180;
-                      const a =
-                        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                        Math.cos(courierLat * Math.PI / 180) * Math.cos(pickupLat * Math.PI / 180) *
-                        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-                      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-                      const distance = R * c;
-
-                      if (distance <= radius) {
-                        console.log(`   📦 Sending pending delivery ${delivery._id} to courier (${distance.toFixed(2)}km away)`);
-                        socket.emit('new-delivery-request', delivery.toObject());
-                        deliveriesNotified++;
-                      } else {
-                        deliveriesTooFar++;
-                      }
-                    });
-
-                    console.log(`   ✅ Notified courier about ${deliveriesNotified} nearby delivery/deliveries`);
-                    if (deliveriesTooFar > 0) {
-                      console.log(`   ⚠️ ${deliveriesTooFar} delivery/deliveries too far away (>${radius}km)`);
-                    }
-                  }
-                }
+                await notifyPendingJobs(io, 'delivery', courierId, 'joined room');
               } catch (error) {
                 console.error('Error checking pending deliveries for courier:', error);
               }
             }
           }
-        }, 500);
-      } else if (room === 'admin') {
+        }, 1000);
+      } else {
         // Admin room for dashboard updates
-        socket.join('admin');
         console.log(`✅ Admin joined admin room (socket: ${socket.id})`);
-      } else {
-        console.warn(`⚠️ Invalid room join attempt: ${room} (socket: ${socket.id})`);
       }
     }
   });
 
-  // Handle joining a ride room (for riders and drivers tracking a ride)
-  socket.on('join-ride', (rideId) => {
-    const rideRoom = `ride-${rideId}`;
-    socket.join(rideRoom);
-    console.log(`✅ Socket ${socket.id} joined ride room: ${rideRoom}`);
-  });
+  // Handle joining ride/delivery rooms - only participants (and admins) may track a trip
+  [
+    { event: 'join-ride', roomPrefix: 'ride-' },
+    { event: 'join-delivery', roomPrefix: 'delivery-' }
+  ].forEach(({ event, roomPrefix }) => {
+    socket.on(event, async (id, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      try {
+        const room = `${roomPrefix}${id}`;
+        const role = await joinAuthorizedRoom(socket, room);
+        if (!role) {
+          return respond({ ok: false, message: 'Not authorized to join this room' });
+        }
 
-  // Handle joining a delivery room (for customers and couriers tracking a delivery)
-  socket.on('join-delivery', (deliveryId) => {
-    const deliveryRoom = `delivery-${deliveryId}`;
-    socket.join(deliveryRoom);
-    console.log(`✅ Socket ${socket.id} joined delivery room: ${deliveryRoom}`);
+        console.log(`✅ Socket ${socket.id} joined ${room} as ${role}`);
+        respond({ ok: true, role });
+      } catch (error) {
+        console.error(`Error handling ${event}:`, error);
+        respond({ ok: false, message: 'Server error' });
+      }
+    });
   });
 
-  // Handle delivery location updates
-  socket.on('delivery-location-update', (data) => {
-    if (data.deliveryId && data.location) {
+  // Handle delivery location updates (assigned courier only)
+  socket.on('delivery-location-update', async (data) => {
+    if (data?.deliveryId && data.location) {
       const deliveryRoom = `delivery-${data.deliveryId}`;
+      try {
+        if (!(await verifyTripRole(socket, deliveryRoom, ['courier']))) {
+          console.warn(`🚫 User ${socket.userId} sent delivery-location-update for ${deliveryRoom} without being its courier`);
+          return;
+        }
+      } catch (error) {
+        console.error('Error checking delivery courier:', error);
+        return;
+      }
       io.to(deliveryRoom).emit('delivery-location-update', data);
       io.to('admin').emit('delivery-location-update', data);
+      recordTripLocation('delivery', data.deliveryId, socket.userId, data.location).catch(error => {
+        console.error('Record delivery location error:', error);
+      });
     }
   });
 
-  // Handle explicit request to check for pending rides
-  // Handle courier checking for pending deliveries
-  socket.on('check-pending-deliveries', async () => {
-    try {
-      const userId = socket.userId || socket.handshake.auth?.userId;
-      if (!userId) {
-        console.log('⚠️ check-pending-deliveries: No userId found');
-        return;
-      }
-
-      const User = require('./models/User');
-      const Delivery = require('./models/Delivery');
-      const user = await User.findById(userId);
-
-      if (!user || !user.isCourier || !user.courierInfo?.isAvailable || !user.courierInfo?.currentLocation) {
-        console.log(`⚠️ Courier ${userId} not available or no location - skipping pending deliveries check`);
-        return;
-      }
-
-      const radius = 10; // 10km radius
-      const courierLat = user.courierInfo.currentLocation.latitude;
-      const courierLng = user.courierInfo.currentLocation.longitude;
-
-      // Find pending deliveries
-      const pendingDeliveries = await Delivery.find({
-        status: 'pending',
-        courier: { $exists: false }
-      }).populate('customer', 'name email phone').sort({ createdAt: -1 });
-
-      console.log(`🔍 Courier ${userId} requested pending deliveries check - found ${pendingDeliveries.length} pending delivery/deliveries`);
-
-      if (pendingDeliveries.length === 0) {
-        return;
-      }
-
-      const courierRoom = `courier-${String(userId)}`;
-      const roomMembers = io.sockets.adapter.rooms.get(courierRoom);
-      const isCourierInRoom = roomMembers && roomMembers.size > 0;
-
-      if (!isCourierInRoom) {
-        console.log(`⚠️ Courier ${userId} not in socket room ${courierRoom} - cannot send pending deliveries`);
-        return;
-      }
-
-      let deliveriesNotified = 0;
-      let deliveriesTooFar = 0;
-
-      pendingDeliveries.forEach(delivery => {
-        if (!delivery.pickupLocation) {
+  // Handle explicit requests to check for pending rides/deliveries
+  [
+    { event: 'check-pending-rides', kind: 'ride', roomPrefix: 'driver-' },
+    { event: 'check-pending-deliveries', kind: 'delivery', roomPrefix: 'courier-' }
+  ].forEach(({ event, kind, roomPrefix }) => {
+    socket.on(event, async () => {
+      try {
+        if (!socket.rooms.has(`${roomPrefix}${socket.userId}`)) {
+          console.log(`⚠️ Socket ${socket.id} requested pending ${kind}s but has not joined ${roomPrefix}${socket.userId}`);
           return;
         }
 
-        const pickupLat = delivery.pickupLocation.latitude;
-        const pickupLng = delivery.pickupLocation.longitude;
-
-        // Haversine formula to calculate distance
-        const R = 6371; // Earth's radius in km
-        const dLat = (pickupLat - courierLat) * Math.PI / 180;
-        const dLng = (pickupLng - courierLng) * Math.PI / 180;
-        const a =
-          Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-          Math.cos(courierLat * Math.PI / 180) * Math.cos(pickupLat * Math.PI / 180) *
-          Math.sin(dLng / 2) * Math.sin(dLng / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        const distance = R * c;
-
-        if (distance <= radius) {
-          console.log(`📦 Sending pending delivery ${delivery._id} to courier ${userId} (${distance.toFixed(2)}km away)`);
-          io.to(courierRoom).emit('new-delivery-request', delivery.toObject());
-          deliveriesNotified++;
-        } else {
-          deliveriesTooFar++;
-        }
-      });
-
-      console.log(`✅ Notified courier ${userId} about ${deliveriesNotified} nearby delivery/deliveries`);
-      if (deliveriesTooFar > 0) {
-        console.log(`   ⚠️ ${deliveriesTooFar} delivery/deliveries too far away (>${radius}km)`);
+        await notifyPendingJobs(io, kind, socket.userId, 'requested');
+      } catch (error) {
+        console.error(`Error handling ${event}:`, error);
       }
-    } catch (error) {
-      console.error('Error checking pending deliveries:', error);
-    }
+    });
   });
 
-  socket.on('check-pending-rides', async () => {
-    try {
-      // Find which driver room this socket is in
-      const driverRooms = Array.from(io.sockets.adapter.rooms.keys()).filter(r => r.startsWith('driver-'));
-      let driverRoom = null;
-      let driverId = null;
-
-      for (const room of driverRooms) {
-        const members = io.sockets.adapter.rooms.get(room);
-        if (members && members.has(socket.id)) {
-          driverRoom = room;
-          driverId = room.replace('driver-', '');
-          break;
+  // Handle drivers/couriers declining a dispatch offer
+  // Payload: { rideId, reason } or { deliveryId, reason }, with an optional ack callback
+  [
+    { event: 'decline-ride', kind: 'ride', roomPrefix: 'driver-', idKey: 'rideId' },
+    { event: 'decline-delivery', kind: 'delivery', roomPrefix: 'courier-', idKey: 'deliveryId' }
+  ].forEach(({ event, kind, roomPrefix, idKey }) => {
+    socket.on(event, async (data = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!socket.rooms.has(`${roomPrefix}${socket.userId}`) || !data[idKey]) {
+          return respond({ ok: false, message: `Join your ${roomPrefix.slice(0, -1)} room and provide ${idKey}` });
         }
-      }
 
-      if (!driverId) {
-        console.log('⚠️ Socket requested pending rides but not in any driver room');
-        return;
+        const reason = DECLINE_REASONS.includes(data.reason) ? data.reason : 'other';
+        const declined = await declineOffer(io, kind, data[idKey], socket.userId, reason);
+        respond(declined ? { ok: true } : { ok: false, message: `No open offer for this ${kind}` });
+      } catch (error) {
+        console.error(`Error handling ${event}:`, error);
+        respond({ ok: false, message: 'Server error' });
       }
+    });
+  });
 
-      const User = require('./models/User');
-      const Ride = require('./models/Ride');
-      const user = await User.findById(driverId);
-
-      if (user && user.driverInfo?.isAvailable && user.driverInfo?.currentLocation) {
-        console.log(`🔍 Explicit check for pending rides requested by driver ${driverId}`);
-        const radius = 10;
-        const driverLat = user.driverInfo.currentLocation.latitude;
-        const driverLng = user.driverInfo.currentLocation.longitude;
-
-        const pendingRides = await Ride.find({
-          status: 'pending',
-          driver: { $exists: false }
-        }).populate('rider', 'name email phone').sort({ createdAt: -1 });
-
-        console.log(`   Found ${pendingRides.length} pending ride(s)`);
-
-        if (pendingRides.length > 0) {
-          let ridesNotified = 0;
-          let ridesTooFar = 0;
-
-          pendingRides.forEach(ride => {
-            if (!ride.pickupLocation) return;
-
-            const pickupLat = ride.pickupLocation.latitude;
-            const pickupLng = ride.pickupLocation.longitude;
-
-            const R = 6371;
-            const dLat = (pickupLat - driverLat) * Math.PI / 180;
-            const dLng = (pickupLng - driverLng) * Math.PI / 180;
-            const a = 
-              Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(driverLat * Math.PI / 180) * Math.cos(pickupLat * Math.PI / 180) *
-              Math.sin(dLng/2) * Math.sin(dLng/2);
-            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-            const distance = R * c;
-
-            if (distance <= radius) {
-              console.log(`📤 Sending pending ride ${ride._id} to driver ${driverId} (${distance.toFixed(2)}km away)`);
-              io.to(driverRoom).emit('new-ride-request', ride.toObject());
-              ridesNotified++;
-            } else {
-              ridesTooFar++;
-            }
-          });
-
-          console.log(`✅ Sent ${ridesNotified} pending ride(s) to driver ${driverId} (${ridesTooFar} too far)`);
-        }
-      } else {
-        console.log(`⚠️ Driver ${driverId} requested pending rides but is not available or has no location`);
+  // Only the ride's current driver may publish its location
+  socket.on('location-update', async (data) => {
+    const rideRoom = `ride-${data?.rideId}`;
+    try {
+      if (!(await verifyTripRole(socket, rideRoom, ['driver']))) {
+        console.warn(`🚫 User ${socket.userId} sent location-update for ${rideRoom} without being its driver`);
+        return;
       }
     } catch (error) {
-      console.error('Error checking pending rides on request:', error);
+      console.error('Error checking ride driver:', error);
+      return;
     }
-  });
-
-  socket.on('location-update', (data) => {
     // Emit to ride room for riders and admins tracking the trip
-    io.to(`ride-${data.rideId}`).emit('location-update', data);
+    io.to(rideRoom).emit('location-update', data);
     // Also emit to admin room for admin dashboard
     io.to('admin').emit('location-update', data);
+    // Keep the trail the final fare is metered from
+    recordTripLocation('ride', data.rideId, socket.userId, data.location || data).catch(error => {
+      console.error('Record ride location error:', error);
+    });
   });
 
-  socket.on('ride-status-update', (data) => {
-    socket.to(`ride-${data.rideId}`).emit('ride-status-update', data);
+  // Only the ride's current rider(s) and driver may relay status updates
+  socket.on('ride-status-update', async (data) => {
+    const rideRoom = `ride-${data?.rideId}`;
+    try {
+      if (!(await verifyTripRole(socket, rideRoom, ['driver', 'rider']))) {
+        console.warn(`🚫 User ${socket.userId} sent ride-status-update for ${rideRoom} without taking part in it`);
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking ride participant:', error);
+      return;
+    }
+    socket.to(rideRoom).emit('ride-status-update', data);
   });
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    recordSocketDisconnect(io, socket).catch(error => {
+      console.error('Presence disconnect error:', error);
+    });
   });
 });
 
@@ -458,7 +364,10 @@ app.set('io', io);
 
 const PORT = process.env.PORT || 5000;
 
-server.listen(PORT, () => {
-  console.log(`🚀 Mzansi backend server running on port ${PORT}`);
+// Attach the Socket.io adapter before accepting connections
+configureSocketAdapter(io).then(() => {
+  server.listen(PORT, () => {
+    console.log(`🚀 Mzansi backend server running on port ${PORT}`);
+  });
 });
 
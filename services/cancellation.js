@@ -0,0 +1,97 @@
+/**
+ * Cancellation fees
+ *
+ * Decides what a cancellation costs using the cancellation policy of the
+ * price table the trip was booked with. Only the rider/customer pays: it's
+ * free before anyone accepts and shortly after booking, a fee applies once
+ * the driver/courier has been on the way for a while, and a larger no-show
+ * fee applies once the driver has waited at pickup long enough (whoever
+ * then cancels). The fee is charged to the rider/customer and credited to
+ * the driver/courier.
+ */
+
+const { formatPrice } = require('../utils');
+const { getPricingForVersion } = require('./pricing');
+
+const PARTIES = {
+    ride: { owner: 'rider', assignee: 'driver', ownerLabel: 'rider', assigneeLabel: 'driver' },
+    delivery: { owner: 'customer', assignee: 'courier', ownerLabel: 'customer', assigneeLabel: 'courier' }
+};
+
+const refId = (value) => (value && value._id) || value || null;
+
+const minutesSince = (from, at) => (at - new Date(from)) / 60000;
+
+/**
+ * Work out the fee for cancelling a trip now
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document, before cancelling
+ * @param {String} role - Role of whoever is cancelling
+ * @param {Object} policy - Cancellation policy from a price table
+ * @param {Date} at - Time of cancellation
+ * @returns {Object} { amount, policy, explanation, chargedTo, creditedTo }
+ */
+const calculateCancellationFee = (kind, job, role, policy, at = new Date()) => {
+    const { owner, assignee, ownerLabel, assigneeLabel } = PARTIES[kind];
+    const assigneeId = refId(job[assignee]);
+    const free = (rule, explanation) => ({
+        amount: 0,
+        policy: rule,
+        explanation,
+        chargedTo: null,
+        creditedTo: null
+    });
+    const fee = (rule, amount, explanation) => ({
+        amount,
+        policy: rule,
+        explanation: `${explanation} A cancellation fee of ${formatPrice(amount)} applies and is paid to the ${assigneeLabel}.`,
+        chargedTo: refId(job[owner]),
+        creditedTo: assigneeId
+    });
+
+    // The rider didn't turn up - either side may cancel once the driver has waited long enough
+    if ((role === owner || role === assignee) && job.status === 'driver_arrived' && job.arrivedAt && policy.noShowFee > 0) {
+        const waited = minutesSince(job.arrivedAt, at);
+        if (waited >= policy.noShowWaitMinutes) {
+            return fee('no_show', policy.noShowFee,
+                `The ${assigneeLabel} waited ${Math.floor(waited)} minutes at pickup (more than ${policy.noShowWaitMinutes}).`);
+        }
+    }
+
+    if (role !== owner) {
+        return free(`cancelled_by_${role}`, `Cancelled by the ${role === assignee ? assigneeLabel : role}, so the ${ownerLabel} is not charged.`);
+    }
+    if (!assigneeId) {
+        return free('not_accepted', `No ${assigneeLabel} had accepted yet, so cancelling is free.`);
+    }
+
+    if (minutesSince(job.createdAt, at) <= policy.freeWindowMinutes) {
+        return free('free_window', `Cancelled within ${policy.freeWindowMinutes} minutes of booking, so cancelling is free.`);
+    }
+
+    const enRoute = minutesSince(job.acceptedAt || at, at);
+    if (policy.enRouteFee > 0 && enRoute > policy.enRouteAfterMinutes) {
+        return fee('en_route', policy.enRouteFee,
+            `The ${assigneeLabel} had been on the way for ${Math.floor(enRoute)} minutes (more than ${policy.enRouteAfterMinutes}).`);
+    }
+
+    return free('en_route_grace', `The ${assigneeLabel} accepted less than ${policy.enRouteAfterMinutes} minutes ago, so cancelling is free.`);
+};
+
+/**
+ * Fee for cancelling a trip now, using the policy it was booked under
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document, before cancelling
+ * @param {String} role - Role of whoever is cancelling
+ * @param {Date} at - Time of cancellation
+ * @returns {Object} See calculateCancellationFee
+ */
+const assessCancellationFee = async (kind, job, role, at = new Date()) => {
+    const pricing = await getPricingForVersion(kind, job.priceVersion);
+    return calculateCancellationFee(kind, job, role, pricing.cancellation, at);
+};
+
+module.exports = {
+    calculateCancellationFee,
+    assessCancellationFee
+};
@@ -0,0 +1,373 @@
+/**
+ * Batch deliveries
+ *
+ * A batch is one Delivery with a single pickup and several drop-offs, each
+ * with its own recipient, instructions and proof of delivery. At booking
+ * the drop-offs are put in a short driving order (nearest first, then
+ * improved by reversing stretches of the route while that shortens it) and
+ * the whole batch is priced as one trip along that order, carrying the
+ * parcels' combined weight and value (see calculateDeliveryFare). The
+ * courier finishes each drop-off as delivered (with its own handover check,
+ * see handoff.js) or failed in any order, so one recipient who isn't home
+ * doesn't hold up the rest; once none are left the delivery is complete.
+ * If every drop-off failed nothing was delivered, so the batch is cancelled
+ * instead and the customer isn't charged for it.
+ */
+
+const Delivery = require('../models/Delivery');
+const { calculateDistance, createError, roundMoney } = require('../utils');
+const { estimateRoute } = require('./routing');
+const { getActorRole, transitionTrip } = require('./tripLifecycle');
+const { verifyHandoff } = require('./handoff');
+const {
+    MIN_BATCH_DROPOFFS,
+    MAX_BATCH_DROPOFFS,
+    DROPOFF_FAILURE_REASONS
+} = require('../config/batches');
+
+// Delivery statuses in which the courier is out dropping parcels off
+const DROPPING_STATUSES = ['picked_up', 'in_transit'];
+// Courier positions older than this aren't used for ETAs
+const LOCATION_MAX_AGE_MS = 2 * 60 * 1000;
+// Stop improving the drop-off order after this many passes
+const MAX_IMPROVEMENT_PASSES = 20;
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+const toLocation = ({ address, latitude, longitude }) => ({ address, latitude, longitude });
+
+const trimmed = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Check the drop-offs from a request body
+ * @param {Array} dropoffs - [{ address, latitude, longitude, recipientName, recipientPhone,
+ *   instructions, itemDescription, itemWeight, itemValue, isFragile, requiresSignature }]
+ * @returns {Array} Drop-offs with only the known fields, in the order given
+ * @throws {Error} 400 for too few/many drop-offs or one missing its location or recipient
+ */
+const parseDropoffs = (dropoffs) => {
+    if (!Array.isArray(dropoffs) || dropoffs.length < MIN_BATCH_DROPOFFS || dropoffs.length > MAX_BATCH_DROPOFFS) {
+        throw createError(400, `A batch needs between ${MIN_BATCH_DROPOFFS} and ${MAX_BATCH_DROPOFFS} drop-offs`);
+    }
+
+    return dropoffs.map((dropoff, index) => {
+        const latitude = parseFloat(dropoff?.latitude);
+        const longitude = parseFloat(dropoff?.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            throw createError(400, `Drop-off ${index + 1} needs a latitude and longitude`);
+        }
+        const recipientName = trimmed(dropoff.recipientName);
+        const recipientPhone = trimmed(dropoff.recipientPhone);
+        if (!recipientName || !recipientPhone) {
+            throw createError(400, `Drop-off ${index + 1} needs a recipient name and phone number`);
+        }
+
+        return {
+            address: dropoff.address,
+            latitude,
+            longitude,
+            recipientName,
+            recipientPhone,
+            instructions: trimmed(dropoff.instructions),
+            itemDescription: trimmed(dropoff.itemDescription),
+            itemWeight: Math.max(Number(dropoff.itemWeight) || 0, 0),
+            itemValue: Math.max(Number(dropoff.itemValue) || 0, 0),
+            isFragile: !!dropoff.isFragile,
+            requiresSignature: !!dropoff.requiresSignature
+        };
+    });
+};
+
+/**
+ * Put drop-offs in a short driving order from the pickup. The route ends
+ * at the last drop-off, so it is an open path rather than a loop.
+ * @param {Object} pickupLocation - { latitude, longitude }
+ * @param {Array} dropoffs - Drop-offs with latitude/longitude
+ * @returns {Array} The drop-offs in driving order, numbered from 1 in sequence
+ */
+const planDropoffSequence = (pickupLocation, dropoffs) => {
+    // Nearest drop-off next
+    const remaining = [...dropoffs];
+    const route = [pickupLocation];
+    while (remaining.length) {
+        const from = route[route.length - 1];
+        let nearest = 0;
+        remaining.forEach((dropoff, index) => {
+            if (calculateDistance(from, dropoff) < calculateDistance(from, remaining[nearest])) {
+                nearest = index;
+            }
+        });
+        route.push(remaining.splice(nearest, 1)[0]);
+    }
+
+    // Reverse any stretch of drop-offs that makes the route shorter (2-opt)
+    const hop = (a, b) => (a && b ? calculateDistance(a, b) : 0);
+    for (let pass = 0, improved = true; improved && pass < MAX_IMPROVEMENT_PASSES; pass++) {
+        improved = false;
+        for (let i = 1; i < route.length - 1; i++) {
+            for (let j = i + 1; j < route.length; j++) {
+                const before = hop(route[i - 1], route[i]) + hop(route[j], route[j + 1]);
+                const after = hop(route[i - 1], route[j]) + hop(route[i], route[j + 1]);
+                if (after < before - 1e-9) {
+                    route.splice(i, j - i + 1, ...route.slice(i, j + 1).reverse());
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return route.slice(1).map((dropoff, index) => ({ ...dropoff, sequence: index + 1 }));
+};
+
+/**
+ * Turn a batch booking into the trip that is quoted and priced: the route
+ * runs through every drop-off in driving order and the fare options cover
+ * all the parcels together
+ * @param {Object} body - Request body with pickupLocation, dropoffs and deliveryType
+ * @returns {Object} { pickupLocation, destination, waypoints, options, dropoffs }
+ * @throws {Error} 400 as for parseDropoffs
+ */
+const getBatchTrip = (body = {}) => {
+    const dropoffs = planDropoffSequence(body.pickupLocation, parseDropoffs(body.dropoffs));
+    const stops = dropoffs.map(toLocation);
+
+    return {
+        pickupLocation: body.pickupLocation,
+        destination: stops[stops.length - 1],
+        waypoints: stops.slice(0, -1).map((stop, index) => ({ ...stop, order: index + 1 })),
+        options: {
+            deliveryType: body.deliveryType || 'standard',
+            itemWeight: Math.round(dropoffs.reduce((sum, dropoff) => sum + dropoff.itemWeight, 0) * 100) / 100,
+            itemValue: roundMoney(dropoffs.reduce((sum, dropoff) => sum + dropoff.itemValue, 0)),
+            isFragile: dropoffs.some(dropoff => dropoff.isFragile)
+        },
+        dropoffs
+    };
+};
+
+/**
+ * Planned arrival at each drop-off still to be made. ETAs are only given
+ * once the parcels have been picked up; before that each drop-off has the
+ * minutes after pickup it is reached.
+ * @param {Object} delivery - Batch Delivery document
+ * @param {Date} now - Current time
+ * @returns {Array} Drop-offs in sequence with minutesFromPickup and eta
+ */
+const getDropoffEtas = (delivery, now = new Date()) => {
+    const dropoffs = [...delivery.dropoffs]
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(dropoff => (dropoff.toObject ? dropoff.toObject() : { ...dropoff }));
+
+    // Planned legs, or straight-line estimates if they weren't stored
+    const points = [delivery.pickupLocation, ...dropoffs];
+    const legs = delivery.legs?.length === dropoffs.length
+        ? delivery.legs
+        : dropoffs.map((dropoff, index) => estimateRoute(points[index], dropoff));
+
+    let minutesFromPickup = 0;
+    dropoffs.forEach((dropoff, index) => {
+        minutesFromPickup += legs[index].durationMinutes || 0;
+        dropoff.minutesFromPickup = Math.round(minutesFromPickup);
+        dropoff.eta = null;
+    });
+    if (!DROPPING_STATUSES.includes(delivery.status)) {
+        return dropoffs;
+    }
+
+    // Start from where the courier is now, or from the last place they finished
+    const position = delivery.courierLocation;
+    const fresh = position?.timestamp && now - new Date(position.timestamp) <= LOCATION_MAX_AGE_MS;
+    const finished = dropoffs
+        .filter(dropoff => dropoff.status !== 'pending')
+        .map(dropoff => ({ location: dropoff, at: dropoff.deliveredAt || dropoff.failedAt }))
+        .sort((a, b) => b.at - a.at)[0];
+    let from = fresh
+        ? { location: position, at: now }
+        : finished || { location: delivery.pickupLocation, at: delivery.pickedUpAt || now };
+    let previousIndex = null;
+
+    dropoffs.forEach((dropoff, index) => {
+        if (dropoff.status !== 'pending') return;
+
+        // Planned legs only apply between drop-offs made one after the other
+        const minutes = previousIndex === index - 1
+            ? legs[index].durationMinutes || 0
+            : estimateRoute(from.location, dropoff).durationMinutes;
+        const eta = addMinutes(from.at, minutes);
+        dropoff.eta = eta < now ? now : eta;
+
+        from = { location: dropoff, at: dropoff.eta };
+        previousIndex = index;
+    });
+    return dropoffs;
+};
+
+/**
+ * Drop-offs as shown to the customer and courier
+ * @param {Object} delivery - Batch Delivery document
+ * @returns {Object} { deliveryId, status, counts, nextDropoffId, dropoffs }
+ */
+const getBatchView = (delivery) => {
+    const dropoffs = getDropoffEtas(delivery);
+    const counts = { pending: 0, delivered: 0, failed: 0 };
+    dropoffs.forEach(dropoff => { counts[dropoff.status] += 1; });
+
+    return {
+        deliveryId: delivery._id,
+        status: delivery.status,
+        counts,
+        nextDropoffId: dropoffs.find(dropoff => dropoff.status === 'pending')?._id || null,
+        dropoffs
+    };
+};
+
+/**
+ * Refuse to complete a batch while it still has parcels on board, or when
+ * none of them were delivered
+ * @param {Object} delivery - Delivery document
+ * @throws {Error} 409 if a drop-off is still pending or every drop-off failed
+ */
+const assertDropoffsFinished = (delivery) => {
+    if (!delivery.isBatch) return;
+
+    const dropoffs = delivery.dropoffs || [];
+    const pending = dropoffs.filter(dropoff => dropoff.status === 'pending').length;
+    if (pending > 0) {
+        throw createError(409, 'Mark every drop-off as delivered or failed first', {
+            pendingDropoffs: pending
+        });
+    }
+    if (!dropoffs.some(dropoff => dropoff.status === 'delivered')) {
+        throw createError(409, 'No drop-off was delivered, so this batch cannot be completed');
+    }
+};
+
+/**
+ * Finish one drop-off as delivered or failed. When it was the last one the
+ * delivery is completed, or cancelled if none of its drop-offs were delivered.
+ * @param {Object} io - Socket.io server
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} user - Courier (or admin)
+ * @param {String} dropoffId - Drop-off subdocument ID
+ * @param {Object} update - { status: 'delivered'|'failed', reason, note, receivedBy, pin, override, overrideReason }
+ * @returns {Object} { delivery, completed } - completed when this finished the batch (either way)
+ * @throws {Error} 404 unknown delivery/drop-off, 403 not the courier, 400 parcels not picked up
+ *   or no handover proof, 409 already finished
+ */
+const updateDropoffStatus = async (io, deliveryId, user, dropoffId, update) => {
+    const { status, reason, note, receivedBy } = update;
+    const delivery = await Delivery.findById(deliveryId);
+    if (!delivery || !delivery.isBatch) {
+        throw createError(404, 'Delivery not found');
+    }
+
+    const role = getActorRole('delivery', delivery, user);
+    if (role !== 'courier' && role !== 'admin') {
+        throw createError(403, 'Only the courier can update drop-offs');
+    }
+    if (!DROPPING_STATUSES.includes(delivery.status)) {
+        throw createError(400, 'Drop-offs can only be updated once the parcels have been picked up');
+    }
+
+    const dropoff = delivery.dropoffs.id(dropoffId);
+    if (!dropoff) {
+        throw createError(404, 'Drop-off not found');
+    }
+    if (dropoff.status !== 'pending') {
+        throw createError(409, `Drop-off is already ${dropoff.status}`);
+    }
+    if (status === 'failed' && !DROPOFF_FAILURE_REASONS.includes(reason)) {
+        throw createError(400, 'A failure reason is required', {
+            reasons: DROPOFF_FAILURE_REASONS
+        });
+    }
+
+    if (status === 'delivered') {
+        const { pin, override, overrideReason } = update;
+        await verifyHandoff(io, delivery, user, { dropoffId: dropoff._id, pin, override, overrideReason });
+    }
+
+    const now = new Date();
+    const $set = { 'dropoffs.$.status': status };
+    if (status === 'delivered') {
+        $set['dropoffs.$.deliveredAt'] = now;
+        if (receivedBy) $set['dropoffs.$.proof.receivedBy'] = receivedBy;
+    } else {
+        $set['dropoffs.$.failedAt'] = now;
+        $set['dropoffs.$.failureReason'] = reason;
+        if (note) $set['dropoffs.$.failureNote'] = note;
+    }
+
+    let updated = await Delivery.findOneAndUpdate(
+        {
+            _id: delivery._id,
+            status: { $in: DROPPING_STATUSES },
+            dropoffs: { $elemMatch: { _id: dropoff._id, status: 'pending' } }
+        },
+        { $set },
+        { new: true }
+    );
+    if (!updated) {
+        throw createError(409, 'Drop-off was updated at the same time, please refresh');
+    }
+    console.log(`📦 delivery ${updated._id}: drop-off ${dropoff.sequence} ${status}${reason ? ` (${reason})` : ''}`);
+
+    if (io) {
+        io.to(`delivery-${updated._id}`).emit('dropoff-update', {
+            dropoffId: dropoff._id,
+            status,
+            ...getBatchView(updated)
+        });
+    }
+
+    // Failed parcels stay with the courier; the trip itself is done once nothing is pending
+    let completed = false;
+    if (!updated.dropoffs.some(item => item.status === 'pending')) {
+        // Nothing reached a recipient - end the batch without charging the full fare
+        const delivered = updated.dropoffs.some(item => item.status === 'delivered');
+        try {
+            ({ job: updated, changed: completed } = await transitionTrip(io, 'delivery', updated,
+                delivered ? 'delivered' : 'cancelled',
+                delivered
+                    ? { actor: user._id || user.id, role, reason: 'All drop-offs finished' }
+                    : { role: 'system', reason: 'Every drop-off failed' }
+            ));
+        } catch (error) {
+            // Another drop-off finished at the same moment and completed the batch
+            if (error.status !== 409) throw error;
+            updated = await Delivery.findById(updated._id);
+        }
+    }
+
+    return { delivery: updated, completed };
+};
+
+/**
+ * Attach an uploaded photo or recipient's signature to a drop-off as its proof of delivery
+ * @param {Object} delivery - Batch Delivery document (saved by the caller)
+ * @param {String} dropoffId - Drop-off subdocument ID
+ * @param {String} url - Photo URL
+ * @param {String} type - Photo type ('signature' for a signature)
+ * @returns {Object} The drop-off
+ * @throws {Error} 404 unknown drop-off
+ */
+const addDropoffPhoto = (delivery, dropoffId, url, type) => {
+    const dropoff = delivery.dropoffs.id(dropoffId);
+    if (!dropoff) {
+        throw createError(404, 'Drop-off not found');
+    }
+    dropoff.set(type === 'signature' ? 'proof.signatureUrl' : 'proof.photoUrl', url);
+    return dropoff;
+};
+
+module.exports = {
+    DROPPING_STATUSES,
+    parseDropoffs,
+    planDropoffSequence,
+    getBatchTrip,
+    getDropoffEtas,
+    getBatchView,
+    assertDropoffsFinished,
+    updateDropoffStatus,
+    addDropoffPhoto
+};
@@ -0,0 +1,570 @@
+/**
+ * Dispatch engine - offers rides and deliveries to drivers/couriers
+ *
+ * Instead of broadcasting a request to everyone nearby, candidates are ranked
+ * and the job is offered to one driver (or a small batch) at a time. Each
+ * offer has an accept window; when it lapses or is declined the next
+ * candidates are tried. Every offer is recorded on the job's `offers` log.
+ * Accept windows are closed by a persistent job, so a restart or another
+ * API instance picks them up.
+ */
+
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const User = require('../models/User');
+const {
+    calculateDistance,
+    calculateEstimatedTime,
+    buildNearQuery
+} = require('../utils');
+const {
+    recordOfferOutcome,
+    recordOffersSent
+} = require('./driverStats');
+const { getMatchRadius, getSearchRadius } = require('../config/matching');
+const { onlineFilter, enforceCommissionDebtLimit } = require('./presence');
+const { defineJob, scheduleJob, cancelJobs } = require('./jobRunner');
+const { releasePoolJoin } = require('./pooling');
+
+const OFFER_TIMEOUT_MS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_MS, 10) || 20000;
+const BATCH_SIZE = parseInt(process.env.DISPATCH_BATCH_SIZE, 10) || 1;
+const MAX_ROUNDS = parseInt(process.env.DISPATCH_MAX_ROUNDS, 10) || 10;
+const AVERAGE_PICKUP_SPEED_KMH = 30;
+
+// Ranking weights (must add up to 1)
+const WEIGHTS = {
+    eta: 0.6,
+    rating: 0.25,
+    reliability: 0.15
+};
+const MAX_RANKED_ETA_MINUTES = 30;
+const UNRATED_SCORE = 0.8; // New drivers shouldn't be starved of work
+
+const OFFER_EXPIRY_JOB = 'dispatch:expire-round';
+
+const DECLINE_REASONS = ['too_far', 'low_fare', 'unsafe_area', 'on_break', 'vehicle_issue', 'other'];
+
+// Per-job-type settings so rides and deliveries share one engine
+const JOB_TYPES = {
+    ride: {
+        model: Ride,
+        owner: 'rider',
+        assignee: 'driver',
+        userFlag: 'isDriver',
+        infoField: 'driverInfo',
+        // Average stars, written by PUT /api/rides/:id/rate
+        ratingField: 'rating',
+        roomPrefix: 'driver-',
+        jobRoomPrefix: 'ride-',
+        idKey: 'rideId',
+        requestEvent: 'new-ride-request',
+        unavailableEvent: 'trip-unavailable',
+        noCandidatesEvent: 'ride-no-drivers',
+        activeStatuses: ['accepted', 'driver_arrived', 'in_progress'],
+        // Matching radius follows the requested ride type
+        getVehicleType: (job) => job.rideType
+    },
+    delivery: {
+        model: Delivery,
+        owner: 'customer',
+        assignee: 'courier',
+        userFlag: 'isCourier',
+        infoField: 'courierInfo',
+        // Average stars, written by PUT /api/deliveries/:id/rate
+        ratingField: 'averageRating',
+        roomPrefix: 'courier-',
+        jobRoomPrefix: 'delivery-',
+        idKey: 'deliveryId',
+        requestEvent: 'new-delivery-request',
+        unavailableEvent: 'delivery-unavailable',
+        noCandidatesEvent: 'delivery-no-couriers',
+        activeStatuses: ['accepted', 'picked_up', 'in_transit'],
+        // Matching radius follows the courier's vehicle
+        getVehicleType: (job, user) => user?.courierInfo?.vehicleType
+    }
+};
+
+// Same reference as the trip's other jobs, so they are cancelled together when it ends
+const jobReference = (kind, jobId) => `${kind}:${String(jobId)}`;
+
+const cancelOfferExpiry = (kind, jobId) => cancelJobs(jobReference(kind, jobId), [OFFER_EXPIRY_JOB]);
+
+/**
+ * Get the dispatch settings for a job type
+ * @param {String} kind - 'ride' or 'delivery'
+ * @returns {Object} Job type settings
+ */
+const getJobType = (kind) => {
+    const config = JOB_TYPES[kind];
+    if (!config) {
+        throw new Error(`Unknown dispatch job type: ${kind}`);
+    }
+    return config;
+};
+
+/**
+ * Matching radius between a job's pickup and a driver/courier
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {Object} user - Driver or courier
+ * @returns {Number} Radius in km
+ */
+const getJobRadius = (kind, job, user) => {
+    const config = getJobType(kind);
+    return getMatchRadius(kind, job.pickupLocation, config.getVehicleType(job, user));
+};
+
+/**
+ * Reliability from a driver's/courier's rolling acceptance and cancellation rates
+ * @param {Object} info - driverInfo or courierInfo
+ * @returns {Number} Value between 0 and 1 (1 when there is no history)
+ */
+const getReliability = (info) => {
+    const acceptanceRate = typeof info?.acceptanceRate === 'number' ? info.acceptanceRate : 1;
+    const cancellationRate = typeof info?.cancellationRate === 'number' ? info.cancellationRate : 0;
+    return Math.max(0, Math.min(1, acceptanceRate * (1 - cancellationRate)));
+};
+
+/**
+ * Score a candidate - higher is better
+ * @param {Object} candidate - { etaMinutes, rating, reliability }
+ * @returns {Number} Score between 0 and 1
+ */
+const scoreCandidate = ({ etaMinutes, rating, reliability }) => {
+    const etaScore = 1 - Math.min(etaMinutes, MAX_RANKED_ETA_MINUTES) / MAX_RANKED_ETA_MINUTES;
+    const ratingScore = rating ? rating / 5 : UNRATED_SCORE;
+
+    const score = WEIGHTS.eta * etaScore +
+        WEIGHTS.rating * ratingScore +
+        WEIGHTS.reliability * reliability;
+
+    return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Rank candidate drivers/couriers for a job
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {Array} users - Candidate users
+ * @returns {Array} Candidates sorted best first: { user, distanceKm, etaMinutes, score }
+ */
+const rankCandidates = (kind, job, users) => {
+    const config = getJobType(kind);
+
+    return users
+        .map(user => {
+            const info = user[config.infoField] || {};
+            const distanceKm = calculateDistance(info.currentLocation, job.pickupLocation);
+            const etaMinutes = calculateEstimatedTime(distanceKm, AVERAGE_PICKUP_SPEED_KMH);
+
+            return {
+                user,
+                distanceKm,
+                etaMinutes,
+                score: scoreCandidate({
+                    etaMinutes,
+                    rating: info[config.ratingField],
+                    reliability: getReliability(info)
+                })
+            };
+        })
+        .filter(candidate => candidate.distanceKm <= getJobRadius(kind, job, candidate.user))
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Load available users near the pickup who have not been offered this job yet
+ */
+const findCandidates = async (kind, job) => {
+    const config = getJobType(kind);
+
+    const near = buildNearQuery(job.pickupLocation, getSearchRadius(kind, job.pickupLocation));
+    if (!near) return [];
+
+    const alreadyOffered = (job.offers || []).map(offer => offer[config.assignee]);
+    const busy = await config.model.distinct(config.assignee, {
+        status: { $in: config.activeStatuses }
+    });
+
+    const users = await User.find({
+        _id: { $nin: [...alreadyOffered, ...busy, job[config.owner]?._id || job[config.owner]] },
+        [config.userFlag]: true,
+        [`${config.infoField}.isAvailable`]: true,
+        ...onlineFilter(kind),
+        [`${config.infoField}.currentPoint`]: near
+    }).select(`_id name ${config.infoField}`);
+
+    return rankCandidates(kind, job, users);
+};
+
+/**
+ * Take the best candidates for the next round, skipping (and taking offline)
+ * anyone who owes more commission than they may while online
+ */
+const pickBatch = async (io, candidates) => {
+    const batch = [];
+    for (const candidate of candidates) {
+        if (batch.length >= BATCH_SIZE) break;
+        if (await enforceCommissionDebtLimit(io, candidate.user._id)) continue;
+        batch.push(candidate);
+    }
+    return batch;
+};
+
+/**
+ * Build the request payload sent to a driver/courier holding an offer
+ * @param {Object} jobObject - Plain Ride or Delivery object
+ * @param {Object} offer - Offer entry from the job's offers log
+ * @returns {Object} Job with an `offer` summary attached
+ */
+const buildOfferPayload = (jobObject, offer) => ({
+    ...jobObject,
+    offer: {
+        round: offer.round,
+        expiresAt: offer.expiresAt,
+        timeoutMs: Math.max(0, new Date(offer.expiresAt).getTime() - Date.now()),
+        distanceKm: offer.distanceKm,
+        etaMinutes: offer.etaMinutes
+    }
+});
+
+/**
+ * Tell drivers/couriers whose offers are no longer valid to drop the request
+ */
+const notifyWithdrawn = (io, kind, job, userIds) => {
+    if (!io) return;
+    const config = getJobType(kind);
+    userIds.forEach(userId => {
+        io.to(`${config.roomPrefix}${String(userId)}`).emit(config.unavailableEvent, {
+            [config.idKey]: job._id
+        });
+    });
+};
+
+/**
+ * Offer the job to the next batch of candidates, or give up if none are left
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ * @param {Number} fromRound - Only move on if the job is still in this round
+ * @param {Array} preferred - Candidates to offer this round instead of searching
+ */
+const offerNextBatch = async (io, kind, jobId, fromRound, preferred) => {
+    const config = getJobType(kind);
+    const job = await config.model.findById(jobId);
+
+    if (!job || job.status !== 'pending' || job.dispatch?.status !== 'searching') {
+        await cancelOfferExpiry(kind, jobId);
+        return;
+    }
+    if (fromRound !== undefined && (job.dispatch.round || 0) !== fromRound) {
+        // Another instance (or a decline) already started the next round
+        return;
+    }
+
+    const round = (job.dispatch.round || 0) + 1;
+    let batch = preferred ? await pickBatch(io, preferred) : [];
+    if (batch.length === 0) {
+        // A pool's driver didn't take the booking - it goes out on its own
+        if (kind === 'ride' && job.pooling?.joining) {
+            await releasePoolJoin(io, job);
+        }
+        const candidates = round > MAX_ROUNDS ? [] : await findCandidates(kind, job);
+        batch = await pickBatch(io, candidates);
+    }
+
+    if (batch.length === 0) {
+        const exhausted = await config.model.updateOne({
+            _id: job._id,
+            'dispatch.status': 'searching',
+            'dispatch.round': job.dispatch.round
+        }, {
+            $set: {
+                'dispatch.status': 'exhausted',
+                'dispatch.finishedAt': new Date()
+            }
+        });
+        if (exhausted.modifiedCount === 0) return;
+        await cancelOfferExpiry(kind, jobId);
+
+        console.log(`⚠️ Dispatch exhausted for ${kind} ${job._id} after ${round - 1} round(s)`);
+        if (io) {
+            const payload = { [config.idKey]: job._id };
+            io.to(`${config.jobRoomPrefix}${job._id}`).emit(config.noCandidatesEvent, payload);
+            io.to('admin').emit(config.noCandidatesEvent, payload);
+        }
+        return;
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + OFFER_TIMEOUT_MS);
+    const offers = batch.map(candidate => ({
+        [config.assignee]: candidate.user._id,
+        round,
+        status: 'pending',
+        offeredAt: now,
+        expiresAt,
+        distanceKm: candidate.distanceKm,
+        etaMinutes: candidate.etaMinutes,
+        score: candidate.score
+    }));
+
+    const updated = await config.model.findOneAndUpdate(
+        { _id: job._id, status: 'pending', 'dispatch.status': 'searching', 'dispatch.round': job.dispatch.round },
+        {
+            $push: { offers: { $each: offers } },
+            $set: { 'dispatch.round': round }
+        },
+        { new: true }
+    ).populate(config.owner, 'name email phone');
+
+    if (!updated) {
+        // Someone accepted or cancelled while we were ranking
+        return;
+    }
+
+    await recordOffersSent(kind, batch.map(candidate => candidate.user._id));
+
+    if (io) {
+        const jobObject = updated.toObject();
+        batch.forEach((candidate, index) => {
+            const room = `${config.roomPrefix}${String(candidate.user._id)}`;
+            console.log(`📤 Offering ${kind} ${job._id} to ${room} (round ${round}, ETA ${candidate.etaMinutes} min, score ${candidate.score})`);
+            io.to(room).emit(config.requestEvent, buildOfferPayload(jobObject, offers[index]));
+        });
+    }
+
+    await cancelOfferExpiry(kind, jobId);
+    await scheduleJob(OFFER_EXPIRY_JOB, expiresAt, { kind, jobId: String(job._id), round }, {
+        reference: jobReference(kind, job._id)
+    });
+};
+
+/**
+ * Expire unanswered offers from a round and move on to the next candidates
+ */
+const expireRound = async (io, kind, jobId, round) => {
+    const config = getJobType(kind);
+
+    const job = await config.model.findById(jobId).select(`offers status dispatch`);
+    if (!job || job.dispatch?.status !== 'searching' || job.dispatch.round !== round) return;
+
+    const expired = job.offers
+        .filter(offer => offer.round === round && offer.status === 'pending')
+        .map(offer => offer[config.assignee]);
+
+    if (expired.length > 0) {
+        await config.model.updateOne({ _id: jobId }, {
+            $set: {
+                'offers.$[offer].status': 'expired',
+                'offers.$[offer].respondedAt': new Date()
+            }
+        }, {
+            arrayFilters: [{ 'offer.round': round, 'offer.status': 'pending' }]
+        });
+        await recordOfferOutcome(kind, expired, 'expired');
+        notifyWithdrawn(io, kind, job, expired);
+    }
+
+    await offerNextBatch(io, kind, jobId, round);
+};
+
+/**
+ * Start dispatching a newly created job
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ * @param {Object} options - { candidates } to offer first (e.g. a pool's driver)
+ */
+const startDispatch = async (io, kind, jobId, { candidates } = {}) => {
+    const config = getJobType(kind);
+
+    const job = await config.model.findOneAndUpdate(
+        { _id: jobId, status: 'pending', 'dispatch.status': { $ne: 'searching' } },
+        {
+            $set: {
+                'dispatch.status': 'searching',
+                'dispatch.startedAt': new Date(),
+                'dispatch.finishedAt': null
+            }
+        },
+        { new: true }
+    );
+
+    if (!job) return;
+
+    await offerNextBatch(io, kind, jobId, undefined, candidates);
+};
+
+/**
+ * Find the open offer a user holds for a job
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {String} userId - Driver or courier ID
+ * @returns {Object|undefined} Offer entry
+ */
+const getActiveOffer = (kind, job, userId) => {
+    const config = getJobType(kind);
+    const now = new Date();
+
+    return (job.offers || []).find(offer =>
+        String(offer[config.assignee]) === String(userId) &&
+        offer.status === 'pending' &&
+        (!offer.expiresAt || offer.expiresAt > now)
+    );
+};
+
+/**
+ * Check whether a user currently holds an open offer for a job
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {String} userId - Driver or courier ID
+ * @returns {Boolean}
+ */
+const hasActiveOffer = (kind, job, userId) => !!getActiveOffer(kind, job, userId);
+
+/**
+ * Whether acceptance is restricted to drivers/couriers holding an offer
+ * @param {Object} job - Ride or Delivery document
+ * @returns {Boolean}
+ */
+const isDispatching = (job) => job.dispatch?.status === 'searching';
+
+/**
+ * Finish dispatch once a job has been accepted
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Accepted Ride or Delivery document
+ * @param {String} userId - Driver or courier who accepted
+ */
+const completeDispatch = async (io, kind, job, userId) => {
+    const config = getJobType(kind);
+    await cancelOfferExpiry(kind, job._id);
+
+    const now = new Date();
+    const withdrawn = (job.offers || [])
+        .filter(offer => offer.status === 'pending' && String(offer[config.assignee]) !== String(userId))
+        .map(offer => offer[config.assignee]);
+
+    await config.model.updateOne({ _id: job._id }, {
+        $set: {
+            'dispatch.status': 'assigned',
+            'dispatch.finishedAt': now,
+            'offers.$[mine].status': 'accepted',
+            'offers.$[mine].respondedAt': now,
+            'offers.$[others].status': 'withdrawn',
+            'offers.$[others].respondedAt': now
+        }
+    }, {
+        arrayFilters: [
+            { [`mine.${config.assignee}`]: userId, 'mine.status': 'pending' },
+            { [`others.${config.assignee}`]: { $ne: userId }, 'others.status': 'pending' }
+        ]
+    });
+
+    if (hasActiveOffer(kind, job, userId)) {
+        await recordOfferOutcome(kind, [userId], 'accepted');
+    }
+    notifyWithdrawn(io, kind, job, withdrawn);
+};
+
+/**
+ * Decline an open offer and move on to other candidates once the round is over
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ * @param {String} userId - Driver or courier declining
+ * @param {String} reason - One of DECLINE_REASONS
+ * @returns {Boolean} False if the user held no open offer for the job
+ */
+const declineOffer = async (io, kind, jobId, userId, reason = 'other') => {
+    const config = getJobType(kind);
+    const now = new Date();
+
+    const job = await config.model.findOneAndUpdate({
+        _id: jobId,
+        offers: {
+            $elemMatch: {
+                [config.assignee]: userId,
+                status: 'pending'
+            }
+        }
+    }, {
+        $set: {
+            'offers.$[offer].status': 'declined',
+            'offers.$[offer].respondedAt': now,
+            'offers.$[offer].declineReason': reason
+        }
+    }, {
+        arrayFilters: [{ [`offer.${config.assignee}`]: userId, 'offer.status': 'pending' }],
+        new: true
+    });
+
+    if (!job) return false;
+
+    console.log(`🙅 ${config.assignee} ${userId} declined ${kind} ${jobId} (${reason})`);
+    await recordOfferOutcome(kind, [userId], 'declined');
+
+    // Don't wait for the timeout if nobody else in this round can still accept
+    const stillPending = job.offers.some(offer => offer.status === 'pending');
+    if (!stillPending && job.status === 'pending' && isDispatching(job)) {
+        await offerNextBatch(io, kind, jobId, job.dispatch.round);
+    }
+
+    return true;
+};
+
+/**
+ * Stop dispatching a job that was cancelled before assignment
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ */
+const cancelDispatch = async (io, kind, job) => {
+    const config = getJobType(kind);
+    await cancelOfferExpiry(kind, job._id);
+
+    const outstanding = (job.offers || [])
+        .filter(offer => offer.status === 'pending')
+        .map(offer => offer[config.assignee]);
+
+    await config.model.updateOne({ _id: job._id, 'dispatch.status': { $in: ['searching', 'exhausted'] } }, {
+        $set: {
+            'dispatch.status': 'cancelled',
+            'dispatch.finishedAt': new Date(),
+            'offers.$[offer].status': 'withdrawn',
+            'offers.$[offer].respondedAt': new Date()
+        }
+    }, {
+        arrayFilters: [{ 'offer.status': 'pending' }]
+    });
+
+    notifyWithdrawn(io, kind, job, outstanding);
+};
+
+/**
+ * Register the offer expiry job with the job runner
+ */
+const registerDispatchJobs = () => {
+    defineJob(OFFER_EXPIRY_JOB, (io, { kind, jobId, round }) => expireRound(io, kind, jobId, round));
+};
+
+module.exports = {
+    JOB_TYPES,
+    DECLINE_REASONS,
+    getJobType,
+    getJobRadius,
+    getReliability,
+    scoreCandidate,
+    rankCandidates,
+    startDispatch,
+    offerNextBatch,
+    buildOfferPayload,
+    getActiveOffer,
+    hasActiveOffer,
+    isDispatching,
+    completeDispatch,
+    declineOffer,
+    cancelDispatch,
+    registerDispatchJobs
+};
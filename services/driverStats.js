@@ -0,0 +1,133 @@
+/**
+ * Driver/courier quality statistics
+ *
+ * Keeps rolling acceptance and cancellation rates on driverInfo/courierInfo
+ * over the most recent offers and trips, alongside lifetime counters.
+ */
+
+const User = require('../models/User');
+
+const STATS_WINDOW = parseInt(process.env.DRIVER_STATS_WINDOW, 10) || 50;
+
+const INFO_FIELDS = {
+    ride: 'driverInfo',
+    delivery: 'courierInfo'
+};
+
+const getInfoField = (kind) => {
+    const infoField = INFO_FIELDS[kind];
+    if (!infoField) {
+        throw new Error(`Unknown job type: ${kind}`);
+    }
+    return infoField;
+};
+
+/**
+ * Calculate the share of entries in a window with a given outcome
+ * @param {Array} entries - Array of { outcome }
+ * @param {String} outcome - Outcome to count
+ * @param {Number} emptyValue - Rate to report when there is no history
+ * @returns {Number} Rate between 0 and 1, rounded to 3 decimals
+ */
+const calculateRate = (entries, outcome, emptyValue) => {
+    if (!entries || entries.length === 0) return emptyValue;
+    const matching = entries.filter(entry => entry.outcome === outcome).length;
+    return Math.round((matching / entries.length) * 1000) / 1000;
+};
+
+const pushOutcome = async (infoField, userId, listField, outcome, counter) => {
+    const update = {
+        $push: {
+            [`${infoField}.${listField}`]: {
+                $each: [{ outcome, at: new Date() }],
+                $slice: -STATS_WINDOW
+            }
+        }
+    };
+    if (counter) {
+        update.$inc = { [`${infoField}.${counter}`]: 1 };
+    }
+
+    return User.findByIdAndUpdate(userId, update, {
+        new: true,
+        projection: { [`${infoField}.${listField}`]: 1 }
+    });
+};
+
+/**
+ * Record how drivers/couriers responded to dispatch offers
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Array} userIds - Drivers or couriers
+ * @param {String} outcome - 'accepted', 'declined' or 'expired'
+ */
+const recordOfferOutcome = async (kind, userIds, outcome) => {
+    const infoField = getInfoField(kind);
+
+    await Promise.all(userIds.map(async (userId) => {
+        const user = await pushOutcome(infoField, userId, 'recentOffers', outcome, `offerStats.${outcome}`);
+        if (!user) return;
+
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                [`${infoField}.acceptanceRate`]: calculateRate(user[infoField].recentOffers, 'accepted', 1)
+            }
+        });
+    }));
+};
+
+/**
+ * Record how an assigned trip ended for the driver/courier
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} userId - Driver or courier
+ * @param {String} outcome - 'completed' or 'cancelled' (cancelled by the driver/courier)
+ */
+const recordTripOutcome = async (kind, userId, outcome) => {
+    const infoField = getInfoField(kind);
+
+    const user = await pushOutcome(infoField, userId, 'recentTrips', outcome);
+    if (!user) return;
+
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            [`${infoField}.cancellationRate`]: calculateRate(user[infoField].recentTrips, 'cancelled', 0)
+        }
+    });
+};
+
+/**
+ * Count a cancelled trip against the driver/courier it was assigned to
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} userId - Driver or courier
+ * @param {String} counter - 'own' (they cancelled), 'byCustomer' or 'noShows'
+ */
+const recordCancellation = async (kind, userId, counter) => {
+    const infoField = getInfoField(kind);
+
+    await User.updateOne({ _id: userId }, {
+        $inc: { [`${infoField}.cancellationStats.${counter}`]: 1 }
+    });
+};
+
+/**
+ * Count offers sent to drivers/couriers
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Array} userIds - Drivers or couriers
+ */
+const recordOffersSent = async (kind, userIds) => {
+    if (!userIds.length) return;
+    const infoField = getInfoField(kind);
+
+    await User.updateMany(
+        { _id: { $in: userIds } },
+        { $inc: { [`${infoField}.offerStats.offered`]: 1 } }
+    );
+};
+
+module.exports = {
+    STATS_WINDOW,
+    calculateRate,
+    recordOfferOutcome,
+    recordTripOutcome,
+    recordCancellation,
+    recordOffersSent
+};
@@ -0,0 +1,599 @@
+/**
+ * Driver and courier earnings and payouts
+ *
+ * When a trip completes (or a cancellation fee is charged) the
+ * driver/courier's share - fare and fee less the platform commission - is
+ * snapshotted on the trip as `earnings` and posted to their
+ * earnings:<userId> ledger account. Card and wallet fares move from
+ * platform:trips into that account; on cash trips the driver already holds
+ * the fare, so the commission moves the other way and the balance can go
+ * negative. That commission debt is netted off later card earnings or
+ * paid in by the driver/courier, and stops them going online once it
+ * passes MAX_COMMISSION_DEBT. Tips are credited in full when paid. The
+ * platform carries failed card payments: earnings are posted whether or
+ * not the capture succeeds.
+ *
+ * Every Monday the balances due as at the end of the previous week are
+ * taken out of the earnings accounts into a PayoutBatch, exported as a
+ * bank CSV and marked paid (or failed and put back) once the bank has run
+ * it.
+ */
+
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const User = require('../models/User');
+const PayoutBatch = require('../models/PayoutBatch');
+const Job = require('../models/Job');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const { createError, roundMoney } = require('../utils');
+const {
+    COMMISSION_PERCENT,
+    MAX_COMMISSION_DEBT,
+    MIN_PAYOUT,
+    PAYOUT_HOUR,
+    WEEK_UTC_OFFSET_MINUTES
+} = require('../config/earnings');
+const {
+    ACCOUNTS,
+    toCents,
+    fromCents,
+    transfer,
+    getAccountTotals,
+    postTransaction
+} = require('./ledger');
+const { defineJob, scheduleJob } = require('./jobRunner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const OFFSET_MS = WEEK_UTC_OFFSET_MINUTES * 60 * 1000;
+const PAYOUTS_ACCOUNT = 'platform:payouts';
+const DEPOSITS_ACCOUNT = 'platform:deposits';
+const PAYOUT_JOB = 'earnings:payouts';
+
+const TRIPS = {
+    ride: { model: Ride, assignee: 'driver', completedStatus: 'completed' },
+    delivery: { model: Delivery, assignee: 'courier', completedStatus: 'delivered' }
+};
+
+const refId = (value) => (value && value._id) || value || null;
+
+const earningsAccount = (userId) => `earnings:${userId}`;
+
+// Local (SAST) date a week starts on, e.g. '2026-10-12'
+const formatWeek = (weekStart) => new Date(weekStart.getTime() + OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * Monday 00:00 (SAST) of the week a date falls in
+ * @param {Date} date - Any time in the week
+ * @returns {Date} Start of the week
+ */
+const getWeekStart = (date = new Date()) => {
+    const local = new Date(new Date(date).getTime() + OFFSET_MS);
+    const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+    const monday = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysSinceMonday);
+    return new Date(monday - OFFSET_MS);
+};
+
+/**
+ * Fare the commission is taken from: what the customer was charged for
+ * the trip itself, before promo discounts (the platform funds those) and
+ * without the booking fee, service fee and VAT the platform keeps
+ */
+const getCommissionableFare = (job) => {
+    const breakdown = job.finalFareBreakdown?.total ? job.finalFareBreakdown : job.fareBreakdown;
+    const total = job.finalFare || job.fare || 0;
+    if (!breakdown?.total) {
+        return total;
+    }
+    return roundMoney(Math.max(0, total + (breakdown.discount || 0) -
+        (breakdown.bookingFee || 0) - (breakdown.serviceFee || 0) - (breakdown.vat || 0)));
+};
+
+/**
+ * Driver/courier share of a finished trip
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Completed or cancelled Ride/Delivery document
+ * @returns {Object|null} Earnings snapshot, or null if the trip earns nothing
+ */
+const calculateTripEarnings = (kind, job) => {
+    const { completedStatus } = TRIPS[kind];
+    const completed = job.status === completedStatus;
+    const fare = completed ? getCommissionableFare(job) : 0;
+    // Cash trips never collect a cancellation fee
+    const cancellationFee = !completed && job.paymentMethod !== 'cash' ? (job.cancellationFee?.amount || 0) : 0;
+    if (fare + cancellationFee <= 0) {
+        return null;
+    }
+
+    const commissionPercent = COMMISSION_PERCENT[kind];
+    const commission = roundMoney((fare + cancellationFee) * commissionPercent / 100);
+    const tip = job.tip?.status === 'paid' ? job.tip.amount : 0;
+    const net = roundMoney(fare + cancellationFee - commission + tip);
+    // On a split cash ride the rider only hands over their own share
+    const cashCollected = completed && job.paymentMethod === 'cash'
+        ? (job.splitFare?.riderAmount ?? (job.finalFare || job.fare || 0))
+        : 0;
+
+    return {
+        fare,
+        cancellationFee,
+        commissionPercent,
+        commission,
+        tip,
+        net,
+        cashCollected,
+        payable: roundMoney(net - cashCollected)
+    };
+};
+
+/**
+ * Post a finished trip's earnings to the driver/courier (once per trip).
+ * Errors are logged, not thrown, so they never block the status change
+ * that triggered them.
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Completed or cancelled Ride/Delivery document
+ * @returns {Object|null} Earnings snapshot
+ */
+const recordTripEarnings = async (kind, job) => {
+    const { model, assignee } = TRIPS[kind];
+    const assigneeId = refId(job[assignee]);
+    if (!assigneeId || job.earnings?.postedAt) {
+        return null;
+    }
+
+    try {
+        const earnings = calculateTripEarnings(kind, job);
+        if (!earnings) {
+            return null;
+        }
+
+        // Tips are posted on their own when paid
+        const cents = toCents(earnings.payable - earnings.tip);
+        if (cents !== 0) {
+            await postTransaction({
+                type: 'earning',
+                postings: cents > 0
+                    ? transfer(ACCOUNTS.trips, earningsAccount(assigneeId), cents)
+                    : transfer(earningsAccount(assigneeId), ACCOUNTS.trips, -cents),
+                reference: `earning:${kind}:${job._id}`,
+                description: earnings.cashCollected
+                    ? `Commission on cash ${kind}`
+                    : `Earnings for ${kind}${earnings.cancellationFee ? ' cancellation fee' : ''}`,
+                kind,
+                job: job._id
+            });
+        }
+
+        earnings.postedAt = new Date();
+        await model.updateOne({ _id: job._id, 'earnings.postedAt': null }, { $set: { earnings } });
+        return earnings;
+    } catch (error) {
+        console.error(`Record ${kind} ${job._id} earnings error:`, error);
+        return null;
+    }
+};
+
+/**
+ * Credit a paid tip to the driver/courier and add it to the trip's earnings
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ * @param {Number} amount - Tip in Rands
+ */
+const recordTipEarnings = async (kind, jobId, amount) => {
+    const { model } = TRIPS[kind];
+    await model.updateOne({ _id: jobId, 'tip.status': { $ne: 'paid' } }, {
+        $set: { 'tip.status': 'paid' },
+        $inc: { 'earnings.tip': amount, 'earnings.net': amount, 'earnings.payable': amount }
+    });
+};
+
+/**
+ * Amount currently payable to a driver/courier (negative if they owe commission)
+ * @param {String} userId - Driver or courier
+ * @returns {Number} Balance in Rands
+ */
+const getEarningsBalance = async (userId) => {
+    const { debit, credit } = await getAccountTotals(earningsAccount(userId));
+    return fromCents(credit - debit);
+};
+
+/**
+ * Commission owed from cash trips that card earnings haven't covered
+ * @param {String} userId - Driver or courier
+ * @returns {Number} Debt in Rands (0 if nothing is owed)
+ */
+const getCommissionDebt = async (userId) => {
+    const balance = await getEarningsBalance(userId);
+    return balance < 0 ? -balance : 0;
+};
+
+/**
+ * Stop a driver/courier going online while they owe too much commission
+ * @param {String} userId - Driver or courier
+ * @throws {Error} 403 with { commissionDebt, debtLimit } when over the limit
+ */
+const assertCanGoOnline = async (userId) => {
+    const debt = await getCommissionDebt(userId);
+    if (debt > MAX_COMMISSION_DEBT) {
+        throw createError(403, `You owe R${debt.toFixed(2)} in commission from cash trips. Please settle up to go online.`, {
+            commissionDebt: debt,
+            debtLimit: MAX_COMMISSION_DEBT
+        });
+    }
+};
+
+/**
+ * Record cash or an EFT a driver/courier paid in against their commission debt
+ * @param {String} userId - Driver or courier
+ * @param {Number} amount - Amount received in Rands
+ * @param {String} reference - Deposit slip or bank reference (each is only recorded once)
+ * @param {String} adminId - Admin recording it
+ * @returns {Object} { transaction, balance }
+ * @throws {Error} 409 if the reference was already recorded
+ */
+const recordDebtDeposit = async (userId, amount, reference, adminId) => {
+    const { transaction, created } = await postTransaction({
+        type: 'debt_settlement',
+        postings: transfer(DEPOSITS_ACCOUNT, earningsAccount(userId), toCents(amount)),
+        reference: `deposit:${reference}`,
+        description: `Commission paid in (${reference})`,
+        createdBy: adminId
+    });
+    if (!created) {
+        throw createError(409, 'This deposit reference has already been recorded');
+    }
+    return { transaction, balance: await getEarningsBalance(userId) };
+};
+
+/**
+ * Drivers/couriers who owe commission, largest debt first
+ * @returns {Array} { user, commissionDebt, overLimit }
+ */
+const listCommissionDebts = async () => {
+    const balances = await getEarningsBalancesAsOf(new Date());
+    const debts = balances.filter(row => row.cents < 0).sort((a, b) => a.cents - b.cents);
+    const users = await User.find({ _id: { $in: debts.map(row => row.userId) } }).select('name email phone');
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    return debts.map(row => ({
+        user: usersById.get(row.userId) || row.userId,
+        commissionDebt: fromCents(-row.cents),
+        overLimit: fromCents(-row.cents) > MAX_COMMISSION_DEBT
+    }));
+};
+
+/**
+ * Per-trip earnings, newest first
+ * @param {String} userId - Driver or courier
+ * @param {Object} options - { from, to } dates (earnings posted in [from, to))
+ * @returns {Array} { kind, _id, status, endedAt, pickup, dropoff, paymentMethod, earnings }
+ */
+const getTripStatement = async (userId, { from, to } = {}) => {
+    const posted = {};
+    if (from) posted.$gte = from;
+    if (to) posted.$lt = to;
+
+    const lists = await Promise.all(Object.entries(TRIPS).map(async ([kind, { model, assignee }]) => {
+        const trips = await model.find({
+            [assignee]: userId,
+            'earnings.postedAt': from || to ? posted : { $ne: null }
+        })
+            .select('status pickupLocation dropoffLocation deliveryLocation paymentMethod earnings completedAt deliveredAt cancelledAt')
+            .sort({ 'earnings.postedAt': -1 })
+            .limit(500);
+
+        return trips.map(trip => ({
+            kind,
+            _id: trip._id,
+            status: trip.status,
+            endedAt: trip.completedAt || trip.deliveredAt || trip.cancelledAt,
+            pickup: trip.pickupLocation?.address,
+            dropoff: (trip.dropoffLocation || trip.deliveryLocation)?.address,
+            paymentMethod: trip.paymentMethod,
+            earnings: trip.earnings
+        }));
+    }));
+
+    return lists.flat().sort((a, b) => b.earnings.postedAt - a.earnings.postedAt);
+};
+
+const sumEarnings = (trips, field) => roundMoney(trips.reduce((sum, trip) => sum + (trip.earnings[field] || 0), 0));
+
+/**
+ * Earnings for one week: totals, the trips behind them and that week's payout
+ * @param {String} userId - Driver or courier
+ * @param {Date} date - Any time in the week (defaults to this week)
+ * @returns {Object} Weekly statement
+ */
+const getWeeklyStatement = async (userId, date = new Date()) => {
+    const weekStart = getWeekStart(date);
+    const weekEnd = new Date(weekStart.getTime() + WEEK_MS);
+
+    const [trips, batch] = await Promise.all([
+        getTripStatement(userId, { from: weekStart, to: weekEnd }),
+        PayoutBatch.findOne({ weekStart, 'items.user': userId })
+    ]);
+    const payout = batch?.items.find(item => String(item.user) === String(userId));
+
+    return {
+        weekStart,
+        weekEnd,
+        currency: 'ZAR',
+        trips: trips.length,
+        completedTrips: trips.filter(trip => trip.status !== 'cancelled').length,
+        totals: {
+            fares: sumEarnings(trips, 'fare'),
+            cancellationFees: sumEarnings(trips, 'cancellationFee'),
+            tips: sumEarnings(trips, 'tip'),
+            commission: sumEarnings(trips, 'commission'),
+            net: sumEarnings(trips, 'net'),
+            cashCollected: sumEarnings(trips, 'cashCollected'),
+            payable: sumEarnings(trips, 'payable')
+        },
+        payout: payout ? {
+            batch: batch._id,
+            amount: payout.amount,
+            status: payout.status,
+            failureReason: payout.failureReason
+        } : null,
+        tripDetails: trips
+    };
+};
+
+/**
+ * Earnings balances as at a time, for every driver/courier
+ * @param {Date} asOf - Only count transactions before this
+ * @returns {Array} { userId, cents }
+ */
+const getEarningsBalancesAsOf = async (asOf) => {
+    const rows = await LedgerTransaction.aggregate([
+        { $match: { 'postings.account': /^earnings:/, createdAt: { $lt: asOf } } },
+        { $unwind: '$postings' },
+        { $match: { 'postings.account': /^earnings:/ } },
+        {
+            $group: {
+                _id: '$postings.account',
+                balance: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } }
+            }
+        }
+    ]);
+    return rows.map(row => ({ userId: row._id.slice('earnings:'.length), cents: row.balance }));
+};
+
+/**
+ * Pay out every balance of at least MIN_PAYOUT due at the end of a week.
+ * Each payee is saved on the batch together with their ledger posting, so
+ * a run that stopped partway is finished by the next one.
+ * @param {Date} weekStart - Start of the week being paid (see getWeekStart)
+ * @param {String} adminId - Admin generating it (omit for the weekly job)
+ * @returns {Object} PayoutBatch document
+ * @throws {Error} 400 if the week hasn't ended, 409 if the week already has a finished batch
+ */
+const generatePayoutBatch = async (weekStart, adminId) => {
+    const start = getWeekStart(weekStart);
+    const weekEnd = new Date(start.getTime() + WEEK_MS);
+    if (weekEnd > new Date()) {
+        throw createError(400, 'Payouts can only be generated once the week has ended', { weekEnd });
+    }
+
+    let batch;
+    try {
+        // Claim the week first so two runs can't pay it twice
+        batch = await PayoutBatch.create({ weekStart: start, weekEnd, status: 'generating', createdBy: adminId });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        batch = await PayoutBatch.findOne({ weekStart: start, status: 'generating' });
+        if (!batch) {
+            throw createError(409, 'A payout batch already exists for this week', {
+                batch: (await PayoutBatch.findOne({ weekStart: start }).select('_id'))?._id
+            });
+        }
+    }
+
+    const handled = new Set([...batch.items, ...batch.skipped].map(entry => String(entry.user)));
+    const due = (await getEarningsBalancesAsOf(weekEnd))
+        .filter(row => row.cents >= toCents(MIN_PAYOUT) && !handled.has(row.userId));
+    const users = await User.find({ _id: { $in: due.map(row => row.userId) } }).select('name bankingDetails');
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    for (const { userId, cents } of due) {
+        const user = usersById.get(userId);
+        const bank = user?.bankingDetails.find(detail => detail.isDefault) || user?.bankingDetails[0];
+        if (!bank) {
+            await PayoutBatch.updateOne(
+                { _id: batch._id, 'skipped.user': { $ne: userId } },
+                { $push: { skipped: { user: userId, amount: fromCents(cents), reason: 'No banking details' } } }
+            );
+            continue;
+        }
+
+        // The posting is idempotent by reference and the item is only added
+        // once, so a rerun after a crash between the two pays nobody twice
+        await postTransaction({
+            type: 'payout',
+            postings: transfer(earningsAccount(userId), PAYOUTS_ACCOUNT, cents),
+            reference: `payout:${batch._id}:${userId}`,
+            description: `Weekly payout to ${bank.bankName} ****${bank.accountNumber.slice(-4)}`
+        });
+        await PayoutBatch.updateOne(
+            { _id: batch._id, 'items.user': { $ne: userId } },
+            {
+                $push: {
+                    items: {
+                        user: userId,
+                        name: user.name,
+                        bankName: bank.bankName,
+                        accountHolderName: bank.accountHolderName,
+                        accountNumber: bank.accountNumber,
+                        accountType: bank.accountType,
+                        branchCode: bank.branchCode,
+                        amount: fromCents(cents)
+                    }
+                }
+            }
+        );
+    }
+
+    // Total the saved items and open the batch for export
+    const { items } = await PayoutBatch.findById(batch._id).select('items.amount');
+    const total = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+    batch = await PayoutBatch.findOneAndUpdate(
+        { _id: batch._id, status: 'generating' },
+        { $set: { status: 'pending', total } },
+        { new: true }
+    ) || await PayoutBatch.findById(batch._id);
+
+    console.log(`💰 Payout batch for week of ${formatWeek(start)}: ${batch.items.length} payees, R${batch.total}`);
+    return batch;
+};
+
+const csvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Bank CSV for a payout batch (one line per payee), marking it exported
+ * @param {String} batchId - PayoutBatch ID
+ * @returns {Object} { filename, csv }
+ * @throws {Error} 404 if the batch doesn't exist, 409 while it is still being generated
+ */
+const exportPayoutBatch = async (batchId) => {
+    const batch = await PayoutBatch.findById(batchId);
+    if (!batch) {
+        throw createError(404, 'Payout batch not found');
+    }
+    if (batch.status === 'generating') {
+        throw createError(409, 'This payout batch is still being generated - run it again to finish it');
+    }
+
+    const week = formatWeek(batch.weekStart);
+    const rows = [
+        ['Account Holder', 'Bank', 'Branch Code', 'Account Number', 'Account Type', 'Amount', 'Reference'],
+        ...batch.items
+            .filter(item => item.status !== 'failed')
+            .map(item => [
+                item.accountHolderName,
+                item.bankName,
+                item.branchCode,
+                item.accountNumber,
+                item.accountType,
+                item.amount.toFixed(2),
+                `MZANSI ${week}`
+            ])
+    ];
+
+    if (batch.status === 'pending') {
+        batch.status = 'exported';
+        batch.exportedAt = new Date();
+        await batch.save();
+    }
+
+    return {
+        filename: `mzansi-payouts-${week}.csv`,
+        csv: `${rows.map(row => row.map(csvField).join(',')).join('\n')}\n`
+    };
+};
+
+/**
+ * Record the bank's result for a batch: failed payees get their amount
+ * put back on their balance, everyone else is marked paid
+ * @param {String} batchId - PayoutBatch ID
+ * @param {Array} failures - [{ user, reason }] payees the bank couldn't pay
+ * @returns {Object} Updated PayoutBatch
+ * @throws {Error} 404 if the batch doesn't exist, 409 if it is still being generated or was already settled
+ */
+const settlePayoutBatch = async (batchId, failures = []) => {
+    const batch = await PayoutBatch.findOneAndUpdate(
+        { _id: batchId, status: { $nin: ['generating', 'paid'] } },
+        { $set: { status: 'paid', paidAt: new Date() } },
+        { new: true }
+    );
+    if (!batch) {
+        const existing = await PayoutBatch.findById(batchId).select('status');
+        if (!existing) {
+            throw createError(404, 'Payout batch not found');
+        }
+        if (existing.status === 'generating') {
+            throw createError(409, 'This payout batch is still being generated - run it again to finish it');
+        }
+        throw createError(409, 'This payout batch has already been settled');
+    }
+
+    const failed = new Map(failures.map(failure => [String(failure.user), failure.reason]));
+    for (const item of batch.items) {
+        if (!failed.has(String(item.user))) {
+            item.status = 'paid';
+            continue;
+        }
+
+        await postTransaction({
+            type: 'payout_reversal',
+            postings: transfer(PAYOUTS_ACCOUNT, earningsAccount(item.user), toCents(item.amount)),
+            reference: `payout_reversal:${batch._id}:${item.user}`,
+            description: 'Payout returned by the bank'
+        });
+        item.status = 'failed';
+        item.failureReason = failed.get(String(item.user)) || 'Rejected by the bank';
+    }
+
+    await batch.save();
+    return batch;
+};
+
+/**
+ * When the next weekly payout run is due
+ * @param {Date} after - Time to look from
+ * @returns {Date}
+ */
+const getNextPayoutRun = (after = new Date()) => {
+    const run = new Date(getWeekStart(after).getTime() + PAYOUT_HOUR * 60 * 60 * 1000);
+    return run > after ? run : new Date(run.getTime() + WEEK_MS);
+};
+
+/**
+ * Make sure the weekly payout run is scheduled (safe to call on every start)
+ */
+const scheduleWeeklyPayouts = async () => {
+    const runAt = getNextPayoutRun();
+    const reference = `${PAYOUT_JOB}:${runAt.toISOString()}`;
+    if (!(await Job.exists({ reference, status: { $in: ['pending', 'running'] } }))) {
+        await scheduleJob(PAYOUT_JOB, runAt, {}, { reference });
+    }
+};
+
+/**
+ * Register the weekly payout job with the job runner
+ */
+const registerEarningsJobs = () => {
+    defineJob(PAYOUT_JOB, async () => {
+        try {
+            // Pay out the week that just ended
+            await generatePayoutBatch(new Date(getWeekStart().getTime() - WEEK_MS));
+        } catch (error) {
+            if (error.status !== 409) throw error;
+        }
+        await scheduleWeeklyPayouts();
+    });
+};
+
+module.exports = {
+    earningsAccount,
+    getWeekStart,
+    calculateTripEarnings,
+    recordTripEarnings,
+    recordTipEarnings,
+    getEarningsBalance,
+    getCommissionDebt,
+    assertCanGoOnline,
+    recordDebtDeposit,
+    listCommissionDebts,
+    getTripStatement,
+    getWeeklyStatement,
+    generatePayoutBatch,
+    exportPayoutBatch,
+    settlePayoutBatch,
+    getNextPayoutRun,
+    scheduleWeeklyPayouts,
+    registerEarningsJobs
+};
@@ -0,0 +1,269 @@
+/**
+ * Delivery handover checks
+ *
+ * When a courier picks up a parcel, its recipient is sent a one-time PIN by
+ * SMS (the customer, if no recipient phone was given). The courier can only
+ * mark the parcel delivered once they have entered that PIN, or uploaded
+ * the recipient's signature as a 'signature' photo; parcels that require a
+ * signature need the signature. If neither is possible the courier can
+ * override with a photo of the delivered parcel and a reason, which admins
+ * are told about. Batch deliveries do this for each drop-off.
+ */
+
+const crypto = require('crypto');
+const Delivery = require('../models/Delivery');
+const User = require('../models/User');
+const { createError, normalisePhone } = require('../utils');
+const { sendSms } = require('./notifications');
+
+const PIN_LENGTH = 6;
+// Wrong PINs allowed per parcel before only a signature or override will do
+const MAX_PIN_ATTEMPTS = 5;
+// PINs sent per parcel, including the first, and the gap between resends
+const MAX_PIN_SENDS = 3;
+const PIN_RESEND_INTERVAL_MS = 60 * 1000;
+const MIN_OVERRIDE_REASON_LENGTH = 5;
+
+/**
+ * Random numeric PIN (a security credential, so not Math.random)
+ */
+const generatePin = () => String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+
+// Keyed by the server secret and parcel so a leaked hash can't be tried offline
+const hashPin = (deliveryId, dropoffId, pin) => crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'mzansi-handoff')
+    .update(`${deliveryId}:${dropoffId || ''}:${String(pin).trim()}`)
+    .digest('hex');
+
+/**
+ * Where a parcel's handover details live: the delivery itself, or one of a batch's drop-offs
+ * @returns {Object} { target, path } - the document holding handoff and its update path
+ * @throws {Error} 404 unknown drop-off
+ */
+const getHandoffTarget = (delivery, dropoffId) => {
+    if (!dropoffId) {
+        return { target: delivery, path: 'handoff' };
+    }
+    const index = delivery.dropoffs.findIndex(dropoff => String(dropoff._id) === String(dropoffId));
+    if (index === -1) {
+        throw createError(404, 'Drop-off not found');
+    }
+    return { target: delivery.dropoffs[index], path: `dropoffs.${index}.handoff` };
+};
+
+/**
+ * Latest photo of a type uploaded for a parcel since it was picked up
+ * (none before pickup, so an old photo can't stand in as proof)
+ */
+const findProofPhoto = (delivery, dropoffId, type) => {
+    if (!delivery.pickedUpAt) return undefined;
+
+    return (delivery.photoProof || [])
+        .filter(photo => photo.type === type &&
+            String(photo.dropoff || '') === String(dropoffId || '') &&
+            photo.timestamp >= delivery.pickedUpAt)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+};
+
+/**
+ * Phone number a parcel's PIN goes to
+ */
+const getPinPhone = async (delivery, target) => {
+    const phone = normalisePhone(target.recipientPhone || '');
+    if (phone) return phone;
+
+    const customer = await User.findById(delivery.customer._id || delivery.customer).select('phone');
+    return customer?.phone ? normalisePhone(customer.phone) : null;
+};
+
+/**
+ * Text a parcel's PIN to its recipient
+ */
+const sendPin = (phone, target, pin) => {
+    const who = target.recipientName ? `Hi ${target.recipientName}, your` : 'Your';
+    return sendSms(phone, `${who} Mzansi parcel is on its way. Give the courier this PIN when it arrives: ${pin}. ` +
+        'Only share it once you have the parcel.');
+};
+
+/**
+ * Send every parcel's recipient their handover PIN (on pickup)
+ * @param {Object} delivery - Delivery document
+ */
+const sendHandoffPins = async (delivery) => {
+    const now = new Date();
+    const parcels = delivery.isBatch
+        ? delivery.dropoffs.filter(dropoff => dropoff.status === 'pending').map(dropoff => dropoff._id)
+        : [null];
+
+    const $set = {};
+    const messages = [];
+    for (const dropoffId of parcels) {
+        const { target, path } = getHandoffTarget(delivery, dropoffId);
+        if (target.handoff?.pinSentAt || target.handoff?.verifiedAt) continue;
+
+        const phone = await getPinPhone(delivery, target);
+        if (!phone) {
+            console.log(`📦 delivery ${delivery._id}: no phone number for a handover PIN`);
+            continue;
+        }
+        const pin = generatePin();
+        Object.assign($set, {
+            [`${path}.pinHash`]: hashPin(delivery._id, dropoffId, pin),
+            [`${path}.pinSentAt`]: now,
+            [`${path}.pinSends`]: 1
+        });
+        messages.push([phone, target, pin]);
+    }
+    if (!messages.length) return;
+
+    // Stored before sending so a PIN is never texted without being checkable
+    await Delivery.updateOne({ _id: delivery._id }, { $set });
+    await Promise.all(messages.map(message => sendPin(...message)));
+};
+
+/**
+ * Send a parcel's recipient a new PIN, replacing the last one
+ * @param {Object} delivery - Delivery document
+ * @param {String} dropoffId - Batch drop-off, or null for the delivery itself
+ * @returns {Object} { pinSentAt, sendsLeft }
+ * @throws {Error} 400 not picked up yet or already handed over, 429 sent too often, 422 no number
+ */
+const resendHandoffPin = async (delivery, dropoffId) => {
+    if (!['picked_up', 'in_transit'].includes(delivery.status)) {
+        throw createError(400, 'A PIN can only be sent once the parcel has been picked up');
+    }
+
+    const { target, path } = getHandoffTarget(delivery, dropoffId);
+    const handoff = target.handoff || {};
+    if (handoff.verifiedAt || (dropoffId && target.status !== 'pending')) {
+        throw createError(400, 'This parcel has already been handed over');
+    }
+    if ((handoff.pinSends || 0) >= MAX_PIN_SENDS) {
+        throw createError(429, 'No more PINs can be sent - capture a signature or use the override');
+    }
+    const now = new Date();
+    if (handoff.pinSentAt && now - handoff.pinSentAt < PIN_RESEND_INTERVAL_MS) {
+        throw createError(429, 'Please wait a minute before sending another PIN', {
+            retryAfterSeconds: Math.ceil((PIN_RESEND_INTERVAL_MS - (now - handoff.pinSentAt)) / 1000)
+        });
+    }
+
+    const phone = await getPinPhone(delivery, target);
+    if (!phone) {
+        throw createError(422, 'There is no phone number to send a PIN to');
+    }
+
+    // Only if no other resend got in first
+    const pin = generatePin();
+    const pinSends = (handoff.pinSends || 0) + 1;
+    const stored = await Delivery.updateOne(
+        { _id: delivery._id, [`${path}.pinSends`]: handoff.pinSends || { $in: [0, null] } },
+        {
+            $set: {
+                [`${path}.pinHash`]: hashPin(delivery._id, dropoffId, pin),
+                [`${path}.pinSentAt`]: now,
+                [`${path}.pinSends`]: pinSends
+            }
+        }
+    );
+    if (stored.matchedCount === 0) {
+        throw createError(429, 'A PIN was just sent, please wait a minute');
+    }
+    await sendPin(phone, target, pin);
+
+    return { pinSentAt: now, sendsLeft: MAX_PIN_SENDS - pinSends };
+};
+
+/**
+ * Check a parcel was really handed over before it is marked delivered,
+ * and record how. Calling it again for a parcel already handed over is a no-op.
+ * @param {Object} io - Socket.io server (overrides are sent to admins)
+ * @param {Object} delivery - Delivery document
+ * @param {Object} user - Courier (or admin)
+ * @param {Object} proof - { dropoffId, pin, override, overrideReason }
+ * @returns {Object} The parcel's handoff details
+ * @throws {Error} 400 no or wrong proof, 429 too many wrong PINs
+ */
+const verifyHandoff = async (io, delivery, user, { dropoffId, pin, override, overrideReason } = {}) => {
+    const { target, path } = getHandoffTarget(delivery, dropoffId);
+    const handoff = target.handoff?.toObject ? target.handoff.toObject() : { ...target.handoff };
+    if (handoff.verifiedAt) {
+        return handoff;
+    }
+
+    const now = new Date();
+    const signature = findProofPhoto(delivery, dropoffId, 'signature');
+    let verified;
+
+    if (override) {
+        const reason = typeof overrideReason === 'string' ? overrideReason.trim() : '';
+        if (reason.length < MIN_OVERRIDE_REASON_LENGTH) {
+            throw createError(400, 'Give a reason for delivering without a PIN or signature');
+        }
+        const photo = findProofPhoto(delivery, dropoffId, 'delivery');
+        if (!photo) {
+            throw createError(400, 'Upload a photo of the delivered parcel before overriding');
+        }
+        verified = {
+            method: 'override',
+            overrideReason: reason,
+            overridePhotoUrl: photo.url,
+            overriddenBy: user._id || user.id
+        };
+    } else if (signature) {
+        verified = { method: 'signature', signatureUrl: signature.url };
+    } else if (target.requiresSignature) {
+        throw createError(400, "This parcel needs the recipient's signature - upload it as a signature photo", {
+            requiresSignature: true
+        });
+    } else if (pin) {
+        // Count the attempt first so parallel guesses can't get past the limit
+        const counted = await Delivery.findOneAndUpdate(
+            { _id: delivery._id, [`${path}.pinAttempts`]: { $not: { $gte: MAX_PIN_ATTEMPTS } } },
+            { $inc: { [`${path}.pinAttempts`]: 1 } },
+            { new: true }
+        ).select(`+${dropoffId ? 'dropoffs.handoff.pinHash' : 'handoff.pinHash'}`);
+        if (!counted) {
+            throw createError(429, 'Too many incorrect PINs - capture a signature or use the override');
+        }
+
+        const stored = getHandoffTarget(counted, dropoffId).target.handoff;
+        if (!stored?.pinHash || stored.pinHash !== hashPin(delivery._id, dropoffId, pin)) {
+            throw createError(400, 'Incorrect PIN', {
+                attemptsLeft: Math.max(MAX_PIN_ATTEMPTS - (stored?.pinAttempts || 0), 0)
+            });
+        }
+        verified = { method: 'pin' };
+    } else {
+        throw createError(400, 'Enter the PIN sent to the recipient, upload their signature, or override with a photo and reason', {
+            requiresSignature: !!target.requiresSignature,
+            pinSent: !!handoff.pinSentAt
+        });
+    }
+
+    verified.verifiedAt = now;
+    const $set = {};
+    Object.keys(verified).forEach(key => { $set[`${path}.${key}`] = verified[key]; });
+    await Delivery.updateOne({ _id: delivery._id }, { $set });
+    console.log(`📦 delivery ${delivery._id}${dropoffId ? ` drop-off ${dropoffId}` : ''}: handed over by ${verified.method}`);
+
+    if (io && verified.method === 'override') {
+        io.to('admin').emit('delivery-handoff-override', {
+            deliveryId: delivery._id,
+            dropoffId: dropoffId || null,
+            courier: user._id || user.id,
+            reason: verified.overrideReason,
+            photoUrl: verified.overridePhotoUrl,
+            at: now
+        });
+    }
+
+    return { ...handoff, ...verified };
+};
+
+module.exports = {
+    MAX_PIN_ATTEMPTS,
+    sendHandoffPins,
+    resendHandoffPin,
+    verifyHandoff
+};
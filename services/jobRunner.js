@@ -0,0 +1,181 @@
+/**
+ * Persistent background jobs
+ *
+ * Jobs are stored in MongoDB, so work scheduled for later survives restarts
+ * and deploys. Every instance polls for due jobs and claims each one with a
+ * single atomic update, so a job runs on exactly one instance even when
+ * several API instances are running. Failed jobs are retried with a delay
+ * until maxAttempts is reached.
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+// A job still 'running' after this long is assumed lost (instance crashed) and run again
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+const RETRY_DELAY_MS = 30000;
+const MAX_JOBS_PER_POLL = 50;
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register the function that runs a job type
+ * @param {String} name - Job name, e.g. 'trip:dispatch'
+ * @param {Function} handler - async (io, data, job) => {}
+ */
+const defineJob = (name, handler) => {
+    handlers.set(name, handler);
+};
+
+/**
+ * Store a job to run at a given time
+ * @param {String} name - Job name (must have a handler)
+ * @param {Date} runAt - When to run it
+ * @param {Object} data - Handler arguments (must be JSON-serialisable)
+ * @param {Object} options - { reference, maxAttempts, unique } - with unique, only one job is
+ *   ever stored for the reference, so instances scheduling the same run share it
+ * @returns {Object} Job document (the existing one if a unique job was already scheduled)
+ */
+const scheduleJob = async (name, runAt, data = {}, { reference = null, maxAttempts, unique = false } = {}) => {
+    if (!handlers.has(name)) {
+        throw new Error(`No handler defined for job: ${name}`);
+    }
+
+    try {
+        return await Job.create({
+            name,
+            data,
+            reference,
+            runAt,
+            ...(maxAttempts ? { maxAttempts } : {}),
+            ...(unique ? { uniqueReference: reference } : {})
+        });
+    } catch (error) {
+        if (!unique || error.code !== 11000) throw error;
+        return Job.findOne({ uniqueReference: reference });
+    }
+};
+
+/**
+ * Cancel jobs that have not started yet
+ * @param {String} reference - Reference the jobs were scheduled with
+ * @param {Array} names - Optional job names to limit the cancellation to
+ * @returns {Number} Number of jobs cancelled
+ */
+const cancelJobs = async (reference, names) => {
+    const filter = { reference, status: 'pending' };
+    if (names && names.length > 0) {
+        filter.name = { $in: names };
+    }
+
+    const result = await Job.updateMany(filter, { $set: { status: 'cancelled' } });
+    return result.modifiedCount;
+};
+
+/**
+ * Atomically claim the oldest due job
+ * @returns {Object|null} Claimed job
+ */
+const claimNextJob = async () => {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', runAt: { $lte: now } },
+                { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Run a claimed job and record the outcome
+ * @param {Object} io - Socket.io server
+ * @param {Object} job - Job document
+ */
+const runJob = async (io, job) => {
+    const handler = handlers.get(job.name);
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler defined for job: ${job.name}`);
+        }
+        await handler(io, job.data || {}, job);
+
+        await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, {
+            $set: { status: 'completed', completedAt: new Date(), lockedAt: null }
+        });
+    } catch (error) {
+        const retry = handler && job.attempts < job.maxAttempts;
+        console.error(`❌ Job ${job.name} (${job._id}) failed on attempt ${job.attempts}:`, error.message);
+
+        await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, {
+            $set: {
+                status: retry ? 'pending' : 'failed',
+                runAt: retry ? new Date(Date.now() + RETRY_DELAY_MS * job.attempts) : job.runAt,
+                lastError: error.message,
+                lockedAt: null
+            }
+        });
+    }
+};
+
+/**
+ * Run every job that is due
+ * @param {Object} io - Socket.io server
+ * @returns {Number} Number of jobs run
+ */
+const runDueJobs = async (io) => {
+    let count = 0;
+
+    while (count < MAX_JOBS_PER_POLL) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        await runJob(io, job);
+        count++;
+    }
+    return count;
+};
+
+/**
+ * Start polling for due jobs
+ * @param {Object} io - Socket.io server
+ */
+const startJobRunner = (io) => {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(async () => {
+        // Don't start a new poll while the previous one is still working through jobs
+        if (polling) return;
+        polling = true;
+        try {
+            await runDueJobs(io);
+        } catch (error) {
+            console.error('Job runner error:', error);
+        } finally {
+            polling = false;
+        }
+    }, POLL_INTERVAL_MS);
+    pollTimer.unref();
+
+    console.log(`⏰ Job runner started (${WORKER_ID}, polling every ${POLL_INTERVAL_MS / 1000}s)`);
+};
+
+module.exports = {
+    defineJob,
+    scheduleJob,
+    cancelJobs,
+    runDueJobs,
+    startJobRunner
+};
@@ -0,0 +1,171 @@
+/**
+ * Double-entry ledger
+ *
+ * Every movement of money is a LedgerTransaction whose postings debit and
+ * credit named accounts by equal amounts (in cents). Balances are never
+ * stored - they are summed from the postings, so the ledger is the only
+ * record finance needs to reconcile. Accounts:
+ *   wallet:<userId>    a user's Mzansi wallet (what we owe them)
+ *   earnings:<userId>  a driver/courier's earnings not yet paid out
+ *   provider:<name>    money collected through a payment provider
+ *   platform:trips     fares paid for trips
+ *   platform:promo     credits given away
+ *   platform:payouts   earnings paid out to bank accounts
+ *   platform:deposits  cash/EFT paid in by drivers/couriers settling commission
+ *
+ * Postings to wallets are numbered per wallet and the numbers are unique,
+ * so two transactions racing on the same wallet can't both pass a balance
+ * check - the loser recounts and tries again.
+ */
+
+const LedgerTransaction = require('../models/LedgerTransaction');
+const { createError } = require('../utils');
+
+const MAX_ATTEMPTS = 5;
+const ACCOUNTS = {
+    trips: 'platform:trips',
+    promo: 'platform:promo'
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const walletAccount = (userId) => `wallet:${userId}`;
+const providerAccount = (name) => `provider:${name}`;
+const isWalletAccount = (account) => account.startsWith('wallet:');
+
+/**
+ * Postings that move an amount out of one account into another
+ * @param {String} from - Account that is debited
+ * @param {String} to - Account that is credited
+ * @param {Number} cents - Amount in cents
+ * @returns {Array} Postings
+ */
+const transfer = (from, to, cents) => [
+    { account: from, debit: cents, credit: 0 },
+    { account: to, debit: 0, credit: cents }
+];
+
+/**
+ * Totals for one account
+ * @param {String} account - Account name
+ * @returns {Object} { debit, credit, postings } in cents
+ */
+const getAccountTotals = async (account) => {
+    const [totals] = await LedgerTransaction.aggregate([
+        { $match: { 'postings.account': account } },
+        { $unwind: '$postings' },
+        { $match: { 'postings.account': account } },
+        {
+            $group: {
+                _id: null,
+                debit: { $sum: '$postings.debit' },
+                credit: { $sum: '$postings.credit' },
+                postings: { $sum: 1 }
+            }
+        }
+    ]);
+    return totals || { debit: 0, credit: 0, postings: 0 };
+};
+
+/**
+ * Balance of a wallet, derived from the ledger
+ * @param {String} userId - Wallet owner
+ * @returns {Number} Balance in cents
+ */
+const getWalletBalanceCents = async (userId) => {
+    const { debit, credit } = await getAccountTotals(walletAccount(userId));
+    return credit - debit;
+};
+
+/**
+ * Add a transaction to the ledger
+ * @param {Object} transaction - { type, postings, reference, description, kind, job, payment, createdBy }
+ * @param {Object} options - { requireFunds: refuse to take a wallet below zero }
+ * @returns {Object} { transaction, created } - created is false if the reference was already posted
+ * @throws {Error} 402 if a wallet would go below zero, 409 if the wallet stays too busy
+ */
+const postTransaction = async (transaction, { requireFunds = false } = {}) => {
+    const wallets = [...new Set(transaction.postings.map(posting => posting.account).filter(isWalletAccount))];
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const totals = await Promise.all(wallets.map(getAccountTotals));
+
+        if (requireFunds) {
+            wallets.forEach((account, index) => {
+                const change = transaction.postings
+                    .filter(posting => posting.account === account)
+                    .reduce((sum, posting) => sum + posting.credit - posting.debit, 0);
+                const balance = totals[index].credit - totals[index].debit;
+                if (balance + change < 0) {
+                    throw createError(402, 'Insufficient wallet balance', {
+                        balance: fromCents(balance),
+                        required: fromCents(-change)
+                    });
+                }
+            });
+        }
+
+        try {
+            const created = await LedgerTransaction.create({
+                ...transaction,
+                sequences: wallets.length
+                    ? wallets.map((account, index) => `${account}#${totals[index].postings + 1}`)
+                    : undefined
+            });
+            return { transaction: created, created: true };
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            if (error.keyPattern?.reference) {
+                const existing = await LedgerTransaction.findOne({ reference: transaction.reference });
+                return { transaction: existing, created: false };
+            }
+            // Another transaction took this wallet turn first - recount and retry
+        }
+    }
+
+    throw createError(409, 'Wallet is busy, please try again');
+};
+
+/**
+ * Debit and credit totals for every account (they must sum to zero overall)
+ * @returns {Object} { accounts: [{ account, debit, credit, balance }], totalDebit, totalCredit }
+ */
+const getTrialBalance = async () => {
+    const rows = await LedgerTransaction.aggregate([
+        { $unwind: '$postings' },
+        {
+            $group: {
+                _id: '$postings.account',
+                debit: { $sum: '$postings.debit' },
+                credit: { $sum: '$postings.credit' }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    const accounts = rows.map(row => ({
+        account: row._id,
+        debit: fromCents(row.debit),
+        credit: fromCents(row.credit),
+        balance: fromCents(row.debit - row.credit)
+    }));
+    return {
+        accounts,
+        totalDebit: fromCents(rows.reduce((sum, row) => sum + row.debit, 0)),
+        totalCredit: fromCents(rows.reduce((sum, row) => sum + row.credit, 0))
+    };
+};
+
+module.exports = {
+    ACCOUNTS,
+    toCents,
+    fromCents,
+    walletAccount,
+    providerAccount,
+    transfer,
+    getAccountTotals,
+    getWalletBalanceCents,
+    postTransaction,
+    getTrialBalance
+};
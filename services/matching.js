@@ -0,0 +1,156 @@
+/**
+ * Pending job matching
+ *
+ * Finds pending rides/deliveries near a driver/courier and sends them to
+ * their socket room. Used whenever a driver/courier comes online, reconnects
+ * or asks for pending jobs, so all of those behave the same way.
+ */
+
+const User = require('../models/User');
+const { calculateDistance, buildNearQuery } = require('../utils');
+const { getSearchRadius } = require('../config/matching');
+const {
+    getJobType,
+    getJobRadius,
+    getActiveOffer,
+    buildOfferPayload,
+    isDispatching
+} = require('./dispatch');
+const { isRoomOccupied } = require('./presence');
+
+/**
+ * Base filter for jobs still waiting for a driver/courier
+ */
+const pendingFilter = (kind, userId) => {
+    const config = getJobType(kind);
+    return {
+        status: 'pending',
+        [config.assignee]: null,
+        [config.owner]: { $ne: userId }
+    };
+};
+
+/**
+ * Whether a job would be shown to this driver/courier right now. Jobs being
+ * dispatched are offered to one driver at a time, so only an offer the user
+ * still holds counts; jobs nobody is dispatching are open to everyone in range.
+ */
+const isVisibleTo = (kind, job, userId) => !isDispatching(job) || !!getActiveOffer(kind, job, userId);
+
+/**
+ * Load the driver/courier if they are online with a known location
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} userId - Driver or courier ID
+ * @returns {Object|null} User or null if they can't be matched
+ */
+const loadMatchableUser = async (kind, userId) => {
+    const config = getJobType(kind);
+    const user = await User.findById(userId).select(`name ${config.userFlag} ${config.infoField}`);
+    const info = user?.[config.infoField];
+
+    if (!user || !user[config.userFlag] || !info?.isAvailable || !info?.currentLocation) {
+        return null;
+    }
+    return user;
+};
+
+/**
+ * Find pending jobs within matching range of a driver/courier, nearest first
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} user - Driver or courier with a current location
+ * @returns {Array} Matches: { job, distanceKm, radiusKm }
+ */
+const findPendingJobsNear = async (kind, user) => {
+    const config = getJobType(kind);
+    const location = user[config.infoField].currentLocation;
+
+    const near = buildNearQuery(location, getSearchRadius(kind, location));
+    if (!near) return [];
+
+    const jobs = await config.model.find({
+        ...pendingFilter(kind, user._id),
+        pickupPoint: near
+    }).populate(config.owner, 'name email phone');
+
+    return jobs
+        .map(job => ({
+            job,
+            distanceKm: calculateDistance(location, job.pickupLocation),
+            radiusKm: getJobRadius(kind, job, user)
+        }))
+        .filter(match => match.distanceKm <= match.radiusKm && isVisibleTo(kind, match.job, user._id));
+};
+
+/**
+ * List every pending job for a driver/courier: in range, in range but being
+ * offered to someone else, and out of range
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} user - Driver or courier with a current location
+ * @returns {Object} { nearby, offeredElsewhere, tooFar } arrays of { job, distanceKm, radiusKm }
+ */
+const listPendingJobs = async (kind, user) => {
+    const config = getJobType(kind);
+    const location = user[config.infoField].currentLocation;
+
+    const nearby = await findPendingJobsNear(kind, user);
+    const others = await config.model.find({
+        ...pendingFilter(kind, user._id),
+        _id: { $nin: nearby.map(match => match.job._id) }
+    }).populate(config.owner, 'name email phone').sort({ createdAt: -1 });
+
+    const rest = others.map(job => ({
+        job,
+        distanceKm: calculateDistance(location, job.pickupLocation),
+        radiusKm: getJobRadius(kind, job, user)
+    }));
+
+    return {
+        nearby,
+        offeredElsewhere: rest.filter(match => match.distanceKm <= match.radiusKm),
+        tooFar: rest.filter(match => match.distanceKm > match.radiusKm)
+    };
+};
+
+/**
+ * Send pending jobs in range to a driver's/courier's room
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} userId - Driver or courier ID
+ * @param {String} trigger - What prompted the check (for logging)
+ * @returns {Number} Number of jobs sent
+ */
+const notifyPendingJobs = async (io, kind, userId, trigger) => {
+    const config = getJobType(kind);
+    const room = `${config.roomPrefix}${String(userId)}`;
+
+    const user = await loadMatchableUser(kind, userId);
+    if (!user) {
+        console.log(`⚠️ ${config.assignee} ${userId} not available or has no location - skipping pending ${kind} check (${trigger})`);
+        return 0;
+    }
+
+    if (!(await isRoomOccupied(io, room))) {
+        console.log(`⚠️ ${config.assignee} ${userId} not in socket room ${room} - cannot send pending ${kind}s (${trigger})`);
+        return 0;
+    }
+
+    const matches = await findPendingJobsNear(kind, user);
+
+    matches.forEach(({ job, distanceKm }) => {
+        const jobObject = job.toObject();
+        const offer = getActiveOffer(kind, job, userId);
+
+        console.log(`📤 Sending pending ${kind} ${job._id} to ${room} (${distanceKm.toFixed(2)}km away)`);
+        io.to(room).emit(config.requestEvent, offer ? buildOfferPayload(jobObject, offer) : jobObject);
+    });
+
+    console.log(`✅ Sent ${matches.length} pending ${kind}(s) to ${room} (${trigger})`);
+    return matches.length;
+};
+
+module.exports = {
+    loadMatchableUser,
+    findPendingJobsNear,
+    listPendingJobs,
+    notifyPendingJobs
+};
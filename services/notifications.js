@@ -0,0 +1,77 @@
+/**
+ * SMS and email notifications
+ *
+ * For people we can't reach over a socket - e.g. someone invited to split
+ * a fare who doesn't use Mzansi yet. Uses the same Twilio and SMTP settings
+ * as verification codes. Sending never throws: failures are logged and
+ * reported as false.
+ */
+
+const nodemailer = require('nodemailer');
+const twilio = require('twilio');
+
+/**
+ * Send a text message
+ * @param {String} phone - Phone number in international format
+ * @param {String} body - Message text
+ * @returns {Boolean} True if sent
+ */
+const sendSms = async (phone, body) => {
+    try {
+        const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        await client.messages.create({
+            body,
+            from: process.env.TWILIO_PHONE_NUMBER,
+            to: phone
+        });
+        return true;
+    } catch (error) {
+        console.error('Error sending SMS:', error.message);
+        if (process.env.NODE_ENV === 'development') {
+            console.log(`📱 [DEV] SMS to ${phone}: ${body}`);
+            return true;
+        }
+        return false;
+    }
+};
+
+/**
+ * Send an email
+ * @param {String} to - Recipient address
+ * @param {String} subject - Subject line
+ * @param {String} text - Plain-text body
+ * @returns {Boolean} True if sent
+ */
+const sendEmail = async (to, subject, text) => {
+    try {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'smtp.gmail.com',
+            port: process.env.SMTP_PORT || 587,
+            secure: false,
+            auth: {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            }
+        });
+
+        await transporter.sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to,
+            subject,
+            text
+        });
+        return true;
+    } catch (error) {
+        console.error('Error sending email:', error.message);
+        if (process.env.NODE_ENV === 'development') {
+            console.log(`📧 [DEV] Email to ${to}: ${subject} - ${text}`);
+            return true;
+        }
+        return false;
+    }
+};
+
+module.exports = {
+    sendSms,
+    sendEmail
+};
@@ -0,0 +1,59 @@
+/**
+ * Card payment providers
+ *
+ * Every provider implements the same operations, each resolving to a
+ * result of { status, transactionId, message }:
+ *   tokenizeCard(card)                                  -> { token, last4, brand }
+ *   authorize({ token, amount, currency, reference })   -> { ..., providerReference }
+ *   capture({ providerReference, amount, currency })
+ *   charge({ token, amount, currency, reference })      -> { ..., providerReference }
+ *   voidAuthorization({ providerReference, amount, currency })
+ *   refund({ providerReference, amount, currency })
+ *   parseWebhook(req)  -> { providerReference, transactionId, status, amount } or null to ignore
+ * status is one of 'authorized', 'captured', 'voided', 'refunded',
+ * 'pending' or 'failed'. parseWebhook must reject (401) requests whose
+ * signature doesn't verify.
+ *
+ * New payments use PAYMENT_PROVIDER, which must be set for card payments
+ * to work; existing payments keep using the provider they were made with.
+ * The mock provider approves everything, so it only exists outside
+ * production and when PAYMENT_MOCK_ENABLED=true.
+ */
+
+const { createError } = require('../../utils');
+
+const MOCK_ENABLED = process.env.PAYMENT_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+const PROVIDERS = {
+    ...(MOCK_ENABLED && { mock: require('./mock') }),
+    peach: require('./peach')
+};
+
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || null;
+if (!DEFAULT_PROVIDER) {
+    console.warn('⚠️  PAYMENT_PROVIDER is not set - card payments are disabled');
+} else if (!PROVIDERS[DEFAULT_PROVIDER]) {
+    console.warn(`⚠️  PAYMENT_PROVIDER '${DEFAULT_PROVIDER}' is not available - card payments will fail`);
+}
+
+/**
+ * Look up a provider by name
+ * @param {String} name - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object} Provider module
+ * @throws {Error} 503 if no provider is configured, 404 for an unknown (or disabled) provider
+ */
+const getPaymentProvider = (name = DEFAULT_PROVIDER) => {
+    if (!name) {
+        throw createError(503, 'Card payments are not configured');
+    }
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw createError(404, `Unknown payment provider: ${name}`);
+    }
+    return provider;
+};
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    getPaymentProvider
+};
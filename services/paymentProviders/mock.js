@@ -0,0 +1,96 @@
+/**
+ * Local mock payment provider
+ *
+ * Approves everything except cards ending in 0002, which tokenise but are
+ * declined when charged. Only loaded when PAYMENT_MOCK_ENABLED=true outside
+ * production (see index.js). Webhooks are JSON signed with an HMAC-SHA256
+ * of the raw body with MOCK_PAYMENT_WEBHOOK_SECRET in the X-Mock-Signature
+ * header, so the webhook path can be exercised without a real gateway:
+ *   { "providerReference": "...", "transactionId": "...", "status": "captured", "amount": 120 }
+ */
+
+const crypto = require('crypto');
+const { createError, isValidCardNumber, getCardBrand } = require('../../utils');
+
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+const DECLINED_TOKEN_PREFIX = 'mock_decline_';
+
+const newId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+
+const approved = (status, extra = {}) => ({
+    status,
+    transactionId: newId('mock_txn_'),
+    message: 'Approved',
+    ...extra
+});
+
+const tokenizeCard = async ({ cardNumber }) => {
+    if (!isValidCardNumber(cardNumber)) {
+        throw createError(402, 'Card number is invalid');
+    }
+    const digits = cardNumber.replace(/\s/g, '');
+
+    return {
+        token: newId(digits.endsWith('0002') ? DECLINED_TOKEN_PREFIX : 'mock_tok_'),
+        last4: digits.slice(-4),
+        brand: getCardBrand(digits)
+    };
+};
+
+const authorize = async ({ token }) => {
+    if (token.startsWith(DECLINED_TOKEN_PREFIX)) {
+        return { status: 'failed', transactionId: newId('mock_txn_'), message: 'Card declined' };
+    }
+    return approved('authorized', { providerReference: newId('mock_pay_') });
+};
+
+const capture = async () => approved('captured');
+
+const charge = async ({ token }) => {
+    if (token.startsWith(DECLINED_TOKEN_PREFIX)) {
+        return { status: 'failed', transactionId: newId('mock_txn_'), message: 'Card declined' };
+    }
+    return approved('captured', { providerReference: newId('mock_pay_') });
+};
+
+const voidAuthorization = async () => approved('voided');
+
+const refund = async () => approved('refunded');
+
+/**
+ * Sign a webhook body the way the mock gateway would
+ * @param {Buffer|String} rawBody - Request body
+ * @returns {String} Hex signature
+ */
+const signWebhook = (rawBody) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+
+const parseWebhook = async (req) => {
+    if (!WEBHOOK_SECRET) {
+        throw createError(503, 'Mock payment webhooks are not configured');
+    }
+
+    const signature = Buffer.from(String(req.get('x-mock-signature') || ''), 'hex');
+    const expected = Buffer.from(signWebhook(req.body), 'hex');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw createError(401, 'Invalid webhook signature');
+    }
+
+    const event = JSON.parse(req.body.toString('utf8'));
+    return {
+        providerReference: event.providerReference,
+        transactionId: event.transactionId,
+        status: event.status,
+        amount: event.amount
+    };
+};
+
+module.exports = {
+    tokenizeCard,
+    authorize,
+    capture,
+    charge,
+    voidAuthorization,
+    refund,
+    parseWebhook,
+    signWebhook
+};
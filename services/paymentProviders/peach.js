@@ -0,0 +1,169 @@
+/**
+ * Peach Payments provider (Open Payment Platform server-to-server API)
+ *
+ * Cards are stored as registrations; a ride's fare is a pre-authorisation
+ * (PA) on the registration that is later captured (CP), reversed (RV) or
+ * refunded (RF). Webhooks arrive AES-256-GCM encrypted with the webhook
+ * key; a payload that fails to decrypt is rejected as unsigned.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { createError, getCardBrand } = require('../../utils');
+
+const BASE_URL = process.env.PEACH_BASE_URL || 'https://eu-test.oppwa.com';
+const ENTITY_ID = process.env.PEACH_ENTITY_ID;
+const ACCESS_TOKEN = process.env.PEACH_ACCESS_TOKEN;
+const WEBHOOK_KEY = process.env.PEACH_WEBHOOK_KEY;
+const REQUEST_TIMEOUT_MS = 15000;
+
+const BRANDS = {
+    Visa: 'VISA',
+    Mastercard: 'MASTER',
+    Amex: 'AMEX'
+};
+
+const STATUS_BY_PAYMENT_TYPE = {
+    PA: 'authorized',
+    DB: 'captured',
+    CP: 'captured',
+    RV: 'voided',
+    RF: 'refunded'
+};
+
+// Result code groups from the OPP documentation
+const SUCCESS_CODE = /^(000\.000\.|000\.100\.1|000\.[36]|000\.400\.0[^3]|000\.400\.100)/;
+const PENDING_CODE = /^(000\.200)/;
+
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+const post = async (path, params) => {
+    if (!ENTITY_ID || !ACCESS_TOKEN) {
+        throw createError(503, 'Card payments are not configured');
+    }
+
+    const response = await axios.post(`${BASE_URL}${path}`, new URLSearchParams({
+        entityId: ENTITY_ID,
+        ...params
+    }).toString(), {
+        headers: {
+            Authorization: `Bearer ${ACCESS_TOKEN}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        // Declines come back as 4xx with a result code in the body
+        validateStatus: status => status < 500
+    });
+    return response.data;
+};
+
+/**
+ * Map an OPP payment response to a provider result
+ */
+const toResult = (data, paymentType) => {
+    const code = data?.result?.code || '';
+    let status = 'failed';
+    if (SUCCESS_CODE.test(code)) {
+        status = STATUS_BY_PAYMENT_TYPE[paymentType];
+    } else if (PENDING_CODE.test(code)) {
+        status = 'pending';
+    }
+
+    return {
+        status,
+        transactionId: data?.id,
+        message: data?.result?.description
+    };
+};
+
+const tokenizeCard = async ({ cardNumber, cardHolderName, expiryMonth, expiryYear, cvv }) => {
+    const number = String(cardNumber).replace(/\s/g, '');
+    const data = await post('/v1/registrations', {
+        paymentBrand: BRANDS[getCardBrand(number)] || 'VISA',
+        'card.number': number,
+        'card.holder': cardHolderName,
+        'card.expiryMonth': String(expiryMonth).padStart(2, '0'),
+        'card.expiryYear': String(expiryYear).length === 2 ? `20${expiryYear}` : String(expiryYear),
+        'card.cvv': cvv
+    });
+
+    if (!SUCCESS_CODE.test(data?.result?.code || '')) {
+        throw createError(402, data?.result?.description || 'Card could not be saved');
+    }
+    return {
+        token: data.id,
+        last4: data.card?.last4Digits || number.slice(-4),
+        brand: getCardBrand(number)
+    };
+};
+
+const payWithRegistration = async (paymentType, { token, amount, currency, reference }) => {
+    const data = await post(`/v1/registrations/${token}/payments`, {
+        amount: formatAmount(amount),
+        currency,
+        paymentType,
+        merchantTransactionId: reference
+    });
+    return { ...toResult(data, paymentType), providerReference: data?.id };
+};
+
+const backOffice = async (paymentType, { providerReference, amount, currency }) => {
+    const data = await post(`/v1/payments/${providerReference}`, {
+        amount: formatAmount(amount),
+        currency,
+        paymentType
+    });
+    return toResult(data, paymentType);
+};
+
+const authorize = (params) => payWithRegistration('PA', params);
+const charge = (params) => payWithRegistration('DB', params);
+const capture = (params) => backOffice('CP', params);
+const voidAuthorization = (params) => backOffice('RV', params);
+const refund = (params) => backOffice('RF', params);
+
+const parseWebhook = async (req) => {
+    if (!WEBHOOK_KEY) {
+        throw createError(503, 'Peach webhooks are not configured');
+    }
+
+    let notification;
+    try {
+        const decipher = crypto.createDecipheriv(
+            'aes-256-gcm',
+            Buffer.from(WEBHOOK_KEY, 'hex'),
+            Buffer.from(String(req.get('x-initialization-vector') || ''), 'hex')
+        );
+        decipher.setAuthTag(Buffer.from(String(req.get('x-authentication-tag') || ''), 'hex'));
+        const decrypted = Buffer.concat([
+            decipher.update(Buffer.from(req.body.toString('utf8').trim(), 'hex')),
+            decipher.final()
+        ]);
+        notification = JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+        throw createError(401, 'Invalid webhook signature');
+    }
+
+    const payment = notification.payload;
+    if (notification.type !== 'PAYMENT' || !payment || !STATUS_BY_PAYMENT_TYPE[payment.paymentType]) {
+        return null;
+    }
+
+    return {
+        // Captures, reversals and refunds point back at the authorisation
+        providerReference: payment.referencedId || payment.id,
+        transactionId: payment.id,
+        status: toResult(payment, payment.paymentType).status,
+        amount: parseFloat(payment.amount)
+    };
+};
+
+module.exports = {
+    tokenizeCard,
+    authorize,
+    capture,
+    charge,
+    voidAuthorization,
+    refund,
+    parseWebhook
+};
@@ -0,0 +1,1164 @@
+/**
+ * Ride and delivery payments
+ *
+ * Card trips have their fare (plus AUTH_BUFFER_PERCENT for metering and
+ * waiting) authorised on the customer's saved card before the trip is
+ * saved. When the trip completes the final fare is captured, with any
+ * amount above the hold recorded and charged as a separate adjustment
+ * payment (retried on its own if the card declines); when it is
+ * cancelled the cancellation fee is captured or the hold is voided.
+ * Wallet trips need enough balance at booking and are debited from the
+ * wallet when they end. Card payments also fund wallet top-ups, tips and
+ * drivers paying off commission owed on cash trips.
+ *
+ * On a split-fare ride each participant who accepted pays their share by
+ * card or wallet first (settleSplitFare); the rider pays the rest.
+ *
+ * A settlement or adjustment that fails (provider or network error, or a
+ * declined adjustment) is retried by a persistent job with growing delays,
+ * and admins are told if it still fails after the last try.
+ *
+ * Provider webhooks can move a payment on later (e.g. an authorisation
+ * that was pending). Every change is mirrored to the trip's paymentStatus,
+ * posted to the ledger once money has actually moved, and sent to the
+ * customer as 'payment-update'.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const User = require('../models/User');
+const { createError, roundMoney } = require('../utils');
+const { getPaymentProvider, DEFAULT_PROVIDER } = require('./paymentProviders');
+const {
+    ACCOUNTS,
+    toCents,
+    fromCents,
+    walletAccount,
+    providerAccount,
+    transfer,
+    getWalletBalanceCents,
+    postTransaction
+} = require('./ledger');
+const { earningsAccount, recordTipEarnings, getCommissionDebt, getEarningsBalance } = require('./earnings');
+const { getShareAmounts, emitSplitFareUpdate } = require('./splitFare');
+const { defineJob, scheduleJob } = require('./jobRunner');
+
+const readPercent = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Extra held on top of the booked fare so a longer trip can still be captured
+const AUTH_BUFFER_PERCENT = readPercent('PAYMENT_AUTH_BUFFER_PERCENT', 20);
+const CURRENCY = 'ZAR';
+
+const SETTLE_JOB = 'payments:settle';
+// Tries after the first failed settlement; the job runner waits longer before each one
+const SETTLE_MAX_ATTEMPTS = 6;
+const SETTLE_RETRY_DELAY_MS = 60 * 1000;
+const ADJUST_JOB = 'payments:adjust';
+
+const TRIPS = {
+    ride: { model: Ride, owner: 'rider', assignee: 'driver', completedStatus: 'completed' },
+    delivery: { model: Delivery, owner: 'customer', assignee: 'courier', completedStatus: 'delivered' }
+};
+
+// Trip paymentStatus for each payment status
+const TRIP_PAYMENT_STATUS = {
+    pending: 'pending',
+    authorized: 'authorized',
+    capturing: 'authorized',
+    captured: 'paid',
+    partially_refunded: 'partially_refunded',
+    refunded: 'refunded',
+    voided: 'voided',
+    failed: 'failed'
+};
+
+const CAPTURED_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+
+/**
+ * Saved card to charge: the one asked for, else the default, else the first
+ */
+const findCard = async (userId, paymentMethodId) => {
+    const user = await User.findById(userId).select('paymentMethods');
+    const cards = (user?.paymentMethods || []).filter(method => method.type === 'card' && method.token);
+
+    const card = paymentMethodId
+        ? cards.find(method => String(method._id) === String(paymentMethodId))
+        : cards.find(method => method.isDefault) || cards[0];
+    if (!card) {
+        throw createError(400, paymentMethodId
+            ? 'Saved card not found'
+            : 'Add a card to pay by card, or choose cash');
+    }
+    return card;
+};
+
+const recordEvent = (payment, result, amount, source = 'api') => {
+    payment.events.push({
+        type: result.status,
+        amount,
+        transactionId: result.transactionId,
+        source,
+        message: result.message
+    });
+};
+
+/**
+ * Ledger transaction type, destination account and description for a captured payment
+ */
+const getCapturePosting = (payment) => {
+    switch (payment.purpose) {
+        case 'topup':
+            return { type: 'topup', account: walletAccount(payment.user), description: 'Wallet top-up' };
+        case 'tip':
+            return { type: 'tip', account: earningsAccount(payment.payee), description: `Tip for ${payment.kind}` };
+        case 'debt_settlement':
+            return { type: 'debt_settlement', account: earningsAccount(payment.user), description: 'Commission paid by card' };
+        default:
+            return { type: 'trip_payment', account: ACCOUNTS.trips, description: `Card payment for ${payment.kind}` };
+    }
+};
+
+/**
+ * Post money collected by a payment to the ledger (once per payment)
+ */
+const postCapture = async (payment) => {
+    if (!CAPTURED_STATUSES.includes(payment.status) || payment.capturedAmount <= 0) {
+        return;
+    }
+
+    const { type, account, description } = getCapturePosting(payment);
+    await postTransaction({
+        type,
+        postings: transfer(providerAccount(payment.provider), account, toCents(payment.capturedAmount)),
+        reference: `capture:${payment._id}`,
+        description,
+        kind: TRIPS[payment.kind] ? payment.kind : undefined,
+        job: payment.job,
+        payment: payment._id
+    });
+};
+
+/**
+ * Post a card refund to the ledger (once per provider transaction)
+ */
+const postRefund = async (payment, amount, transactionId) => {
+    await postTransaction({
+        type: 'refund',
+        postings: transfer(ACCOUNTS.trips, providerAccount(payment.provider), toCents(amount)),
+        reference: `refund:${payment.provider}:${transactionId || new mongoose.Types.ObjectId()}`,
+        description: `Card refund for ${payment.kind}`,
+        kind: payment.kind,
+        job: payment.job,
+        payment: payment._id
+    });
+};
+
+/**
+ * A split-fare share the provider settled after the ride (a pending card
+ * charge): mark it paid, or move it back onto the rider. The driver has
+ * been paid either way, so a share that can't be recovered from a cash
+ * rider is the platform's loss.
+ */
+const syncSplitPayment = async (io, payment) => {
+    if (payment.status === 'captured') {
+        await Ride.updateOne(
+            { _id: payment.job, 'splitFare.participants.payment': payment._id },
+            { $set: { 'splitFare.participants.$.paid': true, 'splitFare.participants.$.paidAt': new Date() } }
+        );
+        return;
+    }
+    if (payment.status !== 'failed') {
+        return;
+    }
+
+    // Only the first failure for a share falls back to the rider
+    const ride = await Ride.findOneAndUpdate(
+        { _id: payment.job, 'splitFare.participants': { $elemMatch: { payment: payment._id, status: 'accepted' } } },
+        {
+            $set: {
+                'splitFare.participants.$.status': 'failed',
+                'splitFare.participants.$.failureReason': payment.failureReason
+            },
+            $inc: { 'splitFare.riderAmount': payment.amount }
+        },
+        { new: true }
+    );
+    if (!ride) {
+        return;
+    }
+
+    if (ride.paymentMethod === 'ewallet') {
+        await postTransaction({
+            type: 'trip_payment',
+            postings: transfer(walletAccount(ride.rider), ACCOUNTS.trips, toCents(payment.amount)),
+            reference: `split_fallback:${ride._id}:${payment._id}`,
+            description: 'Wallet payment for unpaid split fare share',
+            kind: 'ride',
+            job: ride._id
+        });
+    } else if (ride.paymentMethod === 'card' && ride.payment) {
+        const riderPayment = await Payment.findById(ride.payment);
+        await chargeCard(io, {
+            user: ride.rider,
+            kind: 'ride',
+            job: ride._id,
+            purpose: 'adjustment',
+            provider: riderPayment.provider,
+            paymentMethod: riderPayment.paymentMethod,
+            amount: payment.amount
+        });
+    } else {
+        console.warn(`⚠️  Split fare share for cash ride ${ride._id} failed and can't be collected from the rider`);
+    }
+    emitSplitFareUpdate(io, ride);
+};
+
+/**
+ * Copy a payment's state to its trip and the ledger, and tell the customer
+ */
+const syncPayment = async (io, payment) => {
+    await postCapture(payment);
+
+    if (payment.purpose === 'tip') {
+        if (payment.status === 'captured') {
+            await recordTipEarnings(payment.kind, payment.job, payment.capturedAmount);
+        } else if (payment.status === 'failed') {
+            await TRIPS[payment.kind].model.updateOne({ _id: payment.job }, { $set: { 'tip.status': 'failed' } });
+        }
+    } else if (payment.purpose === 'split') {
+        await syncSplitPayment(io, payment);
+    } else if (TRIPS[payment.kind]) {
+        const { model } = TRIPS[payment.kind];
+
+        // Adjustments only matter to the trip when they fail
+        if (payment.purpose === 'trip' || payment.status === 'failed') {
+            await model.updateOne({ _id: payment.job }, {
+                $set: { paymentStatus: TRIP_PAYMENT_STATUS[payment.status] }
+            });
+        }
+        if (payment.purpose === 'trip' && payment.status === 'captured') {
+            // A captured payment on a cancelled trip is its cancellation fee
+            await model.updateOne(
+                { _id: payment.job, status: 'cancelled', 'cancellationFee.status': 'pending' },
+                { $set: { 'cancellationFee.status': 'charged' } }
+            );
+        }
+    }
+
+    if (io) {
+        io.to(`user-${payment.user}`).emit('payment-update', {
+            paymentId: payment._id,
+            ...(payment.job && { [`${payment.kind}Id`]: payment.job }),
+            purpose: payment.purpose,
+            status: payment.status,
+            amount: payment.amount,
+            capturedAmount: payment.capturedAmount,
+            refundedAmount: payment.refundedAmount
+        });
+    }
+};
+
+/**
+ * Make sure a trip can be paid for before it is saved: hold the fare on the
+ * customer's card, or check their wallet covers it
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Unsaved Ride or Delivery document (payment and paymentStatus are set on it)
+ * @param {String} userId - Rider/customer
+ * @param {String} paymentMethodId - Saved card to use (optional)
+ * @returns {Object|null} Payment document, or null when the trip isn't paid by card
+ * @throws {Error} 400 without a saved card, 402 if the card is declined or the wallet is short
+ */
+const authorizeTripPayment = async (kind, job, userId, paymentMethodId) => {
+    if (job.paymentMethod === 'ewallet') {
+        const balance = await getWalletBalanceCents(userId);
+        if (balance < toCents(job.fare)) {
+            throw createError(402, 'Insufficient wallet balance', {
+                balance: fromCents(balance),
+                required: job.fare
+            });
+        }
+        return null;
+    }
+    if (job.paymentMethod !== 'card') {
+        return null;
+    }
+
+    const card = await findCard(userId, paymentMethodId);
+    const provider = getPaymentProvider(card.provider);
+    const amount = roundMoney(job.fare * (1 + AUTH_BUFFER_PERCENT / 100));
+
+    const payment = new Payment({
+        user: userId,
+        kind,
+        job: job._id,
+        provider: card.provider,
+        paymentMethod: card._id,
+        amount,
+        currency: CURRENCY
+    });
+
+    const result = await provider.authorize({
+        token: card.token,
+        amount,
+        currency: CURRENCY,
+        reference: String(payment._id)
+    });
+    recordEvent(payment, result, amount);
+    payment.providerReference = result.providerReference;
+
+    if (result.status !== 'authorized' && result.status !== 'pending') {
+        payment.status = 'failed';
+        payment.failureReason = result.message;
+        await payment.save();
+        throw createError(402, 'Your card was declined', { reason: result.message });
+    }
+
+    payment.status = result.status;
+    await payment.save();
+
+    job.payment = payment._id;
+    job.paymentStatus = TRIP_PAYMENT_STATUS[payment.status];
+    return payment;
+};
+
+/**
+ * Release the card hold taken for a trip that was never booked (saving it
+ * failed). Errors are logged, not thrown, so the booking error still reaches
+ * the customer.
+ * @param {Object} io - Socket.io server
+ * @param {Object|null} payment - Payment returned by authorizeTripPayment
+ */
+const voidTripAuthorization = async (io, payment) => {
+    if (!payment) {
+        return;
+    }
+
+    try {
+        // Claimed so a webhook can't move it on at the same time
+        const claimed = await Payment.findOneAndUpdate(
+            { _id: payment._id, status: 'authorized' },
+            { $set: { status: 'capturing' } },
+            { new: true }
+        );
+        if (!claimed) {
+            if (payment.status === 'pending') {
+                console.warn(`⚠️  Payment ${payment._id} for an unsaved ${payment.kind} is still pending with the provider, hold not released`);
+            }
+            return;
+        }
+
+        const { providerReference, amount, currency } = claimed;
+        const result = await getPaymentProvider(claimed.provider).voidAuthorization({ providerReference, amount, currency });
+        recordEvent(claimed, result, amount);
+        claimed.status = result.status === 'voided' ? 'voided' : 'authorized';
+        if (result.status === 'failed') claimed.failureReason = result.message;
+        await claimed.save();
+        await syncPayment(io, claimed);
+
+        if (claimed.status !== 'voided') {
+            console.error(`⚠️  Hold on payment ${claimed._id} for an unsaved ${claimed.kind} could not be released: ${result.message}`);
+            if (io) {
+                io.to('admin').emit('payment-settlement-failed', {
+                    kind: claimed.kind,
+                    jobId: claimed.job,
+                    payment: claimed._id,
+                    reason: result.message
+                });
+            }
+        }
+    } catch (error) {
+        await Payment.updateOne({ _id: payment._id, status: 'capturing' }, { $set: { status: 'authorized' } });
+        console.error(`Void payment ${payment._id} error:`, error);
+    }
+};
+
+/**
+ * Ask the provider to charge a payment's saved card
+ */
+const chargeSavedCard = async (payment) => {
+    const user = await User.findById(payment.user).select('paymentMethods');
+    const card = user?.paymentMethods.id(payment.paymentMethod);
+
+    return card?.token
+        ? getPaymentProvider(payment.provider).charge({
+            token: card.token,
+            amount: payment.amount,
+            currency: CURRENCY,
+            reference: String(payment._id)
+        })
+        : { status: 'failed', message: 'Saved card was removed' };
+};
+
+/**
+ * Charge a saved card straight away (no separate capture)
+ */
+const chargeCard = async (io, { user, kind, job, purpose, payee, provider, paymentMethod, amount }) => {
+    const payment = new Payment({
+        user,
+        kind,
+        job,
+        purpose,
+        payee,
+        provider,
+        paymentMethod,
+        amount,
+        currency: CURRENCY
+    });
+
+    const result = await chargeSavedCard(payment);
+    recordEvent(payment, result, amount);
+    payment.providerReference = result.providerReference;
+    payment.status = result.status === 'captured' || result.status === 'pending' ? result.status : 'failed';
+    if (payment.status === 'captured') {
+        payment.capturedAmount = amount;
+    } else if (payment.status === 'failed') {
+        payment.failureReason = result.message;
+    }
+
+    await payment.save();
+    await syncPayment(io, payment);
+    return payment;
+};
+
+/**
+ * Top up a wallet from a saved card
+ * @param {Object} io - Socket.io server
+ * @param {String} userId - Wallet owner
+ * @param {Number} amount - Amount in Rands
+ * @param {String} paymentMethodId - Saved card to use (optional)
+ * @returns {Object} Payment document ('captured', or 'pending' until the provider confirms)
+ * @throws {Error} 400 without a saved card, 402 if the card is declined
+ */
+const chargeWalletTopUp = async (io, userId, amount, paymentMethodId) => {
+    const card = await findCard(userId, paymentMethodId);
+
+    const payment = await chargeCard(io, {
+        user: userId,
+        kind: 'wallet',
+        purpose: 'topup',
+        provider: card.provider || DEFAULT_PROVIDER,
+        paymentMethod: card._id,
+        amount: roundMoney(amount)
+    });
+    if (payment.status === 'failed') {
+        throw createError(402, 'Your card was declined', { reason: payment.failureReason });
+    }
+    return payment;
+};
+
+/**
+ * Pay off commission owed from cash trips, from the wallet or a saved card
+ * @param {Object} io - Socket.io server
+ * @param {String} userId - Driver or courier
+ * @param {Object} options - { source: 'wallet'|'card', amount (defaults to the whole debt), paymentMethodId }
+ * @returns {Object} { paid, balance, payment } - payment only for card payments
+ * @throws {Error} 409 if nothing is owed, 400 if amount is more than the debt, 402 if the wallet is short or the card is declined
+ */
+const payCommissionDebt = async (io, userId, { source, amount, paymentMethodId } = {}) => {
+    const debt = await getCommissionDebt(userId);
+    if (debt <= 0) {
+        throw createError(409, 'You have no commission to settle');
+    }
+
+    const paid = roundMoney(amount || debt);
+    if (paid > debt) {
+        throw createError(400, `You only owe R${debt.toFixed(2)}`, { commissionDebt: debt });
+    }
+
+    if (source === 'wallet') {
+        await postTransaction({
+            type: 'debt_settlement',
+            postings: transfer(walletAccount(userId), earningsAccount(userId), toCents(paid)),
+            description: 'Commission paid from wallet'
+        }, { requireFunds: true });
+        return { paid, balance: await getEarningsBalance(userId) };
+    }
+
+    const card = await findCard(userId, paymentMethodId);
+    const payment = await chargeCard(io, {
+        user: userId,
+        kind: 'earnings',
+        purpose: 'debt_settlement',
+        provider: card.provider || DEFAULT_PROVIDER,
+        paymentMethod: card._id,
+        amount: paid
+    });
+    if (payment.status === 'failed') {
+        throw createError(402, 'Your card was declined', { reason: payment.failureReason });
+    }
+    return { paid, balance: await getEarningsBalance(userId), payment };
+};
+
+/**
+ * What the rider/customer owes for a completed trip: the final fare, less
+ * any split-fare shares others have covered
+ */
+const getFareDue = (job) => job.splitFare?.riderAmount ?? (job.finalFare || job.fare);
+
+/**
+ * Charge one participant's share of a split fare, by wallet or card. A
+ * share charged by an earlier, interrupted settlement isn't charged again.
+ * @returns {Object} { paid, payment } - payment for card shares
+ * @throws {Error} If the share can't be charged
+ */
+const chargeSplitShare = async (io, ride, participant, amount) => {
+    if (participant.paymentMethod === 'ewallet') {
+        // The reference makes a repeated posting return the first one
+        await postTransaction({
+            type: 'trip_payment',
+            postings: transfer(walletAccount(participant.user), ACCOUNTS.trips, toCents(amount)),
+            reference: `split:${ride._id}:${participant._id}`,
+            description: 'Split fare share for ride',
+            kind: 'ride',
+            job: ride._id
+        }, { requireFunds: true });
+        return { paid: true, payment: null };
+    }
+
+    let payment = await Payment.findOne({ kind: 'ride', job: ride._id, purpose: 'split', user: participant.user });
+    if (!payment) {
+        const card = await findCard(participant.user);
+        payment = await chargeCard(io, {
+            user: participant.user,
+            kind: 'ride',
+            job: ride._id,
+            purpose: 'split',
+            provider: card.provider || DEFAULT_PROVIDER,
+            paymentMethod: card._id,
+            amount
+        });
+    }
+    if (payment.status === 'failed') {
+        throw createError(402, payment.failureReason || 'Card declined', { payment: payment._id });
+    }
+    // A pending charge counts as covered until the provider says otherwise
+    return { paid: payment.status === 'captured', payment };
+};
+
+/**
+ * Charge everyone who accepted a share of a ride's fare (once per ride).
+ * Unanswered invitations expire, as do all of them if the ride was
+ * cancelled. A share that can't be charged is marked failed and stays with
+ * the rider; splitFare.riderAmount is set to what the rider still owes.
+ * Each share's outcome is saved as soon as it is known, so a settlement
+ * that stops part-way is finished by the next try without charging anyone
+ * twice, and the rider isn't charged until riderAmount is set.
+ */
+const settleSplitFare = async (io, ride) => {
+    let claimed = await Ride.findOneAndUpdate(
+        { _id: ride._id, 'splitFare.enabled': true, 'splitFare.settledAt': null },
+        { $set: { 'splitFare.settledAt': new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        const settled = await Ride.findById(ride._id);
+        if (!settled?.splitFare?.enabled) {
+            return;
+        }
+        if (settled.splitFare.riderAmount !== undefined && settled.splitFare.riderAmount !== null) {
+            // Settled by an earlier attempt - pick up what the rider owes from it
+            ride.splitFare.riderAmount = settled.splitFare.riderAmount;
+            return;
+        }
+        // An earlier attempt stopped part-way - finish it
+        claimed = settled;
+    }
+
+    const completed = claimed.status === 'completed';
+    const fare = claimed.finalFare || claimed.fare;
+    const shares = completed ? getShareAmounts(claimed, fare) : new Map();
+    let covered = 0;
+
+    const saveParticipant = (participant) => Ride.updateOne(
+        { _id: claimed._id, 'splitFare.participants._id': participant._id },
+        { $set: { 'splitFare.participants.$': participant.toObject() } }
+    );
+
+    for (const participant of claimed.splitFare.participants) {
+        if (participant.status === 'invited' || (participant.status === 'accepted' && !completed)) {
+            participant.status = 'expired';
+            await saveParticipant(participant);
+            continue;
+        }
+        const amount = shares.get(String(participant._id));
+        if (participant.status !== 'accepted' || !(amount > 0)) {
+            continue;
+        }
+        if (participant.paid || participant.payment) {
+            // Charged by an earlier attempt
+            covered += participant.amount;
+            continue;
+        }
+
+        participant.amount = amount;
+        try {
+            const { paid, payment } = await chargeSplitShare(io, claimed, participant, amount);
+            participant.payment = payment?._id;
+            if (paid) {
+                participant.paid = true;
+                participant.paidAt = new Date();
+            }
+            covered += amount;
+        } catch (error) {
+            if (!error.status) {
+                console.error(`Split fare share ${participant._id} on ride ${claimed._id} error:`, error);
+            }
+            participant.payment = error.details?.payment;
+            participant.status = 'failed';
+            participant.failureReason = error.message;
+        }
+        await saveParticipant(participant);
+    }
+
+    if (completed) {
+        claimed.splitFare.riderAmount = roundMoney(Math.max(fare - covered, 0));
+        ride.splitFare.riderAmount = claimed.splitFare.riderAmount;
+    }
+    await Ride.updateOne({ _id: claimed._id }, {
+        $set: {
+            'splitFare.totalAmount': fare,
+            ...(completed && { 'splitFare.riderAmount': claimed.splitFare.riderAmount })
+        }
+    });
+    emitSplitFareUpdate(io, claimed);
+};
+
+/**
+ * Debit a wallet trip's final fare or cancellation fee
+ */
+const settleWalletTrip = async (io, kind, job) => {
+    const { model, completedStatus } = TRIPS[kind];
+    const completed = job.status === completedStatus;
+    const amountDue = completed ? getFareDue(job) : (job.cancellationFee?.amount || 0);
+    if (amountDue <= 0) {
+        return null;
+    }
+
+    const owner = job[TRIPS[kind].owner];
+    const type = completed ? 'trip_payment' : 'cancellation_fee';
+    // Service has been given, so the wallet may go negative here
+    const { transaction } = await postTransaction({
+        type,
+        postings: transfer(walletAccount(owner._id || owner), ACCOUNTS.trips, toCents(amountDue)),
+        reference: `${type}:${kind}:${job._id}`,
+        description: completed ? `Wallet payment for ${kind}` : `Cancellation fee for ${kind}`,
+        kind,
+        job: job._id
+    });
+
+    await model.updateOne({ _id: job._id }, {
+        $set: {
+            paymentStatus: 'paid',
+            ...(!completed && { 'cancellationFee.status': 'charged' })
+        }
+    });
+    return transaction;
+};
+
+/**
+ * Record the part of a final fare above the card hold as a pending
+ * adjustment payment (once per trip payment)
+ */
+const recordAdjustment = (payment, amount) => Payment.findOneAndUpdate(
+    { parent: payment._id },
+    {
+        $setOnInsert: {
+            user: payment.user,
+            kind: payment.kind,
+            job: payment.job,
+            purpose: 'adjustment',
+            provider: payment.provider,
+            paymentMethod: payment.paymentMethod,
+            amount,
+            currency: payment.currency,
+            status: 'pending'
+        }
+    },
+    { upsert: true, new: true }
+);
+
+/**
+ * Charge a recorded adjustment to the card. A declined charge stays pending
+ * for the next try, unless this is the last one.
+ * @param {Object} io - Socket.io server
+ * @param {String} adjustmentId - Adjustment payment ID
+ * @param {Object} options - { lastAttempt }
+ * @returns {Object|null} Payment, or null if it isn't waiting to be charged
+ * @throws {Error} 402 if the card declined, or the provider error
+ */
+const chargeAdjustment = async (io, adjustmentId, { lastAttempt = false } = {}) => {
+    // Claim it so two tries can't charge the card twice
+    const adjustment = await Payment.findOneAndUpdate(
+        { _id: adjustmentId, purpose: 'adjustment', status: 'pending', providerReference: null },
+        { $set: { status: 'capturing' } },
+        { new: true }
+    );
+    if (!adjustment) {
+        return null;
+    }
+
+    let result;
+    try {
+        result = await chargeSavedCard(adjustment);
+    } catch (error) {
+        await Payment.updateOne(
+            { _id: adjustment._id, status: 'capturing' },
+            { $set: { status: 'pending', failureReason: error.message } }
+        );
+        throw error;
+    }
+
+    recordEvent(adjustment, result, adjustment.amount);
+    const declined = result.status !== 'captured' && result.status !== 'pending';
+    if (declined) {
+        adjustment.status = lastAttempt ? 'failed' : 'pending';
+        adjustment.failureReason = result.message;
+    } else {
+        adjustment.status = result.status;
+        adjustment.providerReference = result.providerReference;
+        if (result.status === 'captured') {
+            adjustment.capturedAmount = adjustment.amount;
+        }
+    }
+    await adjustment.save();
+
+    if (!declined || lastAttempt) {
+        await syncPayment(io, adjustment);
+    }
+    if (declined) {
+        throw createError(402, result.message || 'Card declined');
+    }
+    return adjustment;
+};
+
+/**
+ * Charge what a trip payment's adjustment still owes, retrying by a job if
+ * the charge fails. Nothing is charged until the trip payment is captured.
+ * @param {Object} io - Socket.io server
+ * @param {String} parentId - Trip payment ID
+ * @returns {Object|null} Adjustment payment, or null if nothing is owed
+ */
+const settleAdjustment = async (io, parentId) => {
+    const adjustment = await Payment.findOne({ parent: parentId, status: 'pending', providerReference: null });
+    if (!adjustment || !(await Payment.exists({ _id: parentId, status: { $in: CAPTURED_STATUSES } }))) {
+        return null;
+    }
+
+    try {
+        return await chargeAdjustment(io, adjustment._id);
+    } catch (error) {
+        console.error(`Charge adjustment ${adjustment._id} error:`, error.message);
+        await scheduleJob(ADJUST_JOB, new Date(Date.now() + SETTLE_RETRY_DELAY_MS), {
+            paymentId: String(adjustment._id)
+        }, {
+            reference: `${ADJUST_JOB}:${adjustment._id}`,
+            maxAttempts: SETTLE_MAX_ATTEMPTS
+        });
+        return adjustment;
+    }
+};
+
+/**
+ * Capture the final fare (or the cancellation fee) on the card, or void the hold
+ * @returns {Object|null} Payment, or null if it isn't waiting to be settled
+ * @throws {Error} If the provider call fails (the payment can be settled again)
+ */
+const settleCardPayment = async (io, kind, job) => {
+    if (!job.payment) {
+        return null;
+    }
+
+    // Claim the payment so a retried status change can't capture it twice
+    const payment = await Payment.findOneAndUpdate(
+        { _id: job.payment, status: 'authorized' },
+        { $set: { status: 'capturing' } },
+        { new: true }
+    );
+    if (!payment) {
+        // Already settled - charge anything above the hold that is still owed
+        await settleAdjustment(io, job.payment);
+        return null;
+    }
+
+    try {
+        const provider = getPaymentProvider(payment.provider);
+        const { providerReference, currency } = payment;
+        const amountDue = job.status === TRIPS[kind].completedStatus
+            ? getFareDue(job)
+            : (job.cancellationFee?.amount || 0);
+        if (amountDue > payment.amount) {
+            // Recorded before capturing so it can't be lost once the hold is taken
+            await recordAdjustment(payment, roundMoney(amountDue - payment.amount));
+        }
+
+        if (amountDue <= 0) {
+            const result = await provider.voidAuthorization({ providerReference, amount: payment.amount, currency });
+            recordEvent(payment, result, payment.amount);
+            payment.status = result.status === 'voided' ? 'voided' : 'authorized';
+            if (result.status === 'failed') payment.failureReason = result.message;
+        } else {
+            const captureAmount = roundMoney(Math.min(amountDue, payment.amount));
+            const result = await provider.capture({ providerReference, amount: captureAmount, currency });
+            recordEvent(payment, result, captureAmount);
+
+            if (result.status === 'captured') {
+                payment.status = 'captured';
+                payment.capturedAmount = captureAmount;
+            } else if (result.status === 'failed') {
+                payment.status = 'failed';
+                payment.failureReason = result.message;
+            }
+            // 'pending' stays capturing until the provider's webhook arrives
+        }
+
+        await payment.save();
+        await syncPayment(io, payment);
+        if (payment.status === 'authorized') {
+            // The hold is still on the card, so try again later
+            throw new Error(payment.failureReason || 'Card hold could not be released');
+        }
+
+    } catch (error) {
+        // Release the claim so the settlement job can try again
+        await Payment.updateOne(
+            { _id: payment._id, status: 'capturing' },
+            { $set: { status: 'authorized', failureReason: error.message } }
+        );
+        throw error;
+    }
+
+    if (payment.status === 'captured') {
+        await settleAdjustment(io, payment._id);
+    }
+    return payment;
+};
+
+/**
+ * Settle what the customer owes for a trip from their wallet or card, after
+ * a split fare's participants have paid their shares
+ * @throws {Error} If the split fare isn't settled yet or the payment fails (retried by a job)
+ */
+const settleOwnerPayment = async (io, kind, job) => {
+    if (kind === 'ride' && job.splitFare?.enabled) {
+        await settleSplitFare(io, job);
+        const riderAmount = job.splitFare.riderAmount;
+        if (job.status === 'completed' && (riderAmount === undefined || riderAmount === null)) {
+            // Charging the full fare now would charge the shares twice
+            throw new Error(`Split fare for ride ${job._id} is not settled yet`);
+        }
+    }
+
+    return job.paymentMethod === 'ewallet'
+        ? settleWalletTrip(io, kind, job)
+        : settleCardPayment(io, kind, job);
+};
+
+/**
+ * Settle a finished trip's payment: debit the wallet, or capture the final
+ * fare (or the cancellation fee) on the card or void the hold. Failures are
+ * logged and retried by a job, not thrown, so they never block the status
+ * change that triggered them.
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Completed or cancelled Ride/Delivery document
+ * @returns {Object|null} Payment or ledger transaction
+ */
+const settleTripPayment = async (io, kind, job) => {
+    try {
+        return await settleOwnerPayment(io, kind, job);
+    } catch (error) {
+        console.error(`Settle ${kind} ${job._id} payment error:`, error);
+        await scheduleJob(SETTLE_JOB, new Date(Date.now() + SETTLE_RETRY_DELAY_MS), {
+            kind,
+            jobId: String(job._id)
+        }, {
+            reference: `${SETTLE_JOB}:${kind}:${job._id}`,
+            maxAttempts: SETTLE_MAX_ATTEMPTS
+        });
+        return null;
+    }
+};
+
+/**
+ * Set a payment's status from how much of it has been refunded
+ */
+const applyRefundStatus = async (io, payment) => {
+    if (payment.refundedAmount > 0) {
+        payment.status = payment.refundedAmount >= payment.capturedAmount ? 'refunded' : 'partially_refunded';
+        await payment.save();
+    }
+    await syncPayment(io, payment);
+    return payment;
+};
+
+/**
+ * Refund some or all of a captured trip payment, to the card or to the
+ * customer's wallet
+ * @param {Object} io - Socket.io server
+ * @param {String} paymentId - Payment ID
+ * @param {Number} amount - Amount to refund (defaults to everything not yet refunded)
+ * @param {Object} options - { toWallet: credit the wallet instead of the card }
+ * @returns {Object} Updated payment document
+ * @throws {Error} 404 if not found, 409 if nothing can be refunded, 400 if amount is too high, 402 if the provider refuses
+ */
+const refundPayment = async (io, paymentId, amount, { toWallet = false } = {}) => {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+        throw createError(404, 'Payment not found');
+    }
+    if (payment.purpose === 'topup') {
+        throw createError(409, 'Wallet top-ups are spent from the wallet and cannot be refunded here');
+    }
+    if (payment.purpose === 'tip') {
+        throw createError(409, 'Tips are paid to the driver or courier and cannot be refunded');
+    }
+    if (payment.purpose === 'debt_settlement') {
+        throw createError(409, 'Commission payments are settled against earnings and cannot be refunded');
+    }
+
+    const refundable = roundMoney(payment.capturedAmount - payment.refundedAmount);
+    if (!CAPTURED_STATUSES.includes(payment.status) || refundable <= 0) {
+        throw createError(409, 'This payment has nothing left to refund', { status: payment.status });
+    }
+
+    const refundAmount = roundMoney(amount || refundable);
+    if (refundAmount > refundable) {
+        throw createError(400, `At most ${refundable} can be refunded`, { refundable });
+    }
+
+    // Count the refund first so two refunds at once can't exceed what was captured
+    const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, refundedAmount: payment.refundedAmount },
+        { $inc: { refundedAmount: refundAmount } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw createError(409, 'This payment was refunded at the same time, please refresh');
+    }
+
+    let result;
+    if (toWallet) {
+        const { transaction } = await postTransaction({
+            type: 'refund',
+            postings: transfer(ACCOUNTS.trips, walletAccount(payment.user), toCents(refundAmount)),
+            description: `Refund to wallet for ${payment.kind}`,
+            kind: payment.kind,
+            job: payment.job,
+            payment: payment._id
+        });
+        result = { status: 'refunded', transactionId: `ledger:${transaction._id}`, message: 'Refunded to wallet' };
+    } else {
+        result = await getPaymentProvider(payment.provider).refund({
+            providerReference: payment.providerReference,
+            amount: refundAmount,
+            currency: payment.currency
+        });
+        if (result.status === 'failed') {
+            await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+            throw createError(402, 'The payment provider refused the refund', { reason: result.message });
+        }
+        await postRefund(payment, refundAmount, result.transactionId);
+    }
+
+    recordEvent(claimed, result, refundAmount);
+    return applyRefundStatus(io, claimed);
+};
+
+/**
+ * Apply a verified provider webhook to the payment it refers to
+ * @param {Object} io - Socket.io server
+ * @param {String} providerName - Provider the webhook came from
+ * @param {Object} event - Parsed event from the provider's parseWebhook
+ * @returns {Object|null} Updated payment, or null if the event doesn't match a payment
+ */
+const applyWebhookEvent = async (io, providerName, event) => {
+    if (!event?.providerReference) {
+        return null;
+    }
+
+    const payment = await Payment.findOne({ provider: providerName, providerReference: event.providerReference });
+    if (!payment) {
+        return null;
+    }
+    // Operations we made ourselves are already recorded
+    if (event.transactionId && payment.events.some(recorded => recorded.transactionId === event.transactionId)) {
+        return payment;
+    }
+
+    recordEvent(payment, event, event.amount, 'webhook');
+
+    switch (event.status) {
+        case 'authorized':
+            if (payment.status === 'pending') payment.status = 'authorized';
+            break;
+        case 'captured':
+            if (['pending', 'authorized', 'capturing'].includes(payment.status)) {
+                payment.status = 'captured';
+                payment.capturedAmount = event.amount ?? payment.amount;
+            }
+            break;
+        case 'voided':
+            if (['authorized', 'capturing'].includes(payment.status)) payment.status = 'voided';
+            break;
+        case 'refunded':
+            // Refunded outside the app, e.g. from the provider's dashboard
+            payment.refundedAmount = roundMoney(payment.refundedAmount + (event.amount || 0));
+            await postRefund(payment, event.amount || 0, event.transactionId);
+            return applyRefundStatus(io, payment);
+        case 'failed':
+            if (['pending', 'capturing'].includes(payment.status)) {
+                payment.status = 'failed';
+                payment.failureReason = event.message || 'Declined by the payment provider';
+            }
+            break;
+        default:
+            break;
+    }
+
+    await payment.save();
+    await syncPayment(io, payment);
+    if (payment.purpose === 'trip' && payment.status === 'captured') {
+        await settleAdjustment(io, payment._id);
+    }
+    return payment;
+};
+
+/**
+ * Tip the driver/courier after a completed trip, paid the same way as the
+ * trip (wallet or card). Tips go to the driver/courier in full.
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Completed Ride or Delivery document
+ * @param {Number} amount - Tip in Rands
+ * @returns {Object} { tip } as stored on the trip
+ * @throws {Error} 400 if the trip can't be tipped, 409 if it already was, 402 if payment fails
+ */
+const tipTrip = async (io, kind, job, amount) => {
+    const { model, owner, assignee, completedStatus } = TRIPS[kind];
+    const ownerId = job[owner]._id || job[owner];
+    const assigneeId = job[assignee]?._id || job[assignee];
+
+    if (job.status !== completedStatus || !assigneeId) {
+        throw createError(400, `Only completed ${kind === 'ride' ? 'rides' : 'deliveries'} can be tipped`);
+    }
+    if (job.paymentMethod === 'cash') {
+        throw createError(400, `Please hand cash tips to your ${assignee} directly`);
+    }
+
+    const tip = { amount: roundMoney(amount), status: 'pending', at: new Date() };
+    // Claim the tip so it can't be given twice (a failed tip may be tried again)
+    const claimed = await model.findOneAndUpdate(
+        { _id: job._id, 'tip.status': { $nin: ['pending', 'paid'] } },
+        { $set: { tip } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw createError(409, `This ${kind} has already been tipped`);
+    }
+
+    try {
+        if (job.paymentMethod === 'ewallet') {
+            await postTransaction({
+                type: 'tip',
+                postings: transfer(walletAccount(ownerId), earningsAccount(assigneeId), toCents(tip.amount)),
+                reference: `tip:${kind}:${job._id}:${tip.at.getTime()}`,
+                description: `Tip for ${kind}`,
+                kind,
+                job: job._id
+            }, { requireFunds: true });
+            await recordTipEarnings(kind, job._id, tip.amount);
+            tip.status = 'paid';
+        } else {
+            const card = await findCard(ownerId);
+            const payment = await chargeCard(io, {
+                user: ownerId,
+                kind,
+                job: job._id,
+                purpose: 'tip',
+                payee: assigneeId,
+                provider: card.provider || DEFAULT_PROVIDER,
+                paymentMethod: card._id,
+                amount: tip.amount
+            });
+            await model.updateOne({ _id: job._id }, { $set: { 'tip.payment': payment._id } });
+            if (payment.status === 'failed') {
+                throw createError(402, 'Your card was declined', { reason: payment.failureReason });
+            }
+            tip.payment = payment._id;
+            tip.status = payment.status === 'captured' ? 'paid' : 'pending';
+        }
+    } catch (error) {
+        await model.updateOne({ _id: job._id, 'tip.status': 'pending' }, { $set: { 'tip.status': 'failed' } });
+        throw error;
+    }
+
+    if (io) {
+        io.to(`${assignee}-${assigneeId}`).emit('tip-received', {
+            [`${kind}Id`]: job._id,
+            amount: tip.amount,
+            status: tip.status
+        });
+    }
+    return { tip };
+};
+
+/**
+ * Register the settlement and adjustment retry jobs with the job runner
+ */
+const registerPaymentJobs = () => {
+    defineJob(SETTLE_JOB, async (io, { kind, jobId }, runnerJob) => {
+        const job = await TRIPS[kind].model.findById(jobId);
+        if (!job) return;
+
+        try {
+            await settleOwnerPayment(io, kind, job);
+        } catch (error) {
+            if (io && runnerJob.attempts >= runnerJob.maxAttempts) {
+                io.to('admin').emit('payment-settlement-failed', {
+                    kind,
+                    jobId: job._id,
+                    payment: job.payment || null,
+                    reason: error.message
+                });
+            }
+            throw error;
+        }
+    });
+
+    defineJob(ADJUST_JOB, async (io, { paymentId }, runnerJob) => {
+        const lastAttempt = runnerJob.attempts >= runnerJob.maxAttempts;
+        try {
+            await chargeAdjustment(io, paymentId, { lastAttempt });
+        } catch (error) {
+            if (io && lastAttempt) {
+                const adjustment = await Payment.findById(paymentId);
+                io.to('admin').emit('payment-adjustment-failed', {
+                    kind: adjustment?.kind,
+                    jobId: adjustment?.job,
+                    payment: paymentId,
+                    amount: adjustment?.amount,
+                    reason: error.message
+                });
+            }
+            throw error;
+        }
+    });
+};
+
+module.exports = {
+    AUTH_BUFFER_PERCENT,
+    authorizeTripPayment,
+    voidTripAuthorization,
+    chargeWalletTopUp,
+    settleTripPayment,
+    refundPayment,
+    tipTrip,
+    payCommissionDebt,
+    applyWebhookEvent,
+    registerPaymentJobs
+};
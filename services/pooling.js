@@ -0,0 +1,650 @@
+/**
+ * Ride pooling
+ *
+ * A pooled booking either joins an active pool - a driver already carrying
+ * pooled riders - or starts a new one that is dispatched like any other
+ * ride. To join, the booking's pickup and drop-off are fitted into the
+ * driver's remaining stops: every order of those stops is tried (pickups
+ * before their drop-offs, never more passengers than seats) and the
+ * quickest one that keeps each rider within their detour limit wins.
+ * Travel times are straight-line estimates (see estimateRoute), which is
+ * enough to compare orders.
+ *
+ * The joining booking's stops are held in the pool while its driver gets a
+ * normal dispatch offer. If they accept, the booking joins the pool; if
+ * they decline or let it lapse, the booking moves to a pool of its own and
+ * is offered to other drivers.
+ *
+ * Each rider pays the solo fare less a pool discount that grows with their
+ * detour. Fares are re-priced when the stops change but never go up. The
+ * driver is sent the stop list as 'pool-stops-update' whenever it changes;
+ * riders get their ETAs (and any lower fare) as 'pool-update'.
+ */
+
+const Ride = require('../models/Ride');
+const RidePool = require('../models/RidePool');
+const User = require('../models/User');
+const { calculateDistance, createError, roundMoney, buildNearQuery } = require('../utils');
+const { estimateRoute } = require('./routing');
+const { onlineFilter, enforceCommissionDebtLimit } = require('./presence');
+const {
+    POOL_SEAT_CAPACITY,
+    MAX_SEATS_PER_BOOKING,
+    MAX_POOL_RIDES,
+    MAX_DETOUR_PERCENT,
+    MAX_DETOUR_MINUTES,
+    MAX_PICKUP_MINUTES,
+    MATCH_RADIUS_KM,
+    BASE_DISCOUNT_PERCENT,
+    DETOUR_DISCOUNT_PERCENT,
+    MAX_DISCOUNT_PERCENT,
+    isPoolable
+} = require('../config/pooling');
+
+const ACTIVE_STATUSES = ['accepted', 'driver_arrived', 'in_progress'];
+// Bookings whose stops take up room in a pool, including ones offered to its driver
+const PLANNED_STATUSES = ['pending', ...ACTIVE_STATUSES];
+const MAX_CANDIDATE_POOLS = 10;
+// Retries when another booking or status change updates the pool at the same time
+const MAX_UPDATE_ATTEMPTS = 3;
+
+const travelMinutes = (from, to) => estimateRoute(from, to).durationMinutes;
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+const isPending = (stop) => stop.status === 'pending';
+// Stops of bookings the pool's driver has accepted (not ones still being offered)
+const isBooked = (pool, stop) => pool.rides.some(rideId => String(rideId) === String(stop.ride));
+
+/**
+ * Longest a rider may spend in the car for a direct trip time
+ * @param {Number} directMinutes - Estimated minutes going straight there
+ * @returns {Number} Minutes
+ */
+const getAllowedMinutes = (directMinutes) => Math.min(
+    directMinutes * (1 + MAX_DETOUR_PERCENT / 100),
+    directMinutes + MAX_DETOUR_MINUTES
+);
+
+/**
+ * Price a pooled ride from its solo fare and detour
+ * @param {Number} soloFare - Fare for the ride on its own
+ * @param {Number} directMinutes - Estimated minutes going straight there
+ * @param {Number} plannedMinutes - Estimated minutes in the car with the pool's stops
+ * @returns {Object} { fare, discountPercent }
+ */
+const getPoolFare = (soloFare, directMinutes, plannedMinutes = directMinutes) => {
+    const detourPercent = directMinutes > 0 ? Math.max(plannedMinutes / directMinutes - 1, 0) * 100 : 0;
+    const discountPercent = Math.round(Math.min(
+        BASE_DISCOUNT_PERCENT + detourPercent * DETOUR_DISCOUNT_PERCENT / 100,
+        MAX_DISCOUNT_PERCENT
+    ) * 10) / 10;
+
+    return {
+        fare: roundMoney(soloFare * (1 - discountPercent / 100)),
+        discountPercent
+    };
+};
+
+/**
+ * Find the quickest order to make a set of stops in
+ * @param {Object} start - Driver position { latitude, longitude }
+ * @param {Array} stops - Pending stops { ride, type, location, seats }
+ * @param {Map} riders - Ride ID -> { seats, allowedMinutes, onboardMinutes, latestPickupMinutes }
+ *   onboardMinutes: minutes in the car so far, or null while waiting for pickup
+ *   latestPickupMinutes: pickup must happen within this many minutes from now
+ * @param {Number} capacity - Passenger seats
+ * @returns {Object|null} { stops (in order, with etaMinutes), totalMinutes, rideMinutes: Map ride ID -> in-car minutes },
+ *   or null if no order keeps every rider within their limits
+ */
+const planStops = (start, stops, riders, capacity) => {
+    const points = [start, ...stops.map(stop => stop.location)];
+    const minutes = points.map(from => points.map(to => travelMinutes(from, to)));
+
+    const pickedUpAt = new Map();
+    let seats = 0;
+    riders.forEach((rider, rideId) => {
+        if (rider.onboardMinutes !== null) {
+            pickedUpAt.set(rideId, -rider.onboardMinutes);
+            seats += rider.seats;
+        }
+    });
+
+    const visited = new Array(stops.length).fill(false);
+    const order = [];
+    const rideMinutes = new Map();
+    let best = null;
+
+    const visit = (point, elapsed) => {
+        if (best && elapsed >= best.totalMinutes) {
+            return;
+        }
+        if (order.length === stops.length) {
+            best = { order: [...order], totalMinutes: elapsed, rideMinutes: new Map(rideMinutes) };
+            return;
+        }
+
+        stops.forEach((stop, index) => {
+            if (visited[index]) return;
+            const rideId = String(stop.ride);
+            const rider = riders.get(rideId);
+            const arrival = elapsed + minutes[point][index + 1];
+
+            if (stop.type === 'pickup') {
+                if (seats + stop.seats > capacity || arrival > rider.latestPickupMinutes) return;
+                pickedUpAt.set(rideId, arrival);
+                seats += stop.seats;
+            } else {
+                if (!pickedUpAt.has(rideId) || arrival - pickedUpAt.get(rideId) > rider.allowedMinutes) return;
+                rideMinutes.set(rideId, arrival - pickedUpAt.get(rideId));
+                seats -= stop.seats;
+            }
+            visited[index] = true;
+            order.push({ index, etaMinutes: arrival });
+
+            visit(index + 1, arrival);
+
+            order.pop();
+            visited[index] = false;
+            if (stop.type === 'pickup') {
+                pickedUpAt.delete(rideId);
+                seats -= stop.seats;
+            } else {
+                rideMinutes.delete(rideId);
+                seats += stop.seats;
+            }
+        });
+    };
+    visit(0, 0);
+
+    if (!best) {
+        return null;
+    }
+    return {
+        stops: best.order.map(({ index, etaMinutes }) => ({ ...stops[index], etaMinutes })),
+        totalMinutes: best.totalMinutes,
+        rideMinutes: best.rideMinutes
+    };
+};
+
+/**
+ * Minutes to make stops in the given order
+ */
+const getRouteMinutes = (start, stops) => stops.reduce(
+    ({ point, total }, stop) => ({ point: stop.location, total: total + travelMinutes(point, stop.location) }),
+    { point: start, total: 0 }
+).total;
+
+/**
+ * Stamp each pending stop with its planned arrival, in the current order
+ */
+const setStopEtas = (stops, start, now = new Date()) => {
+    let point = start;
+    let elapsed = 0;
+    stops.filter(isPending).forEach(stop => {
+        if (point?.latitude) {
+            elapsed += travelMinutes(point, stop.location);
+            stop.eta = addMinutes(now, elapsed);
+        }
+        point = stop.location;
+    });
+};
+
+const getDriverPosition = async (driverId) => {
+    const driver = await User.findById(driverId).select('driverInfo.currentLocation');
+    return driver?.driverInfo?.currentLocation || null;
+};
+
+/**
+ * Work out the best order for a pool's stops with a new booking added
+ * @returns {Object|null} Plan as for planStops plus { addedMinutes }, or null if the booking doesn't fit
+ */
+const planJoin = async (pool, position, booking, now) => {
+    const rides = await Ride.find({
+        _id: { $in: [...new Set(pool.stops.filter(isPending).map(stop => String(stop.ride)))] },
+        status: { $in: PLANNED_STATUSES }
+    }).select('status startedAt pooling');
+    if (rides.length + 1 > MAX_POOL_RIDES) {
+        return null;
+    }
+
+    const riders = new Map();
+    rides.forEach(ride => {
+        const pickup = pool.stops.find(stop => String(stop.ride) === String(ride._id) && stop.type === 'pickup');
+        const waiting = isPending(pickup || {});
+        riders.set(String(ride._id), {
+            seats: ride.pooling?.seats || 1,
+            allowedMinutes: getAllowedMinutes(ride.pooling?.directMinutes || 0),
+            onboardMinutes: waiting ? null : Math.max((now - (ride.startedAt || now)) / 60000, 0),
+            // Waiting riders can be picked up a little later than planned, but not much
+            latestPickupMinutes: waiting && pickup.eta
+                ? Math.max((pickup.eta - now) / 60000, 0) + MAX_DETOUR_MINUTES
+                : Infinity
+        });
+    });
+    riders.set(String(booking._id), {
+        seats: booking.seats,
+        allowedMinutes: getAllowedMinutes(booking.directMinutes),
+        onboardMinutes: null,
+        latestPickupMinutes: MAX_PICKUP_MINUTES
+    });
+
+    const current = pool.stops.filter(stop => isPending(stop) && riders.has(String(stop.ride)));
+    const plan = planStops(position, [
+        ...current.map(stop => stop.toObject ? stop.toObject() : stop),
+        { ride: booking._id, rider: booking.rider, type: 'pickup', location: booking.pickupLocation, seats: booking.seats, status: 'pending' },
+        { ride: booking._id, rider: booking.rider, type: 'dropoff', location: booking.dropoffLocation, seats: booking.seats, status: 'pending' }
+    ], riders, pool.seatCapacity);
+
+    return plan && { ...plan, addedMinutes: plan.totalMinutes - getRouteMinutes(position, current) };
+};
+
+/**
+ * Find the active pool a booking fits best (least extra driving). Only pools
+ * whose driver is online, taking work and near the pickup are tried.
+ * @param {Object} booking - { _id, rider, pickupLocation, dropoffLocation, rideType, seats, directMinutes }
+ * @returns {Object|null} { pool, plan, position, distanceKm }
+ */
+const findPoolMatch = async (booking, now = new Date()) => {
+    const near = buildNearQuery(booking.pickupLocation, MATCH_RADIUS_KM);
+    if (!near) {
+        return null;
+    }
+
+    // Nearest first
+    const drivers = await User.find({
+        isDriver: true,
+        'driverInfo.isAvailable': true,
+        ...onlineFilter('ride'),
+        'driverInfo.currentPoint': near
+    }).select('driverInfo.currentLocation');
+    if (drivers.length === 0) {
+        return null;
+    }
+
+    const pools = await RidePool.find({
+        status: 'active',
+        rideType: booking.rideType,
+        driver: { $in: drivers.map(driver => driver._id) }
+    });
+    const poolsByDriver = new Map(pools.map(pool => [String(pool.driver), pool]));
+
+    const nearby = drivers
+        .filter(driver => poolsByDriver.has(String(driver._id)))
+        .slice(0, MAX_CANDIDATE_POOLS)
+        .map(driver => {
+            const position = driver.driverInfo.currentLocation;
+            return {
+                pool: poolsByDriver.get(String(driver._id)),
+                position,
+                distanceKm: calculateDistance(position, booking.pickupLocation)
+            };
+        });
+
+    let best = null;
+    for (const candidate of nearby) {
+        if (await enforceCommissionDebtLimit(null, candidate.pool.driver)) continue;
+        const plan = await planJoin(candidate.pool, candidate.position, booking, now);
+        if (plan && (!best || plan.addedMinutes < best.plan.addedMinutes)) {
+            best = { ...candidate, plan };
+        }
+    }
+    return best;
+};
+
+/**
+ * Send the driver their stop list and each rider their ETAs
+ * @param {Object} io - Socket.io server
+ * @param {Object} pool - RidePool document
+ * @param {Map} fares - Ride ID -> new fare, for riders whose fare just dropped
+ */
+const emitPoolUpdate = (io, pool, fares = new Map()) => {
+    if (!io) return;
+    const stops = pool.stops.filter(stop => isPending(stop) && isBooked(pool, stop));
+
+    if (pool.driver) {
+        io.to(`driver-${pool.driver}`).emit('pool-stops-update', {
+            poolId: pool._id,
+            status: pool.status,
+            seatCapacity: pool.seatCapacity,
+            stops: stops.map(stop => ({
+                rideId: stop.ride,
+                rider: stop.rider,
+                type: stop.type,
+                location: stop.location,
+                seats: stop.seats,
+                eta: stop.eta
+            }))
+        });
+    }
+
+    const rideIds = [...new Set(stops.map(stop => String(stop.ride)))];
+    rideIds.forEach(rideId => {
+        const pickup = stops.find(stop => String(stop.ride) === rideId && stop.type === 'pickup');
+        const dropoff = stops.find(stop => String(stop.ride) === rideId && stop.type === 'dropoff');
+        io.to(`ride-${rideId}`).emit('pool-update', {
+            rideId,
+            pickupEta: pickup?.eta || null,
+            dropoffEta: dropoff?.eta || null,
+            // Other riders' stops the driver makes first
+            stopsBefore: stops.findIndex(stop => String(stop.ride) === rideId),
+            ...(fares.has(rideId) && { fare: fares.get(rideId) })
+        });
+    });
+};
+
+/**
+ * Planned in-car minutes for each booking from the pool's stop times
+ * @returns {Map} Ride ID -> minutes
+ */
+const getPlannedRideMinutes = (pool) => {
+    const minutes = new Map();
+    const rideIds = new Set(pool.stops.filter(isPending).map(stop => String(stop.ride)));
+
+    rideIds.forEach(rideId => {
+        const stop = (type) => pool.stops.find(item => String(item.ride) === rideId && item.type === type);
+        const pickup = stop('pickup');
+        const dropoff = stop('dropoff');
+        const pickedUpAt = pickup && (isPending(pickup) ? pickup.eta : pickup.doneAt);
+        if (pickedUpAt && dropoff?.eta) {
+            minutes.set(rideId, Math.max((dropoff.eta - pickedUpAt) / 60000, 0));
+        }
+    });
+    return minutes;
+};
+
+/**
+ * Lower the fares of riders whose detour grew with a new booking
+ * @returns {Map} Ride ID -> new fare
+ */
+const repriceRides = async (rideMinutes) => {
+    const fares = new Map();
+    const rides = await Ride.find({
+        _id: { $in: [...rideMinutes.keys()] },
+        status: { $in: ACTIVE_STATUSES }
+    }).select('fare fareBreakdown pooling');
+
+    for (const ride of rides) {
+        const plannedMinutes = Math.round(rideMinutes.get(String(ride._id)) * 10) / 10;
+        if (!ride.pooling?.soloFare || plannedMinutes <= (ride.pooling.plannedMinutes || 0)) continue;
+
+        const { fare, discountPercent } = getPoolFare(ride.pooling.soloFare, ride.pooling.directMinutes, plannedMinutes);
+        if (fare >= ride.fare) continue;
+
+        await Ride.updateOne({ _id: ride._id, status: { $in: ACTIVE_STATUSES } }, {
+            $set: {
+                fare,
+                'pooling.plannedMinutes': plannedMinutes,
+                'pooling.discountPercent': discountPercent,
+                'fareBreakdown.poolDiscount': roundMoney(ride.pooling.soloFare - fare),
+                'fareBreakdown.total': fare
+            }
+        });
+        fares.set(String(ride._id), fare);
+    }
+    return fares;
+};
+
+/**
+ * Put a booking in a pool of its own, waiting to be dispatched
+ */
+const createPoolFor = (ride, seats) => RidePool.create({
+    rideType: ride.rideType,
+    seatCapacity: POOL_SEAT_CAPACITY[ride.rideType],
+    rides: [ride._id],
+    stops: [
+        { ride: ride._id, rider: ride.rider, type: 'pickup', location: ride.pickupLocation, seats },
+        { ride: ride._id, rider: ride.rider, type: 'dropoff', location: ride.dropoffLocation, seats }
+    ]
+});
+
+/**
+ * Set up a pooled booking before it is saved. If it fits an active pool its
+ * stops are held there and the pool's driver is the one to offer it to;
+ * otherwise it starts a new pool to be dispatched. The fare is the pooled
+ * fare for going straight there, lowered if the booking joins a pool.
+ * @param {Object} ride - Unsaved Ride document priced at the solo fare
+ * @param {Number} seats - Seats booked
+ * @returns {Object} { pool, offerTo } - offerTo is the dispatch candidate
+ *   ({ user, distanceKm, etaMinutes }) for the pool's driver, or null
+ * @throws {Error} 400 if the ride type can't be pooled or too many seats are booked
+ */
+const preparePooledRide = async (ride, seats = 1) => {
+    if (!isPoolable(ride.rideType)) {
+        throw createError(400, `Pooling isn't available for ${ride.rideType} rides`);
+    }
+    if (seats > Math.min(MAX_SEATS_PER_BOOKING, POOL_SEAT_CAPACITY[ride.rideType])) {
+        throw createError(400, `A pooled ride can book at most ${MAX_SEATS_PER_BOOKING} seats`);
+    }
+
+    const now = new Date();
+    const directMinutes = travelMinutes(ride.pickupLocation, ride.dropoffLocation);
+    const booking = {
+        _id: ride._id,
+        rider: ride.rider,
+        pickupLocation: ride.pickupLocation,
+        dropoffLocation: ride.dropoffLocation,
+        rideType: ride.rideType,
+        seats,
+        directMinutes
+    };
+
+    let pool = null;
+    let match = null;
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS && !pool; attempt++) {
+        match = await findPoolMatch(booking, now);
+        if (!match) break;
+
+        const stops = [
+            ...match.pool.stops.filter(stop => !isPending(stop)),
+            ...match.plan.stops.map(({ etaMinutes, ...stop }) => ({ ...stop, eta: addMinutes(now, etaMinutes) }))
+        ];
+        // Only lands if nobody else changed the pool since it was planned
+        pool = await RidePool.findOneAndUpdate(
+            { _id: match.pool._id, status: 'active', revision: match.pool.revision },
+            { $set: { stops }, $inc: { revision: 1 } },
+            { new: true }
+        );
+    }
+
+    const soloFare = ride.fare;
+    const { fare, discountPercent } = getPoolFare(soloFare, directMinutes);
+
+    ride.isPooled = true;
+    ride.fare = fare;
+    ride.pooling = { seats, soloFare, directMinutes, plannedMinutes: directMinutes, discountPercent, joining: !!pool };
+    if (ride.fareBreakdown) {
+        ride.fareBreakdown.poolDiscount = roundMoney(soloFare - fare);
+        ride.fareBreakdown.total = fare;
+    }
+
+    if (pool) {
+        ride.pool = pool._id;
+        const pickup = match.plan.stops.find(stop => String(stop.ride) === String(ride._id) && stop.type === 'pickup');
+        return {
+            pool,
+            offerTo: {
+                user: { _id: pool.driver },
+                distanceKm: match.distanceKm,
+                etaMinutes: Math.round(pickup.etaMinutes)
+            }
+        };
+    }
+
+    pool = await createPoolFor(ride, seats);
+    ride.pool = pool._id;
+    return { pool, offerTo: null };
+};
+
+/**
+ * Add a booking to the pool whose driver just accepted it, lowering its
+ * fare (and those of riders it takes out of their way) and sending
+ * everyone the new stops
+ * @param {Object} io - Socket.io server
+ * @param {Object} ride - Ride that was accepted while joining
+ */
+const completePoolJoin = async (io, ride) => {
+    const driverId = ride.driver?._id || ride.driver;
+    const pool = await RidePool.findOneAndUpdate(
+        { _id: ride.pool, status: 'active', driver: driverId },
+        { $addToSet: { rides: ride._id }, $inc: { revision: 1 } },
+        { new: true }
+    );
+    await Ride.updateOne({ _id: ride._id }, { $set: { 'pooling.joining': false } });
+
+    if (!pool) {
+        // Not that pool's driver after all - carry on as a pool of its own
+        console.error(`⚠️ Ride ${ride._id} accepted outside pool ${ride.pool}, starting its own pool`);
+        await updatePoolStops(io, ride, 'cancelled');
+        const own = await createPoolFor(ride, ride.pooling?.seats || 1);
+        await Ride.updateOne({ _id: ride._id }, { $set: { pool: own._id } });
+        await updatePoolStops(io, { _id: ride._id, driver: ride.driver, pool: own._id }, 'accepted');
+        return;
+    }
+
+    const fares = await repriceRides(getPlannedRideMinutes(pool));
+    emitPoolUpdate(io, pool, fares);
+};
+
+/**
+ * Move a booking whose pool driver didn't take it into a pool of its own,
+ * so it can be offered to other drivers
+ * @param {Object} io - Socket.io server
+ * @param {Object} ride - Pending Ride that was joining a pool
+ * @returns {Object|null} Updated ride, or null if it had already moved
+ */
+const releasePoolJoin = async (io, ride) => {
+    const claimed = await Ride.findOneAndUpdate(
+        { _id: ride._id, status: 'pending', 'pooling.joining': true },
+        { $set: { 'pooling.joining': false } }
+    );
+    if (!claimed) {
+        return null;
+    }
+
+    await updatePoolStops(io, claimed, 'cancelled');
+    const pool = await createPoolFor(claimed, claimed.pooling?.seats || 1);
+    return Ride.findByIdAndUpdate(claimed._id, { $set: { pool: pool._id } }, { new: true });
+};
+
+/**
+ * Apply a ride's status change to its pool's stops
+ */
+const updatePoolStops = async (io, ride, toStatus) => {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const pool = await RidePool.findById(ride.pool);
+        if (!pool || pool.status === 'completed') return;
+
+        const now = new Date();
+        const $set = {};
+        const rideStops = pool.stops.filter(stop => String(stop.ride) === String(ride._id) && isPending(stop));
+
+        if (toStatus === 'accepted' && pool.status === 'forming') {
+            $set.driver = ride.driver?._id || ride.driver;
+            $set.status = 'active';
+        } else if (toStatus === 'in_progress' || toStatus === 'completed') {
+            const type = toStatus === 'in_progress' ? 'pickup' : 'dropoff';
+            rideStops
+                .filter(stop => stop.type === type || toStatus === 'completed')
+                .forEach(stop => Object.assign(stop, { status: 'done', doneAt: now }));
+        } else if (toStatus === 'cancelled') {
+            rideStops.forEach(stop => { stop.status = 'cancelled'; });
+        } else {
+            return;
+        }
+
+        if (!pool.stops.some(isPending)) {
+            $set.status = 'completed';
+            $set.completedAt = now;
+        }
+        const driver = $set.driver || pool.driver;
+        setStopEtas(pool.stops, driver ? await getDriverPosition(driver) : null, now);
+        $set.stops = pool.stops;
+
+        const updated = await RidePool.findOneAndUpdate(
+            { _id: pool._id, revision: pool.revision },
+            { $set, $inc: { revision: 1 } },
+            { new: true }
+        );
+        if (updated) {
+            emitPoolUpdate(io, updated);
+            return;
+        }
+    }
+
+    console.error(`⚠️ Pool ${ride.pool} kept changing, stops not updated for ride ${ride._id}`);
+};
+
+/**
+ * Keep a pool's stops in step with one of its rides: the pool gets its
+ * driver when the first ride is accepted (or takes in a joining booking
+ * its driver accepted), stops are ticked off at pickup and drop-off, and a
+ * cancelled ride's stops are dropped. The pool is completed once no stops
+ * are left. Errors are logged, not thrown.
+ * @param {Object} io - Socket.io server
+ * @param {Object} ride - Ride document after the status change
+ * @param {String} toStatus - New ride status
+ */
+const updatePoolForRide = async (io, ride, toStatus) => {
+    try {
+        if (toStatus === 'accepted' && ride.pooling?.joining) {
+            await completePoolJoin(io, ride);
+        } else {
+            await updatePoolStops(io, ride, toStatus);
+        }
+    } catch (error) {
+        console.error(`Update pool ${ride.pool} for ride ${ride._id} error:`, error);
+    }
+};
+
+/**
+ * Take a booking back out of its pool (e.g. its payment failed before it was saved)
+ * @param {Object} io - Socket.io server
+ * @param {Object} ride - Ride with a pool
+ */
+const leavePool = async (io, ride) => {
+    await updatePoolForRide(io, ride, 'cancelled');
+};
+
+/**
+ * A pool's stops as seen by someone on one of its rides: the driver (or an
+ * admin) sees every stop, a rider only when their own are due
+ * @param {Object} ride - Ride document with a pool
+ * @param {Object} user - User asking
+ * @returns {Object|null} Pool summary, or null if the ride isn't pooled
+ */
+const getPoolView = async (ride, user) => {
+    if (!ride.pool) return null;
+    const pool = await RidePool.findById(ride.pool).populate('stops.rider', 'name phone');
+    if (!pool) return null;
+
+    const stops = pool.stops.filter(stop => isPending(stop) && isBooked(pool, stop));
+    const summary = {
+        poolId: pool._id,
+        status: pool.status,
+        seatCapacity: pool.seatCapacity,
+        riders: new Set(stops.map(stop => String(stop.ride))).size
+    };
+
+    if (user.role === 'admin' || String(pool.driver) === String(user._id)) {
+        return { ...summary, stops };
+    }
+
+    const own = (type) => stops.find(stop => String(stop.ride) === String(ride._id) && stop.type === type);
+    return {
+        ...summary,
+        pickupEta: own('pickup')?.eta || null,
+        dropoffEta: own('dropoff')?.eta || null,
+        stopsBefore: stops.findIndex(stop => String(stop.ride) === String(ride._id))
+    };
+};
+
+module.exports = {
+    getAllowedMinutes,
+    getPoolFare,
+    planStops,
+    findPoolMatch,
+    preparePooledRide,
+    releasePoolJoin,
+    updatePoolForRide,
+    leavePool,
+    getPoolView
+};
@@ -0,0 +1,355 @@
+/**
+ * Driver/courier presence
+ *
+ * Room membership checks go through the Socket.io adapter, so they see
+ * sockets connected to any API instance (not just this process) when the
+ * Redis adapter is configured.
+ *
+ * Heartbeats are recorded on driverInfo/courierInfo.presence. Drivers and
+ * couriers who stay silent longer than PRESENCE_TIMEOUT_MS are taken offline
+ * by a periodic sweep and put back online when they reconnect.
+ *
+ * Anyone owing more commission than MAX_COMMISSION_DEBT is taken offline
+ * and stays offline, however they try to come back, until it is paid down.
+ */
+
+const User = require('../models/User');
+const { toGeoPoint } = require('../utils');
+const { MAX_COMMISSION_DEBT } = require('../config/earnings');
+const { getCommissionDebt } = require('./earnings');
+
+const PRESENCE_TIMEOUT_MS = parseInt(process.env.PRESENCE_TIMEOUT_MS, 10) || 90000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.PRESENCE_SWEEP_INTERVAL_MS, 10) || 30000;
+// Transport pings arrive every 25s; don't write every one of them
+const HEARTBEAT_WRITE_INTERVAL_MS = Math.floor(PRESENCE_TIMEOUT_MS / 3);
+
+const PRESENCE_ROLES = {
+    ride: {
+        userFlag: 'isDriver',
+        infoField: 'driverInfo',
+        roomPrefix: 'driver-',
+        offlineEvent: 'driver-offline'
+    },
+    delivery: {
+        userFlag: 'isCourier',
+        infoField: 'courierInfo',
+        roomPrefix: 'courier-',
+        offlineEvent: 'courier-offline'
+    }
+};
+
+let sweepTimer = null;
+
+/**
+ * Count the sockets in a room across all instances
+ * @param {Object} io - Socket.io server
+ * @param {String} room - Room name
+ * @returns {Number} Number of sockets
+ */
+const getRoomSize = async (io, room) => {
+    if (!io) return 0;
+    const sockets = await io.in(room).fetchSockets();
+    return sockets.length;
+};
+
+/**
+ * Check whether anyone is connected to a room on any instance
+ * @param {Object} io - Socket.io server
+ * @param {String} room - Room name
+ * @returns {Boolean}
+ */
+const isRoomOccupied = async (io, room) => (await getRoomSize(io, room)) > 0;
+
+/**
+ * List occupied rooms with a given prefix across all instances.
+ * Asks the adapter for room names only rather than fetching every socket.
+ * @param {Object} io - Socket.io server
+ * @param {String} prefix - Room prefix, e.g. 'driver-'
+ * @returns {Array} Room names
+ */
+const listRooms = async (io, prefix) => {
+    if (!io) return [];
+    const { adapter } = io.of('/');
+    // The Redis adapter can list rooms on every instance; the in-memory one only has its own
+    const rooms = typeof adapter.allRooms === 'function'
+        ? await adapter.allRooms()
+        : adapter.rooms.keys();
+
+    return Array.from(rooms).filter(room => room.startsWith(prefix));
+};
+
+/**
+ * Job types a user can be dispatched for
+ * @param {Object} user - User document
+ * @returns {Array} 'ride' and/or 'delivery'
+ */
+const getPresenceKinds = (user) => {
+    const kinds = [];
+    if (user.isDriver || user.role === 'driver') kinds.push('ride');
+    if (user.isCourier) kinds.push('delivery');
+    return kinds;
+};
+
+/**
+ * Oldest heartbeat that still counts as online
+ * @returns {Date}
+ */
+const getPresenceCutoff = () => new Date(Date.now() - PRESENCE_TIMEOUT_MS);
+
+/**
+ * Query filter matching drivers/couriers with a recent heartbeat
+ * @param {String} kind - 'ride' or 'delivery'
+ * @returns {Object} Mongo filter
+ */
+const onlineFilter = (kind) => ({
+    [`${PRESENCE_ROLES[kind].infoField}.presence.lastHeartbeatAt`]: { $gte: getPresenceCutoff() }
+});
+
+/**
+ * Whether a driver/courier owes more commission than they may while online
+ * @param {String} userId - Driver or courier ID
+ * @returns {Boolean}
+ */
+const isOverDebtLimit = async (userId) => (await getCommissionDebt(userId)) > MAX_COMMISSION_DEBT;
+
+/**
+ * Take a driver/courier offline (as both driver and courier) if they owe
+ * more commission than the limit, e.g. after a cash trip
+ * @param {Object} io - Socket.io server
+ * @param {String} userId - Driver or courier ID
+ * @returns {Boolean} True if they are over the limit (and now offline)
+ */
+const enforceCommissionDebtLimit = async (io, userId) => {
+    const debt = await getCommissionDebt(userId);
+    if (debt <= MAX_COMMISSION_DEBT) {
+        return false;
+    }
+
+    for (const [kind, { infoField, roomPrefix, offlineEvent }] of Object.entries(PRESENCE_ROLES)) {
+        const result = await User.updateOne(
+            { _id: userId, [`${infoField}.isAvailable`]: true },
+            {
+                $set: {
+                    [`${infoField}.isAvailable`]: false,
+                    [`${infoField}.presence.status`]: 'offline',
+                    [`${infoField}.presence.offlineAt`]: new Date(),
+                    [`${infoField}.presence.offlineReason`]: 'commission_debt',
+                    [`${infoField}.presence.autoOffline`]: false
+                }
+            }
+        );
+        if (result.modifiedCount === 0) continue;
+
+        console.log(`🔴 ${kind === 'ride' ? 'Driver' : 'Courier'} ${userId} taken offline - owes R${debt.toFixed(2)} commission`);
+        if (io) {
+            const payload = { userId, reason: 'commission_debt', commissionDebt: debt, debtLimit: MAX_COMMISSION_DEBT };
+            io.to(`${roomPrefix}${userId}`).emit(offlineEvent, payload);
+            io.to('admin').emit(offlineEvent, payload);
+        }
+    }
+    return true;
+};
+
+/**
+ * Record a heartbeat (and optionally a new location) for a driver/courier.
+ * Restores availability if the server took them offline while they were silent,
+ * unless they now owe too much commission.
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} userId - Driver or courier ID
+ * @param {Object} location - Optional { latitude, longitude }
+ * @returns {Boolean} True if the user was put back online
+ */
+const recordHeartbeat = async (kind, userId, location) => {
+    const { infoField } = PRESENCE_ROLES[kind];
+    const now = new Date();
+
+    const $set = {
+        [`${infoField}.presence.status`]: 'online',
+        [`${infoField}.presence.lastHeartbeatAt`]: now
+    };
+    const point = toGeoPoint(location);
+    if (point) {
+        $set[`${infoField}.currentLocation`] = {
+            latitude: Number(location.latitude),
+            longitude: Number(location.longitude)
+        };
+        $set[`${infoField}.currentPoint`] = point;
+        $set[`${infoField}.presence.lastLocationAt`] = now;
+    }
+
+    await User.updateOne({ _id: userId }, { $set });
+
+    const restorable = { _id: userId, [`${infoField}.presence.autoOffline`]: true };
+    if (!(await User.exists(restorable))) {
+        return false;
+    }
+    if (await isOverDebtLimit(userId)) {
+        // Going online is blocked until the commission is paid (see assertCanGoOnline)
+        await User.updateOne(restorable, {
+            $set: {
+                [`${infoField}.presence.autoOffline`]: false,
+                [`${infoField}.presence.offlineReason`]: 'commission_debt'
+            }
+        });
+        return false;
+    }
+
+    const restored = await User.updateOne(
+        restorable,
+        {
+            $set: {
+                [`${infoField}.isAvailable`]: true,
+                [`${infoField}.presence.autoOffline`]: false,
+                [`${infoField}.presence.offlineReason`]: null
+            }
+        }
+    );
+
+    if (restored.modifiedCount > 0) {
+        console.log(`🟢 ${kind === 'ride' ? 'Driver' : 'Courier'} ${userId} reconnected - restored to online`);
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Record heartbeats coming from a socket, throttled per socket
+ * @param {Object} socket - Authenticated socket
+ * @param {Object} location - Optional { latitude, longitude }
+ * @param {Boolean} force - Write even if a heartbeat was written recently
+ */
+const recordSocketHeartbeat = async (socket, location, force = false) => {
+    const kinds = getPresenceKinds(socket.user);
+    if (kinds.length === 0) return;
+
+    const now = Date.now();
+    if (!force && !location && now - (socket.data.lastHeartbeatWrite || 0) < HEARTBEAT_WRITE_INTERVAL_MS) {
+        return;
+    }
+    socket.data.lastHeartbeatWrite = now;
+
+    await Promise.all(kinds.map(kind => recordHeartbeat(kind, socket.userId, location)));
+};
+
+/**
+ * Note that a driver's/courier's last socket went away. They stay available
+ * until the silence period runs out, so a short signal drop doesn't count.
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Disconnected socket
+ */
+const recordSocketDisconnect = async (io, socket) => {
+    const kinds = getPresenceKinds(socket.user);
+
+    await Promise.all(kinds.map(async (kind) => {
+        const { infoField, roomPrefix } = PRESENCE_ROLES[kind];
+        if (await isRoomOccupied(io, `${roomPrefix}${socket.userId}`)) return;
+
+        await User.updateOne({ _id: socket.userId }, {
+            $set: {
+                [`${infoField}.presence.status`]: 'disconnected',
+                [`${infoField}.presence.disconnectedAt`]: new Date()
+            }
+        });
+    }));
+};
+
+/**
+ * Reset presence when a driver/courier toggles availability themselves.
+ * Call before saving the user.
+ * @param {Object} info - driverInfo or courierInfo
+ * @param {Boolean} isAvailable - New availability
+ */
+const applyManualAvailability = (info, isAvailable) => {
+    const now = new Date();
+    info.presence = info.presence || {};
+    info.presence.status = isAvailable ? 'online' : 'offline';
+    info.presence.autoOffline = false;
+    info.presence.offlineReason = isAvailable ? null : 'manual';
+    if (isAvailable) {
+        info.presence.lastHeartbeatAt = now;
+    } else {
+        info.presence.offlineAt = now;
+    }
+};
+
+/**
+ * Take available drivers/couriers offline when their heartbeat has gone quiet
+ * @param {Object} io - Socket.io server
+ * @returns {Number} Number of users taken offline
+ */
+const sweepStalePresence = async (io) => {
+    const cutoff = getPresenceCutoff();
+    let total = 0;
+
+    for (const [kind, { userFlag, infoField, roomPrefix, offlineEvent }] of Object.entries(PRESENCE_ROLES)) {
+        const staleFilter = {
+            [userFlag]: true,
+            [`${infoField}.isAvailable`]: true,
+            $or: [
+                { [`${infoField}.presence.lastHeartbeatAt`]: { $lt: cutoff } },
+                { [`${infoField}.presence.lastHeartbeatAt`]: { $exists: false } }
+            ]
+        };
+
+        const stale = await User.find(staleFilter).select('_id');
+        if (stale.length === 0) continue;
+
+        const ids = stale.map(user => user._id);
+        const now = new Date();
+        await User.updateMany({ ...staleFilter, _id: { $in: ids } }, {
+            $set: {
+                [`${infoField}.isAvailable`]: false,
+                [`${infoField}.presence.status`]: 'offline',
+                [`${infoField}.presence.offlineAt`]: now,
+                [`${infoField}.presence.offlineReason`]: 'timeout',
+                [`${infoField}.presence.autoOffline`]: true
+            }
+        });
+
+        console.log(`🔴 Took ${ids.length} silent ${kind === 'ride' ? 'driver' : 'courier'}(s) offline`);
+        if (io) {
+            ids.forEach(id => {
+                const payload = { userId: id, reason: 'timeout' };
+                io.to(`${roomPrefix}${id}`).emit(offlineEvent, payload);
+                io.to('admin').emit(offlineEvent, payload);
+            });
+        }
+        total += ids.length;
+    }
+
+    return total;
+};
+
+/**
+ * Start the periodic offline sweep
+ * @param {Object} io - Socket.io server
+ */
+const startPresenceSweeper = (io) => {
+    if (sweepTimer) return;
+
+    sweepTimer = setInterval(() => {
+        sweepStalePresence(io).catch(error => {
+            console.error('Presence sweep error:', error);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    console.log(`💓 Presence sweeper running (offline after ${PRESENCE_TIMEOUT_MS / 1000}s of silence)`);
+};
+
+module.exports = {
+    PRESENCE_TIMEOUT_MS,
+    getRoomSize,
+    isRoomOccupied,
+    listRooms,
+    getPresenceKinds,
+    getPresenceCutoff,
+    onlineFilter,
+    enforceCommissionDebtLimit,
+    recordHeartbeat,
+    recordSocketHeartbeat,
+    recordSocketDisconnect,
+    applyManualAvailability,
+    sweepStalePresence,
+    startPresenceSweeper
+};
@@ -0,0 +1,133 @@
+/**
+ * Active price tables
+ *
+ * Prices come from the newest PricingConfig version that has taken effect,
+ * for the pickup's city if it has its own table, otherwise the national
+ * one. Without any stored version the built-in tables in utils/pricing.js
+ * apply (reported as version 0). Lookups are cached briefly, so a version
+ * whose effectiveFrom has just passed is picked up within CACHE_TTL_MS.
+ */
+
+const PricingConfig = require('../models/PricingConfig');
+const { DEFAULT_RIDE_PRICING, DEFAULT_DELIVERY_PRICING } = require('../utils');
+const { resolveCity } = require('../config/matching');
+
+const CACHE_TTL_MS = 60000;
+const DEFAULT_PRICING = {
+    ride: DEFAULT_RIDE_PRICING,
+    delivery: DEFAULT_DELIVERY_PRICING
+};
+const DELIVERY_FIELDS = ['weightFreeKg', 'weightRatePerKg', 'fragileSurcharge', 'insurancePercent'];
+const CANCELLATION_FIELDS = Object.keys(DEFAULT_RIDE_PRICING.cancellation);
+
+const cache = new Map();
+
+/**
+ * Convert a PricingConfig to the rate table the fare functions take
+ * @param {Object} config - PricingConfig document
+ * @returns {Object} Rate table
+ */
+const toPricingTable = (config) => {
+    const table = {
+        classes: {},
+        serviceFeePercent: config.serviceFeePercent,
+        vatPercent: config.vatPercent,
+        airportSurcharge: config.airportSurcharge || 0,
+        waitGraceMinutes: config.waitGraceMinutes ?? DEFAULT_PRICING[config.kind].waitGraceMinutes,
+        cancellation: { ...DEFAULT_PRICING[config.kind].cancellation }
+    };
+
+    CANCELLATION_FIELDS.forEach(field => {
+        if (config.cancellation?.[field] != null) table.cancellation[field] = config.cancellation[field];
+    });
+
+    config.classes.forEach(rates => {
+        table.classes[rates.vehicleClass] = {
+            baseFare: rates.baseFare,
+            perKm: rates.perKm,
+            perMinute: rates.perMinute,
+            waitPerMinute: rates.waitPerMinute || 0,
+            minimumFare: rates.minimumFare,
+            bookingFee: rates.bookingFee
+        };
+    });
+
+    if (config.kind === 'delivery') {
+        DELIVERY_FIELDS.forEach(field => {
+            if (config[field] != null) table[field] = config[field];
+        });
+    }
+    return table;
+};
+
+/**
+ * Newest version of a table that has taken effect
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String|null} city - City ID, or null for the national table
+ * @param {Date} at - Point in time
+ * @returns {Object|null} PricingConfig document
+ */
+const findEffectiveConfig = (kind, city, at = new Date()) => {
+    return PricingConfig.findOne({ kind, city, effectiveFrom: { $lte: at } })
+        .sort({ effectiveFrom: -1, version: -1 });
+};
+
+/**
+ * Rate table that applies to a trip starting at a location
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} location - Pickup { latitude, longitude }
+ * @returns {Object} { pricing, priceVersion } where priceVersion is { config, version, city }
+ */
+const getActivePricing = async (kind, location) => {
+    const cityId = resolveCity(location)?.id || null;
+    const cacheKey = `${kind}:${cityId}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    let config = cityId ? await findEffectiveConfig(kind, cityId) : null;
+    if (!config) {
+        config = await findEffectiveConfig(kind, null);
+    }
+
+    const value = config
+        ? {
+            pricing: toPricingTable(config),
+            priceVersion: { config: config._id, version: config.version, city: config.city }
+        }
+        : {
+            pricing: DEFAULT_PRICING[kind],
+            priceVersion: { config: null, version: 0, city: null }
+        };
+
+    cache.set(cacheKey, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+};
+
+/**
+ * Rate table a trip was booked with, so its final fare uses the same prices
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} priceVersion - { config } as stored on the trip
+ * @returns {Object} Rate table
+ */
+const getPricingForVersion = async (kind, priceVersion) => {
+    const config = priceVersion?.config ? await PricingConfig.findById(priceVersion.config) : null;
+    return config ? toPricingTable(config) : DEFAULT_PRICING[kind];
+};
+
+/**
+ * Forget cached tables (call after adding or removing a version)
+ */
+const clearPricingCache = () => {
+    cache.clear();
+};
+
+module.exports = {
+    DEFAULT_PRICING,
+    toPricingTable,
+    findEffectiveConfig,
+    getActivePricing,
+    getPricingForVersion,
+    clearPricingCache
+};
@@ -0,0 +1,244 @@
+/**
+ * Fare quotes
+ *
+ * Trips are priced on the road route (see routing.js), through any stops
+ * in order. A quote stores the price shown to the user for
+ * QUOTE_TTL_MINUTES; creating the ride/delivery with its quote ID charges
+ * that exact fare. Creating without a quote prices the trip the same way at
+ * creation time.
+ */
+
+const Quote = require('../models/Quote');
+const {
+    calculateDistance,
+    calculateRideFare,
+    calculateDeliveryFare,
+    toFareBreakdown,
+    createError
+} = require('../utils');
+const { getRouteThrough } = require('./routing');
+const { getSurgeForLocation } = require('./surge');
+const { getActivePricing } = require('./pricing');
+const { isAirportTrip } = require('../config/airports');
+
+const QUOTE_TTL_MINUTES = parseInt(process.env.QUOTE_TTL_MINUTES, 10) || 10;
+// How far the pickup/destination may move between quoting and booking
+const LOCATION_TOLERANCE_KM = 0.2;
+// Stops a ride may make between pickup and dropoff
+const MAX_WAYPOINTS = parseInt(process.env.RIDE_MAX_STOPS, 10) || 3;
+
+/**
+ * Pick the fare-relevant options out of a request body
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} body - Request body
+ * @returns {Object} Options
+ */
+const getQuoteOptions = (kind, body = {}) => {
+    if (kind === 'ride') {
+        return { rideType: body.rideType || 'economy' };
+    }
+    return {
+        deliveryType: body.deliveryType || 'standard',
+        itemWeight: Number(body.itemWeight) || 0,
+        itemValue: Number(body.itemValue) || 0,
+        isFragile: !!body.isFragile
+    };
+};
+
+/**
+ * Check ride stops from a request body and number them in the order given
+ * @param {Array} waypoints - [{ address, latitude, longitude }]
+ * @returns {Array} [{ address, latitude, longitude, order }]
+ * @throws {Error} 400 for too many stops or a stop without coordinates
+ */
+const parseWaypoints = (waypoints = []) => {
+    if (!Array.isArray(waypoints)) {
+        throw createError(400, 'Stops must be a list');
+    }
+    if (waypoints.length > MAX_WAYPOINTS) {
+        throw createError(400, `A ride can have at most ${MAX_WAYPOINTS} stops`);
+    }
+
+    return waypoints.map((waypoint, index) => {
+        const latitude = parseFloat(waypoint?.latitude);
+        const longitude = parseFloat(waypoint?.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            throw createError(400, `Stop ${index + 1} needs a latitude and longitude`);
+        }
+        return { address: waypoint.address, latitude, longitude, order: index + 1 };
+    });
+};
+
+/**
+ * Check two lists of stops are the same places in the same order
+ */
+const isSameWaypoints = (a = [], b = []) => a.length === b.length &&
+    a.every((waypoint, index) => calculateDistance(waypoint, b[index]) <= LOCATION_TOLERANCE_KM);
+
+/**
+ * Run the fare engine for a job type
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Number} distanceKm - Distance to charge for
+ * @param {Object} options - Trip options from getQuoteOptions
+ * @param {Object} pricingOptions - { pricing, durationMinutes, waitMinutes, surgeMultiplier, isAirportTrip }
+ * @returns {Object} Fare details
+ */
+const calculateTripFare = (kind, distanceKm, options, { surgeMultiplier = 1, ...pricingOptions }) => {
+    return kind === 'ride'
+        ? calculateRideFare(distanceKm, options.rideType, { ...pricingOptions, surgeMultiplier })
+        : calculateDeliveryFare(distanceKm, options.deliveryType, options.itemWeight, {
+            ...pricingOptions,
+            isFragile: options.isFragile,
+            itemValue: options.itemValue
+        });
+};
+
+/**
+ * Price a trip on its road route with the price table in effect at the
+ * pickup. Rides include the surge at the pickup.
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} trip - { pickupLocation, destination, options, waypoints }
+ * @returns {Object} { route, fareDetails, surge, priceVersion } - route has a leg per stop
+ */
+const priceTrip = async (kind, { pickupLocation, destination, options, waypoints = [] }) => {
+    const [route, surge, { pricing, priceVersion }] = await Promise.all([
+        getRouteThrough([pickupLocation, ...waypoints, destination]),
+        kind === 'ride'
+            ? getSurgeForLocation(pickupLocation)
+            : { multiplier: 1, cellId: null, source: 'none' },
+        getActivePricing(kind, pickupLocation)
+    ]);
+
+    const fareDetails = calculateTripFare(kind, route.distanceKm, options, {
+        pricing,
+        durationMinutes: route.durationMinutes,
+        surgeMultiplier: surge.multiplier,
+        isAirportTrip: isAirportTrip(pickupLocation, destination)
+    });
+
+    return { route, fareDetails, surge, priceVersion };
+};
+
+/**
+ * Price a trip and lock the price as a quote
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} userId - User requesting the quote
+ * @param {Object} trip - { pickupLocation, destination, options, waypoints }
+ * @returns {Object} Quote document
+ */
+const createQuote = async (kind, userId, trip) => {
+    const { route, fareDetails, surge, priceVersion } = await priceTrip(kind, trip);
+
+    return Quote.create({
+        kind,
+        user: userId,
+        pickupLocation: trip.pickupLocation,
+        destination: trip.destination,
+        options: trip.options,
+        waypoints: trip.waypoints,
+        legs: route.legs,
+        distanceKm: route.distanceKm,
+        durationMinutes: route.durationMinutes,
+        routeProvider: route.provider,
+        fare: fareDetails.totalFare,
+        fareDetails,
+        surge,
+        priceVersion,
+        expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000)
+    });
+};
+
+/**
+ * Claim a quote for a new ride/delivery. Each quote can be used once.
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} quoteId - Quote ID
+ * @param {String} userId - User creating the trip
+ * @param {Object} trip - { pickupLocation, destination, waypoints }
+ * @returns {Object} Quote document
+ * @throws {Error} 404 unknown quote, 409 already used, 410 expired, 400 different trip
+ */
+const redeemQuote = async (kind, quoteId, userId, { pickupLocation, destination, waypoints = [] }) => {
+    // Quotes for changing an existing ride's stops can't book a new one
+    const quote = await Quote.findOne({ _id: quoteId, kind, user: userId, ride: null });
+    if (!quote) {
+        throw createError(404, 'Quote not found');
+    }
+    if (quote.usedAt) {
+        throw createError(409, 'This quote has already been used');
+    }
+    if (quote.expiresAt <= new Date()) {
+        throw createError(410, 'This quote has expired, please request a new fare', {
+            expiresAt: quote.expiresAt
+        });
+    }
+    if (calculateDistance(quote.pickupLocation, pickupLocation) > LOCATION_TOLERANCE_KM ||
+        calculateDistance(quote.destination, destination) > LOCATION_TOLERANCE_KM) {
+        throw createError(400, 'Pickup or destination differs from the quote, please request a new fare');
+    }
+    if (!isSameWaypoints(quote.waypoints, waypoints)) {
+        throw createError(400, 'Stops differ from the quote, please request a new fare');
+    }
+
+    const claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw createError(409, 'This quote has already been used');
+    }
+    return claimed;
+};
+
+/**
+ * Work out the fare for a ride/delivery being created, from its quote if one is given
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} userId - User creating the trip
+ * @param {Object} trip - { pickupLocation, destination, options, waypoints, quoteId }
+ * @returns {Object} { fare, fareDetails, fareBreakdown, surge, priceVersion, distanceKm, durationMinutes, legs, options, quote }
+ */
+const priceNewTrip = async (kind, userId, { pickupLocation, destination, options, waypoints = [], quoteId }) => {
+    if (quoteId) {
+        const quote = await redeemQuote(kind, quoteId, userId, { pickupLocation, destination, waypoints });
+        return {
+            fare: quote.fare,
+            fareDetails: quote.fareDetails,
+            fareBreakdown: toFareBreakdown(quote.fareDetails),
+            surge: quote.surge,
+            priceVersion: quote.priceVersion,
+            distanceKm: quote.distanceKm,
+            durationMinutes: quote.durationMinutes,
+            legs: quote.legs,
+            // The quoted options are what was priced
+            options: quote.options,
+            quote
+        };
+    }
+
+    const { route, fareDetails, surge, priceVersion } = await priceTrip(kind, { pickupLocation, destination, options, waypoints });
+    return {
+        fare: fareDetails.totalFare,
+        fareDetails,
+        fareBreakdown: toFareBreakdown(fareDetails),
+        surge,
+        priceVersion,
+        distanceKm: route.distanceKm,
+        durationMinutes: route.durationMinutes,
+        legs: route.legs,
+        options,
+        quote: null
+    };
+};
+
+module.exports = {
+    QUOTE_TTL_MINUTES,
+    MAX_WAYPOINTS,
+    getQuoteOptions,
+    parseWaypoints,
+    isSameWaypoints,
+    calculateTripFare,
+    priceTrip,
+    createQuote,
+    redeemQuote,
+    priceNewTrip
+};
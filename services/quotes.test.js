@@ -0,0 +1,157 @@
+/**
+ * Regression tests: a trip booked with a quote is charged exactly what was
+ * quoted, and a quote only books the trip it was given for.
+ */
+
+jest.mock('../models/Quote', () => ({
+    create: jest.fn(async (doc) => ({ _id: 'quote-1', ...doc })),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+jest.mock('./routing', () => ({
+    getRouteThrough: jest.fn()
+}));
+jest.mock('./surge', () => ({
+    getSurgeForLocation: jest.fn()
+}));
+jest.mock('./pricing', () => ({
+    getActivePricing: jest.fn()
+}));
+
+const Quote = require('../models/Quote');
+const { getRouteThrough } = require('./routing');
+const { getSurgeForLocation } = require('./surge');
+const { getActivePricing } = require('./pricing');
+const { toFareBreakdown } = require('../utils');
+const { createQuote, priceNewTrip } = require('./quotes');
+
+const USER_ID = 'user-1';
+const PICKUP = { address: 'Sandton City', latitude: -26.1076, longitude: 28.0567 };
+const DESTINATION = { address: 'Rosebank Mall', latitude: -26.1457, longitude: 28.0436 };
+const STOP = { address: 'Parkhurst', latitude: -26.1367, longitude: 28.0181 };
+
+const TRIPS = {
+    ride: { options: { rideType: 'comfort' }, waypoints: [] },
+    delivery: {
+        options: { deliveryType: 'express', itemWeight: 4, itemValue: 1500, isFragile: true },
+        waypoints: []
+    }
+};
+
+// Quote documents are found, then claimed, as the stored quote
+const storeQuote = (quote) => {
+    Quote.findOne.mockResolvedValue(quote);
+    Quote.findOneAndUpdate.mockImplementation(async () => ({ ...quote, usedAt: new Date() }));
+};
+
+const routeOf = (distanceKm, durationMinutes) => ({
+    distanceKm,
+    durationMinutes,
+    provider: 'estimate',
+    legs: [{ distanceKm, durationMinutes }]
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    getRouteThrough.mockResolvedValue(routeOf(6.4, 14));
+    getSurgeForLocation.mockResolvedValue({ multiplier: 1.4, cellId: 'cell-1', source: 'demand' });
+    getActivePricing.mockResolvedValue({ pricing: undefined, priceVersion: 3 });
+});
+
+describe.each(['ride', 'delivery'])('priceNewTrip for a %s', (kind) => {
+    const trip = { pickupLocation: PICKUP, destination: DESTINATION, ...TRIPS[kind] };
+
+    test('stores exactly the quoted fare and breakdown', async () => {
+        const quote = await createQuote(kind, USER_ID, trip);
+        storeQuote(quote);
+
+        // Prices have moved since the quote - the quote still wins
+        getRouteThrough.mockResolvedValue(routeOf(9.1, 25));
+        getSurgeForLocation.mockResolvedValue({ multiplier: 2, cellId: 'cell-1', source: 'demand' });
+
+        const priced = await priceNewTrip(kind, USER_ID, { ...trip, quoteId: quote._id });
+
+        expect(priced.fare).toBe(quote.fare);
+        expect(priced.fareBreakdown).toEqual(toFareBreakdown(quote.fareDetails));
+        expect(priced.fareBreakdown.total).toBe(quote.fare);
+        expect(priced.priceVersion).toBe(quote.priceVersion);
+        expect(priced.distanceKm).toBe(quote.distanceKm);
+        expect(priced.quote._id).toBe(quote._id);
+        expect(getRouteThrough).toHaveBeenCalledTimes(1);
+    });
+
+    test('prices a trip without a quote the same way a quote would', async () => {
+        const quote = await createQuote(kind, USER_ID, trip);
+        const priced = await priceNewTrip(kind, USER_ID, trip);
+
+        expect(priced.fare).toBe(quote.fare);
+        expect(priced.fareBreakdown).toEqual(toFareBreakdown(quote.fareDetails));
+        expect(priced.quote).toBeNull();
+    });
+
+    test('refuses a quote that was already used', async () => {
+        const quote = await createQuote(kind, USER_ID, trip);
+        storeQuote({ ...quote, usedAt: new Date() });
+
+        await expect(priceNewTrip(kind, USER_ID, { ...trip, quoteId: quote._id }))
+            .rejects.toMatchObject({ status: 409 });
+        expect(Quote.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('refuses a quote claimed by another booking first', async () => {
+        const quote = await createQuote(kind, USER_ID, trip);
+        storeQuote(quote);
+        Quote.findOneAndUpdate.mockResolvedValue(null);
+
+        await expect(priceNewTrip(kind, USER_ID, { ...trip, quoteId: quote._id }))
+            .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('refuses an expired quote', async () => {
+        const quote = await createQuote(kind, USER_ID, trip);
+        storeQuote({ ...quote, expiresAt: new Date(Date.now() - 1000) });
+
+        await expect(priceNewTrip(kind, USER_ID, { ...trip, quoteId: quote._id }))
+            .rejects.toMatchObject({ status: 410 });
+    });
+
+    test('refuses a quote for a different pickup', async () => {
+        const quote = await createQuote(kind, USER_ID, trip);
+        storeQuote(quote);
+        const moved = { ...PICKUP, latitude: PICKUP.latitude + 0.01 };
+
+        await expect(priceNewTrip(kind, USER_ID, { ...trip, pickupLocation: moved, quoteId: quote._id }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('refuses a quote for a different destination', async () => {
+        const quote = await createQuote(kind, USER_ID, trip);
+        storeQuote(quote);
+        const moved = { ...DESTINATION, longitude: DESTINATION.longitude + 0.01 };
+
+        await expect(priceNewTrip(kind, USER_ID, { ...trip, destination: moved, quoteId: quote._id }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('priceNewTrip with ride stops', () => {
+    const trip = { pickupLocation: PICKUP, destination: DESTINATION, options: { rideType: 'economy' }, waypoints: [STOP] };
+
+    test('refuses a quote for different stops', async () => {
+        const quote = await createQuote('ride', USER_ID, trip);
+        storeQuote(quote);
+
+        await expect(priceNewTrip('ride', USER_ID, { ...trip, waypoints: [], quoteId: quote._id }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('stores the quoted fare when the stops match', async () => {
+        const quote = await createQuote('ride', USER_ID, trip);
+        storeQuote(quote);
+
+        const priced = await priceNewTrip('ride', USER_ID, { ...trip, quoteId: quote._id });
+
+        expect(priced.fare).toBe(quote.fare);
+        expect(priced.fareBreakdown).toEqual(toFareBreakdown(quote.fareDetails));
+    });
+});
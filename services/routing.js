@@ -0,0 +1,160 @@
+/**
+ * Road routing
+ *
+ * Gives the driving distance and duration between two points. Providers are
+ * tried in order until one answers:
+ *   google    - Google Directions API (needs GOOGLE_MAPS_API_KEY)
+ *   osrm      - any OSRM-compatible server (needs OSRM_URL)
+ *   haversine - straight-line distance scaled by a detour factor; always
+ *               available, so a route is returned even when both APIs are down
+ *
+ * Set ROUTING_PROVIDERS (e.g. 'osrm,google') to change the order.
+ */
+
+const axios = require('axios');
+const { calculateDistance, calculateEstimatedTime } = require('../utils');
+
+const ROUTING_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS, 10) || 5000;
+// Road distance is typically 30-50% longer than the straight line in SA cities
+const HAVERSINE_DETOUR_FACTOR = parseFloat(process.env.HAVERSINE_DETOUR_FACTOR) || 1.4;
+const HAVERSINE_SPEED_KMH = 50;
+
+const toLatLng = (location) => `${Number(location.latitude)},${Number(location.longitude)}`;
+const toLngLat = (location) => `${Number(location.longitude)},${Number(location.latitude)}`;
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const providers = {
+    google: {
+        isConfigured: () => !!process.env.GOOGLE_MAPS_API_KEY,
+        getRoute: async (origin, destination) => {
+            const response = await axios.get('https://maps.googleapis.com/maps/api/directions/json', {
+                params: {
+                    origin: toLatLng(origin),
+                    destination: toLatLng(destination),
+                    mode: 'driving',
+                    alternatives: false,
+                    key: process.env.GOOGLE_MAPS_API_KEY
+                },
+                timeout: ROUTING_TIMEOUT_MS
+            });
+
+            if (response.data.status !== 'OK' || response.data.routes.length === 0) {
+                throw new Error(`Directions API error: ${response.data.status}`);
+            }
+
+            const leg = response.data.routes[0].legs[0];
+            return {
+                distanceKm: leg.distance.value / 1000,
+                durationMinutes: leg.duration.value / 60
+            };
+        }
+    },
+    osrm: {
+        isConfigured: () => !!process.env.OSRM_URL,
+        getRoute: async (origin, destination) => {
+            const baseUrl = process.env.OSRM_URL.replace(/\/$/, '');
+            const response = await axios.get(
+                `${baseUrl}/route/v1/driving/${toLngLat(origin)};${toLngLat(destination)}`,
+                {
+                    params: { overview: 'false' },
+                    timeout: ROUTING_TIMEOUT_MS
+                }
+            );
+
+            if (response.data.code !== 'Ok' || !response.data.routes?.length) {
+                throw new Error(`OSRM error: ${response.data.code}`);
+            }
+
+            const route = response.data.routes[0];
+            return {
+                distanceKm: route.distance / 1000,
+                durationMinutes: route.duration / 60
+            };
+        }
+    },
+    haversine: {
+        isConfigured: () => true,
+        getRoute: async (origin, destination) => {
+            const distanceKm = calculateDistance(origin, destination) * HAVERSINE_DETOUR_FACTOR;
+            return {
+                distanceKm,
+                durationMinutes: calculateEstimatedTime(distanceKm, HAVERSINE_SPEED_KMH)
+            };
+        }
+    }
+};
+
+/**
+ * Providers to try, in order. Haversine is always last.
+ * @returns {Array} Provider names
+ */
+const getProviderOrder = () => {
+    const configured = (process.env.ROUTING_PROVIDERS || 'google,osrm')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => providers[name] && name !== 'haversine');
+
+    return [...new Set(configured), 'haversine'].filter(name => providers[name].isConfigured());
+};
+
+/**
+ * Get the road distance and driving time between two points
+ * @param {Object} origin - { latitude, longitude }
+ * @param {Object} destination - { latitude, longitude }
+ * @returns {Object} { distanceKm, durationMinutes, provider }
+ */
+const getRoute = async (origin, destination) => {
+    for (const name of getProviderOrder()) {
+        try {
+            const route = await providers[name].getRoute(origin, destination);
+            return {
+                distanceKm: round(route.distanceKm),
+                durationMinutes: Math.ceil(route.durationMinutes),
+                provider: name
+            };
+        } catch (error) {
+            console.error(`⚠️ Routing provider ${name} failed:`, error.message);
+        }
+    }
+
+    // Not reached while haversine is in the list, but never leave callers without a route
+    return { distanceKm: 0, durationMinutes: 0, provider: 'none' };
+};
+
+/**
+ * Get the road route through several points in order, leg by leg
+ * @param {Array} points - At least two { latitude, longitude }
+ * @returns {Object} { distanceKm, durationMinutes, provider, legs: [{ distanceKm, durationMinutes }] }
+ */
+const getRouteThrough = async (points) => {
+    const legs = await Promise.all(points.slice(1).map((point, index) => getRoute(points[index], point)));
+
+    return {
+        distanceKm: round(legs.reduce((sum, leg) => sum + leg.distanceKm, 0)),
+        durationMinutes: legs.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+        provider: [...new Set(legs.map(leg => leg.provider))].join(','),
+        legs: legs.map(({ distanceKm, durationMinutes }) => ({ distanceKm, durationMinutes }))
+    };
+};
+
+/**
+ * Quick straight-line estimate of the road distance and driving time, for
+ * comparing many candidate routes without calling a routing API
+ * @param {Object} origin - { latitude, longitude }
+ * @param {Object} destination - { latitude, longitude }
+ * @returns {Object} { distanceKm, durationMinutes }
+ */
+const estimateRoute = (origin, destination) => {
+    const distanceKm = calculateDistance(origin, destination) * HAVERSINE_DETOUR_FACTOR;
+    return {
+        distanceKm: round(distanceKm),
+        durationMinutes: round(distanceKm / HAVERSINE_SPEED_KMH * 60, 1)
+    };
+};
+
+module.exports = {
+    getProviderOrder,
+    getRoute,
+    getRouteThrough,
+    estimateRoute
+};
@@ -0,0 +1,254 @@
+/**
+ * Scheduled rides and deliveries
+ *
+ * A trip booked for later is stored with status 'scheduled' and is invisible
+ * to drivers/couriers. Background jobs (see jobRunner.js) release it for
+ * dispatch shortly before pickup, remind the rider/customer as pickup gets
+ * close and cancel it if nobody has accepted it by the time it expires.
+ */
+
+const { createError } = require('../utils');
+const {
+    DISPATCH_LEAD_MINUTES,
+    MIN_NOTICE_MINUTES,
+    MAX_DAYS_AHEAD,
+    REMINDER_MINUTES,
+    EXPIRE_AFTER_MINUTES
+} = require('../config/scheduling');
+const { getJobType, startDispatch } = require('./dispatch');
+const { getLifecycle, transitionTrip } = require('./tripLifecycle');
+const { defineJob, scheduleJob, cancelJobs } = require('./jobRunner');
+
+const MINUTE_MS = 60 * 1000;
+
+// Statuses in which the trip still needs someone to accept it
+const UNASSIGNED_STATUSES = ['scheduled', 'pending'];
+
+const tripReference = (kind, jobId) => `${kind}:${jobId}`;
+
+// Personal room of the rider/customer (every socket joins user-<id> on connect)
+const ownerRoom = (kind, job) => {
+    const owner = job[getJobType(kind).owner];
+    return `user-${owner && owner._id ? owner._id : owner}`;
+};
+
+/**
+ * Check a requested pickup time
+ * @param {String|Date} value - Requested pickup time
+ * @returns {Date} Pickup time
+ * @throws {Error} 400 if it is invalid, too soon or too far ahead
+ */
+const parseScheduledFor = (value) => {
+    const scheduledFor = new Date(value);
+    if (!value || Number.isNaN(scheduledFor.getTime())) {
+        throw createError(400, 'scheduledFor must be a valid date');
+    }
+
+    const now = Date.now();
+    if (scheduledFor.getTime() < now + MIN_NOTICE_MINUTES * MINUTE_MS) {
+        throw createError(400, `Trips must be scheduled at least ${MIN_NOTICE_MINUTES} minutes ahead`);
+    }
+    if (scheduledFor.getTime() > now + MAX_DAYS_AHEAD * 24 * 60 * MINUTE_MS) {
+        throw createError(400, `Trips can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`);
+    }
+    return scheduledFor;
+};
+
+/**
+ * When dispatch starts for a pickup time
+ * @param {Date} scheduledFor - Pickup time
+ * @returns {Date}
+ */
+const getDispatchTime = (scheduledFor) => new Date(new Date(scheduledFor).getTime() - DISPATCH_LEAD_MINUTES * MINUTE_MS);
+
+/**
+ * Send a status change to everyone following the trip
+ */
+const emitStatusUpdate = (io, kind, job) => {
+    if (!io) return;
+    const config = getJobType(kind);
+    const jobObject = job.toObject();
+    const payload = {
+        [config.idKey]: job._id,
+        status: job.status,
+        [kind]: jobObject
+    };
+
+    io.to(`${config.jobRoomPrefix}${job._id}`).emit(`${kind}-status-update`, payload);
+    io.to(ownerRoom(kind, job)).emit(`${kind}-status-update`, payload);
+    io.to('admin').emit(`${kind}-updated`, jobObject);
+};
+
+/**
+ * Move a scheduled trip to pending and start dispatching it
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ */
+const releaseScheduledTrip = async (io, kind, jobId) => {
+    const job = await getLifecycle(kind).model.findById(jobId);
+    if (!job || job.status !== 'scheduled') return;
+
+    const { job: released } = await transitionTrip(io, kind, job, 'pending', {
+        role: 'system',
+        reason: 'Scheduled dispatch'
+    });
+    emitStatusUpdate(io, kind, released);
+
+    await startDispatch(io, kind, released._id);
+};
+
+/**
+ * Remind the rider/customer that their trip is coming up
+ * @param {Object} io - Socket.io server
+ * @param {Object} data - { kind, jobId, minutesBefore }
+ */
+const sendTripReminder = async (io, { kind, jobId, minutesBefore }) => {
+    const config = getJobType(kind);
+    const job = await config.model.findById(jobId)
+        .populate(config.assignee, 'name phone');
+    if (!job || !io || ['cancelled', getLifecycle(kind).completedStatus].includes(job.status)) return;
+
+    const payload = {
+        [config.idKey]: job._id,
+        status: job.status,
+        scheduledFor: job.scheduledFor,
+        minutesBefore,
+        [config.assignee]: job[config.assignee]
+            ? { name: job[config.assignee].name, phone: job[config.assignee].phone }
+            : null
+    };
+
+    io.to(ownerRoom(kind, job)).emit('trip-reminder', payload);
+    io.to(`${config.jobRoomPrefix}${job._id}`).emit('trip-reminder', payload);
+    console.log(`⏰ Sent ${minutesBefore}-minute reminder for ${kind} ${job._id}`);
+};
+
+/**
+ * Cancel a scheduled trip nobody accepted in time
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ */
+const expireScheduledTrip = async (io, kind, jobId) => {
+    const config = getJobType(kind);
+    const job = await config.model.findById(jobId);
+    if (!job || !UNASSIGNED_STATUSES.includes(job.status) || job[config.assignee]) return;
+
+    const { job: expired } = await transitionTrip(io, kind, job, 'cancelled', {
+        role: 'system',
+        reason: `No ${config.assignee} accepted this scheduled ${kind} in time`
+    });
+    emitStatusUpdate(io, kind, expired);
+    console.log(`⌛ Scheduled ${kind} ${job._id} expired without a ${config.assignee}`);
+};
+
+/**
+ * Create the dispatch, reminder and expiry jobs for a scheduled trip,
+ * replacing any created earlier. Dispatches straight away if pickup is
+ * already inside the lead time.
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Scheduled Ride or Delivery document
+ */
+const scheduleTrip = async (io, kind, job) => {
+    const reference = tripReference(kind, job._id);
+    const scheduledFor = new Date(job.scheduledFor);
+    const data = { kind, jobId: String(job._id) };
+    const now = Date.now();
+
+    await cancelJobs(reference);
+
+    const jobs = [];
+    const dispatchAt = getDispatchTime(scheduledFor);
+    if (job.status === 'scheduled' && dispatchAt.getTime() > now) {
+        jobs.push(scheduleJob('trip:dispatch', dispatchAt, data, { reference }));
+    }
+
+    REMINDER_MINUTES.forEach(minutesBefore => {
+        const remindAt = new Date(scheduledFor.getTime() - minutesBefore * MINUTE_MS);
+        if (remindAt.getTime() > now) {
+            jobs.push(scheduleJob('trip:reminder', remindAt, { ...data, minutesBefore }, { reference }));
+        }
+    });
+
+    const expireAt = new Date(scheduledFor.getTime() + EXPIRE_AFTER_MINUTES * MINUTE_MS);
+    jobs.push(scheduleJob('trip:expire', expireAt, data, { reference }));
+
+    await Promise.all(jobs);
+
+    if (job.status === 'scheduled' && dispatchAt.getTime() <= now) {
+        await releaseScheduledTrip(io, kind, job._id);
+    }
+};
+
+/**
+ * Undo a scheduled booking that failed part-way (e.g. saved, but its jobs
+ * couldn't all be stored): remove it while it is still scheduled and cancel
+ * its jobs. Errors are logged, not thrown.
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @returns {Boolean} Whether the trip is gone (or was never saved)
+ */
+const discardScheduledTrip = async (kind, job) => {
+    try {
+        const { model } = getLifecycle(kind);
+        const removed = await model.deleteOne({ _id: job._id, status: 'scheduled' });
+        if (removed.deletedCount > 0) {
+            await cancelJobs(tripReference(kind, job._id));
+            return true;
+        }
+        return !(await model.exists({ _id: job._id }));
+    } catch (error) {
+        console.error(`Discard scheduled ${kind} ${job._id} error:`, error);
+        return false;
+    }
+};
+
+/**
+ * Move a scheduled trip to a new pickup time
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {String|Date} value - New pickup time
+ * @returns {Object} Updated document
+ * @throws {Error} 400 for an invalid time, 409 once dispatch has started
+ */
+const rescheduleTrip = async (io, kind, job, value) => {
+    const scheduledFor = parseScheduledFor(value);
+    const { model } = getLifecycle(kind);
+
+    const updated = await model.findOneAndUpdate(
+        { _id: job._id, status: 'scheduled' },
+        { $set: { scheduledFor } },
+        { new: true }
+    );
+    if (!updated) {
+        throw createError(409, `Only ${kind}s that have not been dispatched yet can be rescheduled`, {
+            currentStatus: job.status
+        });
+    }
+
+    await scheduleTrip(io, kind, updated);
+    return updated;
+};
+
+/**
+ * Register the scheduled trip job handlers with the job runner
+ */
+const registerScheduledTripJobs = () => {
+    defineJob('trip:dispatch', (io, { kind, jobId }) => releaseScheduledTrip(io, kind, jobId));
+    defineJob('trip:reminder', (io, data) => sendTripReminder(io, data));
+    defineJob('trip:expire', (io, { kind, jobId }) => expireScheduledTrip(io, kind, jobId));
+};
+
+module.exports = {
+    parseScheduledFor,
+    getDispatchTime,
+    scheduleTrip,
+    discardScheduledTrip,
+    rescheduleTrip,
+    releaseScheduledTrip,
+    expireScheduledTrip,
+    registerScheduledTripJobs
+};
@@ -0,0 +1,354 @@
+/**
+ * Split fares
+ *
+ * The rider invites up to MAX_PARTICIPANTS people by phone or email - Mzansi
+ * users or not - to share a ride's fare equally, by percent or by fixed
+ * amounts. Users are told over their socket; everyone else gets an SMS or
+ * email with a code to enter once they have signed up. Each invitee accepts
+ * (paying by card or wallet) or declines while the ride is still open.
+ * When the ride completes the accepted shares are charged (see
+ * settleSplitFare in payments.js); declined, unanswered and failed shares
+ * stay with the rider.
+ */
+
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { createError, roundMoney, formatPrice, generateCode, isValidEmail, normalisePhone } = require('../utils');
+const { sendSms, sendEmail } = require('./notifications');
+
+const MAX_PARTICIPANTS = 4;
+// Ride statuses in which invitations can still be sent and answered
+const OPEN_STATUSES = ['scheduled', 'pending', 'accepted', 'driver_arrived', 'in_progress'];
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+
+// Phone numbers are stored as typed, so match every form of the number
+const phoneVariants = (phone) => {
+    const international = normalisePhone(phone);
+    if (!international) return [phone];
+    return [international, international.slice(1), `0${international.slice(3)}`];
+};
+
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+/**
+ * Split fare as shown to the rider and participants (without invite codes)
+ * @param {Object} ride - Ride document
+ * @returns {Object|null}
+ */
+const toSplitFareView = (ride) => {
+    if (!ride.splitFare?.enabled) return null;
+    const splitFare = ride.splitFare.toObject ? ride.splitFare.toObject() : { ...ride.splitFare };
+    splitFare.participants = (splitFare.participants || []).map(({ inviteCodeHash, ...participant }) => participant);
+    return splitFare;
+};
+
+/**
+ * Send the current split to everyone following the ride
+ */
+const emitSplitFareUpdate = (io, ride) => {
+    if (!io) return;
+    const payload = { rideId: ride._id, splitFare: toSplitFareView(ride) };
+    io.to(`ride-${ride._id}`).emit('split-fare-update', payload);
+    io.to(`user-${ride.rider._id || ride.rider}`).emit('split-fare-update', payload);
+};
+
+/**
+ * What each accepted participant owes for a fare
+ * @param {Object} ride - Ride document with splitFare
+ * @param {Number} fare - Fare being split
+ * @returns {Map} participant _id (string) -> amount
+ */
+const getShareAmounts = (ride, fare) => {
+    const { shareType, participants } = ride.splitFare;
+    const accepted = participants.filter(participant => participant.status === 'accepted');
+    const shares = new Map();
+
+    if (shareType === 'percent') {
+        accepted.forEach(participant => shares.set(String(participant._id), roundMoney(fare * participant.percent / 100)));
+    } else if (shareType === 'amount') {
+        // Fixed amounts can't add up to more than the final fare
+        const total = accepted.reduce((sum, participant) => sum + participant.amount, 0);
+        const scale = total > fare ? fare / total : 1;
+        accepted.forEach(participant => shares.set(String(participant._id), roundMoney(participant.amount * scale)));
+    } else {
+        // Everyone invited has an equal share - the rider covers any that are declined
+        const share = roundMoney(fare / (participants.length + 1));
+        accepted.forEach(participant => shares.set(String(participant._id), share));
+    }
+    return shares;
+};
+
+/**
+ * Check and normalise the invitees for a split
+ */
+const parseParticipants = (ride, rider, participants, shareType) => {
+    if (!Array.isArray(participants) || participants.length === 0) {
+        throw createError(400, 'Invite at least one person to split with');
+    }
+    if (participants.length > MAX_PARTICIPANTS) {
+        throw createError(400, `You can split a fare with at most ${MAX_PARTICIPANTS} people`);
+    }
+
+    const seen = new Set();
+    const parsed = participants.map((participant, index) => {
+        const phone = participant.phone ? normalisePhone(participant.phone) : undefined;
+        const email = participant.email ? String(participant.email).trim().toLowerCase() : undefined;
+        if (participant.phone && !phone) {
+            throw createError(400, `Participant ${index + 1} has an invalid phone number`);
+        }
+        if (!participant.userId && !phone && !email) {
+            throw createError(400, `Participant ${index + 1} needs a phone number or email`);
+        }
+        if (email && !isValidEmail(email)) {
+            throw createError(400, `Participant ${index + 1} has an invalid email`);
+        }
+
+        const key = participant.userId || phone || email;
+        if (seen.has(key)) {
+            throw createError(400, 'Each person can only be invited once');
+        }
+        seen.add(key);
+
+        if (shareType === 'percent' && !(participant.percent > 0)) {
+            throw createError(400, `Participant ${index + 1} needs a percent above 0`);
+        }
+        if (shareType === 'amount' && !(participant.amount > 0)) {
+            throw createError(400, `Participant ${index + 1} needs an amount above 0`);
+        }
+
+        return {
+            userId: participant.userId,
+            name: participant.name,
+            phone,
+            email,
+            percent: shareType === 'percent' ? Number(participant.percent) : undefined,
+            amount: shareType === 'amount' ? roundMoney(Number(participant.amount)) : undefined
+        };
+    });
+
+    const fare = ride.finalFare || ride.fare;
+    if (shareType === 'percent' && parsed.reduce((sum, participant) => sum + participant.percent, 0) >= 100) {
+        throw createError(400, 'Shares must add up to less than 100% so the rider pays something too');
+    }
+    if (shareType === 'amount' && parsed.reduce((sum, participant) => sum + participant.amount, 0) >= fare) {
+        throw createError(400, `Shares must add up to less than the fare of ${formatPrice(fare)}`);
+    }
+    if (parsed.some(participant => sameId(participant.userId, rider._id) ||
+        (participant.phone && phoneVariants(participant.phone).includes(rider.phone)) ||
+        (participant.email && participant.email === rider.email))) {
+        throw createError(400, 'You are already paying for this ride');
+    }
+    return parsed;
+};
+
+/**
+ * Tell an invitee about the split: over their socket if they use Mzansi,
+ * otherwise by SMS or email with a code to accept it once they sign up
+ */
+const sendInvitation = async (io, ride, rider, participant, code, share) => {
+    const message = `${rider.name} invited you to split a Mzansi ride fare (${share}).`;
+
+    if (participant.user) {
+        if (io) {
+            io.to(`user-${participant.user}`).emit('split-fare-invite', {
+                rideId: ride._id,
+                participantId: participant._id,
+                from: rider.name,
+                share
+            });
+        }
+        return;
+    }
+
+    const text = `${message} Sign up for Mzansi and enter code ${code} to accept or decline.`;
+    const sent = participant.phone
+        ? await sendSms(participant.phone, text)
+        : await sendEmail(participant.email, 'Split a Mzansi ride fare', text);
+    if (!sent) {
+        console.warn(`⚠️  Could not send split-fare invitation for ride ${ride._id}`);
+    }
+};
+
+/**
+ * Invite people to share a ride's fare. Replaces an earlier split as long
+ * as nobody has accepted it yet.
+ * @param {Object} io - Socket.io server
+ * @param {Object} ride - Ride document
+ * @param {Object} rider - Rider user document
+ * @param {Object} options - { participants: [{ phone|email|userId, name, percent|amount }], shareType }
+ * @returns {Object} Split fare (see toSplitFareView)
+ * @throws {Error} 400 for invalid invitees or shares, 409 if the ride is over or someone already accepted
+ */
+const createSplitFare = async (io, ride, rider, { participants, shareType = 'equal' }) => {
+    if (!OPEN_STATUSES.includes(ride.status)) {
+        throw createError(409, 'The fare can only be split before the ride ends', { status: ride.status });
+    }
+    if (ride.splitFare?.participants?.some(participant => participant.status === 'accepted')) {
+        throw createError(409, 'Someone has already accepted this split, so it can no longer be changed');
+    }
+
+    const parsed = parseParticipants(ride, rider, participants, shareType);
+
+    // Link invitees who already use Mzansi
+    const users = await User.find({
+        $or: [
+            { _id: { $in: parsed.map(participant => participant.userId).filter(Boolean) } },
+            { phone: { $in: parsed.flatMap(participant => (participant.phone ? phoneVariants(participant.phone) : [])) } },
+            { email: { $in: parsed.map(participant => participant.email).filter(Boolean) } }
+        ]
+    }).select('name phone email');
+    const findUser = (participant) => users.find(user => sameId(user._id, participant.userId) ||
+        (participant.phone && phoneVariants(participant.phone).includes(user.phone)) ||
+        (participant.email && user.email === participant.email));
+
+    const codes = [];
+    ride.splitFare = {
+        enabled: true,
+        shareType,
+        totalAmount: ride.finalFare || ride.fare,
+        participants: parsed.map(participant => {
+            const user = findUser(participant);
+            if (participant.userId && !user) {
+                throw createError(404, 'Invited user not found');
+            }
+            const code = user ? null : generateCode(8, true);
+            codes.push(code);
+            return {
+                user: user?._id,
+                name: participant.name || user?.name,
+                phone: participant.phone || user?.phone,
+                email: participant.email || user?.email,
+                inviteCodeHash: code ? hashCode(code) : undefined,
+                status: 'invited',
+                percent: participant.percent,
+                amount: participant.amount,
+                invitedAt: new Date()
+            };
+        })
+    };
+    await ride.save();
+
+    const fare = ride.finalFare || ride.fare;
+    const equalShare = roundMoney(fare / (ride.splitFare.participants.length + 1));
+    await Promise.all(ride.splitFare.participants.map((participant, index) => {
+        const share = shareType === 'percent'
+            ? `${participant.percent}% of the fare`
+            : formatPrice(shareType === 'amount' ? participant.amount : equalShare);
+        return sendInvitation(io, ride, rider, participant, codes[index], share);
+    }));
+
+    emitSplitFareUpdate(io, ride);
+    return toSplitFareView(ride);
+};
+
+/**
+ * Find the invitation a user is answering: by their account, their phone
+ * or email, or the code they were sent
+ */
+const findParticipant = (ride, user, code) => {
+    const participants = ride.splitFare?.enabled ? ride.splitFare.participants : [];
+    const codeHash = code ? hashCode(code) : null;
+
+    return participants.find(participant => sameId(participant.user, user._id)) ||
+        participants.find(participant => !participant.user && (
+            (codeHash && participant.inviteCodeHash === codeHash) ||
+            (participant.phone && user.phone && phoneVariants(participant.phone).includes(user.phone)) ||
+            (participant.email && participant.email === user.email)
+        ));
+};
+
+/**
+ * Accept or decline a split-fare invitation. An answer can be changed
+ * until the ride ends.
+ * @param {Object} io - Socket.io server
+ * @param {String} rideId - Ride ID
+ * @param {Object} user - User answering
+ * @param {Object} options - { accept, paymentMethod: 'card'|'ewallet', code }
+ * @returns {Object} Split fare (see toSplitFareView)
+ * @throws {Error} 404 if there is no invitation for them, 409 if the ride is over, 400 if they have no card
+ */
+const respondToSplitFare = async (io, rideId, user, { accept, paymentMethod = 'card', code }) => {
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+        throw createError(404, 'Ride not found');
+    }
+
+    const participant = findParticipant(ride, user, code);
+    if (!participant) {
+        throw createError(404, 'No split-fare invitation found for you on this ride');
+    }
+    if (!OPEN_STATUSES.includes(ride.status)) {
+        throw createError(409, 'This ride has ended and its split can no longer be changed', { status: ride.status });
+    }
+    if (accept && paymentMethod === 'card' &&
+        !(user.paymentMethods || []).some(method => method.type === 'card' && method.token)) {
+        throw createError(400, 'Add a card to pay your share, or pay from your wallet');
+    }
+
+    participant.user = user._id;
+    participant.name = participant.name || user.name;
+    participant.status = accept ? 'accepted' : 'declined';
+    participant.paymentMethod = accept ? paymentMethod : undefined;
+    participant.respondedAt = new Date();
+    await ride.save();
+
+    if (io) {
+        io.to(`user-${ride.rider}`).emit('split-fare-response', {
+            rideId: ride._id,
+            participantId: participant._id,
+            name: participant.name,
+            status: participant.status
+        });
+    }
+    emitSplitFareUpdate(io, ride);
+    return toSplitFareView(ride);
+};
+
+/**
+ * Open invitations for a user, by account, phone or email
+ * @param {Object} user - User document
+ * @returns {Array} { rideId, from, status, pickup, dropoff, fare, participant }
+ */
+const listSplitInvitations = async (user) => {
+    const rides = await Ride.find({
+        status: { $in: OPEN_STATUSES },
+        'splitFare.enabled': true,
+        $or: [
+            { 'splitFare.participants.user': user._id },
+            ...(user.phone ? [{ 'splitFare.participants.phone': { $in: phoneVariants(user.phone) } }] : []),
+            ...(user.email ? [{ 'splitFare.participants.email': user.email }] : [])
+        ]
+    }).populate('rider', 'name');
+
+    return rides
+        .map(ride => ({ ride, participant: findParticipant(ride, user) }))
+        .filter(({ participant }) => participant && participant.status !== 'declined')
+        .map(({ ride, participant }) => ({
+            rideId: ride._id,
+            from: ride.rider?.name,
+            status: ride.status,
+            pickup: ride.pickupLocation?.address,
+            dropoff: ride.dropoffLocation?.address,
+            fare: ride.fare,
+            shareType: ride.splitFare.shareType,
+            participant: {
+                _id: participant._id,
+                status: participant.status,
+                percent: participant.percent,
+                amount: participant.amount,
+                paymentMethod: participant.paymentMethod
+            }
+        }));
+};
+
+module.exports = {
+    MAX_PARTICIPANTS,
+    toSplitFareView,
+    emitSplitFareUpdate,
+    getShareAmounts,
+    createSplitFare,
+    respondToSplitFare,
+    listSplitInvitations
+};
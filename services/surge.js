@@ -0,0 +1,288 @@
+/**
+ * Surge pricing by demand zone
+ *
+ * Every UPDATE_INTERVAL_MS the pickups of recent pending rides and the
+ * positions of online drivers are counted per grid cell. The cell's raw
+ * multiplier comes from calculateSurgeMultiplier, is smoothed against the
+ * previous value so prices don't jump between updates, and is capped at
+ * MAX_MULTIPLIER. Admins can pin a cell to a fixed multiplier for a while.
+ *
+ * Cells are stored in MongoDB so every API instance quotes the same surge.
+ * Updates run as a job (see jobRunner), so however many instances are up
+ * each interval is smoothed once. After each update the heatmap is pushed
+ * to drivers ('drivers' room) and admins so drivers can move toward demand.
+ */
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const SurgeCell = require('../models/SurgeCell');
+const Job = require('../models/Job');
+const { calculateSurgeMultiplier } = require('../utils');
+const {
+    CELL_SIZE_DEG,
+    UPDATE_INTERVAL_MS,
+    DEMAND_WINDOW_MINUTES,
+    MAX_MULTIPLIER,
+    SMOOTHING_FACTOR
+} = require('../config/surge');
+const { onlineFilter } = require('./presence');
+const { defineJob, scheduleJob } = require('./jobRunner');
+
+const UPDATE_JOB = 'surge:update';
+
+const roundMultiplier = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Grid cell containing a location
+ * @param {Object} location - { latitude, longitude }
+ * @returns {String|null} Cell ID, e.g. '-1311:1402'
+ */
+const getCellId = (location) => {
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    return `${Math.floor(latitude / CELL_SIZE_DEG)}:${Math.floor(longitude / CELL_SIZE_DEG)}`;
+};
+
+/**
+ * Centre point of a grid cell
+ * @param {String} cellId - Cell ID
+ * @returns {Object} { latitude, longitude }
+ */
+const getCellCenter = (cellId) => {
+    const [latIndex, lngIndex] = cellId.split(':').map(Number);
+    const toCoordinate = (index) => Math.round((index + 0.5) * CELL_SIZE_DEG * 1e5) / 1e5;
+    return {
+        latitude: toCoordinate(latIndex),
+        longitude: toCoordinate(lngIndex)
+    };
+};
+
+/**
+ * Multiplier that applies to a cell right now
+ * @param {Object} cell - SurgeCell document (or null)
+ * @returns {Object} { multiplier, source }
+ */
+const getEffectiveSurge = (cell) => {
+    if (cell?.override?.multiplier && (!cell.override.expiresAt || cell.override.expiresAt > new Date())) {
+        return { multiplier: cell.override.multiplier, source: 'override' };
+    }
+    if (cell && cell.multiplier > 1) {
+        return { multiplier: cell.multiplier, source: 'demand' };
+    }
+    return { multiplier: 1, source: 'none' };
+};
+
+/**
+ * Surge multiplier for a pickup location
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Object} { multiplier, cellId, source }
+ */
+const getSurgeForLocation = async (location) => {
+    const cellId = getCellId(location);
+    if (!cellId) {
+        return { multiplier: 1, cellId: null, source: 'none' };
+    }
+
+    const cell = await SurgeCell.findOne({ cellId });
+    return { ...getEffectiveSurge(cell), cellId };
+};
+
+/**
+ * GeoJSON area covering a set of cells, for finding drivers inside them
+ * @param {Array} cellIds - Cell IDs
+ * @returns {Object} MultiPolygon
+ */
+const getCellsArea = (cellIds) => ({
+    type: 'MultiPolygon',
+    coordinates: cellIds.map(cellId => {
+        const [latIndex, lngIndex] = cellId.split(':').map(Number);
+        const toCoordinate = (index) => Math.round(index * CELL_SIZE_DEG * 1e5) / 1e5;
+        const [south, north] = [latIndex, latIndex + 1].map(toCoordinate);
+        const [west, east] = [lngIndex, lngIndex + 1].map(toCoordinate);
+        return [[[west, south], [east, south], [east, north], [west, north], [west, south]]];
+    })
+});
+
+/**
+ * Count locations per cell
+ */
+const countByCell = (locations) => {
+    const counts = new Map();
+    locations.forEach(location => {
+        const cellId = getCellId(location);
+        if (cellId) counts.set(cellId, (counts.get(cellId) || 0) + 1);
+    });
+    return counts;
+};
+
+/**
+ * Cells with surge, for the driver heatmap
+ * @returns {Array} [{ cellId, center, multiplier, source, demand, supply }]
+ */
+const getSurgeHeatmap = async () => {
+    const cells = await SurgeCell.find({
+        $or: [
+            { multiplier: { $gt: 1 } },
+            { 'override.multiplier': { $exists: true } }
+        ]
+    });
+
+    return cells
+        .map(cell => ({
+            cellId: cell.cellId,
+            center: cell.center,
+            ...getEffectiveSurge(cell),
+            demand: cell.demand,
+            supply: cell.supply
+        }))
+        .filter(cell => cell.multiplier > 1);
+};
+
+/**
+ * Recalculate surge for every cell with demand or existing surge, then
+ * push the heatmap to drivers and admins
+ * @param {Object} io - Socket.io server
+ * @returns {Array} Heatmap after the update
+ */
+const updateSurge = async (io) => {
+    const since = new Date(Date.now() - DEMAND_WINDOW_MINUTES * 60 * 1000);
+
+    const pendingRides = await Ride.find({ status: 'pending', driver: null, createdAt: { $gte: since } })
+        .select('pickupLocation');
+    const demand = countByCell(pendingRides.map(ride => ride.pickupLocation));
+
+    // Cells with demand now, plus cells still surging that need to cool down
+    const stored = await SurgeCell.find({
+        $or: [
+            { multiplier: { $gt: 1 } },
+            { cellId: { $in: Array.from(demand.keys()) } }
+        ]
+    }).select('cellId multiplier');
+    const previous = new Map(stored.map(cell => [cell.cellId, cell.multiplier]));
+    const cellIds = new Set([...demand.keys(), ...previous.keys()]);
+
+    // Supply only matters in those cells
+    const drivers = cellIds.size === 0 ? [] : await User.find({
+        isDriver: true,
+        'driverInfo.isAvailable': true,
+        ...onlineFilter('ride'),
+        'driverInfo.currentPoint': { $geoWithin: { $geometry: getCellsArea(Array.from(cellIds)) } }
+    }).select('driverInfo.currentLocation');
+    const supply = countByCell(drivers.map(driver => driver.driverInfo?.currentLocation));
+
+    const operations = Array.from(cellIds).map(cellId => {
+        const cellDemand = demand.get(cellId) || 0;
+        const cellSupply = supply.get(cellId) || 0;
+        const rawMultiplier = cellDemand > 0 ? calculateSurgeMultiplier(cellDemand, cellSupply) : 1;
+        const last = previous.get(cellId) || 1;
+        const smoothed = last + (rawMultiplier - last) * SMOOTHING_FACTOR;
+        // Snap back to 1 once surge has nearly decayed
+        const multiplier = smoothed < 1.05 ? 1 : roundMultiplier(Math.min(smoothed, MAX_MULTIPLIER));
+
+        return {
+            updateOne: {
+                filter: { cellId },
+                update: {
+                    $set: {
+                        center: getCellCenter(cellId),
+                        demand: cellDemand,
+                        supply: cellSupply,
+                        rawMultiplier,
+                        multiplier
+                    }
+                },
+                upsert: true
+            }
+        };
+    });
+
+    if (operations.length > 0) {
+        await SurgeCell.bulkWrite(operations);
+    }
+
+    const heatmap = await getSurgeHeatmap();
+    if (io) {
+        const payload = { cells: heatmap, cellSizeDeg: CELL_SIZE_DEG, updatedAt: new Date() };
+        io.to('drivers').emit('surge-heatmap', payload);
+        io.to('admin').emit('surge-heatmap', payload);
+    }
+    return heatmap;
+};
+
+/**
+ * Pin a cell to a fixed multiplier
+ * @param {Object} location - Any point in the cell ({ latitude, longitude })
+ * @param {Object} override - { multiplier, expiresAt, reason, setBy }
+ * @returns {Object} SurgeCell document
+ */
+const setSurgeOverride = async (location, { multiplier, expiresAt = null, reason, setBy }) => {
+    const cellId = getCellId(location);
+
+    return SurgeCell.findOneAndUpdate(
+        { cellId },
+        {
+            $set: {
+                center: getCellCenter(cellId),
+                override: { multiplier: roundMultiplier(multiplier), expiresAt, reason, setBy }
+            }
+        },
+        { new: true, upsert: true }
+    );
+};
+
+/**
+ * Remove an admin override so demand-based surge applies again
+ * @param {String} cellId - Cell ID
+ * @returns {Object|null} SurgeCell document
+ */
+const clearSurgeOverride = async (cellId) => {
+    return SurgeCell.findOneAndUpdate({ cellId }, { $unset: { override: 1 } }, { new: true });
+};
+
+/**
+ * Make sure the next surge update is scheduled (safe to call on every start).
+ * Only one update is ever waiting, so instances never smooth the same interval twice:
+ * each interval's update is a unique job, and an update that runs while another is
+ * already waiting doesn't schedule its own.
+ * @param {Object} currentJob - The update job that is running now, if any
+ */
+const scheduleSurgeUpdates = async (currentJob = null) => {
+    const waiting = { name: UPDATE_JOB, status: { $in: ['pending', 'running'] } };
+    if (currentJob) waiting._id = { $ne: currentJob._id };
+    if (await Job.exists(waiting)) return;
+
+    const runAt = new Date(Math.ceil((Date.now() + 1) / UPDATE_INTERVAL_MS) * UPDATE_INTERVAL_MS);
+    await scheduleJob(UPDATE_JOB, runAt, {}, {
+        reference: `${UPDATE_JOB}:${runAt.toISOString()}`,
+        maxAttempts: 1,
+        unique: true
+    });
+};
+
+/**
+ * Register the surge update job with the job runner
+ */
+const registerSurgeJobs = () => {
+    defineJob(UPDATE_JOB, async (io, data, job) => {
+        try {
+            await updateSurge(io);
+        } finally {
+            await scheduleSurgeUpdates(job);
+        }
+    });
+};
+
+module.exports = {
+    getCellId,
+    getCellCenter,
+    getEffectiveSurge,
+    getSurgeForLocation,
+    getSurgeHeatmap,
+    updateSurge,
+    setSurgeOverride,
+    clearSurgeOverride,
+    scheduleSurgeUpdates,
+    registerSurgeJobs
+};
@@ -0,0 +1,449 @@
+/**
+ * Ride and delivery state machine
+ *
+ * Defines which status changes are legal, who may make each one and what
+ * has to happen alongside it (timestamps, final fare, cancellation fee,
+ * payment, earnings, loyalty, driver stats, dispatch cleanup, pool stops,
+ * handover PINs).
+ * Every change is written atomically together with an entry in the job's
+ * statusHistory.
+ */
+
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const { createError } = require('../utils');
+const {
+    completeDispatch,
+    cancelDispatch,
+    hasActiveOffer,
+    isDispatching
+} = require('./dispatch');
+const { recordTripOutcome, recordCancellation } = require('./driverStats');
+const { cancelJobs } = require('./jobRunner');
+const { calculateFinalFare } = require('./tripMetering');
+const { assessCancellationFee } = require('./cancellation');
+const { settleTripPayment } = require('./payments');
+const { recordTripEarnings } = require('./earnings');
+const { updatePoolForRide } = require('./pooling');
+const { sendHandoffPins } = require('./handoff');
+const { enforceCommissionDebtLimit } = require('./presence');
+const { awardLoyaltyPoints } = require('../routes/loyalty');
+
+// For each status: the statuses it may move to and the roles allowed to move it there
+const LIFECYCLES = {
+    ride: {
+        model: Ride,
+        owner: 'rider',
+        assignee: 'driver',
+        completedStatus: 'completed',
+        transitions: {
+            // Scheduled rides are held until the scheduler releases them for dispatch
+            scheduled: {
+                pending: ['admin', 'system'],
+                cancelled: ['rider', 'admin', 'system']
+            },
+            pending: {
+                accepted: ['driver'],
+                cancelled: ['rider', 'admin', 'system']
+            },
+            accepted: {
+                driver_arrived: ['driver', 'admin'],
+                in_progress: ['driver', 'admin'],
+                cancelled: ['rider', 'driver', 'admin', 'system']
+            },
+            driver_arrived: {
+                in_progress: ['driver', 'admin'],
+                cancelled: ['rider', 'driver', 'admin', 'system']
+            },
+            in_progress: {
+                completed: ['driver', 'admin'],
+                cancelled: ['admin']
+            },
+            completed: {},
+            cancelled: {}
+        },
+        // Timestamp set the first time a status is reached
+        timestamps: {
+            accepted: 'acceptedAt',
+            driver_arrived: 'arrivedAt',
+            in_progress: 'startedAt',
+            completed: 'completedAt',
+            cancelled: 'cancelledAt'
+        }
+    },
+    delivery: {
+        model: Delivery,
+        owner: 'customer',
+        assignee: 'courier',
+        completedStatus: 'delivered',
+        transitions: {
+            scheduled: {
+                pending: ['admin', 'system'],
+                cancelled: ['customer', 'admin', 'system']
+            },
+            pending: {
+                accepted: ['courier'],
+                cancelled: ['customer', 'admin', 'system']
+            },
+            accepted: {
+                picked_up: ['courier', 'admin'],
+                cancelled: ['customer', 'courier', 'admin', 'system']
+            },
+            // The system cancels a batch once every one of its drop-offs has failed
+            picked_up: {
+                in_transit: ['courier', 'admin'],
+                delivered: ['courier', 'admin'],
+                cancelled: ['admin', 'system']
+            },
+            in_transit: {
+                delivered: ['courier', 'admin'],
+                cancelled: ['admin', 'system']
+            },
+            delivered: {},
+            cancelled: {}
+        },
+        timestamps: {
+            accepted: 'acceptedAt',
+            picked_up: 'pickedUpAt',
+            in_transit: 'inTransitAt',
+            delivered: 'deliveredAt',
+            cancelled: 'cancelledAt'
+        }
+    }
+};
+
+/**
+ * Get the state machine for a job type
+ * @param {String} kind - 'ride' or 'delivery'
+ * @returns {Object} Lifecycle settings
+ */
+const getLifecycle = (kind) => {
+    const lifecycle = LIFECYCLES[kind];
+    if (!lifecycle) {
+        throw new Error(`Unknown job type: ${kind}`);
+    }
+    return lifecycle;
+};
+
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Work out which role a user plays on a job
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {Object} user - Authenticated user
+ * @returns {String|null} Owner role, assignee role, 'admin' or null
+ */
+const getActorRole = (kind, job, user) => {
+    const { owner, assignee } = getLifecycle(kind);
+    const userId = String(user._id || user.id);
+
+    if (job[assignee] && String(refId(job[assignee])) === userId) return assignee;
+    if (job[owner] && String(refId(job[owner])) === userId) return owner;
+    if (user.role === 'admin') return 'admin';
+    return null;
+};
+
+/**
+ * Statuses a role may move a job to from its current status
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} status - Current status
+ * @param {String} role - Actor role
+ * @returns {Array} Status names
+ */
+const getAllowedTransitions = (kind, status, role) => {
+    const transitions = getLifecycle(kind).transitions[status] || {};
+    return Object.keys(transitions).filter(next => transitions[next].includes(role));
+};
+
+/**
+ * Run one side effect, logging a failure instead of letting it skip the ones after it
+ */
+const runSideEffect = async (kind, job, name, effect) => {
+    try {
+        await effect();
+    } catch (error) {
+        console.error(`${kind} ${job._id} ${name} error:`, error);
+    }
+};
+
+/**
+ * Side effects that run once a transition has been saved. Each one runs on
+ * its own so a failure (e.g. loyalty points) can't stop payment settlement
+ * or earnings for the trip.
+ */
+const afterTransition = async (io, kind, job, fromStatus, toStatus, role) => {
+    const { owner, assignee, completedStatus } = getLifecycle(kind);
+    const assigneeId = refId(job[assignee]);
+    const run = (name, effect) => runSideEffect(kind, job, name, effect);
+
+    if (toStatus === 'accepted') {
+        // Close the offer log and withdraw offers held by others
+        await run('complete dispatch', () => completeDispatch(io, kind, job, assigneeId));
+    }
+
+    if (toStatus === completedStatus) {
+        await run('loyalty points', () => awardLoyaltyPoints(refId(job[owner]), job.finalFare || job.fare || 0));
+        if (assigneeId) {
+            await run('trip outcome', () => recordTripOutcome(kind, assigneeId, 'completed'));
+        }
+    }
+
+    if (toStatus === 'cancelled' && assigneeId) {
+        // Only cancellations that are the driver/courier's fault count against their cancellation rate
+        await run('cancellation stats', async () => {
+            if (job.cancellationFee?.policy === 'no_show') {
+                await recordCancellation(kind, assigneeId, 'noShows');
+            } else if (role === assignee) {
+                await recordTripOutcome(kind, assigneeId, 'cancelled');
+                await recordCancellation(kind, assigneeId, 'own');
+            } else if (role === owner) {
+                await recordCancellation(kind, assigneeId, 'byCustomer');
+            }
+        });
+    }
+
+    if (toStatus === 'cancelled' && fromStatus === 'pending') {
+        await run('cancel dispatch', () => cancelDispatch(io, kind, job));
+    }
+
+    if (kind === 'delivery' && toStatus === 'picked_up') {
+        // Text each recipient the PIN the courier needs to hand their parcel over
+        await run('handover PINs', () => sendHandoffPins(job));
+    }
+
+    if (kind === 'ride' && job.pool) {
+        // Keep the pool's stop list in step and send it to the driver
+        await run('pool update', () => updatePoolForRide(io, job, toStatus));
+    }
+
+    if (toStatus === completedStatus || toStatus === 'cancelled') {
+        // Capture the fare or cancellation fee, or release the card hold
+        await run('payment settlement', () => settleTripPayment(io, kind, job));
+        // Credit the driver/courier's share of the fare or fee
+        await run('earnings', async () => {
+            const earnings = await recordTripEarnings(kind, job);
+            if (earnings?.payable < 0 && assigneeId) {
+                // Commission on a cash trip can take them over the debt limit
+                await enforceCommissionDebtLimit(io, assigneeId);
+            }
+        });
+    }
+
+    if (job.isScheduled && (toStatus === completedStatus || toStatus === 'cancelled')) {
+        // Drop reminders and expiry checks that are still waiting
+        await run('cancel scheduled jobs', () => cancelJobs(`${kind}:${job._id}`));
+    }
+};
+
+/**
+ * Move a ride or delivery to a new status
+ * @param {Object} io - Socket.io server (for dispatch notifications)
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {String} toStatus - Target status
+ * @param {Object} options - { actor, role, reason, assign, guard }
+ *   actor: user ID making the change (omit for system changes)
+ *   role: actor's role on the job (see getActorRole)
+ *   reason: optional note, e.g. a cancellation reason
+ *   assign: driver/courier ID to assign when accepting
+ *   guard: extra conditions the stored job must still match for the write to apply
+ * @returns {Object} { job, changed } with the updated document
+ * @throws {Error} 403 if the role may not make this change, 409 if the change is not legal
+ */
+const transitionTrip = async (io, kind, job, toStatus, { actor = null, role, reason, assign, guard } = {}) => {
+    const lifecycle = getLifecycle(kind);
+    const { model, assignee, transitions, timestamps } = lifecycle;
+    const fromStatus = job.status;
+
+    // Repeating the current status is a no-op so retried requests don't fail
+    if (fromStatus === toStatus) {
+        return { job, changed: false };
+    }
+
+    const allowedRoles = transitions[fromStatus]?.[toStatus];
+    if (!allowedRoles) {
+        throw createError(409, `Cannot change ${kind} status from ${fromStatus} to ${toStatus}`, {
+            currentStatus: fromStatus,
+            allowedStatuses: getAllowedTransitions(kind, fromStatus, role)
+        });
+    }
+    if (!allowedRoles.includes(role)) {
+        throw createError(403, `A ${role || 'non-participant'} cannot change this ${kind} to ${toStatus}`, {
+            currentStatus: fromStatus,
+            allowedStatuses: getAllowedTransitions(kind, fromStatus, role)
+        });
+    }
+
+    const now = new Date();
+    const filter = { ...guard, _id: job._id, status: fromStatus };
+    const $set = { status: toStatus };
+
+    if (timestamps[toStatus] && !job[timestamps[toStatus]]) {
+        $set[timestamps[toStatus]] = now;
+    }
+    if (toStatus === 'accepted') {
+        if (!assign) {
+            throw createError(400, `A ${assignee} is required to accept this ${kind}`);
+        }
+        filter[assignee] = null;
+        $set[assignee] = assign;
+    }
+    if (toStatus === lifecycle.completedStatus && !job.finalFare) {
+        // Fare is final once the trip ends, priced on what actually happened
+        const { finalFare, finalFareBreakdown, tripMetrics } = await calculateFinalFare(kind, job, now);
+        Object.assign($set, { finalFare, finalFareBreakdown, tripMetrics });
+    }
+    if (toStatus === 'cancelled') {
+        $set.cancelledBy = role;
+        $set.cancellationReason = reason || job.cancellationReason || 'Cancelled by user';
+        const fee = await assessCancellationFee(kind, job, role, now);
+        $set.cancellationFee = { ...fee, status: fee.amount > 0 ? 'pending' : 'none' };
+    }
+
+    const updated = await model.findOneAndUpdate(filter, {
+        $set,
+        $push: {
+            statusHistory: {
+                from: fromStatus,
+                to: toStatus,
+                actor,
+                actorRole: role,
+                reason,
+                at: now
+            }
+        }
+    }, { new: true });
+
+    if (!updated) {
+        const current = await model.findById(job._id).select(`status ${assignee}`);
+        throw createError(409, `This ${kind} was updated by someone else, please refresh`, {
+            currentStatus: current?.status
+        });
+    }
+
+    console.log(`🔁 ${kind} ${job._id}: ${fromStatus} → ${toStatus} (by ${role}${actor ? ` ${actor}` : ''})`);
+    await afterTransition(io, kind, updated, fromStatus, toStatus, role);
+
+    return { job: updated, changed: true };
+};
+
+/**
+ * Who holds a job right now, returned to drivers/couriers who lose an acceptance race
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @returns {Object} { status, driver|courier, acceptedAt }
+ */
+const getAssignmentState = (kind, job) => {
+    const { assignee } = getLifecycle(kind);
+    const assigneeId = refId(job[assignee]);
+
+    return {
+        status: job.status,
+        [assignee]: assigneeId ? String(assigneeId) : null,
+        acceptedAt: job.acceptedAt || null
+    };
+};
+
+/**
+ * Decide whether a user may accept a job as it is stored now
+ * @returns {Object|null} { job, changed: false } if they already hold it, null if they may accept
+ * @throws {Error} 409 if someone else holds it or it is no longer pending, 403 if it wasn't offered to them
+ */
+const checkAcceptance = (kind, job, userId) => {
+    const { assignee } = getLifecycle(kind);
+    const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+    const assigneeId = refId(job[assignee]);
+    const details = {
+        currentStatus: job.status,
+        [`${kind}Id`]: String(job._id),
+        assignment: getAssignmentState(kind, job)
+    };
+
+    if (assigneeId && String(assigneeId) === String(userId)) {
+        return { job, changed: false };
+    }
+    if (assigneeId) {
+        throw createError(409, `${label} has already been accepted by another ${assignee}`, details);
+    }
+    if (job.status !== 'pending') {
+        const message = job.status === 'cancelled'
+            ? `${label} has been cancelled`
+            : `${label} is no longer available`;
+        throw createError(409, message, details);
+    }
+    if (isDispatching(job) && !hasActiveOffer(kind, job, userId)) {
+        throw createError(403, `This ${kind} has not been offered to you or your offer has expired`, {
+            [`${kind}Id`]: String(job._id)
+        });
+    }
+    return null;
+};
+
+/**
+ * Assign a pending ride/delivery to a driver/courier. The assignment is a
+ * single conditional update, so when several accept at once exactly one
+ * wins and the rest get a 409 describing the winning assignment. Accepting
+ * a job you already hold returns it unchanged.
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ * @param {String} userId - Driver or courier accepting
+ * @returns {Object} { job, changed } with the accepted document
+ * @throws {Error} 404 if the job doesn't exist, 403/409 as for checkAcceptance
+ */
+const acceptTrip = async (io, kind, jobId, userId) => {
+    const { model, assignee } = getLifecycle(kind);
+
+    const job = await model.findById(jobId);
+    if (!job) {
+        throw createError(404, `${kind.charAt(0).toUpperCase() + kind.slice(1)} not found`);
+    }
+
+    const held = checkAcceptance(kind, job, userId);
+    if (held) return held;
+
+    try {
+        return await transitionTrip(io, kind, job, 'accepted', {
+            actor: userId,
+            role: assignee,
+            assign: userId,
+            // While dispatch is running the offer must still be open when the write lands
+            guard: {
+                $or: [
+                    { 'dispatch.status': { $ne: 'searching' } },
+                    {
+                        offers: {
+                            $elemMatch: {
+                                [assignee]: userId,
+                                status: 'pending',
+                                expiresAt: { $gt: new Date() }
+                            }
+                        }
+                    }
+                ]
+            }
+        });
+    } catch (error) {
+        if (error.status !== 409) throw error;
+
+        // Lost the race (or the offer lapsed) - report what actually happened
+        const current = await model.findById(jobId);
+        if (!current) {
+            throw createError(404, `${kind.charAt(0).toUpperCase() + kind.slice(1)} not found`);
+        }
+        const outcome = checkAcceptance(kind, current, userId);
+        if (outcome) return outcome;
+        throw error;
+    }
+};
+
+module.exports = {
+    LIFECYCLES,
+    getLifecycle,
+    getActorRole,
+    getAllowedTransitions,
+    getAssignmentState,
+    transitionTrip,
+    acceptTrip
+};
@@ -0,0 +1,249 @@
+/**
+ * Trip metering and final fares
+ *
+ * Driver/courier positions reported during a trip are appended to the job's
+ * location trail. When the trip completes, the final fare is priced with
+ * the same price table and surge as the booking, using the distance
+ * travelled, the actual trip time and any waiting at pickup beyond the
+ * table's grace period. A quoted trip that stayed close to its quote keeps
+ * the quoted fare and breakdown and only has waiting time added. Pooled rides keep the
+ * fare they were booked at.
+ */
+
+const Ride = require('../models/Ride');
+const Delivery = require('../models/Delivery');
+const { calculateDistance, calculateWaitFare, roundMoney, toFareBreakdown } = require('../utils');
+const { isAirportTrip } = require('../config/airports');
+const {
+    TRAIL_MIN_INTERVAL_MS,
+    TRAIL_MAX_POINTS,
+    MAX_SPEED_KMH,
+    MIN_TRAIL_COVERAGE,
+    QUOTE_TOLERANCE_PERCENT
+} = require('../config/metering');
+const { getPricingForVersion } = require('./pricing');
+const { calculateTripFare } = require('./quotes');
+
+const METERS = {
+    ride: {
+        model: Ride,
+        assignee: 'driver',
+        locationField: 'driverLocation',
+        destinationField: 'dropoffLocation',
+        // Position is kept up to date in these statuses...
+        trackedStatuses: ['accepted', 'driver_arrived', 'in_progress'],
+        // ...and added to the trail in these
+        meteredStatuses: ['in_progress'],
+        arrivedField: 'arrivedAt',
+        startedField: 'startedAt'
+    },
+    delivery: {
+        model: Delivery,
+        assignee: 'courier',
+        locationField: 'courierLocation',
+        destinationField: 'deliveryLocation',
+        trackedStatuses: ['accepted', 'picked_up', 'in_transit'],
+        meteredStatuses: ['picked_up', 'in_transit'],
+        arrivedField: null,
+        startedField: 'pickedUpAt'
+    }
+};
+
+// When each job last had a position stored, for throttling
+const lastRecorded = new Map();
+
+const minutesBetween = (from, to) => Math.max((new Date(to) - new Date(from)) / 60000, 0);
+
+/**
+ * Drop throttle entries for trips that have stopped reporting
+ */
+const pruneLastRecorded = (now) => {
+    lastRecorded.forEach((at, key) => {
+        if (now - at > TRAIL_MIN_INTERVAL_MS * 10) {
+            lastRecorded.delete(key);
+        }
+    });
+};
+
+/**
+ * Store a driver/courier position for a trip they are assigned to
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} jobId - Ride or Delivery ID
+ * @param {String} userId - Driver/courier reporting the position
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Boolean} Whether the position was stored
+ */
+const recordTripLocation = async (kind, jobId, userId, location) => {
+    const { model, assignee, locationField, trackedStatuses, meteredStatuses } = METERS[kind];
+    const latitude = parseFloat(location?.latitude);
+    const longitude = parseFloat(location?.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        return false;
+    }
+
+    const key = `${kind}:${jobId}`;
+    const now = Date.now();
+    if (now - (lastRecorded.get(key) || 0) < TRAIL_MIN_INTERVAL_MS) {
+        return false;
+    }
+    lastRecorded.set(key, now);
+    if (lastRecorded.size > 1000) {
+        pruneLastRecorded(now);
+    }
+
+    const at = new Date(now);
+    const $set = { [locationField]: { latitude, longitude, timestamp: at } };
+
+    const metered = await model.updateOne(
+        { _id: jobId, [assignee]: userId, status: { $in: meteredStatuses } },
+        {
+            $set,
+            $push: { locationTrail: { $each: [{ latitude, longitude, at }], $slice: -TRAIL_MAX_POINTS } }
+        }
+    );
+    if (metered.matchedCount > 0) {
+        return true;
+    }
+
+    const tracked = await model.updateOne(
+        { _id: jobId, [assignee]: userId, status: { $in: trackedStatuses } },
+        { $set }
+    );
+    return tracked.matchedCount > 0;
+};
+
+/**
+ * Distance covered by a location trail, ignoring GPS jumps
+ * @param {Array} trail - [{ latitude, longitude, at }] in time order
+ * @returns {Number} Distance in kilometers
+ */
+const getTrailDistanceKm = (trail = []) => {
+    let distanceKm = 0;
+
+    for (let i = 1; i < trail.length; i++) {
+        const hopKm = calculateDistance(trail[i - 1], trail[i]);
+        const hopHours = (new Date(trail[i].at) - new Date(trail[i - 1].at)) / 3600000;
+        if (hopHours > 0 && hopKm / hopHours > MAX_SPEED_KMH) {
+            continue;
+        }
+        distanceKm += hopKm;
+    }
+    return Math.round(distanceKm * 100) / 100;
+};
+
+/**
+ * Check whether an actual value is within the quote tolerance of the booked one
+ */
+const isCloseToBooked = (actual, booked) => {
+    if (!booked) return true;
+    return Math.abs(actual - booked) <= booked * QUOTE_TOLERANCE_PERCENT / 100;
+};
+
+/**
+ * Work out what a trip costs now that it has ended
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {Date} completedAt - When the trip ended
+ * @returns {Object} { finalFare, finalFareBreakdown, tripMetrics }
+ */
+const calculateFinalFare = async (kind, job, completedAt = new Date()) => {
+    const { model, destinationField, arrivedField, startedField } = METERS[kind];
+    const startedAt = job[startedField] || completedAt;
+
+    const [stored, pricing] = await Promise.all([
+        model.findById(job._id).select('+locationTrail'),
+        getPricingForVersion(kind, job.priceVersion)
+    ]);
+    const trail = (stored?.locationTrail || []).filter(point => point.at >= startedAt);
+
+    const routeDistanceKm = job.distance || 0;
+    const trailDistanceKm = getTrailDistanceKm(trail);
+    const useTrail = trail.length >= 2 && trailDistanceKm >= routeDistanceKm * MIN_TRAIL_COVERAGE;
+    const distanceKm = useTrail ? trailDistanceKm : routeDistanceKm;
+
+    const durationMinutes = Math.ceil(minutesBetween(startedAt, completedAt));
+    const waitMinutes = arrivedField && job[arrivedField]
+        ? Math.round(minutesBetween(job[arrivedField], startedAt) * 10) / 10
+        : 0;
+
+    if (job.isPooled) {
+        // The driver's route includes other riders' stops, so the booked fare stands
+        return {
+            finalFare: job.fare,
+            finalFareBreakdown: job.fareBreakdown,
+            tripMetrics: {
+                distanceKm,
+                distanceSource: useTrail ? 'trail' : 'route',
+                durationMinutes,
+                waitMinutes,
+                chargeableWaitMinutes: 0,
+                pricedOn: 'pool'
+            }
+        };
+    }
+
+    const keepQuote = !!job.quote
+        && isCloseToBooked(distanceKm, routeDistanceKm)
+        && isCloseToBooked(durationMinutes, job.duration);
+
+    if (keepQuote) {
+        // Charge what was quoted, plus any waiting beyond the grace period
+        const booked = job.fareBreakdown?.toObject ? job.fareBreakdown.toObject() : { ...job.fareBreakdown };
+        const wait = calculateWaitFare(kind, kind === 'ride' ? job.rideType : job.deliveryType, waitMinutes, pricing);
+        const finalFare = roundMoney(job.fare + wait.total);
+
+        return {
+            finalFare,
+            finalFareBreakdown: {
+                ...booked,
+                waitCharge: roundMoney((booked.waitCharge || 0) + wait.waitCharge),
+                serviceFee: roundMoney((booked.serviceFee || 0) + wait.serviceFee),
+                vat: roundMoney((booked.vat || 0) + wait.tax),
+                total: finalFare
+            },
+            tripMetrics: {
+                distanceKm,
+                distanceSource: useTrail ? 'trail' : 'route',
+                durationMinutes,
+                waitMinutes,
+                chargeableWaitMinutes: wait.chargeableWaitMinutes,
+                pricedOn: 'quote'
+            }
+        };
+    }
+
+    const options = kind === 'ride'
+        ? { rideType: job.rideType }
+        : {
+            deliveryType: job.deliveryType,
+            itemWeight: job.itemWeight,
+            itemValue: job.itemValue,
+            isFragile: job.isFragile
+        };
+    const fareDetails = calculateTripFare(kind, distanceKm, options, {
+        pricing,
+        durationMinutes,
+        waitMinutes,
+        surgeMultiplier: job.surge?.multiplier || 1,
+        isAirportTrip: isAirportTrip(job.pickupLocation, job[destinationField])
+    });
+
+    return {
+        finalFare: fareDetails.totalFare,
+        finalFareBreakdown: toFareBreakdown(fareDetails),
+        tripMetrics: {
+            distanceKm,
+            distanceSource: useTrail ? 'trail' : 'route',
+            durationMinutes,
+            waitMinutes,
+            chargeableWaitMinutes: fareDetails.chargeableWaitMinutes,
+            pricedOn: 'actual'
+        }
+    };
+};
+
+module.exports = {
+    recordTripLocation,
+    getTrailDistanceKm,
+    calculateFinalFare
+};
@@ -0,0 +1,216 @@
+/**
+ * Mzansi wallet
+ *
+ * A wallet is the user's wallet:<userId> ledger account - there is no
+ * stored balance. Money comes in from card top-ups, promo credits, admin
+ * credits and refunds, and goes out when wallet trips end (see
+ * services/payments.js).
+ */
+
+const Payment = require('../models/Payment');
+const PromoCode = require('../models/PromoCode');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const { createError, roundMoney } = require('../utils');
+const { chargeWalletTopUp, refundPayment } = require('./payments');
+const {
+    ACCOUNTS,
+    toCents,
+    fromCents,
+    walletAccount,
+    transfer,
+    getWalletBalanceCents,
+    postTransaction
+} = require('./ledger');
+
+const MIN_TOPUP = parseFloat(process.env.WALLET_MIN_TOPUP) || 20;
+const MAX_TOPUP = parseFloat(process.env.WALLET_MAX_TOPUP) || 5000;
+
+/**
+ * Wallet balance derived from the ledger
+ * @param {String} userId - Wallet owner
+ * @returns {Object} { balance, currency }
+ */
+const getWalletBalance = async (userId) => {
+    return {
+        balance: fromCents(await getWalletBalanceCents(userId)),
+        currency: 'ZAR'
+    };
+};
+
+/**
+ * Wallet transactions, newest first, with the amount signed from the
+ * wallet's side (money in is positive)
+ * @param {String} userId - Wallet owner
+ * @param {Object} options - { limit, before: only transactions created before this date }
+ * @returns {Array} Transactions
+ */
+const getWalletHistory = async (userId, { limit = 50, before } = {}) => {
+    const account = walletAccount(userId);
+    const filter = { 'postings.account': account };
+    if (before) filter.createdAt = { $lt: before };
+
+    const transactions = await LedgerTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+    return transactions.map(transaction => ({
+        _id: transaction._id,
+        type: transaction.type,
+        amount: fromCents(transaction.postings
+            .filter(posting => posting.account === account)
+            .reduce((sum, posting) => sum + posting.credit - posting.debit, 0)),
+        description: transaction.description,
+        kind: transaction.kind,
+        job: transaction.job,
+        payment: transaction.payment,
+        createdAt: transaction.createdAt
+    }));
+};
+
+/**
+ * Top up a wallet from a saved card
+ * @param {Object} io - Socket.io server
+ * @param {String} userId - Wallet owner
+ * @param {Number} amount - Amount in Rands
+ * @param {String} paymentMethodId - Saved card to use (optional)
+ * @returns {Object} { payment, balance }
+ * @throws {Error} 400 if the amount is out of range or there is no card, 402 if declined
+ */
+const topUpWallet = async (io, userId, amount, paymentMethodId) => {
+    if (amount < MIN_TOPUP || amount > MAX_TOPUP) {
+        throw createError(400, `Top-ups must be between R${MIN_TOPUP} and R${MAX_TOPUP}`);
+    }
+
+    const payment = await chargeWalletTopUp(io, userId, amount, paymentMethodId);
+    return { payment, ...(await getWalletBalance(userId)) };
+};
+
+/**
+ * Redeem a wallet_credit promo code into the user's wallet (once per user)
+ * @param {String} userId - Wallet owner
+ * @param {String} code - Promo code
+ * @returns {Object} { transaction, balance }
+ * @throws {Error} 404 if the code doesn't exist, 400 if it isn't a wallet credit or has expired, 409 if already redeemed
+ */
+const redeemPromoCredit = async (userId, code) => {
+    const promo = await PromoCode.findOne({ code: String(code).toUpperCase() });
+    if (!promo) {
+        throw createError(404, 'Promo code not found');
+    }
+    if (promo.discountType !== 'wallet_credit') {
+        throw createError(400, 'This promo code is applied to a fare, not to your wallet');
+    }
+
+    const reference = `promo:${promo._id}:${userId}`;
+    if (await LedgerTransaction.exists({ reference })) {
+        throw createError(409, 'You have already redeemed this promo code');
+    }
+
+    // Take one use of the code before crediting so the usage limit can't be overrun
+    const now = new Date();
+    const claimed = await PromoCode.findOneAndUpdate({
+        _id: promo._id,
+        isActive: true,
+        validFrom: { $lte: now },
+        validUntil: { $gte: now },
+        $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+    }, { $inc: { usedCount: 1 } });
+    if (!claimed) {
+        throw createError(400, 'This promo code has expired or been used up');
+    }
+
+    const { transaction, created } = await postTransaction({
+        type: 'promo_credit',
+        postings: transfer(ACCOUNTS.promo, walletAccount(userId), toCents(promo.discountValue)),
+        reference,
+        description: `Promo ${promo.code}: ${promo.description}`
+    });
+    if (!created) {
+        // Redeemed twice at once - give the second use back
+        await PromoCode.updateOne({ _id: promo._id }, { $inc: { usedCount: -1 } });
+        throw createError(409, 'You have already redeemed this promo code');
+    }
+
+    return { transaction, ...(await getWalletBalance(userId)) };
+};
+
+/**
+ * Refund a trip to the customer's wallet. Card payments are refunded from
+ * what was captured; wallet payments from what the wallet paid.
+ * @param {Object} io - Socket.io server
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {Object} job - Ride or Delivery document
+ * @param {Number} amount - Amount to refund (defaults to everything not yet refunded)
+ * @param {String} adminId - Admin making the refund
+ * @returns {Object} { transaction|payment, balance }
+ * @throws {Error} 409 if nothing was paid or it was all refunded, 400 if amount is too high
+ */
+const refundToWallet = async (io, kind, job, amount, adminId) => {
+    const userId = String(kind === 'ride' ? job.rider : job.customer);
+
+    if (job.paymentMethod === 'card') {
+        const payments = await Payment.find({ kind, job: job._id, purpose: { $in: ['trip', 'adjustment'] } });
+        const payment = payments.find(candidate => candidate.capturedAmount > candidate.refundedAmount);
+        if (!payment) {
+            throw createError(409, 'This trip has no card payment left to refund');
+        }
+        const updated = await refundPayment(io, payment._id, amount, { toWallet: true });
+        return { payment: updated, ...(await getWalletBalance(userId)) };
+    }
+
+    const transactions = await LedgerTransaction.find({ kind, job: job._id });
+    const account = walletAccount(userId);
+    const netPaid = transactions.reduce((sum, transaction) => sum + transaction.postings
+        .filter(posting => posting.account === account)
+        .reduce((total, posting) => total + posting.debit - posting.credit, 0), 0);
+    if (netPaid <= 0) {
+        throw createError(409, 'This trip has nothing left to refund to the wallet');
+    }
+
+    const cents = amount ? toCents(roundMoney(amount)) : netPaid;
+    if (cents > netPaid) {
+        throw createError(400, `At most ${fromCents(netPaid)} can be refunded`, { refundable: fromCents(netPaid) });
+    }
+
+    const { transaction } = await postTransaction({
+        type: 'refund',
+        postings: transfer(ACCOUNTS.trips, account, cents),
+        description: `Refund for ${kind}`,
+        kind,
+        job: job._id,
+        createdBy: adminId
+    });
+    return { transaction, ...(await getWalletBalance(userId)) };
+};
+
+/**
+ * Credit a wallet as a goodwill gesture (paid from the promo account)
+ * @param {String} userId - Wallet owner
+ * @param {Number} amount - Amount in Rands
+ * @param {String} reason - Shown in the user's history
+ * @param {String} adminId - Admin giving the credit
+ * @returns {Object} { transaction, balance }
+ */
+const creditWallet = async (userId, amount, reason, adminId) => {
+    const { transaction } = await postTransaction({
+        type: 'adjustment',
+        postings: transfer(ACCOUNTS.promo, walletAccount(userId), toCents(amount)),
+        description: reason || 'Credit from Mzansi',
+        createdBy: adminId
+    });
+    return { transaction, ...(await getWalletBalance(userId)) };
+};
+
+module.exports = {
+    MIN_TOPUP,
+    MAX_TOPUP,
+    getWalletBalance,
+    getWalletHistory,
+    topUpWallet,
+    redeemPromoCredit,
+    refundToWallet,
+    creditWallet
+};
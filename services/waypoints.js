@@ -0,0 +1,378 @@
+/**
+ * Ride stops
+ *
+ * A ride can stop at up to MAX_WAYPOINTS places between pickup and dropoff,
+ * visited in order and priced leg by leg (see priceTrip in quotes.js). The
+ * rider can change the stops they haven't reached yet until the ride ends:
+ * the new route is quoted first with the ride's own price table and surge,
+ * and only replaces the stops and fare once the rider confirms the quote.
+ * On a card ride the new fare has to fit in the amount held on the card.
+ * During the trip the driver marks each stop arrived and then completed;
+ * everyone on the ride gets the stops with fresh ETAs as 'waypoint-update'
+ * (or 'waypoints-updated' when the rider changes them).
+ */
+
+const Ride = require('../models/Ride');
+const Quote = require('../models/Quote');
+const Payment = require('../models/Payment');
+const { createError, toFareBreakdown, roundMoney } = require('../utils');
+const { isAirportTrip } = require('../config/airports');
+const { getRouteThrough, estimateRoute } = require('./routing');
+const { getPricingForVersion } = require('./pricing');
+const {
+    QUOTE_TTL_MINUTES,
+    parseWaypoints,
+    isSameWaypoints,
+    calculateTripFare
+} = require('./quotes');
+
+// Ride statuses in which the rider can still change their stops
+const EDITABLE_STATUSES = ['scheduled', 'pending', 'accepted', 'driver_arrived', 'in_progress'];
+// Driver positions older than this aren't used for ETAs
+const LOCATION_MAX_AGE_MS = 2 * 60 * 1000;
+
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+const sortedWaypoints = (ride) => [...(ride.waypoints || [])].sort((a, b) => a.order - b.order);
+
+// Stops the driver has reached stay where they are when the rest are changed
+const getVisitedWaypoints = (ride) => {
+    const waypoints = sortedWaypoints(ride);
+    const firstPending = waypoints.findIndex(waypoint => waypoint.status === 'pending');
+    return firstPending === -1 ? waypoints : waypoints.slice(0, firstPending);
+};
+
+const toLocation = ({ address, latitude, longitude }) => ({ address, latitude, longitude });
+
+/**
+ * Planned arrival at each remaining stop and the dropoff. ETAs are only
+ * given once the trip has started; before that each stop has the minutes
+ * after pickup it is reached.
+ * @param {Object} ride - Ride document
+ * @param {Date} now - Current time
+ * @returns {Array} [{ waypointId, order, address, latitude, longitude, status, minutesFromPickup, eta }]
+ */
+const getStopEtas = (ride, now = new Date()) => {
+    const stops = [
+        ...sortedWaypoints(ride).map(waypoint => ({
+            waypointId: waypoint._id,
+            order: waypoint.order,
+            ...toLocation(waypoint),
+            status: waypoint.status,
+            arrivedAt: waypoint.arrivedAt,
+            completedAt: waypoint.completedAt
+        })),
+        { waypointId: null, order: null, ...toLocation(ride.dropoffLocation), status: 'pending' }
+    ];
+
+    // Rides booked before stops were priced per leg have no legs stored
+    const points = [ride.pickupLocation, ...stops];
+    const legs = ride.legs?.length === stops.length
+        ? ride.legs
+        : stops.map((stop, index) => estimateRoute(points[index], stop));
+
+    let minutesFromPickup = 0;
+    stops.forEach((stop, index) => {
+        minutesFromPickup += legs[index].durationMinutes || 0;
+        stop.minutesFromPickup = Math.round(minutesFromPickup);
+        stop.eta = null;
+    });
+    if (ride.status !== 'in_progress') {
+        return stops;
+    }
+
+    let eta = null;
+    stops.forEach((stop, index) => {
+        if (stop.status === 'completed') return;
+
+        if (eta) {
+            eta = addMinutes(eta, legs[index].durationMinutes || 0);
+        } else if (stop.status === 'arrived') {
+            eta = stop.arrivedAt;
+        } else {
+            // Next stop: from where the driver is now, or from the last stop they left
+            const position = ride.driverLocation;
+            const fresh = position?.timestamp && now - new Date(position.timestamp) <= LOCATION_MAX_AGE_MS;
+            const leftAt = stops[index - 1]?.completedAt || ride.startedAt || now;
+            const planned = fresh
+                ? addMinutes(now, estimateRoute(position, stop).durationMinutes)
+                : addMinutes(leftAt, legs[index].durationMinutes || 0);
+            eta = planned < now ? now : planned;
+        }
+        stop.eta = eta;
+    });
+    return stops;
+};
+
+/**
+ * Stops as shown to the rider and driver
+ * @param {Object} ride - Ride document
+ * @returns {Object} { rideId, status, fare, distanceKm, durationMinutes, stops }
+ */
+const getWaypointView = (ride) => ({
+    rideId: ride._id,
+    status: ride.status,
+    fare: ride.fare,
+    distanceKm: ride.distance,
+    durationMinutes: ride.duration,
+    stops: getStopEtas(ride)
+});
+
+/**
+ * Keep a card ride's fare within what the rider authorised on their card.
+ * Stops that would cost more are refused rather than charged on top later.
+ * @param {Object} ride - Ride document
+ * @param {Number} fare - Fare with the new stops
+ * @throws {Error} 402 if the fare is more than the amount held
+ */
+const assertFareHeld = async (ride, fare) => {
+    if (!ride.payment) return;
+
+    const payment = await Payment.findById(ride.payment).select('amount');
+    if (payment && fare > payment.amount) {
+        throw createError(402, 'These stops cost more than the amount held on your card. Choose fewer or closer stops.', {
+            fare,
+            heldAmount: payment.amount
+        });
+    }
+};
+
+/**
+ * Quote changing a ride's remaining stops. Stops already reached are kept
+ * and the given ones replace the rest.
+ * @param {Object} ride - Ride document
+ * @param {Object} user - Rider
+ * @param {Array} waypoints - New remaining stops, in order
+ * @returns {Object} { quoteId, expiresAt, fare, currentFare, difference, waypoints, distanceKm, durationMinutes }
+ * @throws {Error} 403 not the rider, 400 ride can't change stops or too many stops,
+ *   402 card hold doesn't cover the new fare
+ */
+const quoteWaypointChange = async (ride, user, waypoints) => {
+    if (!sameId(ride.rider, user)) {
+        throw createError(403, 'Only the rider can change the stops');
+    }
+    if (!EDITABLE_STATUSES.includes(ride.status)) {
+        throw createError(400, `Stops cannot be changed on a ${ride.status} ride`);
+    }
+    if (ride.pool) {
+        throw createError(400, 'Pooled rides cannot have stops');
+    }
+
+    // Stops already reached count towards the limit
+    const visited = getVisitedWaypoints(ride);
+    const stops = parseWaypoints([...visited.map(toLocation), ...(waypoints || [])]);
+
+    const [route, pricing] = await Promise.all([
+        getRouteThrough([ride.pickupLocation, ...stops, ride.dropoffLocation]),
+        getPricingForVersion('ride', ride.priceVersion)
+    ]);
+    const fareDetails = calculateTripFare('ride', route.distanceKm, { rideType: ride.rideType }, {
+        pricing,
+        durationMinutes: route.durationMinutes,
+        surgeMultiplier: ride.surge?.multiplier || 1,
+        isAirportTrip: isAirportTrip(ride.pickupLocation, ride.dropoffLocation)
+    });
+
+    await assertFareHeld(ride, fareDetails.totalFare);
+
+    const quote = await Quote.create({
+        kind: 'ride',
+        user: ride.rider,
+        ride: ride._id,
+        pickupLocation: toLocation(ride.pickupLocation),
+        destination: toLocation(ride.dropoffLocation),
+        options: { rideType: ride.rideType },
+        waypoints: stops,
+        legs: route.legs,
+        distanceKm: route.distanceKm,
+        durationMinutes: route.durationMinutes,
+        routeProvider: route.provider,
+        fare: fareDetails.totalFare,
+        fareDetails,
+        surge: ride.surge,
+        priceVersion: ride.priceVersion,
+        expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000)
+    });
+
+    return {
+        quoteId: quote._id,
+        expiresAt: quote.expiresAt,
+        fare: quote.fare,
+        currentFare: ride.fare,
+        difference: roundMoney(quote.fare - ride.fare),
+        fareDetails,
+        waypoints: stops,
+        legs: route.legs,
+        distanceKm: route.distanceKm,
+        durationMinutes: route.durationMinutes
+    };
+};
+
+/**
+ * Apply a stop change the rider has been quoted for, at the quoted fare
+ * @param {Object} io - Socket.io server
+ * @param {String} rideId - Ride ID
+ * @param {Object} user - Rider
+ * @param {String} quoteId - Quote from quoteWaypointChange
+ * @returns {Object} Updated ride document
+ * @throws {Error} 404 unknown ride/quote, 409 quote used or ride moved on, 410 quote expired,
+ *   402 card hold doesn't cover the new fare
+ */
+const confirmWaypointChange = async (io, rideId, user, quoteId) => {
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+        throw createError(404, 'Ride not found');
+    }
+    if (!sameId(ride.rider, user)) {
+        throw createError(403, 'Only the rider can change the stops');
+    }
+
+    const quote = await Quote.findOne({ _id: quoteId, kind: 'ride', ride: ride._id });
+    if (!quote) {
+        throw createError(404, 'Quote not found');
+    }
+    if (quote.usedAt) {
+        throw createError(409, 'This quote has already been used');
+    }
+    if (quote.expiresAt <= new Date()) {
+        throw createError(410, 'This quote has expired, please request a new fare', {
+            expiresAt: quote.expiresAt
+        });
+    }
+    if (!EDITABLE_STATUSES.includes(ride.status)) {
+        throw createError(400, `Stops cannot be changed on a ${ride.status} ride`);
+    }
+
+    // The driver may have reached another stop since the quote
+    const current = sortedWaypoints(ride);
+    const visited = getVisitedWaypoints(ride);
+    if (visited.length > quote.waypoints.length ||
+        !isSameWaypoints(visited, quote.waypoints.slice(0, visited.length))) {
+        throw createError(409, 'The driver has reached a stop since this quote, please request a new fare');
+    }
+
+    await assertFareHeld(ride, quote.fare);
+
+    const claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } }
+    );
+    if (!claimed) {
+        throw createError(409, 'This quote has already been used');
+    }
+
+    const waypoints = [
+        ...visited.map((waypoint, index) => ({ ...waypoint.toObject(), order: index + 1 })),
+        ...quote.waypoints.slice(visited.length).map(waypoint => ({ ...toLocation(waypoint), order: waypoint.order }))
+    ];
+
+    // Only if no stop has changed status since it was read
+    const unchanged = { waypoints: { $size: current.length } };
+    current.forEach((waypoint, index) => {
+        if (index >= visited.length) unchanged[`waypoints.${index}.status`] = 'pending';
+    });
+
+    const updated = await Ride.findOneAndUpdate(
+        { _id: ride._id, status: { $in: EDITABLE_STATUSES }, ...unchanged },
+        {
+            $set: {
+                waypoints,
+                legs: quote.legs,
+                fare: quote.fare,
+                fareBreakdown: toFareBreakdown(quote.fareDetails),
+                distance: quote.distanceKm,
+                duration: quote.durationMinutes,
+                quote: quote._id
+            }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        // Let the rider try again with a new quote
+        await Quote.updateOne({ _id: quote._id }, { $set: { usedAt: null } });
+        throw createError(409, 'The ride changed while updating the stops, please request a new fare');
+    }
+
+    if (io) {
+        io.to(`ride-${updated._id}`).emit('waypoints-updated', getWaypointView(updated));
+    }
+    return updated;
+};
+
+/**
+ * Driver marks the next stop as arrived or completed
+ * @param {Object} io - Socket.io server
+ * @param {String} rideId - Ride ID
+ * @param {Object} driver - Driver user
+ * @param {String} waypointId - Waypoint subdocument ID
+ * @param {String} status - 'arrived' or 'completed'
+ * @returns {Object} Updated ride document
+ * @throws {Error} 404 unknown ride/stop, 403 not the driver, 400 out of order or trip not under way
+ */
+const updateWaypointStatus = async (io, rideId, driver, waypointId, status) => {
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+        throw createError(404, 'Ride not found');
+    }
+    if (!sameId(ride.driver, driver)) {
+        throw createError(403, 'Only the driver can update stops');
+    }
+    if (ride.status !== 'in_progress') {
+        throw createError(400, 'Stops can only be updated during the trip');
+    }
+
+    const waypoint = ride.waypoints.id(waypointId);
+    if (!waypoint) {
+        throw createError(404, 'Stop not found');
+    }
+    const next = sortedWaypoints(ride).find(stop => stop.status !== 'completed');
+    if (!next || !sameId(next, waypoint)) {
+        throw createError(400, 'Stops must be visited in order', {
+            nextWaypointId: next?._id || null
+        });
+    }
+
+    const from = status === 'arrived' ? ['pending'] : ['pending', 'arrived'];
+    if (!from.includes(waypoint.status)) {
+        throw createError(400, `Stop is already ${waypoint.status}`);
+    }
+
+    const now = new Date();
+    const $set = { 'waypoints.$.status': status };
+    if (!waypoint.arrivedAt) $set['waypoints.$.arrivedAt'] = now;
+    if (status === 'completed') $set['waypoints.$.completedAt'] = now;
+
+    const updated = await Ride.findOneAndUpdate(
+        {
+            _id: ride._id,
+            driver: ride.driver,
+            status: 'in_progress',
+            waypoints: { $elemMatch: { _id: waypoint._id, status: waypoint.status } }
+        },
+        { $set },
+        { new: true }
+    );
+    if (!updated) {
+        throw createError(409, 'Stop was updated at the same time, please refresh');
+    }
+
+    if (io) {
+        io.to(`ride-${updated._id}`).emit('waypoint-update', {
+            waypointId: waypoint._id,
+            status,
+            ...getWaypointView(updated)
+        });
+    }
+    return updated;
+};
+
+module.exports = {
+    EDITABLE_STATUSES,
+    getStopEtas,
+    getWaypointView,
+    quoteWaypointChange,
+    confirmWaypointChange,
+    updateWaypointStatus
+};
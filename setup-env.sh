@@ -18,6 +18,44 @@ JWT_SECRET=mzansi_jwt_secret_key_change_in_production
 JWT_EXPIRE=7d
 GOOGLE_MAPS_API_KEY=your_google_maps_api_key_here
 STRIPE_SECRET_KEY=your_stripe_secret_key_here
+# Set when running more than one API instance (shares Socket.io rooms via Redis)
+# REDIS_URL=redis://localhost:6379
+# Drivers/couriers silent for this long are taken offline automatically
+# PRESENCE_TIMEOUT_MS=90000
+# Road routing for fare quotes: local OSRM server and provider order (haversine is always the fallback)
+# OSRM_URL=http://localhost:5001
+# ROUTING_PROVIDERS=google,osrm
+# Highest demand-based surge multiplier
+# SURGE_MAX_MULTIPLIER=2.5
+# Scheduled rides/deliveries are dispatched this many minutes before pickup
+# SCHEDULED_DISPATCH_LEAD_MINUTES=15
+# Quoted trips keep their price unless distance or duration differ by more than this percent
+# METERING_QUOTE_TOLERANCE_PERCENT=20
+# Card payments: 'peach', or 'mock' for local testing (needs PAYMENT_MOCK_ENABLED=true,
+# never in production). Card payments are off until this is set.
+# PAYMENT_PROVIDER=mock
+# PAYMENT_MOCK_ENABLED=true
+# MOCK_PAYMENT_WEBHOOK_SECRET=
+# PEACH_ENTITY_ID=
+# PEACH_ACCESS_TOKEN=
+# PEACH_WEBHOOK_KEY=
+# Wallet top-up limits in Rands
+# WALLET_MIN_TOPUP=20
+# WALLET_MAX_TOPUP=5000
+# Platform commission on driver/courier earnings, and the smallest weekly payout
+# EARNINGS_RIDE_COMMISSION_PERCENT=20
+# EARNINGS_DELIVERY_COMMISSION_PERCENT=15
+# EARNINGS_MIN_PAYOUT=50
+# Drivers/couriers owing more cash-trip commission than this can't go online
+# EARNINGS_MAX_COMMISSION_DEBT=200
+# Pooled rides: detour limits and the discount off the solo fare
+# POOL_MAX_DETOUR_PERCENT=40
+# POOL_MAX_DETOUR_MINUTES=15
+# POOL_BASE_DISCOUNT_PERCENT=25
+# Most stops a ride may make between pickup and dropoff
+# RIDE_MAX_STOPS=3
+# Most drop-offs one batch delivery may have
+# BATCH_MAX_DROPOFFS=30
 EOF
     echo "✅ .env file created"
     echo ""
@@ -187,6 +187,20 @@ const isEmpty = (value) => {
     return false;
 };
 
+/**
+ * Create an error that carries an HTTP status for route handlers to return
+ * @param {Number} status - HTTP status code
+ * @param {String} message - Error message for the client
+ * @param {Object} details - Extra fields to include in the response body
+ * @returns {Error} Error with `status` and `details`
+ */
+const createError = (status, message, details = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+};
+
 module.exports = {
     generateCode,
     generateReceiptNumber,
@@ -197,5 +211,6 @@ module.exports = {
     deepClone,
     sleep,
     retryWithBackoff,
-    isEmpty
+    isEmpty,
+    createError
 };
\ No newline at end of file
@@ -120,11 +120,71 @@ const formatEstimatedTime = (minutes) => {
     return `${hours}h ${mins} min`;
 };
 
+/**
+ * Convert a location to a GeoJSON point (for 2dsphere indexes)
+ * @param {Object} location - {latitude, longitude}
+ * @returns {Object|undefined} { type: 'Point', coordinates: [longitude, latitude] }, or undefined if invalid
+ */
+const toGeoPoint = (location) => {
+    if (!location) return undefined;
+
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+
+    if (location.latitude === null || location.latitude === undefined ||
+        location.longitude === null || location.longitude === undefined ||
+        Number.isNaN(latitude) || Number.isNaN(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return undefined;
+    }
+
+    return {
+        type: 'Point',
+        coordinates: [longitude, latitude]
+    };
+};
+
+/**
+ * Convert a GeoJSON point back to a location
+ * @param {Object} point - { type: 'Point', coordinates: [longitude, latitude] }
+ * @returns {Object|null} {latitude, longitude}
+ */
+const fromGeoPoint = (point) => {
+    if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) {
+        return null;
+    }
+    return {
+        latitude: point.coordinates[1],
+        longitude: point.coordinates[0]
+    };
+};
+
+/**
+ * Build a MongoDB $near filter for a 2dsphere-indexed GeoJSON field
+ * @param {Object} location - {latitude, longitude}
+ * @param {Number} maxDistanceKm - Maximum distance in km
+ * @returns {Object|null} Filter value, e.g. { 'driverInfo.currentPoint': buildNearQuery(...) }
+ */
+const buildNearQuery = (location, maxDistanceKm) => {
+    const point = toGeoPoint(location);
+    if (!point) return null;
+
+    return {
+        $near: {
+            $geometry: point,
+            $maxDistance: maxDistanceKm * 1000
+        }
+    };
+};
+
 module.exports = {
     calculateDistance,
     calculateEstimatedTime,
     findNearestLocations,
     isWithinRadius,
     formatDistance,
-    formatEstimatedTime
+    formatEstimatedTime,
+    toGeoPoint,
+    fromGeoPoint,
+    buildNearQuery
 };
\ No newline at end of file
@@ -2,67 +2,173 @@
  * Pricing utility functions
  */
 
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Built-in rate tables, used for any city/class without an admin-configured
+// PricingConfig (see services/pricing.js)
+const DEFAULT_RIDE_PRICING = {
+    classes: {
+        economy: { baseFare: 25, perKm: 8, perMinute: 1, waitPerMinute: 2, minimumFare: 0, bookingFee: 0 },
+        comfort: { baseFare: 40, perKm: 12, perMinute: 1.5, waitPerMinute: 2.5, minimumFare: 0, bookingFee: 0 },
+        premium: { baseFare: 60, perKm: 18, perMinute: 2, waitPerMinute: 3, minimumFare: 0, bookingFee: 0 },
+        xl: { baseFare: 80, perKm: 25, perMinute: 2.5, waitPerMinute: 4, minimumFare: 0, bookingFee: 0 }
+    },
+    serviceFeePercent: 5,
+    vatPercent: 15,
+    airportSurcharge: 0,
+    // Free waiting at pickup before waitPerMinute applies
+    waitGraceMinutes: 3,
+    // Rider cancellation fees (see services/cancellation.js)
+    cancellation: {
+        freeWindowMinutes: 2,
+        enRouteAfterMinutes: 5,
+        enRouteFee: 25,
+        noShowWaitMinutes: 5,
+        noShowFee: 40
+    }
+};
+
+const DEFAULT_DELIVERY_PRICING = {
+    classes: {
+        standard: { baseFare: 30, perKm: 6, perMinute: 0, waitPerMinute: 0, minimumFare: 0, bookingFee: 0 },
+        express: { baseFare: 50, perKm: 10, perMinute: 0, waitPerMinute: 0, minimumFare: 0, bookingFee: 0 },
+        scheduled: { baseFare: 35, perKm: 7, perMinute: 0, waitPerMinute: 0, minimumFare: 0, bookingFee: 0 }
+    },
+    serviceFeePercent: 3,
+    vatPercent: 15,
+    airportSurcharge: 0,
+    waitGraceMinutes: 3,
+    // Couriers have no arrived status, so deliveries have no no-show fee
+    cancellation: {
+        freeWindowMinutes: 5,
+        enRouteAfterMinutes: 5,
+        enRouteFee: 20,
+        noShowWaitMinutes: 0,
+        noShowFee: 0
+    },
+    weightFreeKg: 5,
+    weightRatePerKg: 2,
+    fragileSurcharge: 15,
+    insurancePercent: 2
+};
+
+/**
+ * Rates for one vehicle class, falling back to the built-in table
+ */
+const getClassRates = (pricing, defaults, vehicleClass, defaultClass) => {
+    return (pricing.classes && pricing.classes[vehicleClass]) ||
+        defaults.classes[vehicleClass] ||
+        (pricing.classes && pricing.classes[defaultClass]) ||
+        defaults.classes[defaultClass];
+};
+
+/**
+ * Charge for waiting at pickup beyond the free grace period (not surged)
+ */
+const getWaitCharge = (pricing, rates, waitMinutes = 0) => {
+    const chargeableWaitMinutes = Math.max(Math.floor(waitMinutes - (pricing.waitGraceMinutes || 0)), 0);
+    return {
+        chargeableWaitMinutes,
+        waitCharge: chargeableWaitMinutes * (rates.waitPerMinute || 0)
+    };
+};
+
+/**
+ * Waiting charge to add to a fare that was already priced (e.g. a kept
+ * quote), with the service fee and VAT on it
+ * @param {String} kind - 'ride' or 'delivery'
+ * @param {String} vehicleClass - Ride type or delivery type
+ * @param {Number} waitMinutes - Time waited at pickup
+ * @param {Object} tablePricing - Rate table, defaults to the built-in one
+ * @returns {Object} { chargeableWaitMinutes, waitCharge, serviceFee, tax, total }
+ */
+const calculateWaitFare = (kind, vehicleClass, waitMinutes = 0, tablePricing = {}) => {
+    const defaults = kind === 'ride' ? DEFAULT_RIDE_PRICING : DEFAULT_DELIVERY_PRICING;
+    const pricing = { ...defaults, ...tablePricing };
+    const rates = getClassRates(pricing, defaults, vehicleClass, kind === 'ride' ? 'economy' : 'standard');
+    const { chargeableWaitMinutes, waitCharge } = getWaitCharge(pricing, rates, waitMinutes);
+
+    const serviceFee = waitCharge * (pricing.serviceFeePercent / 100);
+    const tax = waitCharge * (pricing.vatPercent / 100);
+    return {
+        chargeableWaitMinutes,
+        waitCharge: roundMoney(waitCharge),
+        serviceFee: roundMoney(serviceFee),
+        tax: roundMoney(tax),
+        total: roundMoney(waitCharge + serviceFee + tax)
+    };
+};
+
 /**
  * Calculate ride fare based on distance, ride type, and other factors
  * @param {Number} distanceKm - Distance in kilometers
  * @param {String} rideType - 'economy', 'comfort', 'premium', 'xl'
- * @param {Object} options - Additional options (surgeMultiplier, promoDiscount, etc.)
+ * @param {Object} options - Additional options (surgeMultiplier, promoDiscount, durationMinutes,
+ *   waitMinutes - time waited at pickup, isAirportTrip, pricing - rate table, defaults to DEFAULT_RIDE_PRICING)
  * @returns {Object} { baseFare, distanceFare, totalFare, breakdown }
  */
 const calculateRideFare = (distanceKm, rideType = 'economy', options = {}) => {
-    const baseFares = {
-        economy: 25,
-        comfort: 40,
-        premium: 60,
-        xl: 80
-    };
-
-    const ratePerKm = {
-        economy: 8,
-        comfort: 12,
-        premium: 18,
-        xl: 25
-    };
+    const pricing = { ...DEFAULT_RIDE_PRICING, ...options.pricing };
+    const rates = getClassRates(pricing, DEFAULT_RIDE_PRICING, rideType, 'economy');
 
-    const baseFare = baseFares[rideType] || baseFares.economy;
-    const distanceFare = (distanceKm || 0) * (ratePerKm[rideType] || ratePerKm.economy);
-    const subtotal = baseFare + distanceFare;
+    const baseFare = rates.baseFare || 0;
+    const distanceFare = (distanceKm || 0) * (rates.perKm || 0);
+    const timeFare = (options.durationMinutes || 0) * (rates.perMinute || 0);
+    const subtotal = baseFare + distanceFare + timeFare;
 
     // Apply surge pricing if applicable
     const surgeMultiplier = options.surgeMultiplier || 1;
     const afterSurge = subtotal * surgeMultiplier;
 
+    // Short trips are charged at least the minimum fare
+    const minimumFareAdjustment = Math.max((rates.minimumFare || 0) - afterSurge, 0);
+
+    // Flat fees are not surged
+    const bookingFee = rates.bookingFee || 0;
+    const airportSurcharge = options.isAirportTrip ? (pricing.airportSurcharge || 0) : 0;
+    const { chargeableWaitMinutes, waitCharge } = getWaitCharge(pricing, rates, options.waitMinutes);
+    const beforeDiscount = afterSurge + minimumFareAdjustment + bookingFee + airportSurcharge + waitCharge;
+
     // Apply promo code discount
     const promoDiscount = options.promoDiscount || 0;
-    const discountAmount = Math.min(promoDiscount, afterSurge); // Don't discount more than total
-    const afterDiscount = afterSurge - discountAmount;
+    const discountAmount = Math.min(promoDiscount, beforeDiscount); // Don't discount more than total
+    const afterDiscount = beforeDiscount - discountAmount;
 
-    // Apply service fee (5% of subtotal)
-    const serviceFee = afterDiscount * 0.05;
+    // Apply service fee (5% by default)
+    const serviceFee = afterDiscount * (pricing.serviceFeePercent / 100);
 
     // Apply taxes (15% VAT in South Africa)
-    const tax = afterDiscount * 0.15;
+    const tax = afterDiscount * (pricing.vatPercent / 100);
 
     const totalFare = afterDiscount + serviceFee + tax;
 
     return {
         baseFare,
-        distanceFare: Math.round(distanceFare * 100) / 100,
-        subtotal: Math.round(subtotal * 100) / 100,
+        distanceFare: roundMoney(distanceFare),
+        timeFare: roundMoney(timeFare),
+        subtotal: roundMoney(subtotal),
         surgeMultiplier,
-        surgeAmount: surgeMultiplier > 1 ? Math.round((afterSurge - subtotal) * 100) / 100 : 0,
-        promoDiscount: Math.round(discountAmount * 100) / 100,
-        serviceFee: Math.round(serviceFee * 100) / 100,
-        tax: Math.round(tax * 100) / 100,
-        totalFare: Math.round(totalFare * 100) / 100,
+        surgeAmount: surgeMultiplier > 1 ? roundMoney(afterSurge - subtotal) : 0,
+        minimumFareAdjustment: roundMoney(minimumFareAdjustment),
+        bookingFee: roundMoney(bookingFee),
+        airportSurcharge: roundMoney(airportSurcharge),
+        chargeableWaitMinutes,
+        waitCharge: roundMoney(waitCharge),
+        promoDiscount: roundMoney(discountAmount),
+        serviceFee: roundMoney(serviceFee),
+        tax: roundMoney(tax),
+        totalFare: roundMoney(totalFare),
         currency: 'ZAR',
         breakdown: {
             base: baseFare,
-            distance: Math.round(distanceFare * 100) / 100,
-            surge: surgeMultiplier > 1 ? Math.round((afterSurge - subtotal) * 100) / 100 : 0,
-            discount: Math.round(discountAmount * 100) / 100,
-            serviceFee: Math.round(serviceFee * 100) / 100,
-            tax: Math.round(tax * 100) / 100
+            distance: roundMoney(distanceFare),
+            time: roundMoney(timeFare),
+            surge: surgeMultiplier > 1 ? roundMoney(afterSurge - subtotal) : 0,
+            fees: roundMoney(minimumFareAdjustment + bookingFee + airportSurcharge),
+            wait: roundMoney(waitCharge),
+            discount: roundMoney(discountAmount),
+            serviceFee: roundMoney(serviceFee),
+            tax: roundMoney(tax)
         }
     };
 };
@@ -72,64 +178,98 @@ const calculateRideFare = (distanceKm, rideType = 'economy', options = {}) => {
  * @param {Number} distanceKm - Distance in kilometers
  * @param {String} deliveryType - 'standard', 'express', 'scheduled'
  * @param {Number} itemWeight - Weight in kg
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options (isFragile, itemValue, promoDiscount, durationMinutes,
+ *   waitMinutes, isAirportTrip, pricing - rate table, defaults to DEFAULT_DELIVERY_PRICING)
  * @returns {Object} Fare breakdown
  */
 const calculateDeliveryFare = (distanceKm, deliveryType = 'standard', itemWeight = 0, options = {}) => {
-    const baseFares = {
-        standard: 30,
-        express: 50,
-        scheduled: 35
-    };
+    const pricing = { ...DEFAULT_DELIVERY_PRICING, ...options.pricing };
+    const rates = getClassRates(pricing, DEFAULT_DELIVERY_PRICING, deliveryType, 'standard');
 
-    const ratePerKm = {
-        standard: 6,
-        express: 10,
-        scheduled: 7
-    };
+    const baseFare = rates.baseFare || 0;
+    const distanceFare = (distanceKm || 0) * (rates.perKm || 0);
+    const timeFare = (options.durationMinutes || 0) * (rates.perMinute || 0);
 
-    const baseFare = baseFares[deliveryType] || baseFares.standard;
-    const distanceFare = (distanceKm || 0) * (ratePerKm[deliveryType] || ratePerKm.standard);
-
-    // Weight surcharge (R2 per kg over 5kg)
-    const weightSurcharge = itemWeight > 5 ? (itemWeight - 5) * 2 : 0;
+    // Weight surcharge (R2 per kg over 5kg by default)
+    const weightSurcharge = itemWeight > pricing.weightFreeKg
+        ? (itemWeight - pricing.weightFreeKg) * pricing.weightRatePerKg
+        : 0;
 
     // Fragile item surcharge
-    const fragileSurcharge = options.isFragile ? 15 : 0;
+    const fragileSurcharge = options.isFragile ? pricing.fragileSurcharge : 0;
+
+    // Insurance fee (optional, 2% of item value by default)
+    const insuranceFee = options.itemValue ? options.itemValue * (pricing.insurancePercent / 100) : 0;
 
-    // Insurance fee (optional, 2% of item value)
-    const insuranceFee = options.itemValue ? options.itemValue * 0.02 : 0;
+    const subtotal = baseFare + distanceFare + timeFare + weightSurcharge + fragileSurcharge + insuranceFee;
 
-    const subtotal = baseFare + distanceFare + weightSurcharge + fragileSurcharge + insuranceFee;
+    const minimumFareAdjustment = Math.max((rates.minimumFare || 0) - subtotal, 0);
+    const bookingFee = rates.bookingFee || 0;
+    const airportSurcharge = options.isAirportTrip ? (pricing.airportSurcharge || 0) : 0;
+    const { chargeableWaitMinutes, waitCharge } = getWaitCharge(pricing, rates, options.waitMinutes);
+    const beforeDiscount = subtotal + minimumFareAdjustment + bookingFee + airportSurcharge + waitCharge;
 
     // Apply promo discount if applicable
     const promoDiscount = options.promoDiscount || 0;
-    const discountAmount = Math.min(promoDiscount, subtotal);
-    const afterDiscount = subtotal - discountAmount;
+    const discountAmount = Math.min(promoDiscount, beforeDiscount);
+    const afterDiscount = beforeDiscount - discountAmount;
 
-    // Service fee (3% for deliveries)
-    const serviceFee = afterDiscount * 0.03;
+    // Service fee (3% for deliveries by default)
+    const serviceFee = afterDiscount * (pricing.serviceFeePercent / 100);
 
     // Tax (15% VAT)
-    const tax = afterDiscount * 0.15;
+    const tax = afterDiscount * (pricing.vatPercent / 100);
 
     const totalFare = afterDiscount + serviceFee + tax;
 
     return {
         baseFare,
-        distanceFare: Math.round(distanceFare * 100) / 100,
-        weightSurcharge: Math.round(weightSurcharge * 100) / 100,
-        fragileSurcharge: Math.round(fragileSurcharge * 100) / 100,
-        insuranceFee: Math.round(insuranceFee * 100) / 100,
-        subtotal: Math.round(subtotal * 100) / 100,
-        promoDiscount: Math.round(discountAmount * 100) / 100,
-        serviceFee: Math.round(serviceFee * 100) / 100,
-        tax: Math.round(tax * 100) / 100,
-        totalFare: Math.round(totalFare * 100) / 100,
+        distanceFare: roundMoney(distanceFare),
+        timeFare: roundMoney(timeFare),
+        weightSurcharge: roundMoney(weightSurcharge),
+        fragileSurcharge: roundMoney(fragileSurcharge),
+        insuranceFee: roundMoney(insuranceFee),
+        subtotal: roundMoney(subtotal),
+        minimumFareAdjustment: roundMoney(minimumFareAdjustment),
+        bookingFee: roundMoney(bookingFee),
+        airportSurcharge: roundMoney(airportSurcharge),
+        chargeableWaitMinutes,
+        waitCharge: roundMoney(waitCharge),
+        promoDiscount: roundMoney(discountAmount),
+        serviceFee: roundMoney(serviceFee),
+        tax: roundMoney(tax),
+        totalFare: roundMoney(totalFare),
         currency: 'ZAR'
     };
 };
 
+/**
+ * Convert calculateRideFare/calculateDeliveryFare output to the fareBreakdown
+ * stored on rides and deliveries
+ * @param {Object} fareDetails - Output of calculateRideFare or calculateDeliveryFare
+ * @returns {Object} Fare breakdown
+ */
+const toFareBreakdown = (fareDetails = {}) => ({
+    baseFare: fareDetails.baseFare || 0,
+    distanceFare: fareDetails.distanceFare || 0,
+    timeFare: fareDetails.timeFare || 0,
+    weightSurcharge: fareDetails.weightSurcharge || 0,
+    fragileSurcharge: fareDetails.fragileSurcharge || 0,
+    insuranceFee: fareDetails.insuranceFee || 0,
+    subtotal: fareDetails.subtotal || 0,
+    surgeMultiplier: fareDetails.surgeMultiplier || 1,
+    surgeAmount: fareDetails.surgeAmount || 0,
+    minimumFareAdjustment: fareDetails.minimumFareAdjustment || 0,
+    bookingFee: fareDetails.bookingFee || 0,
+    airportSurcharge: fareDetails.airportSurcharge || 0,
+    waitCharge: fareDetails.waitCharge || 0,
+    discount: fareDetails.promoDiscount || 0,
+    serviceFee: fareDetails.serviceFee || 0,
+    vat: fareDetails.tax || 0,
+    total: fareDetails.totalFare || 0,
+    currency: fareDetails.currency || 'ZAR'
+});
+
 /**
  * Calculate surge multiplier based on demand
  * @param {Number} activeRides - Number of active rides in area
@@ -180,8 +320,13 @@ const applyPromoDiscount = (totalFare, promoCode) => {
 };
 
 module.exports = {
+    roundMoney,
+    DEFAULT_RIDE_PRICING,
+    DEFAULT_DELIVERY_PRICING,
+    calculateWaitFare,
     calculateRideFare,
     calculateDeliveryFare,
+    toFareBreakdown,
     calculateSurgeMultiplier,
     formatPrice,
     applyPromoDiscount
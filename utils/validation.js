@@ -49,6 +49,17 @@ const formatPhone = (phone) => {
     return cleaned;
 };
 
+/**
+ * South African number in international format, whether typed as 0XX, 27XX or +27XX
+ * @param {String} phone - Phone number as entered
+ * @returns {String|null} +27XXXXXXXXX, or null if it isn't a valid number
+ */
+const normalisePhone = (phone) => {
+    const digits = String(phone).replace(/\D/g, '');
+    const local = digits.startsWith('27') && digits.length === 11 ? digits.slice(2) : digits.replace(/^0/, '');
+    return /^[1-9]\d{8}$/.test(local) ? `+27${local}` : null;
+};
+
 /**
  * Validate password strength
  * @param {String} password - Password to validate
@@ -156,14 +167,51 @@ const isPastDate = (date) => {
     return dateObj < new Date();
 };
 
+/**
+ * Validate a card number with the Luhn checksum
+ * @param {String} cardNumber - Card number, spaces allowed
+ * @returns {Boolean} True if valid
+ */
+const isValidCardNumber = (cardNumber) => {
+    const digits = String(cardNumber || '').replace(/\s/g, '');
+    if (!/^\d{12,19}$/.test(digits)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+/**
+ * Work out the card brand from its number
+ * @param {String} cardNumber - Card number, spaces allowed
+ * @returns {String} 'Visa', 'Mastercard', 'Amex' or 'Unknown'
+ */
+const getCardBrand = (cardNumber) => {
+    const digits = String(cardNumber || '').replace(/\s/g, '');
+    if (/^4/.test(digits)) return 'Visa';
+    if (/^(5[1-5]|2[2-7])/.test(digits)) return 'Mastercard';
+    if (/^3[47]/.test(digits)) return 'Amex';
+    return 'Unknown';
+};
+
 module.exports = {
     isValidEmail,
     isValidPhone,
     formatPhone,
+    normalisePhone,
     validatePassword,
     isValidCoordinates,
     isValidLocation,
     sanitizeString,
     isFutureDate,
-    isPastDate
+    isPastDate,
+    isValidCardNumber,
+    getCardBrand
 };
\ No newline at end of file